@@ -0,0 +1,156 @@
+/**
+ * DocumentService - processing pipeline for licence, ticket and insurance uploads
+ * Validates the file, hashes it for duplicate detection, renders a thumbnail and
+ * pulls suggested certification or insurance details out of PDF text.
+ */
+
+const crypto = require('crypto');
+const { AppError } = require('../../../middleware/errorHandler');
+const { extractDocumentFields } = require('../../../utils/documentFields');
+const { logger } = require('../../../src/lib/logging/logger');
+
+// File signatures, so a renamed file cannot pass as a PDF or image
+const FILE_TYPES = {
+    pdf: { mimeType: 'application/pdf', extension: 'pdf', signature: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+    png: { mimeType: 'image/png', extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47] }
+};
+
+const THUMBNAIL_SIZE = 320;
+const MAX_TEXT_LENGTH = 20000;
+
+class DocumentService {
+    constructor() {
+        this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+        this.thumbnailSize = parseInt(process.env.DOCUMENT_THUMBNAIL_SIZE) || THUMBNAIL_SIZE;
+    }
+
+    get allowedMimeTypes() {
+        return Object.values(FILE_TYPES).map(type => type.mimeType);
+    }
+
+    /**
+     * Identify a file from its leading bytes
+     * @param {Buffer} buffer - File contents
+     * @returns {string|null} Key of FILE_TYPES, or null if not a supported type
+     */
+    detectType(buffer) {
+        const match = Object.entries(FILE_TYPES).find(([, type]) =>
+            buffer.length >= type.signature.length && type.signature.every((byte, index) => buffer[index] === byte));
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Check an upload's size and type. The declared MIME type must agree with the contents.
+     * @param {Object} file - Multer file ({ buffer, mimetype, size, originalname })
+     * @returns {string} Key of FILE_TYPES
+     */
+    validate(file) {
+        if (!file || !file.buffer || file.buffer.length === 0) {
+            throw new AppError('Please upload a file', 400, 'File Required');
+        }
+        if (file.buffer.length > this.maxFileSize) {
+            throw new AppError(`File must be no larger than ${Math.round(this.maxFileSize / (1024 * 1024))}MB`, 413, 'File Too Large');
+        }
+
+        const type = this.detectType(file.buffer);
+        if (!type) {
+            throw new AppError('Upload a PDF, JPEG or PNG file', 415, 'Unsupported File Type');
+        }
+        if (file.mimetype && file.mimetype !== FILE_TYPES[type].mimeType) {
+            throw new AppError(`File contents do not match its type (${file.mimetype})`, 415, 'Unsupported File Type');
+        }
+        return type;
+    }
+
+    /**
+     * SHA-256 of the file contents, used to spot the same document uploaded twice
+     * @param {Buffer} buffer - File contents
+     * @returns {string} Hex digest
+     */
+    hash(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    /**
+     * Render a PNG thumbnail of an image, or of the first page of a PDF
+     * @param {Buffer} buffer - File contents
+     * @param {string} type - Key of FILE_TYPES
+     * @returns {Promise<Buffer>} PNG thumbnail
+     */
+    async generateThumbnail(buffer, type) {
+        // Loaded on first use so the rest of the app does not need the native image libraries
+        const sharp = require('sharp');
+        let image = buffer;
+
+        if (type === 'pdf') {
+            const { pdf } = await import('pdf-to-img');
+            const document = await pdf(buffer, { scale: 1 });
+            image = await document.getPage(1);
+        }
+
+        return sharp(image)
+            .rotate() // Respect EXIF orientation on phone photos
+            .resize(this.thumbnailSize, this.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+            .png()
+            .toBuffer();
+    }
+
+    /**
+     * Extract the text layer of a PDF. Scanned PDFs and photos have none and return ''.
+     * @param {Buffer} buffer - File contents
+     * @param {string} type - Key of FILE_TYPES
+     * @returns {Promise<Object>} { text, pageCount }
+     */
+    async extractText(buffer, type) {
+        if (type !== 'pdf') {
+            return { text: '', pageCount: 1 };
+        }
+
+        const pdfParse = require('pdf-parse');
+        const result = await pdfParse(buffer);
+        return {
+            text: (result.text || '').replace(/[ \t]+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH),
+            pageCount: result.numpages
+        };
+    }
+
+    /**
+     * Run an upload through the whole pipeline. Thumbnail and text extraction failures
+     * are logged and leave those parts empty so the rigger can still enter details by hand.
+     * @param {Object} file - Multer file ({ buffer, mimetype, size, originalname })
+     * @param {string} kind - 'certification' or 'insurance'
+     * @returns {Promise<Object>} { type, mimeType, extension, size, sha256, thumbnail, text, pageCount, fields }
+     */
+    async process(file, kind = 'certification') {
+        const type = this.validate(file);
+        const result = {
+            type,
+            mimeType: FILE_TYPES[type].mimeType,
+            extension: FILE_TYPES[type].extension,
+            size: file.buffer.length,
+            sha256: this.hash(file.buffer),
+            thumbnail: null,
+            text: '',
+            pageCount: undefined,
+            fields: {}
+        };
+
+        try {
+            result.thumbnail = await this.generateThumbnail(file.buffer, type);
+        } catch (error) {
+            logger.error(`Document thumbnail failed for ${file.originalname}`, error);
+        }
+
+        try {
+            Object.assign(result, await this.extractText(file.buffer, type));
+            result.fields = extractDocumentFields(result.text, kind);
+        } catch (error) {
+            logger.error(`Document text extraction failed for ${file.originalname}`, error);
+        }
+
+        return result;
+    }
+}
+
+module.exports = new DocumentService();
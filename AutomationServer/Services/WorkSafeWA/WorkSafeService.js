@@ -1,6 +1,6 @@
 const axios = require('axios');
 const crypto = require('crypto');
-const logger = require('../../../middleware/logger');
+const { logger } = require('../../../src/lib/logging/logger');
 
 class WorkSafeService {
     constructor() {
@@ -0,0 +1,129 @@
+// Pay rules for job costing, modelled on the Building and Construction General
+// On-site Award. Multipliers and loadings apply to the job's base hourly rate.
+// Allowance amounts are examples - update them when award rates change.
+
+// Public holidays: recurring national dates as MM-DD, plus any extra YYYY-MM-DD
+// dates (Easter, state holidays) supplied via PAY_RULES_PUBLIC_HOLIDAYS
+const publicHolidays = [
+    '01-01', // New Year's Day
+    '01-26', // Australia Day
+    '04-25', // Anzac Day
+    '12-25', // Christmas Day
+    '12-26', // Boxing Day
+    ...(process.env.PAY_RULES_PUBLIC_HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean)
+];
+
+// Rules by day type. Hours beyond ordinaryHours are paid through the tiers in order;
+// a tier without `hours` takes everything that is left.
+const days = {
+    weekday: {
+        ordinaryHours: 8,
+        tiers: [
+            { code: 'overtime_first_2', category: 'overtime', label: 'Overtime (first 2 hours)', hours: 2, multiplier: 1.5 },
+            { code: 'overtime_after_2', category: 'overtime', label: 'Overtime (after 2 hours)', multiplier: 2 }
+        ]
+    },
+    saturday: {
+        ordinaryHours: 0,
+        tiers: [
+            { code: 'saturday_first_2', category: 'penalty', label: 'Saturday (first 2 hours)', hours: 2, multiplier: 1.5 },
+            { code: 'saturday_after_2', category: 'penalty', label: 'Saturday (after 2 hours)', multiplier: 2 }
+        ]
+    },
+    sunday: {
+        ordinaryHours: 0,
+        tiers: [
+            { code: 'sunday', category: 'penalty', label: 'Sunday', multiplier: 2 }
+        ]
+    },
+    publicHoliday: {
+        ordinaryHours: 0,
+        tiers: [
+            { code: 'public_holiday', category: 'penalty', label: 'Public holiday', multiplier: 2.5 }
+        ]
+    }
+};
+
+// Rules by shift pattern. Loadings apply to ordinary hours only and are not paid
+// on top of overtime or weekend penalties. workDays (0 = Sunday) and hoursPerDay
+// are used to lay out a schedule when quoting.
+const shiftPatterns = {
+    day_shift: {
+        workDays: [1, 2, 3, 4, 5],
+        hoursPerDay: 8,
+        loading: 0,
+        classifyByStartTime: true
+    },
+    swing_shift: {
+        workDays: [1, 2, 3, 4, 5],
+        hoursPerDay: 8,
+        loading: 0.15,
+        label: 'Afternoon shift loading',
+        classifyByStartTime: true
+    },
+    night_shift: {
+        workDays: [1, 2, 3, 4, 5],
+        hoursPerDay: 8,
+        loading: 0.25,
+        label: 'Night shift loading',
+        classifyByStartTime: true
+    },
+    continuous: {
+        workDays: [0, 1, 2, 3, 4, 5, 6],
+        hoursPerDay: 12,
+        loading: 0.15,
+        label: 'Continuous shift loading'
+    },
+    fifo: {
+        workDays: [0, 1, 2, 3, 4, 5, 6],
+        hoursPerDay: 12,
+        loading: 0,
+        allowances: [
+            { code: 'living_away_from_home', label: 'Living away from home allowance', perDay: 62.5 },
+            { code: 'fifo_travel', label: 'FIFO travel allowance', perDay: 18.7 }
+        ]
+    }
+};
+
+// For day, swing and night patterns the actual shift start hour decides the loading
+const shiftStartWindows = [
+    { shiftPattern: 'swing_shift', fromHour: 12, toHour: 18 },
+    { shiftPattern: 'night_shift', fromHour: 18, toHour: 4 }
+];
+
+// Per job type allowances, paid on every hour worked
+const jobTypes = {
+    crane_operator: {
+        allowances: [{ code: 'crane_allowance', label: 'Crane operator allowance', perHour: 1.1 }]
+    },
+    mobile_crane_operator: {
+        allowances: [{ code: 'crane_allowance', label: 'Mobile crane operator allowance', perHour: 1.25 }]
+    },
+    tower_crane_operator: {
+        allowances: [
+            { code: 'crane_allowance', label: 'Tower crane operator allowance', perHour: 1.6 },
+            { code: 'height_allowance', label: 'Tower crane height allowance', perDay: 9.4 }
+        ]
+    },
+    rigger: {
+        allowances: [{ code: 'industry_allowance', label: 'Rigging industry allowance', perHour: 0.85 }]
+    },
+    dogger: {
+        allowances: [{ code: 'industry_allowance', label: 'Dogging industry allowance', perHour: 0.85 }]
+    },
+    scaffolder: {
+        allowances: [{ code: 'industry_allowance', label: 'Scaffolding industry allowance', perHour: 0.85 }]
+    },
+    signaller: {
+        allowances: []
+    }
+};
+
+module.exports = {
+    currency: 'AUD',
+    publicHolidays,
+    days,
+    shiftPatterns,
+    shiftStartWindows,
+    jobTypes
+};
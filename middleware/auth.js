@@ -58,7 +58,10 @@ const authenticateToken = async (req, res, next) => {
 };
 
 // Check if user has specific role
+// Accepts roles as arguments or as a single array: requireRole('client') / requireRole(['client'])
 const requireRole = (...roles) => {
+  const allowedRoles = roles.flat();
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -67,10 +70,10 @@ const requireRole = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.userType)) {
+    if (!allowedRoles.includes(req.user.userType)) {
       return res.status(403).json({
         error: 'Forbidden',
-        message: `Access denied. Required roles: ${roles.join(', ')}`
+        message: `Access denied. Required roles: ${allowedRoles.join(', ')}`
       });
     }
 
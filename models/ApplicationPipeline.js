@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+// Stages used until a client defines its own. The first stage is where new applications land;
+// accepting or rejecting an application is a decision, not a stage.
+const DEFAULT_STAGES = [
+  { key: 'applied', name: 'Applied' },
+  { key: 'shortlisted', name: 'Shortlisted' },
+  { key: 'phone_screen', name: 'Phone screen' },
+  { key: 'ticket_check', name: 'Ticket check' },
+  { key: 'site_induction_booked', name: 'Site induction booked' },
+  { key: 'offer_sent', name: 'Offer sent' }
+];
+
+const MAX_STAGES = 12;
+
+const stageKeyFor = name => String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// Sub-schemas
+const pipelineStageSchema = new mongoose.Schema({
+  key: { type: String, required: true, match: /^[a-z0-9_]{1,40}$/ },
+  name: { type: String, required: true, trim: true, maxlength: 60 }
+}, { _id: false });
+
+// Application Pipeline Schema - a client's recruitment stages for pending applications
+const applicationPipelineSchema = new mongoose.Schema({
+  clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  stages: {
+    type: [pipelineStageSchema],
+    validate: [
+      { validator: stages => stages.length >= 1 && stages.length <= MAX_STAGES, message: `A pipeline needs 1-${MAX_STAGES} stages` },
+      { validator: stages => new Set(stages.map(stage => stage.key)).size === stages.length, message: 'Stage keys must be unique' }
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+// Static methods
+applicationPipelineSchema.statics.defaultStages = DEFAULT_STAGES;
+applicationPipelineSchema.statics.maxStages = MAX_STAGES;
+applicationPipelineSchema.statics.stageKeyFor = stageKeyFor;
+
+// The client's pipeline, or an unsaved one with the default stages
+applicationPipelineSchema.statics.forClient = async function(clientId) {
+  const pipeline = await this.findOne({ clientId });
+  return pipeline || new this({ clientId, stages: DEFAULT_STAGES });
+};
+
+// Instance methods
+applicationPipelineSchema.methods.findStage = function(key) {
+  return this.stages.find(stage => stage.key === key) || null;
+};
+
+applicationPipelineSchema.methods.firstStage = function() {
+  return this.stages[0];
+};
+
+// Throws unless the key is one of this pipeline's stages
+applicationPipelineSchema.methods.requireStage = function(key) {
+  const stage = this.findStage(key);
+  if (!stage) {
+    throw new AppError(`Unknown pipeline stage: ${key}`, 400, 'Invalid Stage');
+  }
+  return stage;
+};
+
+// Replace the stages from [{ key?, name }]; keys default to a slug of the name.
+// Stages still holding pending applications (stageCounts: { key: count }) cannot be removed.
+applicationPipelineSchema.methods.setStages = function(stages, stageCounts = {}) {
+  const nextStages = stages.map(stage => ({
+    key: stage.key || stageKeyFor(stage.name),
+    name: stage.name
+  }));
+
+  const nextKeys = nextStages.map(stage => stage.key);
+  const inUse = this.stages
+    .map(stage => stage.key)
+    .filter(key => !nextKeys.includes(key) && stageCounts[key] > 0);
+
+  if (inUse.length) {
+    throw new AppError(`Move pending applications out of ${inUse.join(', ')} before removing ${inUse.length > 1 ? 'those stages' : 'that stage'}`, 409, 'Stage In Use');
+  }
+
+  this.stages = nextStages;
+  return this;
+};
+
+// Kanban columns, one per stage in pipeline order. Applications in a stage the pipeline
+// no longer has (or with no stage) are shown in the first column.
+applicationPipelineSchema.methods.buildBoard = function(applications) {
+  const columns = this.stages.map(stage => ({ key: stage.key, name: stage.name, count: 0, applications: [] }));
+  const columnByKey = Object.fromEntries(columns.map(column => [column.key, column]));
+
+  applications.forEach(application => {
+    const column = columnByKey[application.stage] || columns[0];
+    column.applications.push(application);
+    column.count += 1;
+  });
+
+  return columns;
+};
+
+module.exports = mongoose.model('ApplicationPipeline', applicationPipelineSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+// Enums
+const changeOrderStatusEnum = ['proposed', 'accepted', 'rejected', 'withdrawn', 'superseded'];
+const proposerRoleEnum = ['client', 'rigger'];
+const decisionEnum = ['accepted', 'rejected'];
+
+// Sub-schemas
+const fieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const responseSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  decision: { type: String, enum: decisionEnum, required: true },
+  note: String,
+  respondedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Change Order Schema - a proposed change to the agreed terms of an assigned job
+const changeOrderSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  number: { type: Number, required: true }, // Sequential per job, CO-1, CO-2...
+  proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  proposerRole: { type: String, enum: proposerRoleEnum, required: true },
+  reason: { type: String, required: true, maxlength: 1000 },
+  changes: {
+    type: [fieldChangeSchema],
+    validate: [changes => changes.length > 0, 'A change order must change at least one field']
+  },
+  effectiveFrom: Date, // Defaults to acceptance time when applied
+  status: { type: String, enum: changeOrderStatusEnum, default: 'proposed' },
+
+  // Every party on the other side must accept; any rejection rejects the change order
+  requiredApprovers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  responses: [responseSchema],
+
+  appliedVersion: Number,
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+changeOrderSchema.index({ jobId: 1, number: 1 }, { unique: true });
+changeOrderSchema.index({ jobId: 1, status: 1 });
+changeOrderSchema.index({ requiredApprovers: 1, status: 1 });
+
+// Virtual for display reference
+changeOrderSchema.virtual('reference').get(function() {
+  return `CO-${this.number}`;
+});
+
+// Helpers
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// Static methods
+changeOrderSchema.statics.sameValue = sameValue;
+
+changeOrderSchema.statics.findOpenForJob = function(jobId) {
+  return this.findOne({ jobId, status: 'proposed' });
+};
+
+changeOrderSchema.statics.nextNumber = async function(jobId) {
+  const last = await this.findOne({ jobId }).sort({ number: -1 }).select('number');
+  return last ? last.number + 1 : 1;
+};
+
+// Instance methods
+changeOrderSchema.methods.isApprover = function(userId) {
+  return this.requiredApprovers.some(id => id.toString() === userId.toString());
+};
+
+changeOrderSchema.methods.awaitingResponseFrom = function() {
+  return this.requiredApprovers.filter(id => !this.responses.some(response => response.userId.toString() === id.toString()));
+};
+
+// Whether the job has moved on since the change was proposed
+changeOrderSchema.methods.isStale = function(job) {
+  return this.changes.some(change => !sameValue(change.from, job.get(change.field)));
+};
+
+// Record an approver's decision and settle the status (does not save)
+changeOrderSchema.methods.recordResponse = function(userId, decision, note) {
+  if (this.status !== 'proposed') {
+    throw new AppError(`Change order is already ${this.status}`, 409, 'Invalid Change Order State');
+  }
+  if (!this.isApprover(userId)) {
+    throw new AppError('You are not a party to this change order', 403, 'Unauthorized');
+  }
+  if (this.responses.some(response => response.userId.toString() === userId.toString())) {
+    throw new AppError('You have already responded to this change order', 409, 'Already Responded');
+  }
+
+  this.responses.push({ userId, decision, note, respondedAt: new Date() });
+
+  if (decision === 'rejected') {
+    this.status = 'rejected';
+    this.closedAt = new Date();
+  } else if (this.awaitingResponseFrom().length === 0) {
+    this.status = 'accepted';
+    this.closedAt = new Date();
+  }
+
+  return this.status;
+};
+
+changeOrderSchema.methods.withdraw = function(userId) {
+  if (this.status !== 'proposed') {
+    throw new AppError(`Change order is already ${this.status}`, 409, 'Invalid Change Order State');
+  }
+  if (this.proposedBy.toString() !== userId.toString()) {
+    throw new AppError('Only the proposer can withdraw a change order', 403, 'Unauthorized');
+  }
+
+  this.status = 'withdrawn';
+  this.closedAt = new Date();
+  return this;
+};
+
+module.exports = mongoose.model('ChangeOrder', changeOrderSchema);
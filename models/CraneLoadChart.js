@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+const { lookupRatedCapacity } = require('../utils/liftPlan');
+
+// Enums
+const craneTypeEnum = ['all_terrain', 'rough_terrain', 'truck_mounted', 'crawler', 'pick_and_carry', 'tower'];
+
+// Sub-schemas
+const ratingSchema = new mongoose.Schema({
+  radiusM: { type: Number, required: true, min: 0 },
+  capacityKg: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const boomLengthSchema = new mongoose.Schema({
+  lengthM: { type: Number, required: true, min: 0 },
+  ratings: {
+    type: [ratingSchema],
+    validate: [ratings => ratings.length > 0, 'Each boom length needs at least one rating']
+  }
+}, { _id: false });
+
+const configurationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true }, // e.g. 'Main boom, full counterweight, outriggers fully extended'
+  counterweightKg: Number,
+  outriggers: String,
+  boomLengths: {
+    type: [boomLengthSchema],
+    validate: [lengths => lengths.length > 0, 'Each configuration needs at least one boom length']
+  }
+}, { _id: false });
+
+// Crane Load Chart Schema - manufacturer's rated capacities for a crane model
+const craneLoadChartSchema = new mongoose.Schema({
+  manufacturer: { type: String, required: true, trim: true },
+  model: { type: String, required: true, trim: true },
+  craneType: { type: String, enum: craneTypeEnum, required: true },
+  maxCapacityKg: Number,
+  configurations: {
+    type: [configurationSchema],
+    validate: [configurations => configurations.length > 0, 'A load chart needs at least one configuration']
+  },
+  chartReference: String, // Manufacturer chart number or revision
+  notes: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+// Indexes
+craneLoadChartSchema.index({ manufacturer: 1, model: 1 }, { unique: true });
+craneLoadChartSchema.index({ model: 1, isActive: 1 });
+
+// Virtual for display name
+craneLoadChartSchema.virtual('displayName').get(function() {
+  return `${this.manufacturer} ${this.model}`;
+});
+
+// Static methods
+craneLoadChartSchema.statics.findActive = function(filter = {}) {
+  return this.find({ ...filter, isActive: true }).sort({ manufacturer: 1, model: 1 });
+};
+
+// Find a chart for a crane listed in a job's equipmentRequired, e.g. 'Liebherr LTM 1100-5.2'
+craneLoadChartSchema.statics.findForEquipment = async function(equipment = []) {
+  const charts = await this.findActive();
+  const wanted = equipment.map(item => item.toLowerCase());
+
+  return charts.find(chart => wanted.some(item =>
+    item.includes(chart.model.toLowerCase())
+  )) || null;
+};
+
+// Instance methods
+craneLoadChartSchema.methods.findConfiguration = function(name) {
+  const configuration = this.configurations.find(entry => entry.name === name);
+  if (!configuration) {
+    throw new AppError(`${this.displayName} has no configuration "${name}"`, 400, 'Unknown Configuration');
+  }
+  return configuration;
+};
+
+craneLoadChartSchema.methods.ratedCapacity = function(configurationName, boomLengthM, radiusM) {
+  const rating = lookupRatedCapacity(this.findConfiguration(configurationName), boomLengthM, radiusM);
+  if (!rating) {
+    throw new AppError(`A ${boomLengthM}m boom at ${radiusM}m radius is outside the ${this.displayName} load chart`, 400, 'Outside Load Chart');
+  }
+  return rating;
+};
+
+module.exports = mongoose.model('CraneLoadChart', craneLoadChartSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+// Enums
+// pending: waiting to be built; building: being gathered and zipped; ready: can be
+// downloaded; failed: the build errored; expired: the file has been deleted
+const exportStatusEnum = ['pending', 'building', 'ready', 'failed', 'expired'];
+
+// Sub-schemas
+const exportSectionSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // e.g. 'applications'
+  records: { type: Number, default: 0 }
+}, { _id: false });
+
+// Data Export Schema - a user's request for a copy of everything held on them
+const dataExportSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: exportStatusEnum, default: 'pending' },
+  requestedAt: { type: Date, default: Date.now },
+  startedAt: Date,
+  completedAt: Date,
+  sections: [exportSectionSchema],
+  storageKey: String, // services/documentStorageService
+  size: Number,
+  expiresAt: Date, // When the file is deleted
+  error: String,
+  downloadCount: { type: Number, default: 0 },
+  lastDownloadedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ userId: 1, requestedAt: -1 });
+dataExportSchema.index({ status: 1, requestedAt: 1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Static methods
+dataExportSchema.statics.findInProgressForUser = function(userId) {
+  return this.findOne({ userId, status: { $in: ['pending', 'building'] } });
+};
+
+// Atomically take a pending export, or one whose build has stalled, so it is only built once
+dataExportSchema.statics.claimNext = function(staleBefore, now = new Date(), exportId) {
+  const query = {
+    $or: [
+      { status: 'pending' },
+      { status: 'building', startedAt: { $lt: staleBefore } }
+    ]
+  };
+  if (exportId) query._id = exportId;
+
+  return this.findOneAndUpdate(query, { status: 'building', startedAt: now }, { new: true, sort: { requestedAt: 1 } });
+};
+
+dataExportSchema.statics.findExpired = function(now = new Date()) {
+  return this.find({ status: 'ready', expiresAt: { $lte: now } });
+};
+
+// Instance methods
+// Record the built file (does not save)
+dataExportSchema.methods.markReady = function({ storageKey, size, sections }, expiresAt, now = new Date()) {
+  this.status = 'ready';
+  this.storageKey = storageKey;
+  this.size = size;
+  this.sections = sections;
+  this.expiresAt = expiresAt;
+  this.completedAt = now;
+  this.error = undefined;
+  return this;
+};
+
+// Record why the build failed (does not save)
+dataExportSchema.methods.markFailed = function(error, now = new Date()) {
+  this.status = 'failed';
+  this.error = error.message || String(error);
+  this.completedAt = now;
+  return this;
+};
+
+// Record that the file has been deleted (does not save)
+dataExportSchema.methods.markExpired = function() {
+  this.status = 'expired';
+  this.storageKey = undefined;
+  return this;
+};
+
+// Throws unless the file is ready and has not expired
+dataExportSchema.methods.assertDownloadable = function(now = new Date()) {
+  if (this.status === 'expired' || (this.status === 'ready' && this.expiresAt <= now)) {
+    throw new AppError('This export has expired. Request a new one.', 410, 'Export Expired');
+  }
+  if (this.status === 'failed') {
+    throw new AppError('This export could not be prepared. Request a new one.', 409, 'Export Failed');
+  }
+  if (this.status !== 'ready') {
+    throw new AppError('Export is still being prepared', 409, 'Export Not Ready');
+  }
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Enums
+const dispatchStatusEnum = ['dispatching', 'accepted', 'exhausted', 'cancelled'];
+const offerStatusEnum = ['offered', 'accepted', 'declined', 'expired'];
+const offerExpiryReasonEnum = ['timeout', 'filled', 'cancelled'];
+const dispatchEventEnum = ['dispatch_started', 'wave_started', 'offer_sent', 'offer_accepted', 'offer_declined', 'offer_expired', 'wave_timed_out', 'dispatch_exhausted', 'dispatch_cancelled'];
+
+// Sub-schemas
+const waveSchema = new mongoose.Schema({
+  number: { type: Number, required: true },
+  radiusKm: { type: Number, required: true },
+  startedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  offersSent: { type: Number, default: 0 }
+}, { _id: false });
+
+const offerSchema = new mongoose.Schema({
+  riggerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  wave: { type: Number, required: true },
+  distanceKm: Number,
+  status: { type: String, enum: offerStatusEnum, default: 'offered' },
+  offeredAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  respondedAt: Date,
+  responseTimeSeconds: Number,
+  expiryReason: { type: String, enum: offerExpiryReasonEnum },
+  declineReason: String
+});
+
+const eventSchema = new mongoose.Schema({
+  type: { type: String, enum: dispatchEventEnum, required: true },
+  at: { type: Date, default: Date.now },
+  riggerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  wave: Number,
+  details: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Emergency Dispatch Schema - one callout run for an emergency job
+const emergencyDispatchSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: dispatchStatusEnum, default: 'dispatching' },
+  requiredCertifications: [String],
+  origin: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true }
+  },
+  waves: [waveSchema],
+  offers: [offerSchema],
+  events: [eventSchema], // Append-only audit trail
+
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  acceptedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+emergencyDispatchSchema.index({ jobId: 1, status: 1 });
+emergencyDispatchSchema.index({ status: 1, 'waves.expiresAt': 1 });
+emergencyDispatchSchema.index({ 'offers.riggerId': 1, 'offers.status': 1 });
+
+// Virtual for the wave currently in progress
+emergencyDispatchSchema.virtual('currentWave').get(function() {
+  return this.waves.length ? this.waves[this.waves.length - 1] : null;
+});
+
+// Virtual for time from dispatch to acceptance
+emergencyDispatchSchema.virtual('timeToAcceptSeconds').get(function() {
+  if (!this.acceptedAt) return null;
+  return Math.round((this.acceptedAt - this.createdAt) / 1000);
+});
+
+// Static methods
+emergencyDispatchSchema.statics.findActiveForJob = function(jobId) {
+  return this.findOne({ jobId, status: 'dispatching' });
+};
+
+emergencyDispatchSchema.statics.findOffersForRigger = function(riggerId) {
+  return this.find({
+    status: 'dispatching',
+    offers: { $elemMatch: { riggerId, status: 'offered', expiresAt: { $gt: new Date() } } }
+  }).populate('jobId', 'title description location rate jobType startDate requiredCertifications');
+};
+
+emergencyDispatchSchema.statics.findWithExpiredWaves = async function(now = new Date()) {
+  const dispatches = await this.find({ status: 'dispatching', 'waves.expiresAt': { $lte: now } });
+  // Only the latest wave matters; earlier waves always expired before it started
+  return dispatches.filter(dispatch => dispatch.currentWave.expiresAt <= now);
+};
+
+// Instance methods
+emergencyDispatchSchema.methods.recordEvent = function(type, details = {}) {
+  const { riggerId, wave, ...rest } = details;
+  this.events.push({ type, at: new Date(), riggerId, wave, details: Object.keys(rest).length ? rest : undefined });
+};
+
+emergencyDispatchSchema.methods.findOffer = function(riggerId) {
+  return this.offers.find(offer => offer.riggerId.toString() === riggerId.toString());
+};
+
+// Expire every outstanding offer, e.g. on timeout or once the job is filled
+emergencyDispatchSchema.methods.expireOutstandingOffers = function(reason, now = new Date()) {
+  this.offers
+    .filter(offer => offer.status === 'offered')
+    .forEach(offer => {
+      offer.status = 'expired';
+      offer.expiryReason = reason;
+      offer.respondedAt = now;
+      this.recordEvent('offer_expired', { riggerId: offer.riggerId, wave: offer.wave, reason });
+    });
+};
+
+emergencyDispatchSchema.methods.respondToOffer = function(offer, status, declineReason) {
+  const now = new Date();
+  offer.status = status;
+  offer.respondedAt = now;
+  offer.responseTimeSeconds = Math.round((now - offer.offeredAt) / 1000);
+  if (declineReason) offer.declineReason = declineReason;
+  return offer;
+};
+
+module.exports = mongoose.model('EmergencyDispatch', emergencyDispatchSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Enums
+// scheduled: in the grace period; cancelled: the user kept their account;
+// completed: personal data erased; failed: the last erasure attempt errored and will be retried
+const erasureStatusEnum = ['scheduled', 'cancelled', 'completed', 'failed'];
+
+// Sub-schemas
+const erasureStepSchema = new mongoose.Schema({
+  step: { type: String, required: true }, // e.g. 'messages_scrubbed'
+  at: { type: Date, default: Date.now },
+  count: Number, // Records affected
+  details: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Erasure Log Schema - audit trail of an account deletion. Holds no personal
+// details: the email is kept only as a hash, to answer "was this address erased?"
+const erasureLogSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  userType: String,
+  emailHash: { type: String, required: true },
+  pseudonym: { type: String, required: true }, // Name left on retained financial records
+  status: { type: String, enum: erasureStatusEnum, default: 'scheduled' },
+  requestedAt: { type: Date, required: true },
+  scheduledFor: { type: Date, required: true },
+  cancelledAt: Date,
+  completedAt: Date,
+  attempts: { type: Number, default: 0 },
+  error: String,
+  steps: [erasureStepSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+erasureLogSchema.index({ userId: 1, requestedAt: -1 });
+erasureLogSchema.index({ emailHash: 1 });
+erasureLogSchema.index({ status: 1, scheduledFor: 1 });
+
+// Static methods
+// Keyed with a server secret so the hash of a known address cannot be computed by anyone holding the logs
+erasureLogSchema.statics.hashEmail = function(email) {
+  if (!process.env.ERASURE_LOG_SECRET) {
+    throw new Error('ERASURE_LOG_SECRET is not set; erased email addresses cannot be hashed');
+  }
+  const crypto = require('crypto');
+  return crypto.createHmac('sha256', process.env.ERASURE_LOG_SECRET).update(String(email).trim().toLowerCase()).digest('hex');
+};
+
+erasureLogSchema.statics.pseudonymFor = function(userId) {
+  return `Erased user ${userId.toString().slice(-8)}`;
+};
+
+// The open log for a user's current deletion request
+erasureLogSchema.statics.findOpenForUser = function(userId) {
+  return this.findOne({ userId, status: { $in: ['scheduled', 'failed'] } }).sort({ requestedAt: -1 });
+};
+
+// Instance methods
+// Record a step (does not save)
+erasureLogSchema.methods.recordStep = function(step, count, details, now = new Date()) {
+  this.steps.push({ step, at: now, count, details });
+  return this;
+};
+
+erasureLogSchema.methods.cancel = function(now = new Date()) {
+  this.status = 'cancelled';
+  this.cancelledAt = now;
+  this.recordStep('deletion_cancelled', undefined, undefined, now);
+  return this.save();
+};
+
+erasureLogSchema.methods.complete = function(now = new Date()) {
+  this.status = 'completed';
+  this.completedAt = now;
+  this.error = undefined;
+  return this.save();
+};
+
+erasureLogSchema.methods.fail = function(error) {
+  this.status = 'failed';
+  this.error = error.message || String(error);
+  return this.save();
+};
+
+module.exports = mongoose.model('ErasureLog', erasureLogSchema);
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+// Enums
+const interviewTypeEnum = ['phone', 'video', 'site_visit'];
+// proposed: slots offered, waiting for the rigger to pick one; scheduled: a slot is booked;
+// reschedule_requested: the rigger asked for other times and the client needs to offer new slots
+const interviewStatusEnum = ['proposed', 'scheduled', 'reschedule_requested', 'completed', 'cancelled'];
+const interviewActionEnum = ['proposed', 'scheduled', 'rescheduled', 'reschedule_requested', 'completed', 'cancelled'];
+
+// Reminders sent ahead of a scheduled interview, as { key: hours before }
+const REMINDER_OFFSETS = { '24h': 24, '1h': 1 };
+
+const MAX_SLOTS = 10;
+
+// Sub-schemas
+const timeSlotSchema = new mongoose.Schema({
+  start: { type: Date, required: true },
+  end: { type: Date, required: true }
+});
+
+const interviewEventSchema = new mongoose.Schema({
+  action: { type: String, enum: interviewActionEnum, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now },
+  start: Date, // The booked time, for scheduled events
+  end: Date,
+  note: { type: String, maxlength: 500 }
+}, { _id: false });
+
+// Interview Schema - a call or site visit between a client and an applicant before hiring
+const interviewSchema = new mongoose.Schema({
+  applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'JobApplication', required: true },
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  riggerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: interviewTypeEnum, required: true },
+  location: { type: String, trim: true, maxlength: 200 }, // Site address for site visits
+  details: { type: String, trim: true, maxlength: 500 }, // Phone number, video link, who to ask for
+  status: { type: String, enum: interviewStatusEnum, default: 'proposed' },
+  slots: {
+    type: [timeSlotSchema],
+    validate: { validator: slots => slots.length <= MAX_SLOTS, message: `No more than ${MAX_SLOTS} time slots` }
+  },
+  scheduledStart: Date,
+  scheduledEnd: Date,
+  sequence: { type: Number, default: 0 }, // iCalendar SEQUENCE; goes up whenever the booked time changes
+  remindersSent: [String], // REMINDER_OFFSETS keys, cleared when the time changes
+  history: [interviewEventSchema],
+  cancellationReason: String,
+  outcomeNotes: { type: String, maxlength: 1000 } // Client only
+}, {
+  timestamps: true
+});
+
+// Indexes
+interviewSchema.index({ applicationId: 1, createdAt: -1 });
+interviewSchema.index({ clientId: 1, status: 1, scheduledStart: 1 });
+interviewSchema.index({ riggerId: 1, status: 1, scheduledStart: 1 });
+interviewSchema.index({ jobId: 1, status: 1 });
+
+// Virtual for whether the interview is still going ahead or being arranged
+interviewSchema.virtual('isActive').get(function() {
+  return !['completed', 'cancelled'].includes(this.status);
+});
+
+// Static methods
+interviewSchema.statics.reminderOffsets = REMINDER_OFFSETS;
+interviewSchema.statics.maxSlots = MAX_SLOTS;
+
+interviewSchema.statics.findScheduledForRigger = function(riggerId, from, to, excludeId = null) {
+  const query = {
+    riggerId,
+    status: 'scheduled',
+    scheduledStart: { $lt: to },
+    scheduledEnd: { $gt: from }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return this.find(query).select('scheduledStart scheduledEnd jobId');
+};
+
+// Scheduled interviews with a reminder due at the given time
+interviewSchema.statics.findDueReminders = function(now = new Date()) {
+  const furthest = Math.max(...Object.values(REMINDER_OFFSETS));
+  return this.find({
+    status: 'scheduled',
+    scheduledStart: { $gt: now, $lte: new Date(now.getTime() + furthest * 60 * 60 * 1000) }
+  });
+};
+
+// Instance methods
+interviewSchema.methods.isParty = function(userId) {
+  return [this.clientId, this.riggerId].some(id => id.toString() === userId.toString());
+};
+
+// The booked time, or the last one booked if the interview has since been rescheduled or cancelled
+interviewSchema.methods.lastBookedTime = function() {
+  if (this.scheduledStart) {
+    return { start: this.scheduledStart, end: this.scheduledEnd };
+  }
+  const booked = [...this.history].reverse().find(entry => entry.action === 'scheduled');
+  return booked ? { start: booked.start, end: booked.end } : null;
+};
+
+// Reminder keys due now that have not been sent
+interviewSchema.methods.dueReminders = function(now = new Date()) {
+  if (this.status !== 'scheduled') return [];
+  const hoursToGo = (this.scheduledStart - now) / (60 * 60 * 1000);
+  return Object.entries(REMINDER_OFFSETS)
+    .filter(([key, hours]) => hoursToGo > 0 && hoursToGo <= hours && !this.remindersSent.includes(key))
+    .map(([key]) => key);
+};
+
+const assertSlots = (slots, now) => {
+  if (!slots || slots.length === 0) {
+    throw new AppError('Offer at least one time slot', 400, 'Invalid Slots');
+  }
+  slots.forEach(slot => {
+    if (new Date(slot.start) >= new Date(slot.end)) {
+      throw new AppError('Each time slot must end after it starts', 400, 'Invalid Slots');
+    }
+    if (new Date(slot.start) <= now) {
+      throw new AppError('Time slots must be in the future', 400, 'Invalid Slots');
+    }
+  });
+};
+
+// Offer time slots for the rigger to choose from (does not save)
+interviewSchema.methods.proposeSlots = function(slots, by, note, now = new Date()) {
+  if (!this.isActive) {
+    throw new AppError(`Interview is ${this.status}`, 409, 'Invalid Interview State');
+  }
+  assertSlots(slots, now);
+
+  const wasScheduled = this.status === 'scheduled';
+  this.slots = slots;
+  this.status = 'proposed';
+  this.history.push({ action: this.history.length === 0 ? 'proposed' : 'rescheduled', by, at: now, note });
+
+  if (wasScheduled) {
+    this.scheduledStart = undefined;
+    this.scheduledEnd = undefined;
+    this.sequence += 1;
+    this.remindersSent = [];
+  }
+  return this;
+};
+
+// The rigger books one of the offered slots (does not save)
+interviewSchema.methods.selectSlot = function(slotId, by, now = new Date()) {
+  if (this.status !== 'proposed') {
+    throw new AppError(`Cannot pick a time for an interview that is ${this.status.replace('_', ' ')}`, 409, 'Invalid Interview State');
+  }
+  const slot = this.slots.id(slotId);
+  if (!slot) {
+    throw new AppError('Time slot not found', 404, 'Slot Not Found');
+  }
+  if (slot.start <= now) {
+    throw new AppError('That time slot has passed', 409, 'Slot Passed');
+  }
+
+  this.status = 'scheduled';
+  this.scheduledStart = slot.start;
+  this.scheduledEnd = slot.end;
+  this.sequence += 1;
+  this.remindersSent = [];
+  this.history.push({ action: 'scheduled', by, at: now, start: slot.start, end: slot.end });
+  return slot;
+};
+
+// The rigger asks for different times (does not save)
+interviewSchema.methods.requestReschedule = function(by, note, now = new Date()) {
+  if (!['proposed', 'scheduled'].includes(this.status)) {
+    throw new AppError(`Cannot reschedule an interview that is ${this.status.replace('_', ' ')}`, 409, 'Invalid Interview State');
+  }
+
+  if (this.status === 'scheduled') {
+    this.scheduledStart = undefined;
+    this.scheduledEnd = undefined;
+    this.sequence += 1;
+    this.remindersSent = [];
+  }
+  this.status = 'reschedule_requested';
+  this.history.push({ action: 'reschedule_requested', by, at: now, note });
+  return this;
+};
+
+interviewSchema.methods.cancel = function(by, reason, now = new Date()) {
+  if (!this.isActive) {
+    throw new AppError(`Interview is already ${this.status}`, 409, 'Invalid Interview State');
+  }
+  this.status = 'cancelled';
+  this.cancellationReason = reason;
+  this.sequence += 1;
+  this.history.push({ action: 'cancelled', by, at: now, note: reason });
+  return this;
+};
+
+interviewSchema.methods.complete = function(by, notes, now = new Date()) {
+  if (this.status !== 'scheduled' || this.scheduledStart > now) {
+    throw new AppError('Only a scheduled interview that has started can be completed', 409, 'Invalid Interview State');
+  }
+  this.status = 'completed';
+  this.outcomeNotes = notes;
+  this.history.push({ action: 'completed', by, at: now });
+  return this;
+};
+
+module.exports = mongoose.model('Interview', interviewSchema);
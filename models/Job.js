@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { toGeoJSONPoint } = require('../utils/geo');
+const { AppError } = require('../middleware/errorHandler');
+const payRules = require('../utils/payRules');
+const { calculateLift } = require('../utils/liftPlan');
 
 // Enums
 const jobStatusEnum = ['posted', 'assigned', 'in_progress', 'completed', 'cancelled', 'on_hold'];
@@ -8,12 +12,32 @@ const shiftPatternEnum = ['day_shift', 'night_shift', 'swing_shift', 'fifo', 'co
 const durationEnum = ['hourly', 'daily', 'weekly', 'monthly', 'contract'];
 const urgencyLevelEnum = ['standard', 'priority', 'urgent', 'emergency'];
 const siteTypeEnum = ['mining_site', 'construction', 'industrial', 'port', 'offshore', 'urban'];
+const siteDocumentTypeEnum = ['swms', 'lift_plan', 'permit', 'site_induction', 'risk_assessment', 'engineering_certificate', 'other'];
+
+// Job types that carry lift plans
+const liftPlanJobTypes = ['crane_operator', 'mobile_crane_operator'];
+
+// Allowed status transitions; completed and cancelled are terminal
+const jobStatusTransitions = {
+  posted: ['assigned', 'on_hold', 'cancelled'],
+  assigned: ['posted', 'in_progress', 'on_hold', 'cancelled'],
+  in_progress: ['completed', 'on_hold', 'cancelled'],
+  on_hold: ['posted', 'assigned', 'in_progress', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
 
 // Sub-schemas
 const coordinateSchema = new mongoose.Schema({
   latitude: { type: Number, required: true },
   longitude: { type: Number, required: true }
-});
+}, { _id: false });
+
+// GeoJSON mirror of `coordinate`, kept in sync by the pre-save hook for 2dsphere queries
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], default: 'Point' },
+  coordinates: { type: [Number] } // [longitude, latitude]
+}, { _id: false });
 
 const locationSchema = new mongoose.Schema({
   address: { type: String, required: true },
@@ -22,40 +46,190 @@ const locationSchema = new mongoose.Schema({
   postcode: { type: String, required: true },
   country: { type: String, default: 'Australia' },
   siteType: { type: String, enum: siteTypeEnum, required: true },
-  coordinate: coordinateSchema
+  coordinate: coordinateSchema,
+  point: pointSchema
+});
+
+const statusHistorySchema = new mongoose.Schema({
+  from: { type: String, enum: jobStatusEnum },
+  to: { type: String, enum: jobStatusEnum, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changedAt: { type: Date, default: Date.now },
+  reason: String
+}, { _id: false });
+
+// A crew role on a multi-position job, e.g. 1 crane operator, 1 dogger, 3 riggers
+const positionSchema = new mongoose.Schema({
+  jobType: { type: String, enum: jobTypeEnum, required: true },
+  title: { type: String, trim: true },
+  headcount: { type: Number, required: true, min: 1, default: 1 },
+  rate: { type: Number, required: true, min: 0 },
+  requiredCertifications: [String],
+  experienceLevel: { type: String, enum: experienceLevelEnum },
+  assignedRiggerIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Rates negotiated by individual riggers, where they differ from the position rate
+  agreedRates: [{
+    _id: false,
+    riggerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    rate: { type: Number, required: true, min: 0 }
+  }]
 });
 
+positionSchema.virtual('openings').get(function() {
+  return Math.max(0, this.headcount - this.assignedRiggerIds.length);
+});
+
+positionSchema.virtual('isFilled').get(function() {
+  return this.assignedRiggerIds.length >= this.headcount;
+});
+
+// The rate a rigger in this position is paid: their negotiated rate, or the position rate
+positionSchema.methods.rateFor = function(riggerId) {
+  const agreed = this.agreedRates.find(entry => entry.riggerId.toString() === riggerId.toString());
+  return agreed ? agreed.rate : this.rate;
+};
+
+// Line-item cost breakdown from the pay rules engine (utils/payRules)
+const costLineSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  category: { type: String, enum: ['ordinary', 'overtime', 'penalty', 'loading', 'allowance'], required: true },
+  description: String,
+  quantity: Number,
+  unit: { type: String, enum: ['hour', 'day'], default: 'hour' },
+  rate: Number,
+  amount: Number
+}, { _id: false });
+
+const costBreakdownSchema = new mongoose.Schema({
+  lines: [costLineSchema],
+  totals: {
+    hours: Number,
+    ordinary: Number,
+    overtime: Number,
+    penalties: Number,
+    loadings: Number,
+    allowances: Number,
+    total: Number
+  },
+  calculatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Site documents (SWMS, lift plans, permits). Uploading a new version clears
+// earlier acknowledgements, since riggers must acknowledge the current version.
+const documentFileSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  url: { type: String, required: true },
+  filename: { type: String, required: true },
+  mimeType: String,
+  size: Number,
+  changeSummary: String,
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const documentAcknowledgementSchema = new mongoose.Schema({
+  riggerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  version: { type: Number, required: true },
+  acknowledgedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const siteDocumentSchema = new mongoose.Schema({
+  type: { type: String, enum: siteDocumentTypeEnum, required: true },
+  title: { type: String, required: true, trim: true },
+  reference: String, // e.g. permit number or lift plan revision
+  requiredBeforeStart: { type: Boolean, default: false },
+  version: { type: Number, default: 1 },
+  current: { type: documentFileSchema, required: true },
+  previousVersions: [documentFileSchema],
+  acknowledgements: [documentAcknowledgementSchema]
+}, { timestamps: true });
+
+siteDocumentSchema.methods.isAcknowledgedBy = function(riggerId) {
+  return this.acknowledgements.some(ack => ack.riggerId.toString() === riggerId.toString() && ack.version === this.version);
+};
+
+// Lift plan calculated against a crane load chart (see CraneLoadChart).
+// Signed-off plans are a record of what was approved and are never edited.
+const liftPlanSchema = new mongoose.Schema({
+  craneChartId: { type: mongoose.Schema.Types.ObjectId, ref: 'CraneLoadChart', required: true },
+  crane: { type: String, required: true }, // Manufacturer and model at the time of calculation
+  configuration: { type: String, required: true },
+  loadDescription: { type: String, required: true },
+  inputs: {
+    loadWeightKg: { type: Number, required: true, min: 0 },
+    riggingWeightKg: { type: Number, default: 0, min: 0 },
+    hookBlockWeightKg: { type: Number, default: 0, min: 0 },
+    radiusM: { type: Number, required: true, min: 0 },
+    boomLengthM: { type: Number, required: true, min: 0 }
+  },
+  chart: { // Values read from the load chart
+    boomLengthM: Number,
+    radiusM: Number,
+    ratedCapacityKg: Number
+  },
+  results: {
+    totalLoadKg: Number,
+    percentOfCapacity: Number,
+    marginKg: Number,
+    criticalThresholdPercent: Number,
+    exceedsCapacity: Boolean
+  },
+  isCritical: { type: Boolean, default: false },
+  status: { type: String, enum: ['draft', 'signed_off'], default: 'draft' },
+  preparedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  signedOffBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  signedOffAt: Date,
+  signOffNotes: String
+}, { timestamps: true });
+
 // Main Job Schema
 const jobSchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true },
   description: { type: String, required: true },
   location: { type: locationSchema, required: true },
   status: { type: String, enum: jobStatusEnum, default: 'posted' },
+  statusHistory: [statusHistorySchema],
   rate: { type: Number, required: true, min: 0 },
+  postedRate: Number, // Advertised rate, kept when a negotiated rate replaces rate on assignment
   currency: { type: String, default: 'AUD' },
   requiredCertifications: [String],
   experienceLevel: { type: String, enum: experienceLevelEnum, default: 'intermediate' },
   jobType: { type: String, enum: jobTypeEnum, required: true },
   equipmentRequired: [String],
   safetyRequirements: [String],
+  siteDocuments: [siteDocumentSchema],
+  liftPlans: [liftPlanSchema],
   shiftPattern: { type: String, enum: shiftPatternEnum, default: 'day_shift' },
   duration: { type: String, enum: durationEnum, required: true },
   startDate: { type: Date, required: true },
   endDate: Date,
   clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   assignedRiggerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  positions: [positionSchema], // Empty for single-position jobs
   urgencyLevel: { type: String, enum: urgencyLevelEnum, default: 'standard' },
   weatherDependency: { type: Boolean, default: false },
   heightWork: { type: Boolean, default: false },
   insuranceRequired: { type: Number, default: 10000000 }, // $10M default
+  autoRejectFailedScreening: { type: Boolean, default: false }, // Reject applicants who fail screening on apply
+  geofenceRadius: { type: Number, min: 50 }, // metres; falls back to TIMESHEET_GEOFENCE_RADIUS_METRES
   
   // Additional fields for job management
   applicationDeadline: Date,
   maxApplicants: { type: Number, default: 50 },
   currentApplicants: { type: Number, default: 0 },
+  applicationsClosedAt: Date, // Set by the expiry processor once applicationDeadline passes
+  expiryFlaggedAt: Date, // Start date passed with nobody assigned (JOB_EXPIRY_ACTION=flag)
   isUrgent: { type: Boolean, default: false },
   tags: [String],
   
+  // Set when posted from a template or generated by a recurring schedule
+  templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'JobTemplate' },
+  scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'JobSchedule' },
+  occurrenceDate: Date,
+  
+  // Agreed terms version, bumped by each accepted change order (see JobVersion)
+  version: { type: Number, default: 1 },
+  
   // Job completion details
   actualStartDate: Date,
   actualEndDate: Date,
@@ -66,6 +240,7 @@ const jobSchema = new mongoose.Schema({
   
   // Payment details
   totalCost: Number,
+  costBreakdown: costBreakdownSchema,
   isPaid: { type: Boolean, default: false },
   paymentDate: Date,
   
@@ -82,17 +257,21 @@ jobSchema.index({ status: 1 });
 jobSchema.index({ jobType: 1 });
 jobSchema.index({ clientId: 1 });
 jobSchema.index({ assignedRiggerId: 1 });
+jobSchema.index({ 'positions.assignedRiggerIds': 1 });
 jobSchema.index({ urgencyLevel: 1 });
 jobSchema.index({ startDate: 1 });
 jobSchema.index({ isActive: 1 });
-jobSchema.index({ 'location.coordinate': '2dsphere' });
+jobSchema.index({ 'location.point': '2dsphere' });
 jobSchema.index({ rate: 1 });
 jobSchema.index({ experienceLevel: 1 });
+// One job per schedule occurrence, so generation can safely re-run
+jobSchema.index({ scheduleId: 1, occurrenceDate: 1 }, { unique: true, partialFilterExpression: { scheduleId: { $exists: true } } });
 
 // Compound indexes
 jobSchema.index({ status: 1, isActive: 1, startDate: 1 });
 jobSchema.index({ jobType: 1, 'location.state': 1 });
 jobSchema.index({ urgencyLevel: 1, startDate: 1 });
+jobSchema.index({ status: 1, applicationsClosedAt: 1, applicationDeadline: 1 });
 
 // Virtual for formatted rate
 jobSchema.virtual('formattedRate').get(function() {
@@ -123,29 +302,83 @@ jobSchema.virtual('distanceFromLocation').set(function(distance) {
   this._distanceFromLocation = distance;
 });
 
+// Virtual for crew jobs
+jobSchema.virtual('isCrewJob').get(function() {
+  return this.positions && this.positions.length > 0;
+});
+
+// Virtual for every rigger assigned to the job, across all positions
+jobSchema.virtual('assignedRiggerIds').get(function() {
+  if (!this.isCrewJob) {
+    return this.assignedRiggerId ? [this.assignedRiggerId] : [];
+  }
+  return this.positions.flatMap(position => position.assignedRiggerIds);
+});
+
+// Virtual for total headcount across positions
+jobSchema.virtual('totalHeadcount').get(function() {
+  if (!this.isCrewJob) return 1;
+  return this.positions.reduce((total, position) => total + position.headcount, 0);
+});
+
+// Pre-validate middleware
+jobSchema.pre('validate', function(next) {
+  // Crew jobs derive their headline type, rate and certifications from their positions
+  if (this.isCrewJob) {
+    if (!this.jobType) this.jobType = this.positions[0].jobType;
+    if (this.rate === undefined || this.rate === null) {
+      this.rate = Math.min(...this.positions.map(position => position.rate));
+    }
+    const certifications = new Set(this.requiredCertifications || []);
+    this.positions.forEach(position => {
+      (position.requiredCertifications || []).forEach(cert => certifications.add(cert));
+    });
+    this.requiredCertifications = [...certifications];
+  }
+  next();
+});
+
 // Pre-save middleware
 jobSchema.pre('save', function(next) {
   // Set isUrgent based on urgencyLevel
   this.isUrgent = this.urgencyLevel === 'urgent' || this.urgencyLevel === 'emergency';
   
-  // Set application deadline if not set (default to 1 day before start date)
+  // Record the initial status so the history covers the full lifecycle
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, changedBy: this.clientId, changedAt: new Date() });
+  }
+  
+  // Keep the GeoJSON point in sync with the site coordinate
+  if (this.location && this.isModified('location')) {
+    const { coordinate } = this.location;
+    this.location.point = coordinate
+      ? toGeoJSONPoint(coordinate.latitude, coordinate.longitude)
+      : undefined;
+  }
+  
+  // Set application deadline if not set (default to 1 day before start date,
+  // or the start date itself for jobs starting sooner than that)
   if (!this.applicationDeadline && this.startDate) {
-    this.applicationDeadline = new Date(this.startDate);
-    this.applicationDeadline.setDate(this.applicationDeadline.getDate() - 1);
+    const dayBefore = new Date(this.startDate);
+    dayBefore.setDate(dayBefore.getDate() - 1);
+    this.applicationDeadline = dayBefore > new Date() ? dayBefore : new Date(this.startDate);
   }
   
   // Calculate total cost if hours worked is available
   if (this.hoursWorked && this.rate && !this.totalCost) {
-    this.totalCost = this.hoursWorked * this.rate;
+    this.applyCost(this.scheduleHours(this.hoursWorked));
   }
   
   next();
 });
 
 // Static methods
+jobSchema.statics.statusTransitions = jobStatusTransitions;
+jobSchema.statics.liftPlanJobTypes = liftPlanJobTypes;
+
 jobSchema.statics.findByLocation = function(lat, lng, maxDistance = 50) {
   return this.find({
-    'location.coordinate': {
+    'location.point': {
       $near: {
         $geometry: {
           type: 'Point',
@@ -159,11 +392,45 @@ jobSchema.statics.findByLocation = function(lat, lng, maxDistance = 50) {
   });
 };
 
+// Radius search with pagination; distance (metres) is returned on each result
+jobSchema.statics.searchNear = async function(origin, { maxDistance = 50, query = {}, sort = null, skip = 0, limit = 20 } = {}) {
+  const pipeline = [
+    {
+      $geoNear: {
+        near: toGeoJSONPoint(origin.latitude, origin.longitude),
+        key: 'location.point',
+        distanceField: 'distance',
+        maxDistance: maxDistance * 1000, // Convert km to meters
+        query,
+        spherical: true
+      }
+    }
+  ];
+
+  // $geoNear already orders by distance
+  if (sort) pipeline.push({ $sort: sort });
+
+  pipeline.push({
+    $facet: {
+      jobs: [{ $skip: skip }, { $limit: limit }],
+      total: [{ $count: 'count' }]
+    }
+  });
+
+  const [result] = await this.aggregate(pipeline);
+
+  return {
+    jobs: result.jobs,
+    total: result.total.length ? result.total[0].count : 0
+  };
+};
+
 jobSchema.statics.findAvailable = function() {
   return this.find({
     status: 'posted',
     isActive: true,
     startDate: { $gte: new Date() },
+    applicationsClosedAt: { $exists: false },
     $or: [
       { applicationDeadline: { $exists: false } },
       { applicationDeadline: { $gte: new Date() } }
@@ -171,9 +438,45 @@ jobSchema.statics.findAvailable = function() {
   });
 };
 
+// Posted jobs whose application deadline has passed but are still marked open
+jobSchema.statics.findPastDeadline = function(now = new Date()) {
+  return this.find({
+    status: 'posted',
+    applicationsClosedAt: { $exists: false },
+    applicationDeadline: { $lte: now }
+  });
+};
+
+// Posted jobs whose start date passed before `cutoff` with nobody assigned
+jobSchema.statics.findUnfilledPastStart = function(cutoff) {
+  return this.find({
+    status: 'posted',
+    startDate: { $lte: cutoff },
+    expiryFlaggedAt: { $exists: false }
+  });
+};
+
+// Query matching jobs a rigger is assigned to, directly or through a crew position
+jobSchema.statics.assignedToQuery = function(riggerId) {
+  return {
+    $or: [
+      { assignedRiggerId: riggerId },
+      { 'positions.assignedRiggerIds': riggerId }
+    ]
+  };
+};
+
+// Query matching jobs nobody is assigned to, directly or through a crew position
+jobSchema.statics.unassignedQuery = function() {
+  return {
+    assignedRiggerId: null,
+    positions: { $not: { $elemMatch: { 'assignedRiggerIds.0': { $exists: true } } } }
+  };
+};
+
 jobSchema.statics.findByRigger = function(riggerId) {
   return this.find({
-    assignedRiggerId: riggerId,
+    ...this.assignedToQuery(riggerId),
     isActive: true
   });
 };
@@ -186,13 +489,209 @@ jobSchema.statics.findByClient = function(clientId) {
 };
 
 // Instance methods
+jobSchema.methods.areApplicationsClosed = function(now = new Date()) {
+  return Boolean(this.applicationsClosedAt) || Boolean(this.applicationDeadline && this.applicationDeadline <= now);
+};
+
 jobSchema.methods.canApply = function() {
   const now = new Date();
   return this.status === 'posted' &&
          this.isActive &&
          this.startDate > now &&
-         (!this.applicationDeadline || this.applicationDeadline > now) &&
-         (!this.maxApplicants || this.currentApplicants < this.maxApplicants);
+         !this.areApplicationsClosed(now) &&
+         (!this.isCrewJob || this.positions.some(position => !position.isFilled));
+};
+
+// Applications past maxApplicants join the waitlist rather than going to the client
+// activeApplicants: JobApplication.countActive(), counted at the time of asking
+jobSchema.methods.hasReachedMaxApplicants = function(activeApplicants) {
+  return Boolean(this.maxApplicants) && activeApplicants >= this.maxApplicants;
+};
+
+jobSchema.methods.isAssignedTo = function(riggerId) {
+  return this.assignedRiggerIds.some(id => id.toString() === riggerId.toString());
+};
+
+jobSchema.methods.findOpenPosition = function(positionId) {
+  const position = this.positions.id(positionId);
+  return position && !position.isFilled ? position : null;
+};
+
+// The crew position a rigger fills, if any
+jobSchema.methods.positionFor = function(riggerId) {
+  return this.positions.find(position => position.assignedRiggerIds.some(id => id.toString() === riggerId.toString())) || null;
+};
+
+// Spread a number of hours across work days from the (actual) start date
+jobSchema.methods.scheduleHours = function(totalHours) {
+  return payRules.buildSchedule({
+    startDate: this.actualStartDate || this.startDate,
+    totalHours,
+    shiftPattern: this.shiftPattern
+  });
+};
+
+// Cost breakdown under the pay rules for work entries of { date, hours, startHour?, rate?, jobType? }
+jobSchema.methods.calculateCost = function(workEntries) {
+  return payRules.calculateCost({
+    jobType: this.jobType,
+    shiftPattern: this.shiftPattern,
+    rate: this.rate,
+    entries: workEntries
+  });
+};
+
+// Estimate the cost of the job as posted, from startDate to endDate or for a number of hours
+jobSchema.methods.estimateCost = function({ totalHours, hoursPerDay, startHour } = {}) {
+  const entries = payRules.buildSchedule({
+    startDate: this.startDate,
+    endDate: totalHours ? undefined : (this.endDate || this.startDate),
+    totalHours,
+    shiftPattern: this.shiftPattern,
+    hoursPerDay,
+    startHour
+  });
+  const headcount = this.totalHeadcount || 1;
+
+  // Crew jobs quote each position at its own rate and headcount
+  const crewEntries = this.isCrewJob
+    ? this.positions.flatMap(position => {
+      const positionEntries = entries.map(entry => ({ ...entry, rate: position.rate, jobType: position.jobType }));
+      return Array.from({ length: position.headcount }, () => positionEntries).flat();
+    })
+    : entries;
+
+  return { headcount, ...this.calculateCost(crewEntries) };
+};
+
+// Store a cost breakdown and its total on the job (does not save)
+jobSchema.methods.applyCost = function(workEntries) {
+  const { lines, totals } = this.calculateCost(workEntries);
+  this.costBreakdown = { lines, totals, calculatedAt: new Date() };
+  this.totalCost = totals.total;
+  return this.costBreakdown;
+};
+
+jobSchema.methods.findSiteDocument = function(documentId) {
+  const document = this.siteDocuments.id(documentId);
+  if (!document) {
+    throw new AppError('Site document not found', 404, 'Document Not Found');
+  }
+  return document;
+};
+
+jobSchema.methods.addSiteDocument = function({ type, title, reference, requiredBeforeStart, file }, uploadedBy) {
+  this.siteDocuments.push({
+    type,
+    title,
+    reference,
+    requiredBeforeStart,
+    version: 1,
+    current: { ...file, version: 1, uploadedBy, uploadedAt: new Date() }
+  });
+  return this.siteDocuments[this.siteDocuments.length - 1];
+};
+
+jobSchema.methods.reviseSiteDocument = function(documentId, { file, changeSummary, reference, requiredBeforeStart }, uploadedBy) {
+  const document = this.findSiteDocument(documentId);
+
+  document.previousVersions.push(document.current.toObject());
+  document.version += 1;
+  document.current = { ...file, version: document.version, changeSummary, uploadedBy, uploadedAt: new Date() };
+  if (reference !== undefined) document.reference = reference;
+  if (requiredBeforeStart !== undefined) document.requiredBeforeStart = requiredBeforeStart;
+  return document;
+};
+
+jobSchema.methods.acknowledgeSiteDocument = function(documentId, riggerId) {
+  const document = this.findSiteDocument(documentId);
+  if (!this.isAssignedTo(riggerId)) {
+    throw new AppError('Only riggers assigned to this job can acknowledge its documents', 403, 'Unauthorized');
+  }
+
+  if (!document.isAcknowledgedBy(riggerId)) {
+    document.acknowledgements.push({ riggerId, version: document.version, acknowledgedAt: new Date() });
+  }
+  return document;
+};
+
+// Required documents, each with the assigned riggers yet to acknowledge its current version
+jobSchema.methods.outstandingAcknowledgements = function() {
+  return this.siteDocuments
+    .filter(document => document.requiredBeforeStart)
+    .map(document => ({
+      document,
+      riggerIds: this.assignedRiggerIds.filter(riggerId => !document.isAcknowledgedBy(riggerId))
+    }))
+    .filter(({ riggerIds }) => riggerIds.length > 0);
+};
+
+jobSchema.methods.supportsLiftPlans = function() {
+  return liftPlanJobTypes.includes(this.jobType) ||
+    this.positions.some(position => liftPlanJobTypes.includes(position.jobType));
+};
+
+// Calculate a lift against a load chart and attach it to the job as a draft plan
+jobSchema.methods.addLiftPlan = function(chart, { configuration, loadDescription, loadWeightKg, riggingWeightKg = 0, hookBlockWeightKg = 0, radiusM, boomLengthM }, preparedBy) {
+  if (!this.supportsLiftPlans()) {
+    throw new AppError('Lift plans are only available for crane operator jobs', 400, 'Lift Plans Not Supported');
+  }
+
+  const rating = chart.ratedCapacity(configuration, boomLengthM, radiusM);
+  const { isCritical, ...results } = calculateLift({
+    ratedCapacityKg: rating.capacityKg,
+    loadWeightKg,
+    riggingWeightKg,
+    hookBlockWeightKg
+  });
+
+  this.liftPlans.push({
+    craneChartId: chart._id,
+    crane: chart.displayName,
+    configuration,
+    loadDescription,
+    inputs: { loadWeightKg, riggingWeightKg, hookBlockWeightKg, radiusM, boomLengthM },
+    chart: { boomLengthM: rating.boomLengthM, radiusM: rating.radiusM, ratedCapacityKg: rating.capacityKg },
+    results: {
+      totalLoadKg: results.totalLoadKg,
+      percentOfCapacity: results.percentOfCapacity,
+      marginKg: results.marginKg,
+      criticalThresholdPercent: results.criticalThresholdPercent,
+      exceedsCapacity: results.exceedsCapacity
+    },
+    isCritical,
+    preparedBy
+  });
+  return this.liftPlans[this.liftPlans.length - 1];
+};
+
+jobSchema.methods.findLiftPlan = function(planId) {
+  const plan = this.liftPlans.id(planId);
+  if (!plan) {
+    throw new AppError('Lift plan not found', 404, 'Lift Plan Not Found');
+  }
+  return plan;
+};
+
+// Critical lifts need a second person to sign off the calculation
+jobSchema.methods.signOffLiftPlan = function(planId, signedOffBy, notes) {
+  const plan = this.findLiftPlan(planId);
+
+  if (plan.status === 'signed_off') {
+    throw new AppError('Lift plan has already been signed off', 409, 'Invalid Lift Plan State');
+  }
+  if (plan.results.exceedsCapacity) {
+    throw new AppError('Cannot sign off a lift that exceeds the crane\'s rated capacity', 409, 'Exceeds Rated Capacity');
+  }
+  if (plan.isCritical && plan.preparedBy.toString() === signedOffBy.toString()) {
+    throw new AppError('A critical lift must be signed off by someone other than the person who prepared it', 409, 'Independent Sign-off Required');
+  }
+
+  plan.status = 'signed_off';
+  plan.signedOffBy = signedOffBy;
+  plan.signedOffAt = new Date();
+  plan.signOffNotes = notes;
+  return plan;
 };
 
 jobSchema.methods.incrementViews = function() {
@@ -200,33 +699,150 @@ jobSchema.methods.incrementViews = function() {
   return this.save();
 };
 
-jobSchema.methods.assignToRigger = function(riggerId) {
+jobSchema.methods.canTransitionTo = function(status) {
+  return (jobStatusTransitions[this.status] || []).includes(status);
+};
+
+// Move the job to a new status and record it in statusHistory (does not save)
+jobSchema.methods.transitionTo = function(status, { changedBy, reason } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(`Cannot change job status from ${this.status} to ${status}`, 409, 'Invalid Status Transition');
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy,
+    changedAt: new Date(),
+    reason
+  });
+  this.status = status;
+  return this;
+};
+
+// A rate negotiated with the rigger replaces the posted rate, which is kept in postedRate
+jobSchema.methods.assignToRigger = async function(riggerId, changedBy, agreedRate) {
+  this.transitionTo('assigned', { changedBy: changedBy || riggerId });
   this.assignedRiggerId = riggerId;
-  this.status = 'assigned';
+  if (agreedRate !== undefined && agreedRate !== this.rate) {
+    this.postedRate = this.rate;
+    this.rate = agreedRate;
+  }
   return this.save();
 };
 
-jobSchema.methods.startJob = function() {
-  this.status = 'in_progress';
+// Fill a crew position; the job only moves to assigned once every position is filled.
+// Single-position jobs are assigned directly. agreedRate is a rate negotiated on the
+// rigger's application, if any.
+jobSchema.methods.fillPosition = async function(riggerId, positionId, changedBy, agreedRate) {
+  if (!this.isCrewJob) {
+    return this.assignToRigger(riggerId, changedBy, agreedRate);
+  }
+
+  const position = this.positions.id(positionId);
+  if (!position) {
+    throw new AppError('Position not found on this job', 404, 'Position Not Found');
+  }
+  if (this.isAssignedTo(riggerId)) {
+    throw new AppError('Rigger is already assigned to this job', 409, 'Already Assigned');
+  }
+  if (position.isFilled) {
+    throw new AppError(`All ${position.headcount} ${position.jobType} positions are filled`, 409, 'Position Filled');
+  }
+
+  if (position.assignedRiggerIds.length + 1 === position.headcount &&
+      this.positions.every(other => other._id.equals(position._id) || other.isFilled)) {
+    this.transitionTo('assigned', { changedBy, reason: 'All positions filled' });
+  }
+
+  position.assignedRiggerIds.push(riggerId);
+  if (agreedRate !== undefined && agreedRate !== position.rate) {
+    position.agreedRates.push({ riggerId, rate: agreedRate });
+  }
+  return this.save();
+};
+
+// Take a rigger off the job, e.g. when they lose a required ticket (does not save).
+// An assigned job goes back to posted so the place can be filled again.
+jobSchema.methods.releaseRigger = function(riggerId, { changedBy, reason } = {}) {
+  if (!this.isAssignedTo(riggerId)) {
+    throw new AppError('Rigger is not assigned to this job', 404, 'Rigger Not Assigned');
+  }
+  if (!['posted', 'assigned'].includes(this.status)) {
+    throw new AppError(`Cannot release a rigger from a job that is ${this.status}`, 409, 'Invalid Status');
+  }
+
+  if (this.status === 'assigned') {
+    this.transitionTo('posted', { changedBy, reason });
+  }
+
+  if (this.isCrewJob) {
+    const position = this.positionFor(riggerId);
+    position.assignedRiggerIds = position.assignedRiggerIds.filter(id => id.toString() !== riggerId.toString());
+    position.agreedRates = position.agreedRates.filter(entry => entry.riggerId.toString() !== riggerId.toString());
+  } else {
+    this.assignedRiggerId = undefined;
+    // Re-advertise at the posted rate rather than the released rigger's negotiated one
+    if (this.postedRate !== undefined) {
+      this.rate = this.postedRate;
+      this.postedRate = undefined;
+    }
+  }
+  return this;
+};
+
+// Take applications again, e.g. once a rigger has been released: undoes the expiry
+// processor's close and moves a passed deadline out to the start date (does not save)
+jobSchema.methods.reopenApplications = function(now = new Date()) {
+  this.applicationsClosedAt = undefined;
+  if (this.applicationDeadline && this.applicationDeadline <= now && this.startDate > now) {
+    this.applicationDeadline = this.startDate;
+  }
+  return this;
+};
+
+jobSchema.methods.startJob = async function(changedBy) {
+  const outstanding = this.outstandingAcknowledgements();
+  if (outstanding.length > 0) {
+    const titles = outstanding.map(({ document }) => document.title).join(', ');
+    throw new AppError(`Required site documents have not been acknowledged by every assigned rigger: ${titles}`, 409, 'Documents Not Acknowledged');
+  }
+
+  this.transitionTo('in_progress', { changedBy });
   this.actualStartDate = new Date();
   return this.save();
 };
 
-jobSchema.methods.completeJob = function(hoursWorked, notes) {
-  this.status = 'completed';
+// workEntries are per-rigger, per-day hours (e.g. from approved timesheets); without
+// them the hours are spread across the shift pattern's work days from the start date
+jobSchema.methods.completeJob = async function(hoursWorked, notes, changedBy, workEntries) {
+  this.transitionTo('completed', { changedBy, reason: notes });
   this.actualEndDate = new Date();
   if (hoursWorked) this.hoursWorked = hoursWorked;
   if (notes) this.completionNotes = notes;
   if (this.hoursWorked && this.rate) {
-    this.totalCost = this.hoursWorked * this.rate;
+    this.applyCost(workEntries || this.scheduleHours(this.hoursWorked));
   }
   return this.save();
 };
 
-jobSchema.methods.cancelJob = function(reason) {
-  this.status = 'cancelled';
+jobSchema.methods.cancelJob = async function(reason, changedBy) {
+  this.transitionTo('cancelled', { changedBy, reason });
   this.completionNotes = reason;
   return this.save();
 };
 
+jobSchema.methods.putOnHold = async function(reason, changedBy) {
+  this.transitionTo('on_hold', { changedBy, reason });
+  return this.save();
+};
+
+jobSchema.methods.resume = async function(changedBy) {
+  // Resume to the status the job held before it was put on hold
+  const lastHold = [...this.statusHistory].reverse().find(entry => entry.to === 'on_hold');
+  const previousStatus = lastHold && lastHold.from ? lastHold.from : (this.assignedRiggerIds.length ? 'assigned' : 'posted');
+  this.transitionTo(previousStatus, { changedBy, reason: 'Resumed from hold' });
+  return this.save();
+};
+
 module.exports = mongoose.model('Job', jobSchema);
@@ -1,7 +1,56 @@
 const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+const ApplicationPipeline = require('./ApplicationPipeline');
 
 // Enums
-const applicationStatusEnum = ['pending', 'accepted', 'rejected', 'withdrawn'];
+// waitlisted: applied after the job reached maxApplicants; promoted to pending in waitlist order
+const applicationStatusEnum = ['pending', 'waitlisted', 'accepted', 'rejected', 'withdrawn'];
+const negotiationRoleEnum = ['rigger', 'client'];
+const rateOfferStatusEnum = ['pending', 'accepted', 'declined', 'countered', 'withdrawn', 'expired'];
+const screeningResultEnum = ['passed', 'failed'];
+const screeningCheckEnum = ['certification', 'experience', 'insurance'];
+
+// Sub-schemas
+// 'to' is a pipeline stage key, or the status for a decision (accepted, rejected, withdrawn)
+const stageChangeSchema = new mongoose.Schema({
+  from: String,
+  to: { type: String, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String, maxlength: 1000 },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const stageNoteSchema = new mongoose.Schema({
+  stage: String,
+  note: { type: String, required: true, maxlength: 1000 },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Automatic check of the applicant against the job's requirements (utils/applicationScreening)
+const screeningSchema = new mongoose.Schema({
+  result: { type: String, enum: screeningResultEnum, required: true },
+  reasons: [{
+    _id: false,
+    check: { type: String, enum: screeningCheckEnum },
+    requirement: String,
+    message: String
+  }],
+  warnings: [String],
+  screenedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One step in a rate negotiation; a counter-offer is a new offer that closes the one it answers
+const rateOfferSchema = new mongoose.Schema({
+  fromRole: { type: String, enum: negotiationRoleEnum, required: true },
+  fromUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rate: { type: Number, required: true, min: 0 },
+  message: { type: String, maxlength: 500 },
+  expiresAt: Date,
+  status: { type: String, enum: rateOfferStatusEnum, default: 'pending' },
+  createdAt: { type: Date, default: Date.now },
+  respondedAt: Date
+});
 
 // Job Application Schema
 const jobApplicationSchema = new mongoose.Schema({
@@ -20,6 +69,7 @@ const jobApplicationSchema = new mongoose.Schema({
     ref: 'User', 
     required: true 
   },
+  positionId: mongoose.Schema.Types.ObjectId, // Crew position applied for (multi-position jobs only)
   
   // Application details
   status: { 
@@ -32,9 +82,15 @@ const jobApplicationSchema = new mongoose.Schema({
     required: true,
     maxlength: 1000
   },
-  proposedRate: Number, // If applicant wants to negotiate rate
+  proposedRate: Number, // Rigger's latest offered rate, see rateOffers
+
+  // Rate negotiation; the agreed rate replaces the posted rate when the applicant is assigned
+  rateOffers: [rateOfferSchema],
+  agreedRate: { type: Number, min: 0 },
+  rateAgreedAt: Date,
   
   // Experience and qualifications
+  screening: screeningSchema,
   relevantExperience: String,
   certificationIds: [String], // References to certifications in user profile
   portfolioItems: [String], // URLs to portfolio/work samples
@@ -52,6 +108,17 @@ const jobApplicationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User' 
   },
+  shortlistedAt: Date, // Set while the client has the applicant on their shortlist
+
+  // Waitlist, for applications beyond the job's maxApplicants
+  waitlistPosition: Number, // 1 is next in line; cleared on promotion
+  waitlistedAt: Date,
+  promotedAt: Date,
+
+  // Recruitment pipeline (see ApplicationPipeline); only pending applications move between stages
+  stage: String,
+  stageHistory: [stageChangeSchema],
+  stageNotes: [stageNoteSchema],
   
   // Client response
   clientResponse: String,
@@ -76,7 +143,11 @@ jobApplicationSchema.index({ jobId: 1, applicantId: 1 }, { unique: true }); // P
 jobApplicationSchema.index({ applicantId: 1, status: 1 });
 jobApplicationSchema.index({ clientId: 1, status: 1 });
 jobApplicationSchema.index({ applicationDate: 1 });
+jobApplicationSchema.index({ jobId: 1, positionId: 1, status: 1 });
 jobApplicationSchema.index({ isActive: 1 });
+jobApplicationSchema.index({ clientId: 1, status: 1, stage: 1 });
+jobApplicationSchema.index({ jobId: 1, 'screening.result': 1 });
+jobApplicationSchema.index({ jobId: 1, status: 1, waitlistPosition: 1 });
 
 // Compound indexes (these provide coverage for simple queries too)
 jobApplicationSchema.index({ jobId: 1, status: 1, applicationDate: 1 });
@@ -98,6 +169,9 @@ jobApplicationSchema.virtual('responseTimeInDays').get(function() {
 
 // Pre-save middleware
 jobApplicationSchema.pre('save', async function(next) {
+  // isModified() is reset by the time post-save runs
+  this.$locals.applicantCountChanged = this.isNew || this.isModified('status') || this.isModified('isActive');
+
   // Auto-populate clientId from job if not set
   if (!this.clientId && this.jobId) {
     const Job = mongoose.model('Job');
@@ -107,32 +181,48 @@ jobApplicationSchema.pre('save', async function(next) {
     }
   }
   
+  // New applications start in the first stage of the client's pipeline
+  if (this.isNew && !this.stage && this.clientId) {
+    const pipeline = await ApplicationPipeline.forClient(this.clientId);
+    this.stage = pipeline.firstStage().key;
+  }
+
   // Set reviewed date when status changes from pending
-  if (this.isModified('status') && this.status !== 'pending' && !this.reviewedDate) {
+  if (this.isModified('status') && !['pending', 'waitlisted'].includes(this.status) && !this.reviewedDate) {
     this.reviewedDate = new Date();
   }
+
+  // Only waitlisted applications hold a place in the queue
+  if (this.isModified('status') && this.status !== 'waitlisted') {
+    this.waitlistPosition = undefined;
+  }
+
+  // A decision closes the application's run through the pipeline
+  if (!this.isNew && this.isModified('status') && !['pending', 'waitlisted'].includes(this.status)) {
+    this.stageHistory.push({
+      from: this.stage,
+      to: this.status,
+      changedBy: this.status === 'withdrawn' ? this.applicantId : this.reviewedBy
+    });
+  }
   
   next();
 });
 
 // Post-save middleware to update job application count
 jobApplicationSchema.post('save', async function(doc) {
-  if (doc.isModified('status') || doc.isNew) {
-    const Job = mongoose.model('Job');
-    const job = await Job.findById(doc.jobId);
-    if (job) {
-      const applicationCount = await mongoose.model('JobApplication').countDocuments({
-        jobId: doc.jobId,
-        status: { $in: ['pending', 'accepted'] },
-        isActive: true
-      });
-      job.currentApplicants = applicationCount;
-      await job.save();
-    }
+  if (doc.$locals.applicantCountChanged) {
+    const applicationCount = await mongoose.model('JobApplication').countActive(doc.jobId);
+    await mongoose.model('Job').updateOne({ _id: doc.jobId }, { currentApplicants: applicationCount });
   }
 });
 
 // Static methods
+// Applications that count towards a job's applicant limit
+jobApplicationSchema.statics.countActive = function(jobId) {
+  return this.countDocuments({ jobId, status: { $in: ['pending', 'accepted'] }, isActive: true });
+};
+
 jobApplicationSchema.statics.findByJob = function(jobId, status = null) {
   const query = { jobId, isActive: true };
   if (status) query.status = status;
@@ -162,6 +252,111 @@ jobApplicationSchema.statics.findByClient = function(clientId, status = null) {
     .sort({ applicationDate: -1 });
 };
 
+// Reject pending applications that can no longer be filled after an acceptance:
+// everything once the job is fully assigned, otherwise those for a now-full position
+jobApplicationSchema.statics.rejectFilledCandidates = function(job, acceptedApplicationId, positionId = null) {
+  const query = {
+    jobId: job._id,
+    _id: { $ne: acceptedApplicationId },
+    status: { $in: ['pending', 'waitlisted'] }
+  };
+
+  if (job.isCrewJob && job.status !== 'assigned') {
+    const position = job.positions.id(positionId);
+    if (!position || !position.isFilled) {
+      return Promise.resolve({ modifiedCount: 0 });
+    }
+    query.positionId = position._id;
+  }
+
+  return this.updateMany(query, {
+    status: 'rejected',
+    reviewedDate: new Date(),
+    rejectionReason: 'Position filled by another candidate',
+    $unset: { waitlistPosition: 1 }
+  });
+};
+
+jobApplicationSchema.statics.findPendingApplicantIds = async function(jobId) {
+  const applications = await this.find({ jobId, status: 'pending' }).select('applicantId');
+  return applications.map(application => application.applicantId);
+};
+
+// Reject every pending or waitlisted application on a job, e.g. when the job expires or is cancelled
+jobApplicationSchema.statics.rejectPending = function(jobId, reason) {
+  return this.updateMany(
+    { jobId, status: { $in: ['pending', 'waitlisted'] } },
+    { status: 'rejected', reviewedDate: new Date(), rejectionReason: reason, $unset: { waitlistPosition: 1 } }
+  );
+};
+
+// A job's waitlist, next in line first
+jobApplicationSchema.statics.findWaitlist = function(jobId) {
+  return this.find({ jobId, status: 'waitlisted', isActive: true })
+    .sort({ waitlistPosition: 1, applicationDate: 1 });
+};
+
+jobApplicationSchema.statics.nextWaitlistPosition = async function(jobId) {
+  const last = await this.findOne({ jobId, status: 'waitlisted' })
+    .sort({ waitlistPosition: -1 })
+    .select('waitlistPosition');
+  return last && last.waitlistPosition ? last.waitlistPosition + 1 : 1;
+};
+
+// Number the waitlist 1..n in the given order. applicationIds must be exactly the job's
+// waitlisted applications; with none given the current order is kept and gaps are closed.
+jobApplicationSchema.statics.renumberWaitlist = async function(jobId, applicationIds = null) {
+  const waitlist = await this.findWaitlist(jobId).select('_id');
+  const currentIds = waitlist.map(application => application._id.toString());
+  const orderedIds = applicationIds ? applicationIds.map(id => id.toString()) : currentIds;
+
+  if (orderedIds.length !== currentIds.length ||
+      new Set(orderedIds).size !== orderedIds.length ||
+      orderedIds.some(id => !currentIds.includes(id))) {
+    throw new AppError('The new order must list every waitlisted application exactly once', 400, 'Invalid Waitlist Order');
+  }
+
+  if (orderedIds.length) {
+    await this.bulkWrite(orderedIds.map((id, index) => ({
+      updateOne: { filter: { _id: id, status: 'waitlisted' }, update: { waitlistPosition: index + 1 } }
+    })));
+  }
+  return orderedIds;
+};
+
+// Funnel counts per job, as { jobId: { applications, shortlisted, hired, firstApplicationAt } }.
+// Hired applicants count as shortlisted whether or not they were shortlisted first.
+jobApplicationSchema.statics.getFunnelStats = async function(jobIds) {
+  const rows = await this.aggregate([
+    { $match: { jobId: { $in: jobIds } } },
+    {
+      $group: {
+        _id: '$jobId',
+        applications: { $sum: 1 },
+        shortlisted: {
+          $sum: { $cond: [{ $or: [{ $gt: ['$shortlistedAt', null] }, { $eq: ['$status', 'accepted'] }] }, 1, 0] }
+        },
+        hired: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } },
+        firstApplicationAt: { $min: '$applicationDate' }
+      }
+    }
+  ]);
+  return Object.fromEntries(rows.map(({ _id, ...stats }) => [_id.toString(), stats]));
+};
+
+// Pending applications per pipeline stage, as { stageKey: count }. Applications from before
+// pipelines existed have no stage and count towards the first stage.
+jobApplicationSchema.statics.getStageCounts = async function(clientId, firstStageKey, jobId = null) {
+  const match = { clientId, status: 'pending', isActive: true };
+  if (jobId) match.jobId = jobId;
+
+  const rows = await this.aggregate([
+    { $match: match },
+    { $group: { _id: { $ifNull: ['$stage', firstStageKey] }, count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(rows.map(row => [row._id, row.count]));
+};
+
 jobApplicationSchema.statics.getPendingApplicationsCount = function(clientId) {
   return this.countDocuments({
     clientId,
@@ -172,32 +367,22 @@ jobApplicationSchema.statics.getPendingApplicationsCount = function(clientId) {
 
 // Instance methods
 jobApplicationSchema.methods.accept = async function(reviewerId, response) {
+  const agreedRate = this.assignmentRate();
   this.status = 'accepted';
   this.reviewedBy = reviewerId;
   this.reviewedDate = new Date();
   this.clientResponse = response;
   
-  // Update job status and assign rigger
+  // Assign rigger to the job (or to their crew position)
   const Job = mongoose.model('Job');
   const job = await Job.findById(this.jobId);
   if (job) {
-    await job.assignToRigger(this.applicantId);
+    await job.fillPosition(this.applicantId, this.positionId, reviewerId, agreedRate);
+
+    // Reject other pending applications that can no longer be filled
+    await mongoose.model('JobApplication').rejectFilledCandidates(job, this._id, this.positionId);
   }
   
-  // Reject all other pending applications for this job
-  await mongoose.model('JobApplication').updateMany(
-    { 
-      jobId: this.jobId, 
-      _id: { $ne: this._id }, 
-      status: 'pending' 
-    },
-    { 
-      status: 'rejected', 
-      reviewedDate: new Date(),
-      rejectionReason: 'Position filled by another candidate'
-    }
-  );
-  
   return this.save();
 };
 
@@ -209,6 +394,48 @@ jobApplicationSchema.methods.reject = function(reviewerId, reason) {
   return this.save();
 };
 
+jobApplicationSchema.methods.shortlist = function(shortlisted = true) {
+  if (!this.canReview()) {
+    throw new AppError(`Cannot shortlist an application that is ${this.status}`, 409, 'Invalid Application State');
+  }
+  this.shortlistedAt = shortlisted ? new Date() : undefined;
+  return this.save();
+};
+
+// Move a pending application to another stage of the client's pipeline. Any stage past the
+// first counts as shortlisted for pipeline analytics; moving back to the first stage clears it.
+jobApplicationSchema.methods.moveToStage = function(pipeline, stageKey, userId, note) {
+  if (!this.canReview()) {
+    throw new AppError(`Cannot move an application that is ${this.status}`, 409, 'Invalid Application State');
+  }
+  pipeline.requireStage(stageKey);
+
+  const from = this.stage || pipeline.firstStage().key;
+  if (from === stageKey) {
+    throw new AppError(`Application is already in ${stageKey}`, 409, 'Already In Stage');
+  }
+
+  this.stageHistory.push({ from, to: stageKey, changedBy: userId, note });
+  if (note) {
+    this.stageNotes.push({ stage: stageKey, note, authorId: userId });
+  }
+  this.stage = stageKey;
+
+  if (stageKey === pipeline.firstStage().key) {
+    this.shortlistedAt = undefined;
+  } else if (!this.shortlistedAt) {
+    this.shortlistedAt = new Date();
+  }
+
+  return this.save();
+};
+
+// Add a recruiter note against the application's current stage
+jobApplicationSchema.methods.addStageNote = function(note, authorId) {
+  this.stageNotes.push({ stage: this.stage, note, authorId });
+  return this.save();
+};
+
 jobApplicationSchema.methods.withdraw = function() {
   this.status = 'withdrawn';
   this.reviewedDate = new Date();
@@ -216,11 +443,144 @@ jobApplicationSchema.methods.withdraw = function() {
 };
 
 jobApplicationSchema.methods.canWithdraw = function() {
-  return this.status === 'pending';
+  return ['pending', 'waitlisted'].includes(this.status);
+};
+
+// Queue a new application behind the job's applicant limit (does not save)
+jobApplicationSchema.methods.joinWaitlist = function(position, now = new Date()) {
+  if (this.status !== 'pending') {
+    throw new AppError(`Cannot waitlist an application that is ${this.status}`, 409, 'Invalid Application State');
+  }
+  this.status = 'waitlisted';
+  this.waitlistPosition = position;
+  this.waitlistedAt = now;
+  return this;
+};
+
+// A place has opened up: the application goes to the client for review (does not save)
+jobApplicationSchema.methods.promoteFromWaitlist = function(now = new Date()) {
+  if (this.status !== 'waitlisted') {
+    throw new AppError(`Cannot promote an application that is ${this.status}`, 409, 'Invalid Application State');
+  }
+  this.status = 'pending';
+  this.waitlistPosition = undefined;
+  this.promotedAt = now;
+  return this;
+};
+
+// Response to the applicant once screening and the waitlist have had their say
+jobApplicationSchema.methods.submittedMessage = function() {
+  if (this.status === 'rejected') {
+    return 'Application submitted but did not meet the job requirements';
+  }
+  if (this.status === 'waitlisted') {
+    return `The job has reached its applicant limit; you are number ${this.waitlistPosition} on the waitlist`;
+  }
+  return 'Application submitted successfully';
 };
 
 jobApplicationSchema.methods.canReview = function() {
   return this.status === 'pending';
 };
 
+// Record an automatic screening result. With autoReject (the job's autoRejectFailedScreening),
+// a pending application that fails is rejected with the reasons.
+jobApplicationSchema.methods.recordScreening = function(screening, autoReject = false) {
+  this.screening = screening;
+
+  if (screening.result === 'failed' && autoReject && this.status === 'pending') {
+    this.status = 'rejected';
+    this.reviewedDate = screening.screenedAt;
+    this.rejectionReason = `Automatic screening: ${screening.reasons.map(reason => reason.message).join('; ')}`;
+  }
+  return this.screening;
+};
+
+// Rate negotiation
+
+// Mark the pending offer expired if its expiry has passed. Returns true if it changed.
+jobApplicationSchema.methods.expireRateOffer = function(now = new Date()) {
+  const offer = this.rateOffers[this.rateOffers.length - 1];
+  if (offer && offer.status === 'pending' && offer.expiresAt && offer.expiresAt <= now) {
+    offer.status = 'expired';
+    return true;
+  }
+  return false;
+};
+
+// The offer awaiting a response, if any
+jobApplicationSchema.methods.pendingRateOffer = function(now = new Date()) {
+  this.expireRateOffer(now);
+  const offer = this.rateOffers[this.rateOffers.length - 1];
+  return offer && offer.status === 'pending' ? offer : null;
+};
+
+// Offer a rate, or counter the other party's pending offer. Does not save.
+jobApplicationSchema.methods.offerRate = function(role, userId, { rate, message, expiresAt }, now = new Date()) {
+  if (!this.canReview()) {
+    throw new AppError(`Cannot negotiate on an application that is ${this.status}`, 409, 'Invalid Application State');
+  }
+  if (this.agreedRate !== undefined && this.agreedRate !== null) {
+    throw new AppError(`A rate of $${this.agreedRate} has already been agreed`, 409, 'Rate Already Agreed');
+  }
+  if (expiresAt && new Date(expiresAt) <= now) {
+    throw new AppError('Offer expiry must be in the future', 400, 'Invalid Expiry');
+  }
+
+  const pending = this.pendingRateOffer(now);
+  if (pending && pending.fromRole === role) {
+    throw new AppError('Your previous offer is still awaiting a response; withdraw it to make a new one', 409, 'Offer Pending');
+  }
+  if (pending) {
+    pending.status = 'countered';
+    pending.respondedAt = now;
+  }
+
+  this.rateOffers.push({ fromRole: role, fromUserId: userId, rate, message, expiresAt, createdAt: now });
+  if (role === 'rigger') {
+    this.proposedRate = rate;
+  }
+  return this.rateOffers[this.rateOffers.length - 1];
+};
+
+// Accept, decline or withdraw the pending offer. Only the other party may accept or
+// decline it; only its maker may withdraw it. Does not save.
+jobApplicationSchema.methods.respondToRateOffer = function(offerId, role, decision, now = new Date()) {
+  const offer = this.rateOffers.id(offerId);
+  if (!offer) {
+    throw new AppError('Offer not found', 404, 'Offer Not Found');
+  }
+
+  this.expireRateOffer(now);
+  if (offer.status !== 'pending') {
+    throw new AppError(`This offer has been ${offer.status}`, 409, 'Offer Closed');
+  }
+  if (!this.canReview()) {
+    throw new AppError(`Cannot negotiate on an application that is ${this.status}`, 409, 'Invalid Application State');
+  }
+
+  const ownOffer = offer.fromRole === role;
+  if (decision === 'withdrawn' ? !ownOffer : ownOffer) {
+    throw new AppError(decision === 'withdrawn' ? 'Only the party who made an offer can withdraw it' : 'You cannot respond to your own offer', 403, 'Unauthorized');
+  }
+
+  offer.status = decision;
+  offer.respondedAt = now;
+
+  if (decision === 'accepted') {
+    this.agreedRate = offer.rate;
+    this.rateAgreedAt = now;
+  }
+  return offer;
+};
+
+// The rate to assign the applicant at: the agreed rate, or undefined for the posted rate.
+// Refuses while an offer is open so nobody is assigned mid-negotiation.
+jobApplicationSchema.methods.assignmentRate = function(now = new Date()) {
+  if (this.pendingRateOffer(now)) {
+    throw new AppError('Accept or decline the open rate offer before accepting this application', 409, 'Negotiation Open');
+  }
+  return this.agreedRate === null ? undefined : this.agreedRate;
+};
+
 module.exports = mongoose.model('JobApplication', jobApplicationSchema);
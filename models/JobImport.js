@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Enums
+const importFormatEnum = ['csv', 'xlsx'];
+const importModeEnum = ['dry_run', 'commit'];
+const importStatusEnum = ['validated', 'rejected', 'committed', 'failed'];
+const rowStatusEnum = ['valid', 'invalid', 'created', 'not_created'];
+
+// Sub-schemas
+const rowIssueSchema = new mongoose.Schema({
+  field: String,
+  message: String
+}, { _id: false });
+
+const importRowSchema = new mongoose.Schema({
+  rowNumber: { type: Number, required: true },
+  status: { type: String, enum: rowStatusEnum, required: true },
+  title: String,
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+  issues: [rowIssueSchema] // Validation errors; 'errors' is reserved by Mongoose
+}, { _id: false });
+
+// Job Import Schema - result of a bulk job import, kept for the downloadable report
+const jobImportSchema = new mongoose.Schema({
+  clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  filename: String,
+  format: { type: String, enum: importFormatEnum, required: true },
+  mode: { type: String, enum: importModeEnum, required: true },
+  // validated: dry run with no errors; rejected: row errors, nothing created;
+  // committed: every row created; failed: the commit was rolled back
+  status: { type: String, enum: importStatusEnum, required: true },
+  totalRows: { type: Number, default: 0 },
+  validRows: { type: Number, default: 0 },
+  createdJobs: { type: Number, default: 0 },
+  unknownColumns: [String],
+  rows: [importRowSchema],
+  error: String,
+  committedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobImportSchema.index({ clientId: 1, createdAt: -1 });
+
+// Virtual for rows with errors
+jobImportSchema.virtual('invalidRows').get(function() {
+  return this.totalRows - this.validRows;
+});
+
+module.exports = mongoose.model('JobImport', jobImportSchema);
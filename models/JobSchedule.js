@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+// Enums
+const scheduleStatusEnum = ['active', 'paused', 'cancelled', 'completed'];
+const frequencyEnum = ['daily', 'weekly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sub-schemas
+const recurrenceSchema = new mongoose.Schema({
+  frequency: { type: String, enum: frequencyEnum, default: 'weekly' },
+  interval: { type: Number, min: 1, max: 12, default: 1 }, // Every N days or weeks
+  daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday; weekly only, defaults to the start day
+  startsOn: { type: Date, required: true },
+  endsOn: Date,
+  maxOccurrences: { type: Number, min: 1, max: 366 }
+}, { _id: false });
+
+// Job Schedule Schema - a recurring series of jobs posted from a template
+const jobScheduleSchema = new mongoose.Schema({
+  clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'JobTemplate', required: true },
+  name: { type: String, trim: true, maxlength: 100 },
+  recurrence: { type: recurrenceSchema, required: true },
+  overrides: { type: mongoose.Schema.Types.Mixed, default: {} }, // Job fields that replace template defaults for this series
+  leadTimeDays: { type: Number, min: 1, max: 60, default: 14 }, // How far ahead jobs are posted
+  status: { type: String, enum: scheduleStatusEnum, default: 'active' },
+  occurrencesGenerated: { type: Number, default: 0 },
+  lastGeneratedAt: Date,
+  pausedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobScheduleSchema.index({ clientId: 1, status: 1 });
+jobScheduleSchema.index({ status: 1 });
+
+// Helpers
+const startOfDay = date => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const matchesRecurrence = (recurrence, first, day) => {
+  const daysSinceStart = Math.round((day - first) / DAY_MS);
+
+  if (recurrence.frequency === 'daily') {
+    return daysSinceStart % recurrence.interval === 0;
+  }
+
+  const daysOfWeek = recurrence.daysOfWeek && recurrence.daysOfWeek.length ? recurrence.daysOfWeek : [first.getDay()];
+  // Weeks run Sunday to Saturday, counted from the week the series starts in
+  const weekIndex = Math.floor((daysSinceStart + first.getDay()) / 7);
+  return daysOfWeek.includes(day.getDay()) && weekIndex % recurrence.interval === 0;
+};
+
+// Every occurrence from the start of the series up to and including `through`
+const listOccurrences = (recurrence, through) => {
+  const first = startOfDay(recurrence.startsOn);
+  const last = recurrence.endsOn && startOfDay(recurrence.endsOn) < through ? startOfDay(recurrence.endsOn) : through;
+  const occurrences = [];
+
+  for (const day = new Date(first); day <= last; day.setDate(day.getDate() + 1)) {
+    if (recurrence.maxOccurrences && occurrences.length >= recurrence.maxOccurrences) break;
+    if (matchesRecurrence(recurrence, first, day)) occurrences.push(new Date(day));
+  }
+
+  return occurrences;
+};
+
+// Static methods
+jobScheduleSchema.statics.startOfDay = startOfDay;
+
+jobScheduleSchema.statics.findByClient = function(clientId, status = null) {
+  const query = { clientId };
+  if (status) query.status = status;
+
+  return this.find(query)
+    .populate('templateId', 'name jobDefaults.title jobDefaults.jobType startTime shiftHours')
+    .sort({ createdAt: -1 });
+};
+
+jobScheduleSchema.statics.findDue = function() {
+  return this.find({ status: 'active' });
+};
+
+// Instance methods
+
+// Occurrence days (local midnight) falling between two dates, inclusive
+jobScheduleSchema.methods.occurrencesBetween = function(from, to) {
+  const fromDay = startOfDay(from);
+  return listOccurrences(this.recurrence, startOfDay(to)).filter(day => day >= fromDay);
+};
+
+// Whether the series has no occurrences left after the given date
+jobScheduleSchema.methods.isExhaustedThrough = function(through) {
+  const { endsOn, maxOccurrences } = this.recurrence;
+  if (endsOn && startOfDay(endsOn) <= startOfDay(through)) return true;
+  return Boolean(maxOccurrences && listOccurrences(this.recurrence, startOfDay(through)).length >= maxOccurrences);
+};
+
+jobScheduleSchema.methods.pause = function() {
+  if (this.status !== 'active') {
+    throw new AppError(`Cannot pause a ${this.status} schedule`, 409, 'Invalid Schedule State');
+  }
+  this.status = 'paused';
+  this.pausedAt = new Date();
+  return this;
+};
+
+jobScheduleSchema.methods.resume = function() {
+  if (this.status !== 'paused') {
+    throw new AppError(`Cannot resume a ${this.status} schedule`, 409, 'Invalid Schedule State');
+  }
+  this.status = 'active';
+  this.pausedAt = undefined;
+  return this;
+};
+
+jobScheduleSchema.methods.cancel = function(cancelledBy) {
+  if (['cancelled', 'completed'].includes(this.status)) {
+    throw new AppError(`Cannot cancel a ${this.status} schedule`, 409, 'Invalid Schedule State');
+  }
+  this.status = 'cancelled';
+  this.cancelledAt = new Date();
+  this.cancelledBy = cancelledBy;
+  return this;
+};
+
+module.exports = mongoose.model('JobSchedule', jobScheduleSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Job fields a template can carry; everything else (dates, status, assignment) is per posting
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'location', 'rate', 'currency', 'requiredCertifications',
+  'experienceLevel', 'jobType', 'equipmentRequired', 'safetyRequirements', 'shiftPattern',
+  'duration', 'urgencyLevel', 'weatherDependency', 'heightWork', 'insuranceRequired',
+  'geofenceRadius', 'maxApplicants', 'tags', 'positions'
+];
+
+const pickTemplateFields = source => TEMPLATE_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// Job Template Schema - a client's saved job for re-posting
+const jobTemplateSchema = new mongoose.Schema({
+  clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  jobDefaults: { type: mongoose.Schema.Types.Mixed, required: true }, // Subset of Job fields, see TEMPLATE_FIELDS
+  startTime: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: '07:00' }, // Local shift start, HH:mm
+  shiftHours: { type: Number, min: 1, max: 24 }, // Sets endDate from startDate when present
+  usageCount: { type: Number, default: 0 },
+  lastUsedAt: Date,
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobTemplateSchema.index({ clientId: 1, isActive: 1, name: 1 });
+
+// Static methods
+jobTemplateSchema.statics.templateFields = TEMPLATE_FIELDS;
+jobTemplateSchema.statics.pickTemplateFields = pickTemplateFields;
+
+jobTemplateSchema.statics.findByClient = function(clientId) {
+  return this.find({ clientId, isActive: true }).sort({ lastUsedAt: -1, name: 1 });
+};
+
+// Instance methods
+
+// Start date/time for a posting on the given day, using the template's start time
+jobTemplateSchema.methods.startDateOn = function(day) {
+  const [hours, minutes] = this.startTime.split(':').map(Number);
+  const startDate = new Date(day);
+  startDate.setHours(hours, minutes, 0, 0);
+  return startDate;
+};
+
+// Job data for a posting on the given day; overrides win over template defaults
+jobTemplateSchema.methods.toJobData = function(day, overrides = {}) {
+  const startDate = overrides.startDate ? new Date(overrides.startDate) : this.startDateOn(day);
+  const jobData = {
+    ...pickTemplateFields(this.jobDefaults),
+    ...pickTemplateFields(overrides),
+    clientId: this.clientId,
+    templateId: this._id,
+    startDate
+  };
+
+  if (this.shiftHours) {
+    jobData.endDate = new Date(startDate.getTime() + this.shiftHours * 60 * 60 * 1000);
+  }
+
+  return jobData;
+};
+
+jobTemplateSchema.methods.recordUse = function() {
+  this.usageCount += 1;
+  this.lastUsedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('JobTemplate', jobTemplateSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Job fields that are agreed between client and rigger once a job is assigned,
+// and can only change through an accepted change order
+const AGREED_FIELDS = ['rate', 'startDate', 'endDate', 'description', 'equipmentRequired', 'safetyRequirements', 'shiftPattern'];
+
+// Job Version Schema - snapshot of the agreed terms of a job from a point in time
+const jobVersionSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  version: { type: Number, required: true, min: 1 },
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true }, // AGREED_FIELDS values
+  effectiveFrom: { type: Date, required: true },
+  changeOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChangeOrder' }, // Absent for the original terms
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobVersionSchema.index({ jobId: 1, version: 1 }, { unique: true });
+jobVersionSchema.index({ jobId: 1, effectiveFrom: 1 });
+
+// Static methods
+jobVersionSchema.statics.agreedFields = AGREED_FIELDS;
+
+jobVersionSchema.statics.snapshotOf = function(job) {
+  return AGREED_FIELDS.reduce((snapshot, field) => {
+    const value = job.get(field);
+    snapshot[field] = Array.isArray(value) ? [...value] : value;
+    return snapshot;
+  }, {});
+};
+
+jobVersionSchema.statics.findTimeline = function(jobId) {
+  return this.find({ jobId }).sort({ effectiveFrom: 1, version: 1 });
+};
+
+// The version in force at a date, from a timeline sorted by effectiveFrom
+jobVersionSchema.statics.effectiveAt = function(timeline, date) {
+  const at = new Date(date);
+  return timeline.reduce((current, version) => (version.effectiveFrom <= at ? version : current), null);
+};
+
+jobVersionSchema.statics.findEffectiveAt = async function(jobId, date) {
+  const timeline = await this.findTimeline(jobId);
+  return this.effectiveAt(timeline, date);
+};
+
+module.exports = mongoose.model('JobVersion', jobVersionSchema);
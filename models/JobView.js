@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Job View Schema - one record per viewer per job, for unique viewer counts
+const jobViewSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  viewerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  firstViewedAt: { type: Date, default: Date.now },
+  lastViewedAt: { type: Date, default: Date.now },
+  count: { type: Number, default: 1 }
+});
+
+// Indexes
+jobViewSchema.index({ jobId: 1, viewerId: 1 }, { unique: true });
+
+// Static methods
+jobViewSchema.statics.recordView = function(jobId, viewerId, at = new Date()) {
+  return this.updateOne(
+    { jobId, viewerId },
+    { $inc: { count: 1 }, $set: { lastViewedAt: at }, $setOnInsert: { firstViewedAt: at } },
+    { upsert: true }
+  );
+};
+
+// Unique viewers per job, as { jobId: count }
+jobViewSchema.statics.countUniqueViewers = async function(jobIds) {
+  const rows = await this.aggregate([
+    { $match: { jobId: { $in: jobIds } } },
+    { $group: { _id: '$jobId', viewers: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(rows.map(row => [row._id.toString(), row.viewers]));
+};
+
+module.exports = mongoose.model('JobView', jobViewSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Enums
+const worksafeStatusEnum = ['verified', 'not_found', 'unavailable', 'not_applicable'];
+const revocationReasonEnum = ['superseded', 'revoked_by_rigger', 'revoked_by_admin'];
+
+// Sub-schemas
+// A certification as it stood when the credential was issued
+const credentialCertificationSchema = new mongoose.Schema({
+  certificationId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  name: { type: String, required: true },
+  licenceClass: String, // High risk work licence class code, e.g. DG or RI
+  licenseNumber: String,
+  issuingAuthority: String,
+  expiryDate: { type: Date, required: true },
+  worksafeStatus: { type: String, enum: worksafeStatusEnum, default: 'not_applicable' }
+}, { _id: false });
+
+// Licence Credential Schema - a signed digital licence card shown as a QR code at the site gate.
+// The signed token carries the credential's ID; this record lets it be revoked.
+const licenceCredentialSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  certifications: [credentialCertificationSchema],
+  issuedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revocationReason: { type: String, enum: revocationReasonEnum },
+  verificationCount: { type: Number, default: 0 },
+  lastVerifiedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+licenceCredentialSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+
+// Virtuals
+licenceCredentialSchema.virtual('isRevoked').get(function() {
+  return Boolean(this.revokedAt);
+});
+
+// Static methods
+licenceCredentialSchema.statics.worksafeStatuses = worksafeStatusEnum;
+
+licenceCredentialSchema.statics.findActiveForUser = function(userId, now = new Date()) {
+  return this.findOne({ userId, revokedAt: null, expiresAt: { $gt: now } }).sort({ issuedAt: -1 });
+};
+
+// Revoke every unrevoked credential of a user, e.g. when a new one is issued
+licenceCredentialSchema.statics.revokeAllForUser = function(userId, reason, now = new Date()) {
+  return this.updateMany({ userId, revokedAt: null }, { revokedAt: now, revocationReason: reason });
+};
+
+// Instance methods
+// 'valid', 'revoked' or 'expired'
+licenceCredentialSchema.methods.statusAt = function(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= now) return 'expired';
+  return 'valid';
+};
+
+module.exports = mongoose.model('LicenceCredential', licenceCredentialSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+// Enums
+const documentKindEnum = ['certification', 'insurance'];
+// pending_review: processed, waiting for the rigger to check the details; confirmed: saved to
+// the profile; discarded: the rigger threw it away (its files are deleted)
+const documentStatusEnum = ['pending_review', 'confirmed', 'discarded'];
+
+// Sub-schemas
+// Details read from the document, offered to the rigger to confirm or correct
+const extractedFieldsSchema = new mongoose.Schema({
+  name: String,
+  issuingAuthority: String,
+  licenseNumber: String,
+  licenceClasses: [String],
+  issueDate: Date,
+  expiryDate: Date,
+  insurer: String,
+  policyNumber: String,
+  coverageAmount: Number
+}, { _id: false });
+
+// Profile Document Schema - an uploaded licence, ticket or insurance certificate
+const profileDocumentSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: documentKindEnum, required: true },
+  status: { type: String, enum: documentStatusEnum, default: 'pending_review' },
+  originalName: String,
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  sha256: { type: String, required: true },
+  storageKey: { type: String, required: true }, // services/documentStorageService
+  thumbnailKey: String,
+  pageCount: Number,
+  extractedText: { type: String, select: false },
+  extracted: { type: extractedFieldsSchema, default: () => ({}) },
+  // Same file already uploaded to another account, for admin review
+  duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'ProfileDocument' },
+  certificationId: mongoose.Schema.Types.ObjectId, // riggerProfile.certifications entry created on confirm
+  confirmedAt: Date,
+  discardedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+profileDocumentSchema.index({ userId: 1, createdAt: -1 });
+profileDocumentSchema.index({ sha256: 1 });
+
+// Static methods
+// An earlier upload of the same file that has not been discarded, by anyone
+profileDocumentSchema.statics.findDuplicate = function(sha256) {
+  return this.findOne({ sha256, status: { $ne: 'discarded' } }).sort({ createdAt: 1 });
+};
+
+// Instance methods
+const requirePendingReview = document => {
+  if (document.status !== 'pending_review') {
+    throw new AppError(`Document has already been ${document.status}`, 409, 'Invalid Document State');
+  }
+};
+
+// The extracted details with the rigger's corrections applied
+profileDocumentSchema.methods.reviewedDetails = function(details = {}) {
+  const extracted = this.extracted ? this.extracted.toObject() : {};
+  return Object.fromEntries(
+    Object.entries({ ...extracted, ...details }).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+};
+
+// Save the reviewed details to the rigger's profile (does not save either document)
+profileDocumentSchema.methods.confirm = function(user, details, documentURL, now = new Date()) {
+  requirePendingReview(this);
+  const reviewed = this.reviewedDetails(details);
+
+  if (this.kind === 'certification') {
+    const missing = ['name', 'issuingAuthority', 'licenseNumber', 'issueDate', 'expiryDate'].filter(field => !reviewed[field]);
+    if (missing.length) {
+      throw new AppError(`Please fill in ${missing.join(', ')}`, 400, 'Missing Required Fields');
+    }
+
+    user.riggerProfile.certifications.push({
+      name: reviewed.name,
+      issuingAuthority: reviewed.issuingAuthority,
+      licenseNumber: reviewed.licenseNumber,
+      issueDate: reviewed.issueDate,
+      expiryDate: reviewed.expiryDate,
+      documentURL,
+      documentId: this._id,
+      verificationStatus: 'unverified'
+    });
+    this.certificationId = user.riggerProfile.certifications[user.riggerProfile.certifications.length - 1]._id;
+  } else {
+    const missing = ['insurer', 'policyNumber', 'coverageAmount', 'expiryDate'].filter(field => !reviewed[field]);
+    if (missing.length) {
+      throw new AppError(`Please fill in ${missing.join(', ')}`, 400, 'Missing Required Fields');
+    }
+
+    user.riggerProfile.insurance = {
+      insurer: reviewed.insurer,
+      policyNumber: reviewed.policyNumber,
+      coverageAmount: reviewed.coverageAmount,
+      expiryDate: reviewed.expiryDate,
+      documentURL,
+      documentId: this._id
+    };
+    user.riggerProfile.insuranceCoverage = reviewed.coverageAmount;
+  }
+
+  this.extracted = reviewed;
+  this.status = 'confirmed';
+  this.confirmedAt = now;
+  return this;
+};
+
+// Record an admin's check of a confirmed certification against this upload (does not save either document)
+profileDocumentSchema.methods.reviewCertification = function(user, status, reviewerId, now = new Date()) {
+  const certification = this.kind === 'certification' && this.status === 'confirmed' &&
+    user.riggerProfile.certifications.id(this.certificationId);
+  if (!certification) {
+    throw new AppError('Only a confirmed certification upload can be reviewed', 409, 'Invalid Document State');
+  }
+
+  certification.verificationStatus = status;
+  certification.verifiedBy = reviewerId;
+  certification.verifiedAt = now;
+  if (status === 'rejected') certification.isValid = false;
+  return certification;
+};
+
+profileDocumentSchema.methods.discard = function(now = new Date()) {
+  requirePendingReview(this);
+  this.status = 'discarded';
+  this.discardedAt = now;
+  return this;
+};
+
+module.exports = mongoose.model('ProfileDocument', profileDocumentSchema);
@@ -6,7 +6,7 @@ const postVisibilityEnum = ['public', 'connections', 'private'];
 const connectionStatusEnum = ['pending', 'accepted', 'declined', 'blocked'];
 const messageTypeEnum = ['text', 'image', 'file', 'job_link', 'contact_info'];
 const eventTypeEnum = ['training', 'networking', 'safety_briefing', 'industry_update', 'job_fair'];
-const notificationTypeEnum = ['job_alert', 'message', 'connection_request', 'post_like', 'event_reminder', 'safety_alert'];
+const notificationTypeEnum = ['job_alert', 'message', 'connection_request', 'post_like', 'event_reminder', 'safety_alert', 'account'];
 
 // Sub-schemas
 const mediaSchema = new mongoose.Schema({
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Enums
+const taskRunStatusEnum = ['running', 'succeeded', 'failed'];
+
+// Sub-schemas
+const affectedRecordSchema = new mongoose.Schema({
+  entityType: { type: String, required: true }, // e.g. 'Job', 'JobApplication'
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  action: { type: String, required: true }, // e.g. 'applications_closed', 'cancelled'
+  details: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Task Run Schema - audit record of one run of a background processor
+const taskRunSchema = new mongoose.Schema({
+  task: { type: String, required: true },
+  status: { type: String, enum: taskRunStatusEnum, default: 'running' },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+  durationMs: Number,
+  summary: mongoose.Schema.Types.Mixed, // Counts per action
+  affected: [affectedRecordSchema],
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+taskRunSchema.index({ task: 1, startedAt: -1 });
+taskRunSchema.index({ 'affected.entityId': 1 });
+
+// Static methods
+taskRunSchema.statics.start = function(task) {
+  return this.create({ task, startedAt: new Date() });
+};
+
+taskRunSchema.statics.findRecent = function(task, limit = 20) {
+  return this.find({ task }).sort({ startedAt: -1 }).limit(limit);
+};
+
+// Instance methods
+taskRunSchema.methods.recordAffected = function(entityType, entityId, action, details) {
+  this.affected.push({ entityType, entityId, action, details });
+};
+
+taskRunSchema.methods.succeed = function(summary) {
+  this.status = 'succeeded';
+  this.summary = summary;
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  return this.save();
+};
+
+taskRunSchema.methods.fail = function(error, summary) {
+  this.status = 'failed';
+  this.error = error.message || String(error);
+  this.summary = summary;
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  return this.save();
+};
+
+module.exports = mongoose.model('TaskRun', taskRunSchema);
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+const JobVersion = require('./JobVersion');
+
+// Enums
+const timesheetStatusEnum = ['open', 'submitted', 'approved', 'disputed'];
+const breakTypeEnum = ['meal', 'rest', 'weather', 'other'];
+
+// Sub-schemas
+const clockEventSchema = new mongoose.Schema({
+  time: { type: Date, required: true },
+  coordinate: {
+    latitude: Number,
+    longitude: Number
+  },
+  distanceFromSite: Number, // in metres
+  withinGeofence: Boolean,
+  flaggedForReview: Boolean // The job has no site coordinate to check against; the client checks the location
+}, { _id: false });
+
+const breakSchema = new mongoose.Schema({
+  type: { type: String, enum: breakTypeEnum, default: 'meal' },
+  start: { type: Date, required: true },
+  end: Date,
+  isPaid: { type: Boolean, default: false }
+});
+
+const shiftSchema = new mongoose.Schema({
+  clockIn: { type: clockEventSchema, required: true },
+  clockOut: clockEventSchema,
+  breaks: [breakSchema],
+  notes: String
+});
+
+const disputeSchema = new mongoose.Schema({
+  reason: { type: String, required: true },
+  raisedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  raisedAt: { type: Date, default: Date.now },
+  resolvedAt: Date
+}, { _id: false });
+
+// Timesheet Schema - one document per rigger, job and work day
+const timesheetSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  riggerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  workDate: { type: Date, required: true }, // Midnight of the day the first shift started
+  shifts: [shiftSchema],
+  status: { type: String, enum: timesheetStatusEnum, default: 'open' },
+  totalHours: { type: Number, default: 0 },
+
+  // Client review
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: Date,
+  disputes: [disputeSchema],
+  clientNotes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+timesheetSchema.index({ jobId: 1, riggerId: 1, workDate: 1 }, { unique: true });
+timesheetSchema.index({ jobId: 1, status: 1 });
+timesheetSchema.index({ riggerId: 1, workDate: -1 });
+timesheetSchema.index({ clientId: 1, status: 1 });
+
+// Helpers
+const HOUR_MS = 60 * 60 * 1000;
+
+const startOfDay = date => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Worked hours for a shift, excluding unpaid breaks; open shifts count up to `now`
+const calculateShiftHours = (shift, now = new Date()) => {
+  const end = shift.clockOut ? shift.clockOut.time : now;
+  const worked = end - shift.clockIn.time;
+
+  const unpaidBreaks = (shift.breaks || [])
+    .filter(breakPeriod => !breakPeriod.isPaid)
+    .reduce((total, breakPeriod) => total + ((breakPeriod.end || end) - breakPeriod.start), 0);
+
+  return Math.max(0, worked - unpaidBreaks) / HOUR_MS;
+};
+
+// Virtual for the shift currently clocked in, if any
+timesheetSchema.virtual('openShift').get(function() {
+  return this.shifts.find(shift => !shift.clockOut);
+});
+
+// Pre-save middleware
+timesheetSchema.pre('save', function(next) {
+  const closedShifts = this.shifts.filter(shift => shift.clockOut);
+  const hours = closedShifts.reduce((total, shift) => total + calculateShiftHours(shift), 0);
+  this.totalHours = Math.round(hours * 100) / 100;
+  next();
+});
+
+// Static methods
+timesheetSchema.statics.calculateShiftHours = calculateShiftHours;
+timesheetSchema.statics.startOfDay = startOfDay;
+
+timesheetSchema.statics.findOpenShift = function(jobId, riggerId) {
+  return this.findOne({
+    jobId,
+    riggerId,
+    shifts: { $elemMatch: { clockOut: { $exists: false } } }
+  });
+};
+
+timesheetSchema.statics.findByJob = function(jobId, status = null) {
+  const query = { jobId };
+  if (status) query.status = status;
+
+  return this.find(query)
+    .populate('riggerId', 'firstName lastName')
+    .sort({ workDate: 1 });
+};
+
+timesheetSchema.statics.getApprovedHours = async function(jobId) {
+  const [result] = await this.aggregate([
+    { $match: { jobId: new mongoose.Types.ObjectId(jobId), status: 'approved' } },
+    { $group: { _id: null, totalHours: { $sum: '$totalHours' }, days: { $sum: 1 } } }
+  ]);
+
+  return result ? { totalHours: Math.round(result.totalHours * 100) / 100, days: result.days } : { totalHours: 0, days: 0 };
+};
+
+// Approved timesheets as pay rules work entries, one per rigger per day,
+// priced at the rigger's crew position rate (or their negotiated rate) where they fill one
+timesheetSchema.statics.getApprovedWorkEntries = async function(job) {
+  const timesheets = await this.find({ jobId: job._id, status: 'approved' }).sort({ workDate: 1 });
+  // Days worked before an accepted change order are paid at the rate agreed at the time
+  const timeline = job.version > 1 ? await JobVersion.findTimeline(job._id) : [];
+
+  return timesheets.map(timesheet => {
+    const position = job.positionFor(timesheet.riggerId);
+    const firstShift = timesheet.shifts[0];
+    const agreed = JobVersion.effectiveAt(timeline, timesheet.workDate);
+    return {
+      date: timesheet.workDate,
+      hours: timesheet.totalHours,
+      startHour: firstShift ? new Date(firstShift.clockIn.time).getHours() : undefined,
+      rate: position ? position.rateFor(timesheet.riggerId) : (agreed ? agreed.snapshot.rate : undefined),
+      jobType: position ? position.jobType : undefined
+    };
+  });
+};
+
+// Recalculate hoursWorked and totalCost on the job from approved timesheets.
+// Completed and paid jobs keep the cost they were finalised at.
+timesheetSchema.statics.syncJobHours = async function(jobId) {
+  const Job = mongoose.model('Job');
+  const job = await Job.findById(jobId);
+  if (!job) return null;
+  if (job.status === 'completed' || job.isPaid) return job;
+
+  const { totalHours, days } = await this.getApprovedHours(jobId);
+  if (days === 0) return job;
+
+  job.hoursWorked = totalHours;
+  job.applyCost(await this.getApprovedWorkEntries(job));
+  return job.save();
+};
+
+// Instance methods
+timesheetSchema.methods.clockIn = async function(clockEvent) {
+  if (this.openShift) {
+    throw new AppError('Already clocked in', 409, 'Invalid Timesheet State');
+  }
+  if (this.status === 'approved') {
+    throw new AppError('Timesheet has already been approved', 409, 'Invalid Timesheet State');
+  }
+
+  this.shifts.push({ clockIn: clockEvent, breaks: [] });
+  this.status = 'open';
+  return this.save();
+};
+
+timesheetSchema.methods.clockOut = async function(clockEvent, notes) {
+  const shift = this.openShift;
+  if (!shift) {
+    throw new AppError('Not clocked in', 409, 'Invalid Timesheet State');
+  }
+
+  // Close any break still running at clock-out
+  shift.breaks.forEach(breakPeriod => {
+    if (!breakPeriod.end) breakPeriod.end = clockEvent.time;
+  });
+
+  shift.clockOut = clockEvent;
+  if (notes) shift.notes = notes;
+  this.status = 'submitted';
+  return this.save();
+};
+
+timesheetSchema.methods.startBreak = async function(type = 'meal', isPaid = false) {
+  const shift = this.openShift;
+  if (!shift) {
+    throw new AppError('Not clocked in', 409, 'Invalid Timesheet State');
+  }
+  if (shift.breaks.some(breakPeriod => !breakPeriod.end)) {
+    throw new AppError('A break is already in progress', 409, 'Invalid Timesheet State');
+  }
+
+  shift.breaks.push({ type, isPaid, start: new Date() });
+  return this.save();
+};
+
+timesheetSchema.methods.endBreak = async function() {
+  const shift = this.openShift;
+  const breakPeriod = shift && shift.breaks.find(b => !b.end);
+  if (!breakPeriod) {
+    throw new AppError('No break in progress', 409, 'Invalid Timesheet State');
+  }
+
+  breakPeriod.end = new Date();
+  return this.save();
+};
+
+timesheetSchema.methods.approve = async function(reviewerId, notes) {
+  this.status = 'approved';
+  this.reviewedBy = reviewerId;
+  this.approvedAt = new Date();
+  if (notes) this.clientNotes = notes;
+
+  const openDispute = this.disputes.find(dispute => !dispute.resolvedAt);
+  if (openDispute) openDispute.resolvedAt = new Date();
+
+  return this.save();
+};
+
+timesheetSchema.methods.dispute = async function(reviewerId, reason) {
+  this.status = 'disputed';
+  this.reviewedBy = reviewerId;
+  this.disputes.push({ reason, raisedBy: reviewerId });
+  return this.save();
+};
+
+// Clocked in or out without a geofence check, so the client should confirm the location
+timesheetSchema.methods.needsLocationReview = function() {
+  return this.shifts.some(shift => [shift.clockIn, shift.clockOut].some(clockEvent => clockEvent && clockEvent.flaggedForReview));
+};
+
+timesheetSchema.methods.canReview = function() {
+  return ['submitted', 'disputed'].includes(this.status) && !this.openShift;
+};
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
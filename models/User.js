@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { AppError } = require('../middleware/errorHandler');
+const { toGeoJSONPoint } = require('../utils/geo');
 
 // Enums
 const userTypeEnum = ['rigger', 'client', 'admin'];
@@ -22,9 +24,32 @@ const certificationSchema = new mongoose.Schema({
   issueDate: { type: Date, required: true },
   expiryDate: { type: Date, required: true },
   isValid: { type: Boolean, default: true },
-  documentURL: String
+  documentURL: String,
+  documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProfileDocument' }, // Upload the details were confirmed from
+  // Details confirmed from an upload stay unverified until an admin has checked them against the document
+  verificationStatus: { type: String, enum: ['unverified', 'verified', 'rejected'] },
+  verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  verifiedAt: Date,
+  // Last check against the WorkSafe WA licence register (see services/licenceCredentialService)
+  worksafeVerification: {
+    status: { type: String, enum: ['verified', 'not_found', 'unavailable', 'not_applicable'] },
+    verificationId: String,
+    checkedAt: Date
+  },
+  remindersSent: [Number], // Days-before-expiry renewal reminders already sent
+  expiredAt: Date // When the expiry processor marked the ticket invalid
 });
 
+// Public liability insurance, confirmed from an uploaded certificate of currency
+const insurancePolicySchema = new mongoose.Schema({
+  insurer: { type: String, required: true },
+  policyNumber: { type: String, required: true },
+  coverageAmount: { type: Number, required: true, min: 0 },
+  expiryDate: { type: Date, required: true },
+  documentURL: String,
+  documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProfileDocument' }
+}, { _id: false });
+
 const safetyIncidentSchema = new mongoose.Schema({
   date: { type: Date, required: true },
   severity: { type: String, enum: incidentSeverityEnum, required: true },
@@ -50,6 +75,21 @@ const availabilitySchema = new mongoose.Schema({
   notes: String
 });
 
+const homeBaseSchema = new mongoose.Schema({
+  address: String,
+  postcode: String,
+  state: String,
+  coordinate: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true }
+  },
+  // GeoJSON mirror of `coordinate` for 2dsphere queries
+  point: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number] } // [longitude, latitude]
+  }
+}, { _id: false });
+
 const riggerProfileSchema = new mongoose.Schema({
   specializations: [{ type: String, enum: jobTypeEnum }],
   experienceLevel: { type: String, enum: experienceLevelEnum, default: 'intermediate' },
@@ -57,11 +97,13 @@ const riggerProfileSchema = new mongoose.Schema({
   certifications: [certificationSchema],
   availability: availabilitySchema,
   preferredLocations: [String],
+  homeBase: homeBaseSchema,
   maximumTravelDistance: { type: Number, default: 50 }, // in km
   hourlyRate: { type: Number, default: 0 },
   rating: { type: Number, default: 0, min: 0, max: 5 },
   completedJobs: { type: Number, default: 0 },
   insuranceCoverage: { type: Number, default: 0 },
+  insurance: insurancePolicySchema,
   equipmentOwned: [String],
   safetyRecord: safetyRecordSchema,
   languages: { type: [String], default: ['English'] },
@@ -116,7 +158,16 @@ const userSchema = new mongoose.Schema({
   twoFactorSecret: String,
   twoFactorBackupCodes: [String],
   twoFactorVerificationToken: String,
-  twoFactorVerificationExpires: Date
+  twoFactorVerificationExpires: Date,
+  // Secret for the calendar feed URL; revocable independently of the password
+  calendarFeedToken: String,
+  calendarFeedCreatedAt: Date,
+  calendarFeedLastAccessedAt: Date,
+  // Account deletion: the account is deactivated when deletion is requested and
+  // anonymised once the grace period ends (see services/accountErasureService)
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  anonymisedAt: Date
 }, {
   timestamps: true
 });
@@ -128,6 +179,10 @@ userSchema.index({ isActive: 1 });
 userSchema.index({ 'riggerProfile.specializations': 1 });
 userSchema.index({ 'riggerProfile.availability.status': 1 });
 userSchema.index({ 'clientProfile.industry': 1 });
+userSchema.index({ 'riggerProfile.homeBase.point': '2dsphere' });
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
+userSchema.index({ 'riggerProfile.certifications.expiryDate': 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -155,6 +210,121 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Keep the rigger's home-base GeoJSON point in sync with its coordinate
+userSchema.pre('save', function(next) {
+  const homeBase = this.riggerProfile && this.riggerProfile.homeBase;
+  if (homeBase && this.isModified('riggerProfile.homeBase')) {
+    homeBase.point = toGeoJSONPoint(homeBase.coordinate.latitude, homeBase.coordinate.longitude);
+  }
+  next();
+});
+
+// Static method to find riggers who can reach a site.
+// A rigger matches when the site is within both the search radius and their own
+// maximumTravelDistance; FIFO-available riggers match regardless of distance.
+userSchema.statics.findRiggersNear = async function(origin, { maxDistance = 50, query = {}, includeFifo = true, projection = null, skip = 0, limit = 20 } = {}) {
+  const radiusMetres = maxDistance * 1000;
+  const reachable = {
+    $expr: {
+      $lte: [
+        '$distance',
+        { $min: [radiusMetres, { $multiply: [{ $ifNull: ['$riggerProfile.maximumTravelDistance', 50] }, 1000] }] }
+      ]
+    }
+  };
+
+  const pipeline = [
+    {
+      $geoNear: {
+        near: toGeoJSONPoint(origin.latitude, origin.longitude),
+        key: 'riggerProfile.homeBase.point',
+        distanceField: 'distance',
+        query: { ...query, userType: 'rigger' },
+        spherical: true
+      }
+    },
+    {
+      $match: includeFifo
+        ? { $or: [reachable, { 'riggerProfile.fifoAvailable': true }] }
+        : reachable
+    },
+    {
+      $addFields: {
+        withinTravelRange: reachable.$expr
+      }
+    }
+  ];
+
+  if (projection) {
+    pipeline.push({ $project: { ...projection, distance: 1, withinTravelRange: 1 } });
+  }
+
+  pipeline.push({
+    $facet: {
+      users: [{ $skip: skip }, { $limit: limit }],
+      total: [{ $count: 'count' }]
+    }
+  });
+
+  const [result] = await this.aggregate(pipeline);
+
+  return {
+    users: result.users,
+    total: result.total.length ? result.total[0].count : 0
+  };
+};
+
+// Static method to find emergency-available riggers within a radius who hold
+// valid, unexpired tickets for every required certification
+userSchema.statics.findEmergencyResponders = function(origin, radiusKm, requiredCertifications = [], excludeIds = [], limit = 20) {
+  const now = new Date();
+  const query = {
+    userType: 'rigger',
+    isActive: true,
+    _id: { $nin: excludeIds },
+    'riggerProfile.emergencyAvailable': true,
+    'riggerProfile.availability.status': 'available'
+  };
+
+  if (requiredCertifications.length) {
+    query['riggerProfile.certifications'] = {
+      $all: requiredCertifications.map(name => ({
+        $elemMatch: { name, isValid: true, expiryDate: { $gt: now } }
+      }))
+    };
+  }
+
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: toGeoJSONPoint(origin.latitude, origin.longitude),
+        key: 'riggerProfile.homeBase.point',
+        distanceField: 'distance',
+        maxDistance: radiusKm * 1000,
+        query,
+        spherical: true
+      }
+    },
+    { $limit: limit },
+    { $project: { firstName: 1, lastName: 1, email: 1, phoneNumber: 1, distance: 1 } }
+  ]);
+};
+
+// Static method to find riggers holding a valid ticket that expires by the given date
+userSchema.statics.findWithCertificationsExpiringBy = function(date) {
+  return this.find({
+    userType: 'rigger',
+    'riggerProfile.certifications': {
+      $elemMatch: { isValid: { $ne: false }, expiryDate: { $lte: date } }
+    }
+  });
+};
+
+// Static method to find accounts whose deletion grace period has ended
+userSchema.statics.findDueForErasure = function(now = new Date()) {
+  return this.find({ deletionScheduledFor: { $lte: now }, anonymisedAt: null });
+};
+
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
@@ -262,6 +432,113 @@ userSchema.methods.verifyTwoFactorToken = function(token) {
   return hashedToken === this.twoFactorVerificationToken;
 };
 
+// Instance method to generate a calendar feed token, replacing any earlier one
+userSchema.methods.generateCalendarFeedToken = function() {
+  const crypto = require('crypto');
+  const feedToken = crypto.randomBytes(32).toString('hex');
+  
+  this.calendarFeedToken = crypto
+    .createHash('sha256')
+    .update(feedToken)
+    .digest('hex');
+  
+  this.calendarFeedCreatedAt = new Date();
+  this.calendarFeedLastAccessedAt = undefined;
+  
+  return feedToken;
+};
+
+// Instance method to revoke the calendar feed token
+userSchema.methods.revokeCalendarFeedToken = function() {
+  this.calendarFeedToken = undefined;
+  this.calendarFeedCreatedAt = undefined;
+  this.calendarFeedLastAccessedAt = undefined;
+};
+
+// Static method to find an active user by calendar feed token
+userSchema.statics.findByCalendarFeedToken = function(feedToken) {
+  const crypto = require('crypto');
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(feedToken)
+    .digest('hex');
+  
+  return this.findOne({ calendarFeedToken: hashedToken, isActive: true });
+};
+
+// Instance method to start the deletion grace period; the account is deactivated until then (does not save)
+userSchema.methods.scheduleDeletion = function(graceDays, now = new Date()) {
+  if (this.deletionScheduledFor) {
+    throw new AppError('Account deletion has already been requested', 409, 'Deletion Already Scheduled');
+  }
+
+  this.deletionRequestedAt = now;
+  this.deletionScheduledFor = new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000);
+  this.isActive = false;
+  this.revokeCalendarFeedToken();
+  return this;
+};
+
+// Instance method to cancel a requested deletion during the grace period (does not save)
+userSchema.methods.cancelDeletion = function() {
+  if (!this.deletionScheduledFor || this.anonymisedAt) {
+    throw new AppError('Account is not scheduled for deletion', 409, 'Deletion Not Scheduled');
+  }
+
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+  this.isActive = true;
+  return this;
+};
+
+// Instance method to strip personal details, keeping the record so retained
+// jobs, timesheets and payments still resolve to it (does not save)
+userSchema.methods.anonymise = function(now = new Date()) {
+  const crypto = require('crypto');
+
+  this.firstName = 'Deleted';
+  this.lastName = 'User';
+  // Frees the address for a new registration
+  this.email = `deleted-${this._id}@deleted.invalid`;
+  this.password = crypto.randomBytes(32).toString('hex');
+  this.phoneNumber = '';
+  this.profileImageURL = undefined;
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorBackupCodes = [];
+  this.twoFactorVerificationToken = undefined;
+  this.twoFactorVerificationExpires = undefined;
+  this.revokeCalendarFeedToken();
+
+  if (this.riggerProfile) {
+    this.riggerProfile.certifications = [];
+    this.riggerProfile.insurance = undefined;
+    this.riggerProfile.homeBase = undefined;
+    this.riggerProfile.availability = undefined;
+    this.riggerProfile.safetyRecord = undefined;
+    this.riggerProfile.preferredLocations = [];
+    this.riggerProfile.equipmentOwned = [];
+  }
+
+  if (this.clientProfile) {
+    this.clientProfile.companyName = 'Deleted account';
+    this.clientProfile.abn = undefined;
+    this.clientProfile.primaryLocation = undefined;
+    this.clientProfile.operatingLocations = [];
+    this.clientProfile.companyDescription = undefined;
+    this.clientProfile.website = undefined;
+  }
+
+  this.isActive = false;
+  this.isVerified = false;
+  this.anonymisedAt = now;
+  return this;
+};
+
 // Transform output (remove password from JSON responses)
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
@@ -274,6 +551,7 @@ userSchema.methods.toJSON = function() {
   delete userObject.twoFactorBackupCodes;
   delete userObject.twoFactorVerificationToken;
   delete userObject.twoFactorVerificationExpires;
+  delete userObject.calendarFeedToken;
   return userObject;
 };
 
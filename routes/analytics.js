@@ -0,0 +1,67 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const jobAnalyticsService = require('../services/jobAnalyticsService');
+
+const router = express.Router();
+
+// Validation rules
+const clientAnalyticsValidation = [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('jobType').optional().isIn(Job.schema.path('jobType').enumValues).withMessage('Invalid job type'),
+  query('state').optional().trim().isLength({ min: 2, max: 3 }).withMessage('Invalid state'),
+  query('urgencyLevel').optional().isIn(Job.schema.path('urgencyLevel').enumValues).withMessage('Invalid urgency level')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// @route   GET /api/analytics/client
+// @desc    Get pipeline analytics across the client's jobs posted in a date range
+// @access  Private (Clients only)
+router.get('/client', authenticateToken, requireRole(['client']), clientAnalyticsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { from, to, jobType, state, urgencyLevel } = req.query;
+
+  if (from && to && new Date(from) > new Date(to)) {
+    throw new AppError('From date must be before to date', 400, 'Invalid Date Range');
+  }
+
+  const analytics = await jobAnalyticsService.getClientAnalytics(req.user._id, { from, to, jobType, state, urgencyLevel });
+
+  res.json({
+    success: true,
+    filters: { from, to, jobType, state, urgencyLevel },
+    ...analytics
+  });
+}));
+
+// @route   GET /api/analytics/jobs/:jobId
+// @desc    Get pipeline analytics for one job
+// @access  Private (Job owner only)
+router.get('/jobs/:jobId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const job = await Job.findOne({ _id: req.params.jobId, clientId: req.user._id });
+
+  if (!job) {
+    throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
+  }
+
+  res.json({
+    success: true,
+    analytics: await jobAnalyticsService.getJobAnalytics(job)
+  });
+}));
+
+module.exports = router;
@@ -1,8 +1,14 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const JobApplication = require('../models/JobApplication');
+const ApplicationPipeline = require('../models/ApplicationPipeline');
 const Job = require('../models/Job');
 const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const waitlistService = require('../services/waitlistService');
+const interviewService = require('../services/interviewService');
+const applicationService = require('../services/applicationService');
+const { screenApplicant } = require('../utils/applicationScreening');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 
@@ -12,7 +18,8 @@ const router = express.Router();
 const createApplicationValidation = [
   body('message').optional().trim().isLength({ max: 1000 }).withMessage('Message must not exceed 1000 characters'),
   body('availabilityInfo').optional().trim().isLength({ max: 500 }).withMessage('Availability info must not exceed 500 characters'),
-  body('relevantExperience').optional().trim().isLength({ max: 1000 }).withMessage('Relevant experience must not exceed 1000 characters')
+  body('relevantExperience').optional().trim().isLength({ max: 1000 }).withMessage('Relevant experience must not exceed 1000 characters'),
+  body('positionId').optional().isMongoId().withMessage('Invalid position')
 ];
 
 const updateApplicationValidation = [
@@ -26,6 +33,28 @@ const rateApplicationValidation = [
   body('review').optional().trim().isLength({ max: 500 }).withMessage('Review must not exceed 500 characters')
 ];
 
+const stageNoteValidation = [
+  body('note').trim().isLength({ min: 1, max: 1000 }).withMessage('Note must be between 1-1000 characters')
+];
+
+const moveStageValidation = [
+  body('stage').trim().notEmpty().withMessage('Stage is required'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note must not exceed 1000 characters')
+];
+
+const rateOfferValidation = [
+  body('rate').isFloat({ min: 0 }).withMessage('Rate must be a positive number'),
+  body('message').optional().trim().isLength({ max: 500 }).withMessage('Message must not exceed 500 characters'),
+  body('expiresInHours').optional().isInt({ min: 1, max: 336 }).withMessage('Offer expiry must be between 1-336 hours')
+];
+
+const listApplicationsValidation = [
+  query('screening').optional().isIn(['passed', 'failed']).withMessage('Screening must be passed or failed')
+];
+
+// Recruiter notes and stage history are internal to the client
+const RECRUITER_ONLY_FIELDS = ['stageHistory', 'stageNotes'];
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -39,54 +68,57 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// @route   POST /api/applications/:jobId
-// @desc    Apply for a job
-// @access  Private (Riggers only)
-router.post('/:jobId', authenticateToken, requireRole(['rigger']), createApplicationValidation, handleValidationErrors, asyncHandler(async (req, res) => {
-  const { message, availabilityInfo, relevantExperience } = req.body;
-
-  const job = await Job.findById(req.params.jobId);
-  if (!job) {
-    throw new AppError('Job not found', 404, 'Job Not Found');
-  }
-
-  if (job.status !== 'open') {
-    throw new AppError('Job is not accepting applications', 400, 'Job Not Open');
-  }
-
-  // Check if user already applied
-  const existingApplication = await JobApplication.findOne({
-    job: req.params.jobId,
-    applicant: req.user._id
+// The application and the caller's side of it, for either party to a rate negotiation
+const findApplicationForParty = async (applicationId, user) => {
+  const application = await JobApplication.findOne({
+    _id: applicationId,
+    $or: [{ applicantId: user._id }, { clientId: user._id }]
   });
 
-  if (existingApplication) {
-    throw new AppError('You have already applied for this job', 400, 'Duplicate Application');
+  if (!application) {
+    throw new AppError('Application not found or not authorized', 404, 'Application Not Found');
   }
 
-  // Check if job has reached max applicants
-  if (job.maxApplicants && job.currentApplicants >= job.maxApplicants) {
-    throw new AppError('Job has reached maximum number of applicants', 400, 'Max Applicants Reached');
-  }
+  const role = application.applicantId.toString() === user._id.toString() ? 'rigger' : 'client';
+  return { application, role };
+};
 
-  const application = new JobApplication({
-    job: req.params.jobId,
-    applicant: req.user._id,
-    message,
-    availabilityInfo,
-    relevantExperience
-  });
+const serializeNegotiation = (application, job) => {
+  const position = job && job.isCrewJob ? job.positions.id(application.positionId) : null;
+  const pendingOffer = application.pendingRateOffer();
+
+  return {
+    postedRate: position ? position.rate : (job ? job.postedRate || job.rate : undefined),
+    agreedRate: application.agreedRate,
+    rateAgreedAt: application.rateAgreedAt,
+    pendingOffer,
+    offers: application.rateOffers
+  };
+};
 
-  await application.save();
+const notifyOtherParty = (application, role, title, message) => notificationService.notify(
+  role === 'rigger' ? application.clientId : application.applicantId,
+  { title, message, relatedJob: application.jobId, sender: role === 'rigger' ? application.applicantId : application.clientId, actionUrl: `/applications/${application._id}` }
+);
+
+// @route   POST /api/applications/:jobId
+// @desc    Apply for a job
+// @access  Private (Riggers only)
+router.post('/:jobId', authenticateToken, requireRole(['rigger']), createApplicationValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { application, screening } = await applicationService.apply(req.params.jobId, req.user, req.body);
 
   // Populate the saved application
-  await application.populate('job', 'title description hourlyRate location.address postedBy');
-  await application.populate('job.postedBy', 'firstName lastName clientProfile.companyName');
+  await application.populate({
+    path: 'jobId',
+    select: 'title description rate location.address clientId',
+    populate: { path: 'clientId', select: 'firstName lastName clientProfile.companyName' }
+  });
 
   res.status(201).json({
     success: true,
-    message: 'Application submitted successfully',
-    application
+    message: application.submittedMessage(),
+    application,
+    screening
   });
 }));
 
@@ -98,11 +130,12 @@ router.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
 
   if (req.user.userType === 'rigger') {
     // Stats for riggers
-    const applications = await JobApplication.find({ applicant: req.user._id });
+    const applications = await JobApplication.find({ applicantId: req.user._id });
     
     stats = {
       totalApplications: applications.length,
       pendingApplications: applications.filter(app => app.status === 'pending').length,
+      waitlistedApplications: applications.filter(app => app.status === 'waitlisted').length,
       acceptedApplications: applications.filter(app => app.status === 'accepted').length,
       rejectedApplications: applications.filter(app => app.status === 'rejected').length,
       withdrawnApplications: applications.filter(app => app.status === 'withdrawn').length,
@@ -112,17 +145,17 @@ router.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
 
   } else if (req.user.userType === 'client') {
     // Stats for clients
-    const clientJobs = await Job.find({ postedBy: req.user._id });
-    const jobIds = clientJobs.map(job => job._id);
-    const applications = await JobApplication.find({ job: { $in: jobIds } });
+    const clientJobs = await Job.find({ clientId: req.user._id });
+    const applications = await JobApplication.find({ clientId: req.user._id });
     
     stats = {
       totalJobsPosted: clientJobs.length,
       totalApplicationsReceived: applications.length,
       pendingReviews: applications.filter(app => app.status === 'pending').length,
+      waitlistedApplications: applications.filter(app => app.status === 'waitlisted').length,
       acceptedApplications: applications.filter(app => app.status === 'accepted').length,
       rejectedApplications: applications.filter(app => app.status === 'rejected').length,
-      activeJobs: clientJobs.filter(job => ['open', 'assigned', 'in_progress'].includes(job.status)).length,
+      activeJobs: clientJobs.filter(job => ['posted', 'assigned', 'in_progress'].includes(job.status)).length,
       completedJobs: clientJobs.filter(job => job.status === 'completed').length
     };
   }
@@ -136,40 +169,40 @@ router.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
 // @route   GET /api/applications
 // @desc    Get current user's applications (riggers) or applications to their jobs (clients)
 // @access  Private
-router.get('/', authenticateToken, asyncHandler(async (req, res) => {
-  const { status, page = 1, limit = 20, sortBy = 'appliedAt', sortOrder = 'desc' } = req.query;
+router.get('/', authenticateToken, listApplicationsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20, sortBy = 'applicationDate', sortOrder = 'desc' } = req.query;
   const skip = (parseInt(page) - 1) * parseInt(limit);
   let query = {};
 
   // Build query based on user type
   if (req.user.userType === 'rigger') {
-    query.applicant = req.user._id;
+    query.applicantId = req.user._id;
   } else if (req.user.userType === 'client') {
-    // Find jobs posted by this client
-    const clientJobs = await Job.find({ postedBy: req.user._id }).select('_id');
-    const jobIds = clientJobs.map(job => job._id);
-    query.job = { $in: jobIds };
+    query.clientId = req.user._id;
   }
 
   if (status) query.status = status;
+  if (req.query.screening) query['screening.result'] = req.query.screening;
 
   const sortOptions = {};
   sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
   let populateFields;
   if (req.user.userType === 'rigger') {
-    populateFields = [
-      { path: 'job', select: 'title description location hourlyRate status duration.startDate postedBy type urgency' },
-      { path: 'job.postedBy', select: 'firstName lastName clientProfile.companyName clientProfile.rating' }
-    ];
+    populateFields = [{
+      path: 'jobId',
+      select: 'title description location rate status startDate clientId jobType urgencyLevel',
+      populate: { path: 'clientId', select: 'firstName lastName clientProfile.companyName clientProfile.rating' }
+    }];
   } else {
     populateFields = [
-      { path: 'applicant', select: 'firstName lastName riggerProfile.rating riggerProfile.specializations riggerProfile.experienceLevel riggerProfile.completedJobs profilePicture' },
-      { path: 'job', select: 'title status type urgency' }
+      { path: 'applicantId', select: 'firstName lastName riggerProfile.rating riggerProfile.specializations riggerProfile.experienceLevel riggerProfile.completedJobs profilePicture' },
+      { path: 'jobId', select: 'title status jobType urgencyLevel' }
     ];
   }
 
   const applications = await JobApplication.find(query)
+    .select(req.user.userType === 'rigger' ? RECRUITER_ONLY_FIELDS.map(field => `-${field}`).join(' ') : '')
     .populate(populateFields)
     .skip(skip)
     .limit(parseInt(limit))
@@ -196,9 +229,12 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
 // @access  Private (Application owner or job owner)
 router.get('/:applicationId', authenticateToken, asyncHandler(async (req, res) => {
   const application = await JobApplication.findById(req.params.applicationId)
-    .populate('applicant', 'firstName lastName riggerProfile profilePicture')
-    .populate('job', 'title description location hourlyRate status postedBy type urgency duration')
-    .populate('job.postedBy', 'firstName lastName clientProfile.companyName')
+    .populate('applicantId', 'firstName lastName riggerProfile profilePicture')
+    .populate({
+      path: 'jobId',
+      select: 'title description location rate status clientId jobType urgencyLevel duration startDate',
+      populate: { path: 'clientId', select: 'firstName lastName clientProfile.companyName' }
+    })
     .lean();
 
   if (!application) {
@@ -206,13 +242,17 @@ router.get('/:applicationId', authenticateToken, asyncHandler(async (req, res) =
   }
 
   // Check if user has permission to view this application
-  const isApplicant = application.applicant._id.toString() === req.user._id.toString();
-  const isJobOwner = application.job.postedBy._id.toString() === req.user._id.toString();
+  const isApplicant = application.applicantId._id.toString() === req.user._id.toString();
+  const isJobOwner = application.clientId.toString() === req.user._id.toString();
 
   if (!isApplicant && !isJobOwner) {
     throw new AppError('Not authorized to view this application', 403, 'Unauthorized');
   }
 
+  if (!isJobOwner) {
+    RECRUITER_ONLY_FIELDS.forEach(field => delete application[field]);
+  }
+
   res.json({
     success: true,
     application
@@ -225,7 +265,7 @@ router.get('/:applicationId', authenticateToken, asyncHandler(async (req, res) =
 router.put('/:applicationId', authenticateToken, requireRole(['rigger']), updateApplicationValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const application = await JobApplication.findOne({
     _id: req.params.applicationId,
-    applicant: req.user._id
+    applicantId: req.user._id
   });
 
   if (!application) {
@@ -249,7 +289,7 @@ router.put('/:applicationId', authenticateToken, requireRole(['rigger']), update
     req.params.applicationId,
     { ...updates, updatedAt: new Date() },
     { new: true, runValidators: true }
-  ).populate('job', 'title description hourlyRate location.address');
+  ).populate('jobId', 'title description rate location.address');
 
   res.json({
     success: true,
@@ -264,7 +304,7 @@ router.put('/:applicationId', authenticateToken, requireRole(['rigger']), update
 router.delete('/:applicationId', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
   const application = await JobApplication.findOne({
     _id: req.params.applicationId,
-    applicant: req.user._id
+    applicantId: req.user._id
   });
 
   if (!application) {
@@ -275,9 +315,11 @@ router.delete('/:applicationId', authenticateToken, requireRole(['rigger']), asy
     throw new AppError('Cannot withdraw an accepted application', 400, 'Cannot Withdraw');
   }
 
-  application.status = 'withdrawn';
-  application.withdrawnAt = new Date();
-  await application.save();
+  await application.withdraw();
+
+  // Give the place to the next rigger on the waitlist
+  await waitlistService.promoteNext(application.jobId);
+  await interviewService.cancelClosedInterviews(application.jobId, req.user._id);
 
   res.json({
     success: true,
@@ -289,69 +331,203 @@ router.delete('/:applicationId', authenticateToken, requireRole(['rigger']), asy
 // @desc    Review an application (accept/reject)
 // @access  Private (Job owner only)
 router.put('/:applicationId/review', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
-  const { status, message } = req.body;
+  const application = await applicationService.review({ _id: req.params.applicationId }, req.user, req.body);
+
+  res.json({
+    success: true,
+    message: `Application ${req.body.status} successfully`,
+    application
+  });
+}));
+
+// @route   PUT /api/applications/:applicationId/shortlist
+// @desc    Add an application to, or remove it from, the shortlist
+// @access  Private (Job owner only)
+router.put('/:applicationId/shortlist', authenticateToken, requireRole(['client']), [
+  body('shortlisted').optional().isBoolean().withMessage('Shortlisted must be true or false')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const application = await JobApplication.findOne({ _id: req.params.applicationId, clientId: req.user._id });
 
-  if (!['accepted', 'rejected'].includes(status)) {
-    throw new AppError('Invalid status. Must be accepted or rejected', 400, 'Invalid Status');
+  if (!application) {
+    throw new AppError('Application not found or not authorized', 404, 'Application Not Found');
   }
 
-  const application = await JobApplication.findById(req.params.applicationId)
-    .populate('job', 'postedBy status')
-    .populate('applicant', 'firstName lastName');
+  const shortlisted = req.body.shortlisted !== false && req.body.shortlisted !== 'false';
+  await application.shortlist(shortlisted);
+
+  res.json({
+    success: true,
+    message: shortlisted ? 'Application shortlisted' : 'Application removed from shortlist',
+    application
+  });
+}));
+
+// @route   PUT /api/applications/:applicationId/stage
+// @desc    Move a pending application to another stage of the client's pipeline
+// @access  Private (Job owner only)
+router.put('/:applicationId/stage', authenticateToken, requireRole(['client']), moveStageValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const application = await JobApplication.findOne({ _id: req.params.applicationId, clientId: req.user._id });
 
   if (!application) {
-    throw new AppError('Application not found', 404, 'Application Not Found');
+    throw new AppError('Application not found or not authorized', 404, 'Application Not Found');
+  }
+
+  const pipeline = await ApplicationPipeline.forClient(req.user._id);
+  await application.moveToStage(pipeline, req.body.stage, req.user._id, req.body.note);
+
+  res.json({
+    success: true,
+    message: `Application moved to ${pipeline.findStage(application.stage).name}`,
+    application
+  });
+}));
+
+// @route   GET /api/applications/:applicationId/notes
+// @desc    Get an application's stage history and recruiter notes
+// @access  Private (Job owner only)
+router.get('/:applicationId/notes', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const application = await JobApplication.findOne({ _id: req.params.applicationId, clientId: req.user._id })
+    .select('stage stageHistory stageNotes')
+    .populate('stageHistory.changedBy', 'firstName lastName')
+    .populate('stageNotes.authorId', 'firstName lastName');
+
+  if (!application) {
+    throw new AppError('Application not found or not authorized', 404, 'Application Not Found');
   }
 
-  // Check if user owns the job
-  if (application.job.postedBy.toString() !== req.user._id.toString()) {
-    throw new AppError('Not authorized to review this application', 403, 'Unauthorized');
+  res.json({
+    success: true,
+    stage: application.stage,
+    history: application.stageHistory,
+    notes: application.stageNotes
+  });
+}));
+
+// @route   POST /api/applications/:applicationId/notes
+// @desc    Add a recruiter note against the application's current stage
+// @access  Private (Job owner only)
+router.post('/:applicationId/notes', authenticateToken, requireRole(['client']), stageNoteValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const application = await JobApplication.findOne({ _id: req.params.applicationId, clientId: req.user._id });
+
+  if (!application) {
+    throw new AppError('Application not found or not authorized', 404, 'Application Not Found');
   }
 
-  if (application.status !== 'pending') {
-    throw new AppError('Application has already been reviewed', 400, 'Already Reviewed');
+  await application.addStageNote(req.body.note, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Note added',
+    note: application.stageNotes[application.stageNotes.length - 1]
+  });
+}));
+
+// @route   POST /api/applications/:applicationId/screen
+// @desc    Re-run automatic screening against the applicant's current profile (never auto-rejects)
+// @access  Private (Job owner only)
+router.post('/:applicationId/screen', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const application = await JobApplication.findOne({ _id: req.params.applicationId, clientId: req.user._id });
+
+  if (!application) {
+    throw new AppError('Application not found or not authorized', 404, 'Application Not Found');
   }
 
-  if (application.job.status !== 'open') {
-    throw new AppError('Cannot review applications for jobs that are not open', 400, 'Job Not Open');
+  const [job, applicant] = await Promise.all([
+    Job.findById(application.jobId),
+    User.findById(application.applicantId).select('riggerProfile')
+  ]);
+
+  if (!job || !applicant) {
+    throw new AppError('Job or applicant no longer exists', 404, 'Not Found');
   }
 
-  application.status = status;
-  application.reviewedAt = new Date();
-  if (message) application.reviewMessage = message;
-
-  if (status === 'accepted') {
-    // Assign job to the applicant
-    const job = await Job.findByIdAndUpdate(
-      application.job._id,
-      { 
-        assignedTo: application.applicant._id,
-        status: 'assigned'
-      },
-      { new: true }
-    );
-
-    // Reject all other pending applications for this job
-    await JobApplication.updateMany(
-      { 
-        job: application.job._id, 
-        status: 'pending', 
-        _id: { $ne: req.params.applicationId } 
-      },
-      { 
-        status: 'rejected', 
-        reviewedAt: new Date(),
-        rejectionReason: 'Position filled by another candidate'
-      }
-    );
+  const screening = application.recordScreening(screenApplicant({
+    profile: applicant.riggerProfile,
+    job,
+    position: job.isCrewJob ? job.positions.id(application.positionId) : null
+  }));
+  await application.save();
+
+  res.json({
+    success: true,
+    message: `Screening ${screening.result}`,
+    screening
+  });
+}));
+
+// @route   GET /api/applications/:applicationId/negotiation
+// @desc    Get the rate negotiation on an application
+// @access  Private (Applicant or job owner)
+router.get('/:applicationId/negotiation', authenticateToken, asyncHandler(async (req, res) => {
+  const { application } = await findApplicationForParty(req.params.applicationId, req.user);
+  const job = await Job.findById(application.jobId).select('title rate postedRate positions');
+
+  // Record offers that expired since the negotiation was last touched
+  if (application.expireRateOffer()) {
+    await application.save();
   }
 
+  res.json({
+    success: true,
+    negotiation: serializeNegotiation(application, job)
+  });
+}));
+
+// @route   POST /api/applications/:applicationId/offers
+// @desc    Offer a rate, or counter the other party's pending offer
+// @access  Private (Applicant or job owner)
+router.post('/:applicationId/offers', authenticateToken, requireRole(['rigger', 'client']), rateOfferValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { application, role } = await findApplicationForParty(req.params.applicationId, req.user);
+  const { rate, message, expiresInHours } = req.body;
+
+  const countering = application.pendingRateOffer();
+  const offer = application.offerRate(role, req.user._id, {
+    rate: parseFloat(rate),
+    message,
+    expiresAt: expiresInHours ? new Date(Date.now() + parseInt(expiresInHours) * 60 * 60 * 1000) : undefined
+  });
+  await application.save();
+
+  const job = await Job.findById(application.jobId).select('title rate postedRate positions');
+  await notifyOtherParty(
+    application, role,
+    countering ? 'Rate counter-offer' : 'Rate offer',
+    `${countering ? 'Counter-offer' : 'Offer'} of $${offer.rate}/hr for "${job ? job.title : 'your job'}"${offer.expiresAt ? `, open until ${offer.expiresAt.toISOString()}` : ''}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: countering ? 'Counter-offer sent' : 'Offer sent',
+    offer,
+    negotiation: serializeNegotiation(application, job)
+  });
+}));
+
+// @route   PUT /api/applications/:applicationId/offers/:offerId/(accept|decline|withdraw)
+// @desc    Accept or decline the other party's offer, or withdraw your own
+// @access  Private (Applicant or job owner)
+router.put('/:applicationId/offers/:offerId/:action(accept|decline|withdraw)', authenticateToken, requireRole(['rigger', 'client']), asyncHandler(async (req, res) => {
+  const { application, role } = await findApplicationForParty(req.params.applicationId, req.user);
+  const decisions = { accept: 'accepted', decline: 'declined', withdraw: 'withdrawn' };
+  const decision = decisions[req.params.action];
+
+  const offer = application.respondToRateOffer(req.params.offerId, role, decision);
   await application.save();
 
+  const job = await Job.findById(application.jobId).select('title rate postedRate positions');
+  await notifyOtherParty(
+    application, role,
+    `Rate offer ${decision}`,
+    decision === 'accepted'
+      ? `A rate of $${offer.rate}/hr has been agreed for "${job ? job.title : 'your job'}"`
+      : `The offer of $${offer.rate}/hr for "${job ? job.title : 'your job'}" was ${decision}`
+  );
+
   res.json({
     success: true,
-    message: `Application ${status} successfully`,
-    application
+    message: `Offer ${decision}`,
+    offer,
+    negotiation: serializeNegotiation(application, job)
   });
 }));
 
@@ -361,20 +537,15 @@ router.put('/:applicationId/review', authenticateToken, requireRole(['client']),
 router.post('/:applicationId/rate', authenticateToken, requireRole(['client']), rateApplicationValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const { rating, review } = req.body;
 
-  const application = await JobApplication.findById(req.params.applicationId)
-    .populate('job', 'postedBy status')
-    .populate('applicant', 'firstName lastName');
+  const application = await JobApplication.findOne({ _id: req.params.applicationId, clientId: req.user._id })
+    .populate('jobId', 'status')
+    .populate('applicantId', 'firstName lastName');
 
   if (!application) {
-    throw new AppError('Application not found', 404, 'Application Not Found');
-  }
-
-  // Check if user owns the job
-  if (application.job.postedBy.toString() !== req.user._id.toString()) {
-    throw new AppError('Not authorized to rate this application', 403, 'Unauthorized');
+    throw new AppError('Application not found or not authorized', 404, 'Application Not Found');
   }
 
-  if (application.status !== 'accepted' || application.job.status !== 'completed') {
+  if (application.status !== 'accepted' || application.jobId.status !== 'completed') {
     throw new AppError('Can only rate applications for completed jobs', 400, 'Job Not Completed');
   }
 
@@ -389,14 +560,14 @@ router.post('/:applicationId/rate', authenticateToken, requireRole(['client']),
 
   // Update rigger's average rating
   const riggerApplications = await JobApplication.find({
-    applicant: application.applicant._id,
+    applicantId: application.applicantId._id,
     rating: { $exists: true, $ne: null }
   });
 
   const averageRating = riggerApplications.reduce((sum, app) => sum + app.rating, 0) / riggerApplications.length;
 
   await User.findByIdAndUpdate(
-    application.applicant._id,
+    application.applicantId._id,
     { 'riggerProfile.rating': parseFloat(averageRating.toFixed(2)) }
   );
 
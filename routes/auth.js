@@ -5,6 +5,7 @@ const nodemailer = require('nodemailer');
 const User = require('../models/User');
 const { generateTokens, verifyRefreshToken, authenticateToken } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const accountErasureService = require('../services/accountErasureService');
 
 const router = express.Router();
 
@@ -144,6 +145,11 @@ router.post('/login', signInValidation, handleValidationErrors, asyncHandler(asy
     throw new AppError('Invalid email or password', 401, 'Authentication Failed');
   }
 
+  // Accounts waiting to be deleted can only be restored; say so once the password is confirmed
+  if (user.deletionScheduledFor && !user.anonymisedAt && await user.comparePassword(password)) {
+    throw new AppError(`Your account is scheduled for deletion on ${user.deletionScheduledFor.toISOString().slice(0, 10)}. Restore it to sign in again.`, 401, 'Account Deletion Scheduled');
+  }
+
   // Check if account is active
   if (!user.isActive) {
     throw new AppError('Account is deactivated', 401, 'Account Deactivated');
@@ -194,6 +200,25 @@ router.post('/login', signInValidation, handleValidationErrors, asyncHandler(asy
   });
 }));
 
+// @route   POST /api/auth/restore-account
+// @desc    Cancel a requested account deletion during the grace period
+// @access  Public
+router.post('/restore-account', signInValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const user = await User.findOne({ email });
+  if (!user || !(await user.comparePassword(password))) {
+    throw new AppError('Invalid email or password', 401, 'Authentication Failed');
+  }
+
+  await accountErasureService.cancelDeletion(user);
+
+  res.json({
+    success: true,
+    message: 'Your account has been restored. Sign in to continue.'
+  });
+}));
+
 // @route   POST /api/auth/verify-2fa
 // @desc    Verify two-factor authentication token
 // @access  Public
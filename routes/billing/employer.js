@@ -4,6 +4,7 @@ const { authenticateToken, requireRole } = require('../../middleware/auth');
 const { asyncHandler, AppError } = require('../../middleware/errorHandler');
 const BillingService = require('../../services/payment/BillingService');
 const { PaymentTransaction, Subscription, Invoice } = require('../../models/payment/PaymentModels');
+const Job = require('../../models/Job');
 
 const router = express.Router();
 
@@ -193,6 +194,38 @@ router.post('/recruitment-fee',
   })
 );
 
+// @route   POST /api/billing/employer/jobs/:jobId/invoice
+// @desc    Generate an itemised invoice for a completed job from its award cost breakdown
+// @access  Private (Employers only)
+router.post('/jobs/:jobId/invoice',
+  authenticateToken,
+  requireRole(['client', 'employer']),
+  asyncHandler(async (req, res) => {
+    const job = await Job.findOne({ _id: req.params.jobId, clientId: req.user._id });
+
+    if (!job) {
+      throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
+    }
+
+    if (job.status !== 'completed') {
+      throw new AppError('Invoices can only be generated for completed jobs', 400, 'Job Not Completed');
+    }
+
+    const existing = await Invoice.findOne({ userId: req.user._id, type: 'job_fee', 'items.metadata.jobId': job._id });
+    if (existing) {
+      throw new AppError('An invoice has already been generated for this job', 409, 'Invoice Exists');
+    }
+
+    const invoice = await BillingService.generateJobInvoice(job);
+
+    res.status(201).json({
+      success: true,
+      message: 'Job invoice generated successfully',
+      invoice
+    });
+  })
+);
+
 // @route   GET /api/billing/employer/invoices
 // @desc    Get employer invoices
 // @access  Private (Employers only)
@@ -0,0 +1,84 @@
+const express = require('express');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const calendarFeedService = require('../services/calendarFeedService');
+
+const router = express.Router();
+
+const feedUrls = (req, token) => {
+  const httpUrl = `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+  return { httpUrl, webcalUrl: httpUrl.replace(/^https?:/, 'webcal:') };
+};
+
+// @route   GET /api/calendar/feed
+// @desc    Get the status of the current user's calendar feed
+// @access  Private
+router.get('/feed', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('calendarFeedToken calendarFeedCreatedAt calendarFeedLastAccessedAt');
+
+  res.json({
+    success: true,
+    feed: {
+      active: Boolean(user.calendarFeedToken),
+      createdAt: user.calendarFeedCreatedAt,
+      lastAccessedAt: user.calendarFeedLastAccessedAt
+    }
+  });
+}));
+
+// @route   POST /api/calendar/feed
+// @desc    Create a calendar feed URL, replacing (and revoking) any earlier one
+// @access  Private
+router.post('/feed', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const token = user.generateCalendarFeedToken();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed created. Keep this link private; anyone with it can see your jobs.',
+    feed: feedUrls(req, token)
+  });
+}));
+
+// @route   DELETE /api/calendar/feed
+// @desc    Revoke the current user's calendar feed URL
+// @access  Private
+router.delete('/feed', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  user.revokeCalendarFeedToken();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Calendar feed revoked'
+  });
+}));
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    iCalendar feed of the user's jobs, for calendar app subscriptions
+// @access  Public (secret token)
+router.get('/feed/:token.ics', asyncHandler(async (req, res) => {
+  if (!/^[a-f0-9]{64}$/.test(req.params.token)) {
+    throw new AppError('Calendar feed not found', 404, 'Feed Not Found');
+  }
+
+  const user = await User.findByCalendarFeedToken(req.params.token);
+  if (!user) {
+    throw new AppError('Calendar feed not found', 404, 'Feed Not Found');
+  }
+
+  const calendar = await calendarFeedService.buildFeed(user);
+
+  await User.updateOne({ _id: user._id }, { calendarFeedLastAccessedAt: new Date() });
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="riggerhire-jobs.ics"',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(calendar);
+}));
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ChangeOrder = require('../models/ChangeOrder');
+const JobVersion = require('../models/JobVersion');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const changeOrderService = require('../services/changeOrderService');
+
+const router = express.Router();
+
+// Validation rules
+const proposeValidation = [
+  body('changes').isObject().withMessage('Changes must be an object of field: new value'),
+  body('reason').trim().isLength({ min: 5, max: 1000 }).withMessage('Reason must be between 5-1000 characters'),
+  body('effectiveFrom').optional().isISO8601().withMessage('Effective date must be a valid date')
+];
+
+const respondValidation = [
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must not exceed 500 characters')
+];
+
+const versionsValidation = [
+  query('at').optional().isISO8601().withMessage('Date must be a valid date')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// @route   GET /api/change-orders/pending
+// @desc    Get change orders waiting for the current user's response
+// @access  Private
+router.get('/pending', authenticateToken, asyncHandler(async (req, res) => {
+  const changeOrders = await ChangeOrder.find({
+    requiredApprovers: req.user._id,
+    status: 'proposed',
+    'responses.userId': { $ne: req.user._id }
+  })
+    .populate('jobId', 'title status startDate')
+    .populate('proposedBy', 'firstName lastName')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    changeOrders
+  });
+}));
+
+// @route   POST /api/change-orders/jobs/:jobId
+// @desc    Propose a change to the agreed terms of an assigned job
+// @access  Private (Job client or assigned rigger)
+router.post('/jobs/:jobId', authenticateToken, proposeValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { job } = await changeOrderService.findJobForParty(req.params.jobId, req.user._id);
+
+  const changeOrder = await changeOrderService.propose(job, req.user, {
+    changes: req.body.changes,
+    reason: req.body.reason,
+    effectiveFrom: req.body.effectiveFrom
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Change order proposed',
+    changeOrder
+  });
+}));
+
+// @route   GET /api/change-orders/jobs/:jobId
+// @desc    Get the change orders raised on a job
+// @access  Private (Job client or assigned rigger)
+router.get('/jobs/:jobId', authenticateToken, asyncHandler(async (req, res) => {
+  const { job } = await changeOrderService.findJobForParty(req.params.jobId, req.user._id);
+
+  const changeOrders = await ChangeOrder.find({ jobId: job._id })
+    .populate('proposedBy', 'firstName lastName')
+    .sort({ number: -1 });
+
+  res.json({
+    success: true,
+    currentVersion: job.version,
+    changeOrders
+  });
+}));
+
+// @route   GET /api/change-orders/jobs/:jobId/versions
+// @desc    Get the version history of a job's agreed terms, or the version in force at a date
+// @access  Private (Job client or assigned rigger)
+router.get('/jobs/:jobId/versions', authenticateToken, versionsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { job } = await changeOrderService.findJobForParty(req.params.jobId, req.user._id);
+
+  // Jobs that have never been changed have no stored versions; their current terms are version 1
+  const timeline = await JobVersion.findTimeline(job._id);
+  const versions = timeline.length ? timeline : [{
+    version: 1,
+    snapshot: JobVersion.snapshotOf(job),
+    effectiveFrom: job.createdAt
+  }];
+
+  if (req.query.at) {
+    const version = JobVersion.effectiveAt(versions, req.query.at);
+    if (!version) {
+      throw new AppError('The job had no agreed terms at that date', 404, 'Version Not Found');
+    }
+    return res.json({ success: true, version });
+  }
+
+  res.json({
+    success: true,
+    currentVersion: job.version,
+    versions
+  });
+}));
+
+// @route   PUT /api/change-orders/:changeOrderId/accept
+// @desc    Accept a change order
+// @access  Private (Other party to the job)
+router.put('/:changeOrderId/accept', authenticateToken, respondValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { changeOrder, job } = await changeOrderService.respond(req.params.changeOrderId, req.user, 'accepted', req.body.note);
+
+  res.json({
+    success: true,
+    message: changeOrder.status === 'accepted'
+      ? `Change order accepted and applied as version ${changeOrder.appliedVersion}`
+      : 'Acceptance recorded; waiting for the other parties',
+    changeOrder,
+    job
+  });
+}));
+
+// @route   PUT /api/change-orders/:changeOrderId/reject
+// @desc    Reject a change order
+// @access  Private (Other party to the job)
+router.put('/:changeOrderId/reject', authenticateToken, respondValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { changeOrder } = await changeOrderService.respond(req.params.changeOrderId, req.user, 'rejected', req.body.note);
+
+  res.json({
+    success: true,
+    message: 'Change order rejected',
+    changeOrder
+  });
+}));
+
+// @route   PUT /api/change-orders/:changeOrderId/withdraw
+// @desc    Withdraw a change order before it is settled
+// @access  Private (Proposer only)
+router.put('/:changeOrderId/withdraw', authenticateToken, asyncHandler(async (req, res) => {
+  const changeOrder = await changeOrderService.withdraw(req.params.changeOrderId, req.user);
+
+  res.json({
+    success: true,
+    message: 'Change order withdrawn',
+    changeOrder
+  });
+}));
+
+module.exports = router;
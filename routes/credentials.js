@@ -0,0 +1,99 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const LicenceCredential = require('../models/LicenceCredential');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const licenceCredentialService = require('../services/licenceCredentialService');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const verifyUrlFor = req => token => `${req.protocol}://${req.get('host')}/api/credentials/verify/${token}`;
+
+const serializeCredential = credential => ({
+  id: credential._id,
+  status: credential.statusAt(),
+  issuedAt: credential.issuedAt,
+  expiresAt: credential.expiresAt,
+  certifications: credential.certifications,
+  verificationCount: credential.verificationCount,
+  lastVerifiedAt: credential.lastVerifiedAt
+});
+
+// @route   GET /api/credentials/me
+// @desc    Get the rigger's active licence card, without its token
+// @access  Private (Riggers only)
+router.get('/me', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
+  const credential = await LicenceCredential.findActiveForUser(req.user._id);
+
+  res.json({
+    success: true,
+    credential: credential ? serializeCredential(credential) : null
+  });
+}));
+
+// @route   POST /api/credentials/me
+// @desc    Create a licence card QR code from the rigger's current certifications, revoking any earlier card
+// @access  Private (Riggers only)
+router.post('/me', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
+  const { credential, token, verifyUrl, qrCode } = await licenceCredentialService.issue(req.user._id, verifyUrlFor(req));
+
+  res.status(201).json({
+    success: true,
+    message: 'Licence card created. Show the QR code at the site gate.',
+    credential: serializeCredential(credential),
+    token,
+    verifyUrl,
+    qrCode
+  });
+}));
+
+// @route   DELETE /api/credentials/me
+// @desc    Revoke the rigger's licence card, e.g. if their phone is lost
+// @access  Private (Riggers only)
+router.delete('/me', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
+  await licenceCredentialService.revoke(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Licence card revoked'
+  });
+}));
+
+// @route   GET /api/credentials/verify/:token
+// @desc    Check a scanned licence card: signature, revocation, expiry and each certification
+// @access  Public (signed token)
+router.get('/verify/:token', asyncHandler(async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    verification: await licenceCredentialService.verify(req.params.token)
+  });
+}));
+
+// @route   POST /api/credentials/verify
+// @desc    Check a licence card token read by a scanner app
+// @access  Public (signed token)
+router.post('/verify', [
+  body('token').isString().isLength({ min: 20, max: 4000 }).withMessage('Token is required')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    verification: await licenceCredentialService.verify(req.body.token)
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const EmergencyDispatch = require('../models/EmergencyDispatch');
+const Job = require('../models/Job');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const emergencyDispatchService = require('../services/emergencyDispatchService');
+
+const router = express.Router();
+
+// Validation rules
+const declineValidation = [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// @route   POST /api/dispatch/jobs/:jobId
+// @desc    Start an emergency callout for a posted emergency job
+// @access  Private (Job owner only)
+router.post('/jobs/:jobId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const job = await Job.findOne({ _id: req.params.jobId, clientId: req.user._id });
+
+  if (!job) {
+    throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
+  }
+
+  const dispatch = await emergencyDispatchService.startDispatch(job);
+
+  res.status(201).json({
+    success: true,
+    message: 'Emergency callout started',
+    dispatch
+  });
+}));
+
+// @route   GET /api/dispatch/offers/mine
+// @desc    Get open emergency callout offers for the current rigger
+// @access  Private (Riggers only)
+router.get('/offers/mine', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
+  const dispatches = await EmergencyDispatch.findOffersForRigger(req.user._id);
+
+  const offers = dispatches.map(dispatch => {
+    const offer = dispatch.findOffer(req.user._id);
+    return {
+      dispatchId: dispatch._id,
+      job: dispatch.jobId,
+      distanceKm: offer.distanceKm,
+      offeredAt: offer.offeredAt,
+      expiresAt: offer.expiresAt
+    };
+  });
+
+  res.json({
+    success: true,
+    offers
+  });
+}));
+
+// @route   GET /api/dispatch/:dispatchId
+// @desc    Get a dispatch with its full audit trail
+// @access  Private (Job owner or offered rigger)
+router.get('/:dispatchId', authenticateToken, asyncHandler(async (req, res) => {
+  const dispatch = await EmergencyDispatch.findById(req.params.dispatchId)
+    .populate('jobId', 'title status location urgencyLevel')
+    .populate('acceptedBy', 'firstName lastName');
+
+  if (!dispatch) {
+    throw new AppError('Dispatch not found', 404, 'Dispatch Not Found');
+  }
+
+  const isClient = dispatch.clientId.toString() === req.user._id.toString();
+  const offer = dispatch.findOffer(req.user._id);
+
+  if (!isClient && !offer) {
+    throw new AppError('Not authorized to view this dispatch', 403, 'Unauthorized');
+  }
+
+  res.json({
+    success: true,
+    // Riggers only see their own offer, not who else was contacted
+    dispatch: isClient
+      ? dispatch.toObject({ virtuals: true })
+      : { _id: dispatch._id, job: dispatch.jobId, status: dispatch.status, offer }
+  });
+}));
+
+// @route   POST /api/dispatch/:dispatchId/accept
+// @desc    Accept an emergency callout; the first rigger to accept is assigned
+// @access  Private (Offered rigger only)
+router.post('/:dispatchId/accept', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
+  const { dispatch, job } = await emergencyDispatchService.acceptOffer(req.params.dispatchId, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Callout accepted. You have been assigned to the job.',
+    dispatch: { _id: dispatch._id, status: dispatch.status, acceptedAt: dispatch.acceptedAt },
+    job
+  });
+}));
+
+// @route   POST /api/dispatch/:dispatchId/decline
+// @desc    Decline an emergency callout
+// @access  Private (Offered rigger only)
+router.post('/:dispatchId/decline', authenticateToken, requireRole(['rigger']), declineValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  await emergencyDispatchService.declineOffer(req.params.dispatchId, req.user._id, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Callout declined'
+  });
+}));
+
+// @route   DELETE /api/dispatch/:dispatchId
+// @desc    Cancel a running emergency callout
+// @access  Private (Job owner only)
+router.delete('/:dispatchId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const dispatch = await EmergencyDispatch.findOne({ _id: req.params.dispatchId, clientId: req.user._id });
+
+  if (!dispatch) {
+    throw new AppError('Dispatch not found or not authorized', 404, 'Dispatch Not Found');
+  }
+
+  await emergencyDispatchService.cancelDispatch(dispatch, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Emergency callout cancelled',
+    dispatch
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const ProfileDocument = require('../models/ProfileDocument');
+const User = require('../models/User');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const documentService = require('../AutomationServer/Services/DocumentProcessor/DocumentService');
+const documentStorageService = require('../services/documentStorageService');
+
+const router = express.Router();
+
+// Validation rules
+const uploadValidation = [
+  body('kind').isIn(ProfileDocument.schema.path('kind').enumValues).withMessage('Kind must be certification or insurance')
+];
+
+const confirmValidation = [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2-100 characters'),
+  body('issuingAuthority').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Issuing authority must be between 2-100 characters'),
+  body('licenseNumber').optional().trim().isLength({ min: 3, max: 40 }).withMessage('Licence number must be between 3-40 characters'),
+  body('issueDate').optional().isISO8601().withMessage('Issue date must be a valid date'),
+  body('expiryDate').optional().isISO8601().withMessage('Expiry date must be a valid date'),
+  body('insurer').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Insurer must be between 2-100 characters'),
+  body('policyNumber').optional().trim().isLength({ min: 3, max: 40 }).withMessage('Policy number must be between 3-40 characters'),
+  body('coverageAmount').optional().isFloat({ min: 0 }).withMessage('Coverage amount must be a positive number')
+];
+
+const reviewValidation = [
+  body('status').isIn(['verified', 'rejected']).withMessage('Status must be verified or rejected')
+];
+
+const CONFIRMABLE_FIELDS = ['name', 'issuingAuthority', 'licenseNumber', 'issueDate', 'expiryDate', 'insurer', 'policyNumber', 'coverageAmount'];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Uploads are held in memory while they are processed, then written to document storage
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: documentService.maxFileSize, files: 1 }
+}).single('file');
+
+const handleDocumentUpload = (req, res, next) => {
+  documentUpload(req, res, error => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') {
+      return next(new AppError(`File must be no larger than ${Math.round(documentService.maxFileSize / (1024 * 1024))}MB`, 413, 'File Too Large'));
+    }
+    if (error) {
+      return next(new AppError(error.message, 400, 'Upload Failed'));
+    }
+    if (!req.file) {
+      return next(new AppError('Attach a PDF, JPEG or PNG in the "file" field', 400, 'File Required'));
+    }
+    next();
+  });
+};
+
+const findDocumentForUser = async (documentId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    throw new AppError('Document not found', 404, 'Document Not Found');
+  }
+
+  const query = { _id: documentId };
+  if (user.userType !== 'admin') query.userId = user._id;
+
+  const document = await ProfileDocument.findOne(query);
+  if (!document) {
+    throw new AppError('Document not found', 404, 'Document Not Found');
+  }
+  return document;
+};
+
+const serializeDocument = document => ({
+  id: document._id,
+  kind: document.kind,
+  status: document.status,
+  originalName: document.originalName,
+  mimeType: document.mimeType,
+  size: document.size,
+  pageCount: document.pageCount,
+  fileUrl: `/api/documents/${document._id}/file`,
+  thumbnailUrl: document.thumbnailKey ? `/api/documents/${document._id}/thumbnail` : null,
+  extracted: document.extracted,
+  certificationId: document.certificationId,
+  createdAt: document.createdAt,
+  confirmedAt: document.confirmedAt
+});
+
+// @route   POST /api/documents
+// @desc    Upload a licence, ticket or insurance certificate; details read from it are returned for review
+// @access  Private (Riggers only)
+router.post('/', authenticateToken, requireRole(['rigger']), handleDocumentUpload, uploadValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { kind } = req.body;
+  const processed = await documentService.process(req.file, kind);
+
+  const duplicate = await ProfileDocument.findDuplicate(processed.sha256);
+  if (duplicate && duplicate.userId.toString() === req.user._id.toString()) {
+    return res.status(409).json({
+      error: 'Duplicate Document',
+      message: 'You have already uploaded this file',
+      documentId: duplicate._id
+    });
+  }
+
+  const document = new ProfileDocument({
+    userId: req.user._id,
+    kind,
+    originalName: req.file.originalname,
+    mimeType: processed.mimeType,
+    size: processed.size,
+    sha256: processed.sha256,
+    pageCount: processed.pageCount,
+    extractedText: processed.text,
+    extracted: processed.fields,
+    duplicateOf: duplicate ? duplicate._id : undefined
+  });
+
+  document.storageKey = await documentStorageService.save(`${req.user._id}/${document._id}.${processed.extension}`, req.file.buffer);
+  if (processed.thumbnail) {
+    document.thumbnailKey = await documentStorageService.save(`${req.user._id}/${document._id}-thumbnail.png`, processed.thumbnail);
+  }
+  await document.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Document uploaded. Check the details before saving them to your profile.',
+    document: serializeDocument(document)
+  });
+}));
+
+// @route   GET /api/documents
+// @desc    List the current user's uploaded documents
+// @access  Private (Riggers only)
+router.get('/', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
+  const query = { userId: req.user._id, status: { $ne: 'discarded' } };
+  if (req.query.status) query.status = req.query.status;
+
+  const documents = await ProfileDocument.find(query).sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    documents: documents.map(serializeDocument)
+  });
+}));
+
+// @route   GET /api/documents/:documentId
+// @desc    Get an uploaded document and the details read from it
+// @access  Private (Owner or admin)
+router.get('/:documentId', authenticateToken, asyncHandler(async (req, res) => {
+  const document = await findDocumentForUser(req.params.documentId, req.user);
+
+  res.json({
+    success: true,
+    document: serializeDocument(document)
+  });
+}));
+
+// @route   GET /api/documents/:documentId/file
+// @desc    Download the uploaded file
+// @access  Private (Owner or admin)
+router.get('/:documentId/file', authenticateToken, asyncHandler(async (req, res) => {
+  const document = await findDocumentForUser(req.params.documentId, req.user);
+  if (document.status === 'discarded') {
+    throw new AppError('Document has been discarded', 410, 'Document Discarded');
+  }
+
+  // res.attachment encodes the uploaded file name (RFC 5987) rather than copying it into the header
+  res.attachment(document.originalName || 'document');
+  res.set({ 'Content-Type': document.mimeType, 'Cache-Control': 'private, no-store' });
+  res.send(await documentStorageService.read(document.storageKey));
+}));
+
+// @route   GET /api/documents/:documentId/thumbnail
+// @desc    Download the document's PNG thumbnail
+// @access  Private (Owner or admin)
+router.get('/:documentId/thumbnail', authenticateToken, asyncHandler(async (req, res) => {
+  const document = await findDocumentForUser(req.params.documentId, req.user);
+  if (!document.thumbnailKey || document.status === 'discarded') {
+    throw new AppError('No thumbnail for this document', 404, 'Thumbnail Not Found');
+  }
+
+  res.set({ 'Content-Type': 'image/png', 'Cache-Control': 'private, max-age=3600' });
+  res.send(await documentStorageService.read(document.thumbnailKey));
+}));
+
+// @route   POST /api/documents/:documentId/confirm
+// @desc    Save the reviewed details to the rigger's profile; fields sent override what was read
+// @access  Private (Riggers only)
+router.post('/:documentId/confirm', authenticateToken, requireRole(['rigger']), confirmValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const document = await findDocumentForUser(req.params.documentId, req.user);
+  const user = await User.findById(req.user._id);
+
+  const details = {};
+  CONFIRMABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) details[field] = req.body[field];
+  });
+
+  document.confirm(user, details, `/api/documents/${document._id}/file`);
+  await user.save();
+  await document.save();
+
+  res.json({
+    success: true,
+    message: document.kind === 'certification' ? 'Certification added to your profile' : 'Insurance details saved to your profile',
+    document: serializeDocument(document),
+    user: user.toJSON()
+  });
+}));
+
+// @route   PUT /api/documents/:documentId/review
+// @desc    Mark the certification confirmed from an upload as verified or rejected
+// @access  Private (Admins only)
+router.put('/:documentId/review', authenticateToken, requireRole(['admin']), reviewValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const document = await findDocumentForUser(req.params.documentId, req.user);
+  const user = await User.findById(document.userId);
+  if (!user) {
+    throw new AppError('User not found', 404, 'User Not Found');
+  }
+
+  const certification = document.reviewCertification(user, req.body.status, req.user._id);
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: `Certification ${req.body.status}`,
+    certification
+  });
+}));
+
+// @route   DELETE /api/documents/:documentId
+// @desc    Discard an upload that has not been confirmed
+// @access  Private (Riggers only)
+router.delete('/:documentId', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
+  const document = await findDocumentForUser(req.params.documentId, req.user);
+
+  document.discard();
+  await document.save();
+  await documentStorageService.remove(document.storageKey);
+  await documentStorageService.remove(document.thumbnailKey);
+
+  res.json({
+    success: true,
+    message: 'Document discarded'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const DataExport = require('../models/DataExport');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const dataExportService = require('../services/dataExportService');
+const documentStorageService = require('../services/documentStorageService');
+
+const router = express.Router();
+
+const downloadUrlFor = req => token => `${req.protocol}://${req.get('host')}/api/exports/download/${token}`;
+
+const findExportForUser = async (exportId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(exportId)) {
+    throw new AppError('Export not found', 404, 'Export Not Found');
+  }
+
+  const dataExport = await DataExport.findOne({ _id: exportId, userId: user._id });
+  if (!dataExport) {
+    throw new AppError('Export not found', 404, 'Export Not Found');
+  }
+  return dataExport;
+};
+
+const serializeExport = dataExport => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  requestedAt: dataExport.requestedAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  size: dataExport.size,
+  sections: dataExport.sections,
+  error: dataExport.status === 'failed' ? 'The export could not be prepared. Please request a new one.' : undefined,
+  downloadCount: dataExport.downloadCount
+});
+
+// @route   POST /api/exports
+// @desc    Request a copy of all data held on the current user; built in the background
+// @access  Private
+router.post('/', authenticateToken, asyncHandler(async (req, res) => {
+  const dataExport = await dataExportService.request(req.user._id);
+
+  res.status(202).json({
+    success: true,
+    message: 'Your export is being prepared. We will notify you when it is ready to download.',
+    export: serializeExport(dataExport)
+  });
+}));
+
+// @route   GET /api/exports
+// @desc    List the current user's exports
+// @access  Private
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const exports = await DataExport.find({ userId: req.user._id }).sort({ requestedAt: -1 }).limit(20);
+
+  res.json({
+    success: true,
+    exports: exports.map(serializeExport)
+  });
+}));
+
+// @route   GET /api/exports/download/:token
+// @desc    Download an export zip
+// @access  Public (signed, short-lived link)
+router.get('/download/:token', asyncHandler(async (req, res) => {
+  const dataExport = await dataExportService.resolveDownload(req.params.token);
+  const file = await documentStorageService.read(dataExport.storageKey);
+
+  dataExport.downloadCount += 1;
+  dataExport.lastDownloadedAt = new Date();
+  await dataExport.save();
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="riggerhire-data-${dataExport.completedAt.toISOString().slice(0, 10)}.zip"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(file);
+}));
+
+// @route   GET /api/exports/:exportId
+// @desc    Get the status of an export
+// @access  Private (Owner only)
+router.get('/:exportId', authenticateToken, asyncHandler(async (req, res) => {
+  const dataExport = await findExportForUser(req.params.exportId, req.user);
+
+  res.json({
+    success: true,
+    export: serializeExport(dataExport)
+  });
+}));
+
+// @route   POST /api/exports/:exportId/link
+// @desc    Create a short-lived download link for a ready export
+// @access  Private (Owner only)
+router.post('/:exportId/link', authenticateToken, asyncHandler(async (req, res) => {
+  const dataExport = await findExportForUser(req.params.exportId, req.user);
+  const { url, expiresAt } = dataExportService.createDownloadLink(dataExport, downloadUrlFor(req));
+
+  res.json({
+    success: true,
+    downloadUrl: url,
+    expiresAt
+  });
+}));
+
+module.exports = router;
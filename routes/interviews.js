@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Interview = require('../models/Interview');
+const JobApplication = require('../models/JobApplication');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const interviewService = require('../services/interviewService');
+
+const router = express.Router();
+
+// Validation rules
+const slotsValidation = [
+  body('slots').isArray({ min: 1, max: Interview.maxSlots }).withMessage(`Offer between 1-${Interview.maxSlots} time slots`),
+  body('slots.*.start').isISO8601().withMessage('Slot start must be a valid date'),
+  body('slots.*.end').isISO8601().withMessage('Slot end must be a valid date'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must not exceed 500 characters')
+];
+
+const proposeValidation = [
+  body('type').isIn(Interview.schema.path('type').enumValues).withMessage('Type must be phone, video or site_visit'),
+  body('location').optional().trim().isLength({ max: 200 }).withMessage('Location must not exceed 200 characters'),
+  body('details').optional().trim().isLength({ max: 500 }).withMessage('Details must not exceed 500 characters'),
+  ...slotsValidation
+];
+
+const listValidation = [
+  query('status').optional().isIn(Interview.schema.path('status').enumValues).withMessage('Invalid status'),
+  query('applicationId').optional().isMongoId().withMessage('Invalid application ID')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Riggers do not see the client's outcome notes
+const serializeInterview = (interview, user) => {
+  const data = interview.toObject({ virtuals: true });
+  const clientId = interview.clientId._id || interview.clientId;
+  if (clientId.toString() !== user._id.toString()) {
+    delete data.outcomeNotes;
+  }
+  return data;
+};
+
+// @route   POST /api/interviews/applications/:applicationId
+// @desc    Offer interview or site visit times to an applicant
+// @access  Private (Clients only)
+router.post('/applications/:applicationId', authenticateToken, requireRole(['client']), proposeValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const application = await JobApplication.findOne({ _id: req.params.applicationId, clientId: req.user._id });
+
+  if (!application) {
+    throw new AppError('Application not found or not authorized', 404, 'Application Not Found');
+  }
+
+  const { type, slots, location, details, note } = req.body;
+  const interview = await interviewService.propose(application, req.user, { type, slots, location, details, note });
+
+  res.status(201).json({
+    success: true,
+    message: 'Interview times sent to the applicant',
+    interview: serializeInterview(interview, req.user),
+    slots: await interviewService.slotConflicts(interview)
+  });
+}));
+
+// @route   GET /api/interviews
+// @desc    Get the current user's interviews
+// @access  Private
+router.get('/', authenticateToken, listValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { status, applicationId, upcoming } = req.query;
+  const query = { $or: [{ clientId: req.user._id }, { riggerId: req.user._id }] };
+
+  if (status) query.status = status;
+  if (applicationId) query.applicationId = applicationId;
+  if (upcoming === 'true') query.scheduledStart = { $gte: new Date() };
+
+  const interviews = await Interview.find(query)
+    .populate('jobId', 'title location.address')
+    .populate('clientId', 'firstName lastName clientProfile.companyName')
+    .populate('riggerId', 'firstName lastName')
+    .sort({ scheduledStart: 1, createdAt: -1 });
+
+  res.json({
+    success: true,
+    interviews: interviews.map(interview => serializeInterview(interview, req.user))
+  });
+}));
+
+// @route   GET /api/interviews/:interviewId
+// @desc    Get an interview, with conflicts for any offered slots
+// @access  Private (Client or applicant)
+router.get('/:interviewId', authenticateToken, asyncHandler(async (req, res) => {
+  const interview = await interviewService.findForParty(req.params.interviewId, req.user);
+
+  res.json({
+    success: true,
+    interview: serializeInterview(interview, req.user),
+    slots: interview.status === 'proposed' ? await interviewService.slotConflicts(interview) : []
+  });
+}));
+
+// @route   GET /api/interviews/:interviewId/calendar.ics
+// @desc    Download the booked interview as a calendar event
+// @access  Private (Client or applicant)
+router.get('/:interviewId/calendar.ics', authenticateToken, asyncHandler(async (req, res) => {
+  const interview = await interviewService.findForParty(req.params.interviewId, req.user);
+
+  if (!interview.lastBookedTime()) {
+    throw new AppError('No time has been booked for this interview yet', 409, 'Not Scheduled');
+  }
+
+  const parties = await interviewService.loadParties(interview);
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="interview-${interview._id}.ics"`
+  });
+  res.send(interviewService.buildCalendar(interview, parties));
+}));
+
+// @route   PUT /api/interviews/:interviewId/select
+// @desc    Book one of the offered time slots
+// @access  Private (Applicant only)
+router.put('/:interviewId/select', authenticateToken, requireRole(['rigger']), [
+  body('slotId').isMongoId().withMessage('Invalid slot ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const interview = await interviewService.findForParty(req.params.interviewId, req.user);
+  const { conflicts } = await interviewService.selectSlot(interview, req.user, req.body.slotId);
+
+  if (conflicts.length) {
+    return res.status(409).json({
+      error: 'Schedule Conflict',
+      message: 'That time clashes with your other commitments; pick another slot or ask to reschedule',
+      conflicts
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Interview booked',
+    interview: serializeInterview(interview, req.user)
+  });
+}));
+
+// @route   PUT /api/interviews/:interviewId/reschedule
+// @desc    Clients offer new time slots; applicants ask for different times
+// @access  Private (Client or applicant)
+router.put('/:interviewId/reschedule', authenticateToken, [
+  body('slots').optional().isArray({ min: 1, max: Interview.maxSlots }).withMessage(`Offer between 1-${Interview.maxSlots} time slots`),
+  body('slots.*.start').optional().isISO8601().withMessage('Slot start must be a valid date'),
+  body('slots.*.end').optional().isISO8601().withMessage('Slot end must be a valid date'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must not exceed 500 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const interview = await interviewService.findForParty(req.params.interviewId, req.user);
+  await interviewService.reschedule(interview, req.user, { slots: req.body.slots, note: req.body.note });
+
+  res.json({
+    success: true,
+    message: interview.status === 'proposed' ? 'New times sent to the applicant' : 'Reschedule requested',
+    interview: serializeInterview(interview, req.user),
+    slots: interview.status === 'proposed' ? await interviewService.slotConflicts(interview) : []
+  });
+}));
+
+// @route   PUT /api/interviews/:interviewId/cancel
+// @desc    Cancel an interview
+// @access  Private (Client or applicant)
+router.put('/:interviewId/cancel', authenticateToken, [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const interview = await interviewService.findForParty(req.params.interviewId, req.user);
+  await interviewService.cancel(interview, req.user, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Interview cancelled',
+    interview: serializeInterview(interview, req.user)
+  });
+}));
+
+// @route   PUT /api/interviews/:interviewId/complete
+// @desc    Mark an interview as held, with private outcome notes
+// @access  Private (Clients only)
+router.put('/:interviewId/complete', authenticateToken, requireRole(['client']), [
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must not exceed 1000 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const interview = await Interview.findOne({ _id: req.params.interviewId, clientId: req.user._id });
+
+  if (!interview) {
+    throw new AppError('Interview not found or not authorized', 404, 'Interview Not Found');
+  }
+
+  interview.complete(req.user._id, req.body.notes);
+  await interview.save();
+
+  res.json({
+    success: true,
+    message: 'Interview completed',
+    interview: serializeInterview(interview, req.user)
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const JobTemplate = require('../models/JobTemplate');
+const JobSchedule = require('../models/JobSchedule');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const jobScheduleService = require('../services/jobScheduleService');
+
+const router = express.Router();
+
+// Validation rules
+const recurrenceValidation = prefix => [
+  body(`${prefix}.frequency`).optional().isIn(JobSchedule.schema.path('recurrence.frequency').enumValues).withMessage('Frequency must be daily or weekly'),
+  body(`${prefix}.interval`).optional().isInt({ min: 1, max: 12 }).withMessage('Interval must be between 1-12'),
+  body(`${prefix}.daysOfWeek`).optional().isArray({ min: 1, max: 7 }).withMessage('Days of week must be an array'),
+  body(`${prefix}.daysOfWeek.*`).isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)'),
+  body(`${prefix}.endsOn`).optional().isISO8601().withMessage('End date must be a valid date'),
+  body(`${prefix}.maxOccurrences`).optional().isInt({ min: 1, max: 366 }).withMessage('Occurrences must be between 1-366')
+];
+
+const createScheduleValidation = [
+  body('templateId').isMongoId().withMessage('Valid template ID required'),
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name must not exceed 100 characters'),
+  body('recurrence.startsOn').isISO8601().withMessage('Start date must be a valid date'),
+  ...recurrenceValidation('recurrence'),
+  body('overrides').optional().isObject().withMessage('Overrides must be an object'),
+  body('leadTimeDays').optional().isInt({ min: 1, max: 60 }).withMessage('Lead time must be between 1-60 days')
+];
+
+const updateScheduleValidation = [
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name must not exceed 100 characters'),
+  body('recurrence.startsOn').optional().isISO8601().withMessage('Start date must be a valid date'),
+  ...recurrenceValidation('recurrence'),
+  body('overrides').optional().isObject().withMessage('Overrides must be an object'),
+  body('leadTimeDays').optional().isInt({ min: 1, max: 60 }).withMessage('Lead time must be between 1-60 days')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const findClientSchedule = async (scheduleId, clientId) => {
+  const schedule = await JobSchedule.findOne({ _id: scheduleId, clientId });
+
+  if (!schedule) {
+    throw new AppError('Schedule not found or not authorized', 404, 'Schedule Not Found');
+  }
+
+  return schedule;
+};
+
+// Check the series has a definite end so it cannot run forever by accident
+const requireSeriesEnd = recurrence => {
+  if (!recurrence.endsOn && !recurrence.maxOccurrences) {
+    throw new AppError('Provide an end date or number of occurrences', 400, 'Open Ended Schedule');
+  }
+  if (recurrence.endsOn && new Date(recurrence.endsOn) < new Date(recurrence.startsOn)) {
+    throw new AppError('End date must be after start date', 400, 'Invalid Date Range');
+  }
+};
+
+// @route   POST /api/job-schedules
+// @desc    Create a recurring schedule that posts jobs from a template ahead of time
+// @access  Private (Clients only)
+router.post('/', authenticateToken, requireRole(['client']), createScheduleValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { templateId, name, recurrence, overrides = {}, leadTimeDays } = req.body;
+
+  const template = await JobTemplate.findOne({ _id: templateId, clientId: req.user._id, isActive: true });
+  if (!template) {
+    throw new AppError('Template not found or not authorized', 404, 'Template Not Found');
+  }
+
+  requireSeriesEnd(recurrence);
+
+  const schedule = new JobSchedule({
+    clientId: req.user._id,
+    templateId,
+    name: name || template.name,
+    recurrence,
+    overrides: JobTemplate.pickTemplateFields(overrides),
+    leadTimeDays
+  });
+  await schedule.save();
+
+  const jobs = await jobScheduleService.generateForSchedule(schedule);
+
+  res.status(201).json({
+    success: true,
+    message: `Recurring schedule created, ${jobs.length} job(s) posted`,
+    schedule,
+    jobs
+  });
+}));
+
+// @route   GET /api/job-schedules
+// @desc    Get current client's recurring schedules
+// @access  Private (Clients only)
+router.get('/', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const schedules = await JobSchedule.findByClient(req.user._id, req.query.status);
+
+  res.json({
+    success: true,
+    schedules
+  });
+}));
+
+// @route   GET /api/job-schedules/:scheduleId
+// @desc    Get a recurring schedule with its jobs and upcoming occurrences
+// @access  Private (Schedule owner only)
+router.get('/:scheduleId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const schedule = await findClientSchedule(req.params.scheduleId, req.user._id);
+
+  const jobs = await Job.find({ scheduleId: schedule._id })
+    .select('title status startDate endDate occurrenceDate currentApplicants assignedRiggerId')
+    .sort({ occurrenceDate: 1 });
+
+  // Occurrences over the next 8 weeks, to preview what will be posted
+  const previewEnd = new Date(Date.now() + 56 * 24 * 60 * 60 * 1000);
+  const upcomingOccurrences = ['active', 'paused'].includes(schedule.status)
+    ? schedule.occurrencesBetween(new Date(), previewEnd)
+    : [];
+
+  res.json({
+    success: true,
+    schedule,
+    jobs,
+    upcomingOccurrences
+  });
+}));
+
+// @route   PUT /api/job-schedules/:scheduleId
+// @desc    Edit a recurring schedule; applies to upcoming jobs nobody has applied for
+// @access  Private (Schedule owner only)
+router.put('/:scheduleId', authenticateToken, requireRole(['client']), updateScheduleValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const schedule = await findClientSchedule(req.params.scheduleId, req.user._id);
+  const { name, recurrence, overrides, leadTimeDays } = req.body;
+
+  if (recurrence) {
+    requireSeriesEnd({ ...schedule.recurrence.toObject(), ...recurrence });
+  }
+
+  const result = await jobScheduleService.updateSeries(schedule, { name, recurrence, overrides, leadTimeDays }, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Recurring schedule updated successfully',
+    ...result
+  });
+}));
+
+// @route   PUT /api/job-schedules/:scheduleId/pause
+// @desc    Pause a recurring schedule and put its upcoming jobs on hold
+// @access  Private (Schedule owner only)
+router.put('/:scheduleId/pause', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const schedule = await findClientSchedule(req.params.scheduleId, req.user._id);
+  const result = await jobScheduleService.pauseSeries(schedule, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Recurring schedule paused',
+    ...result
+  });
+}));
+
+// @route   PUT /api/job-schedules/:scheduleId/resume
+// @desc    Resume a paused recurring schedule
+// @access  Private (Schedule owner only)
+router.put('/:scheduleId/resume', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const schedule = await findClientSchedule(req.params.scheduleId, req.user._id);
+  const result = await jobScheduleService.resumeSeries(schedule, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Recurring schedule resumed',
+    ...result
+  });
+}));
+
+// @route   DELETE /api/job-schedules/:scheduleId
+// @desc    Cancel a recurring schedule and its upcoming unassigned jobs
+// @access  Private (Schedule owner only)
+router.delete('/:scheduleId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const schedule = await findClientSchedule(req.params.scheduleId, req.user._id);
+  const result = await jobScheduleService.cancelSeries(schedule, req.user._id, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Recurring schedule cancelled',
+    ...result
+  });
+}));
+
+module.exports = router;
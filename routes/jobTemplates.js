@@ -0,0 +1,216 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const JobTemplate = require('../models/JobTemplate');
+const JobSchedule = require('../models/JobSchedule');
+const User = require('../models/User');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Validation rules
+const templateValidation = [
+  body('name').trim().isLength({ min: 3, max: 100 }).withMessage('Template name must be between 3-100 characters'),
+  body('fromJobId').optional().isMongoId().withMessage('Invalid job ID'),
+  body('job').optional().isObject().withMessage('Job defaults must be an object'),
+  body('startTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be HH:mm'),
+  body('shiftHours').optional().isFloat({ min: 1, max: 24 }).withMessage('Shift hours must be between 1-24')
+];
+
+const updateTemplateValidation = [
+  body('name').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Template name must be between 3-100 characters'),
+  body('job').optional().isObject().withMessage('Job defaults must be an object'),
+  body('startTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be HH:mm'),
+  body('shiftHours').optional().isFloat({ min: 1, max: 24 }).withMessage('Shift hours must be between 1-24')
+];
+
+const postFromTemplateValidation = [
+  body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('overrides').optional().isObject().withMessage('Overrides must be an object')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Check template defaults would make a valid job before saving them
+const validateJobDefaults = (jobDefaults, clientId) => {
+  const probe = new Job({ ...jobDefaults, clientId, startDate: new Date() });
+  const error = probe.validateSync();
+
+  if (error) {
+    throw new AppError(
+      Object.values(error.errors).map(fieldError => fieldError.message).join(', '),
+      400,
+      'Invalid Template'
+    );
+  }
+};
+
+const findClientTemplate = async (templateId, clientId) => {
+  const template = await JobTemplate.findOne({ _id: templateId, clientId, isActive: true });
+
+  if (!template) {
+    throw new AppError('Template not found or not authorized', 404, 'Template Not Found');
+  }
+
+  return template;
+};
+
+// @route   POST /api/job-templates
+// @desc    Save a job template, from job fields or an existing job
+// @access  Private (Clients only)
+router.post('/', authenticateToken, requireRole(['client']), templateValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { name, fromJobId, job, startTime, shiftHours } = req.body;
+  let source = job;
+
+  if (fromJobId) {
+    const existingJob = await Job.findOne({ _id: fromJobId, clientId: req.user._id });
+    if (!existingJob) {
+      throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
+    }
+    source = existingJob.toObject();
+    // Positions are copied as roles only, not who filled them
+    if (source.positions) {
+      source.positions = source.positions.map(({ _id, assignedRiggerIds, ...position }) => position);
+    }
+  }
+
+  if (!source) {
+    throw new AppError('Provide job fields or a job to copy', 400, 'Missing Job Details');
+  }
+
+  const jobDefaults = JobTemplate.pickTemplateFields({ ...source, ...(fromJobId && job ? job : {}) });
+  validateJobDefaults(jobDefaults, req.user._id);
+
+  const template = new JobTemplate({
+    clientId: req.user._id,
+    name,
+    jobDefaults,
+    startTime,
+    shiftHours
+  });
+  await template.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Job template saved successfully',
+    template
+  });
+}));
+
+// @route   GET /api/job-templates
+// @desc    Get current client's job templates
+// @access  Private (Clients only)
+router.get('/', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const templates = await JobTemplate.findByClient(req.user._id);
+
+  res.json({
+    success: true,
+    templates
+  });
+}));
+
+// @route   GET /api/job-templates/:templateId
+// @desc    Get a job template
+// @access  Private (Template owner only)
+router.get('/:templateId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const template = await findClientTemplate(req.params.templateId, req.user._id);
+
+  res.json({
+    success: true,
+    template
+  });
+}));
+
+// @route   PUT /api/job-templates/:templateId
+// @desc    Update a job template. Recurring schedules pick up changes for jobs not yet posted.
+// @access  Private (Template owner only)
+router.put('/:templateId', authenticateToken, requireRole(['client']), updateTemplateValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const template = await findClientTemplate(req.params.templateId, req.user._id);
+  const { name, job, startTime, shiftHours } = req.body;
+
+  if (job) {
+    const jobDefaults = { ...template.jobDefaults, ...JobTemplate.pickTemplateFields(job) };
+    validateJobDefaults(jobDefaults, req.user._id);
+    template.jobDefaults = jobDefaults;
+    template.markModified('jobDefaults');
+  }
+  if (name !== undefined) template.name = name;
+  if (startTime !== undefined) template.startTime = startTime;
+  if (shiftHours !== undefined) template.shiftHours = shiftHours;
+
+  await template.save();
+
+  res.json({
+    success: true,
+    message: 'Job template updated successfully',
+    template
+  });
+}));
+
+// @route   DELETE /api/job-templates/:templateId
+// @desc    Delete a job template
+// @access  Private (Template owner only)
+router.delete('/:templateId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const template = await findClientTemplate(req.params.templateId, req.user._id);
+
+  const activeSchedules = await JobSchedule.countDocuments({ templateId: template._id, status: { $in: ['active', 'paused'] } });
+  if (activeSchedules > 0) {
+    throw new AppError('Cancel the recurring schedules that use this template first', 409, 'Template In Use');
+  }
+
+  template.isActive = false;
+  await template.save();
+
+  res.json({
+    success: true,
+    message: 'Job template deleted successfully'
+  });
+}));
+
+// @route   POST /api/job-templates/:templateId/post
+// @desc    Post a job from a template
+// @access  Private (Template owner only)
+router.post('/:templateId/post', authenticateToken, requireRole(['client']), postFromTemplateValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const template = await findClientTemplate(req.params.templateId, req.user._id);
+  const { date, startDate, overrides = {} } = req.body;
+
+  if (!date && !startDate) {
+    throw new AppError('Provide a date or start date for the job', 400, 'Missing Start Date');
+  }
+
+  const jobData = template.toJobData(date, { ...overrides, startDate });
+  if (jobData.startDate <= new Date()) {
+    throw new AppError('Start date must be in the future', 400, 'Invalid Start Date');
+  }
+
+  const job = new Job(jobData);
+  await job.save();
+  await template.recordUse();
+
+  // Update client's active jobs count
+  await User.findByIdAndUpdate(
+    req.user._id,
+    { $inc: { 'clientProfile.activeJobs': 1, 'clientProfile.totalJobsPosted': 1 } }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Job posted from template successfully',
+    job
+  });
+}));
+
+module.exports = router;
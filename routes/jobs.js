@@ -1,32 +1,60 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
 const Job = require('../models/Job');
 const JobApplication = require('../models/JobApplication');
 const User = require('../models/User');
+const Timesheet = require('../models/Timesheet');
+const JobImport = require('../models/JobImport');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const geocodingService = require('../services/geocodingService');
+const emergencyDispatchService = require('../services/emergencyDispatchService');
+const changeOrderService = require('../services/changeOrderService');
+const notificationService = require('../services/notificationService');
+const jobAnalyticsService = require('../services/jobAnalyticsService');
+const jobImportService = require('../services/jobImportService');
+const waitlistService = require('../services/waitlistService');
+const interviewService = require('../services/interviewService');
+const applicationService = require('../services/applicationService');
+const { isValidCoordinate, metresToKm } = require('../utils/geo');
+const { IMPORT_COLUMNS, buildReportCsv } = require('../utils/jobImport');
+const { logger } = require('../src/lib/logging/logger');
 
 const router = express.Router();
 
 // Validation rules
-const createJobValidation = [
+// Rules for the details of a job, shared with bulk import (services/jobImportService)
+const jobDetailsValidation = [
   body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3-100 characters'),
   body('description').trim().isLength({ min: 10, max: 2000 }).withMessage('Description must be between 10-2000 characters'),
   body('location.address').trim().isLength({ min: 5, max: 200 }).withMessage('Address must be between 5-200 characters'),
   body('location.coordinates').optional().isArray({ min: 2, max: 2 }).withMessage('Coordinates must be an array of [longitude, latitude]'),
   body('hourlyRate').isFloat({ min: 0 }).withMessage('Hourly rate must be a positive number'),
-  body('type').isIn(['crane_operation', 'rigging', 'scaffolding', 'heavy_lifting', 'load_planning', 'safety_supervision', 'equipment_maintenance', 'inspection', 'other']).withMessage('Invalid job type'),
-  body('urgency').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid urgency level'),
   body('duration.estimatedHours').optional().isInt({ min: 1 }).withMessage('Estimated hours must be at least 1'),
   body('duration.startDate').isISO8601().withMessage('Start date must be a valid date'),
   body('duration.endDate').optional().isISO8601().withMessage('End date must be a valid date'),
   body('certificationRequirements').optional().isArray().withMessage('Certification requirements must be an array'),
   body('safetyRequirements').optional().isArray().withMessage('Safety requirements must be an array'),
+  body('maxApplicants').optional().isInt({ min: 1, max: 100 }).withMessage('Max applicants must be between 1-100'),
+  body('positions').optional().isArray({ min: 1, max: 20 }).withMessage('Positions must be an array of 1-20 crew roles'),
+  body('positions.*.jobType').isIn(Job.schema.path('jobType').enumValues).withMessage('Invalid position job type'),
+  body('positions.*.headcount').optional().isInt({ min: 1, max: 50 }).withMessage('Position headcount must be between 1-50'),
+  body('positions.*.rate').isFloat({ min: 0 }).withMessage('Position rate must be a positive number'),
+  body('positions.*.requiredCertifications').optional().isArray().withMessage('Position certifications must be an array')
+];
+
+const createJobValidation = [
+  ...jobDetailsValidation,
+  body('type').isIn(['crane_operation', 'rigging', 'scaffolding', 'heavy_lifting', 'load_planning', 'safety_supervision', 'equipment_maintenance', 'inspection', 'other']).withMessage('Invalid job type'),
+  body('urgency').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid urgency level'),
   body('shift.type').optional().isIn(['day', 'night', 'swing', 'rotating']).withMessage('Invalid shift type'),
-  body('maxApplicants').optional().isInt({ min: 1, max: 100 }).withMessage('Max applicants must be between 1-100')
+  body('autoRejectFailedScreening').optional().isBoolean().withMessage('Auto-reject must be true or false')
 ];
 
 const updateJobValidation = [
+  body('autoRejectFailedScreening').optional().isBoolean().withMessage('Auto-reject must be true or false'),
   body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3-100 characters'),
   body('description').optional().trim().isLength({ min: 10, max: 2000 }).withMessage('Description must be between 10-2000 characters'),
   body('hourlyRate').optional().isFloat({ min: 0 }).withMessage('Hourly rate must be a positive number'),
@@ -34,6 +62,64 @@ const updateJobValidation = [
   body('maxApplicants').optional().isInt({ min: 1, max: 100 }).withMessage('Max applicants must be between 1-100')
 ];
 
+const searchJobsValidation = [
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('postcode').optional().matches(/^\d{4}$/).withMessage('Postcode must be 4 digits'),
+  query('maxDistance').optional().isFloat({ min: 1, max: 5000 }).withMessage('Max distance must be between 1-5000 km'),
+  query('type').optional().isIn(Job.schema.path('jobType').enumValues).withMessage('Invalid job type'),
+  query('urgency').optional().isIn(Job.schema.path('urgencyLevel').enumValues).withMessage('Invalid urgency level'),
+  query('minRate').optional().isFloat({ min: 0 }).withMessage('Minimum rate must be a positive number'),
+  query('maxRate').optional().isFloat({ min: 0 }).withMessage('Maximum rate must be a positive number'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+];
+
+const jobApplicationsValidation = [
+  query('positionId').optional().isMongoId().withMessage('Invalid position ID'),
+  query('screening').optional().isIn(['passed', 'failed']).withMessage('Screening must be passed or failed')
+];
+
+const estimateValidation = [
+  body('jobType').isIn(Job.schema.path('jobType').enumValues).withMessage('Invalid job type'),
+  body('shiftPattern').optional().isIn(Job.schema.path('shiftPattern').enumValues).withMessage('Invalid shift pattern'),
+  body('rate').isFloat({ min: 0 }).withMessage('Rate must be a positive number'),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('totalHours').optional().isFloat({ min: 1, max: 5000 }).withMessage('Total hours must be between 1-5000'),
+  body('hoursPerDay').optional().isFloat({ min: 1, max: 24 }).withMessage('Hours per day must be between 1-24'),
+  body('startHour').optional().isInt({ min: 0, max: 23 }).withMessage('Start hour must be between 0-23'),
+  body('positions').optional().isArray({ min: 1, max: 20 }).withMessage('Positions must be an array of 1-20 crew roles'),
+  body('positions.*.jobType').isIn(Job.schema.path('jobType').enumValues).withMessage('Invalid position job type'),
+  body('positions.*.headcount').optional().isInt({ min: 1, max: 50 }).withMessage('Position headcount must be between 1-50'),
+  body('positions.*.rate').isFloat({ min: 0 }).withMessage('Position rate must be a positive number')
+];
+
+const siteDocumentFileValidation = [
+  body('url').isURL().withMessage('Document URL must be a valid URL'),
+  body('filename').trim().isLength({ min: 1, max: 255 }).withMessage('Filename is required'),
+  body('mimeType').optional().isString().withMessage('MIME type must be a string'),
+  body('size').optional().isInt({ min: 0 }).withMessage('Size must be a positive number of bytes'),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference must not exceed 100 characters'),
+  body('requiredBeforeStart').optional().isBoolean().withMessage('Required before start must be true or false')
+];
+
+const siteDocumentValidation = [
+  body('type').isIn(Job.schema.path('siteDocuments').schema.path('type').enumValues).withMessage('Invalid document type'),
+  body('title').trim().isLength({ min: 3, max: 150 }).withMessage('Title must be between 3-150 characters'),
+  ...siteDocumentFileValidation
+];
+
+const siteDocumentRevisionValidation = [
+  body('changeSummary').optional().trim().isLength({ max: 500 }).withMessage('Change summary must not exceed 500 characters'),
+  ...siteDocumentFileValidation
+];
+
+const waitlistOrderValidation = [
+  body('applicationIds').isArray().withMessage('Application IDs must be an array'),
+  body('applicationIds.*').isMongoId().withMessage('Invalid application ID')
+];
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -53,16 +139,19 @@ const handleValidationErrors = (req, res, next) => {
 router.get('/my/applications', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
   const { status, page = 1, limit = 20 } = req.query;
   const skip = (parseInt(page) - 1) * parseInt(limit);
-  const query = { applicant: req.user._id };
+  const query = { applicantId: req.user._id };
 
   if (status) query.status = status;
 
   const applications = await JobApplication.find(query)
-    .populate('job', 'title description location hourlyRate status duration.startDate postedBy')
-    .populate('job.postedBy', 'firstName lastName clientProfile.companyName')
+    .populate({
+      path: 'jobId',
+      select: 'title description location rate status startDate clientId',
+      populate: { path: 'clientId', select: 'firstName lastName clientProfile.companyName' }
+    })
     .skip(skip)
     .limit(parseInt(limit))
-    .sort({ appliedAt: -1 })
+    .sort({ applicationDate: -1 })
     .lean();
 
   const totalApplications = await JobApplication.countDocuments(query);
@@ -86,15 +175,16 @@ router.get('/my/applications', authenticateToken, requireRole(['rigger']), async
 router.post('/', authenticateToken, requireRole(['client']), createJobValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const jobData = {
     ...req.body,
-    postedBy: req.user._id
+    clientId: req.user._id
   };
 
   // Validate coordinates if provided
   if (jobData.location.coordinates) {
-    const [longitude, latitude] = jobData.location.coordinates;
-    if (longitude < -180 || longitude > 180 || latitude < -90 || latitude > 90) {
+    const [longitude, latitude] = jobData.location.coordinates.map(Number);
+    if (!isValidCoordinate(latitude, longitude)) {
       throw new AppError('Invalid coordinates provided', 400, 'Invalid Coordinates');
     }
+    jobData.location.coordinate = { latitude, longitude };
   }
 
   // Validate date range
@@ -111,23 +201,171 @@ router.post('/', authenticateToken, requireRole(['client']), createJobValidation
     { $inc: { 'clientProfile.activeJobs': 1, 'clientProfile.totalJobsPosted': 1 } }
   );
 
+  // Emergency jobs go straight out to nearby riggers; the job is still created if dispatch fails.
+  // Crew jobs are staffed position by position, so they are never dispatched
+  let dispatch;
+  if (job.urgencyLevel === 'emergency' && !job.isCrewJob) {
+    try {
+      dispatch = await emergencyDispatchService.startDispatch(job);
+    } catch (error) {
+      logger.error('Emergency dispatch error', error);
+    }
+  }
+
   res.status(201).json({
     success: true,
     message: 'Job created successfully',
-    job
+    job,
+    dispatch
+  });
+}));
+
+// @route   POST /api/jobs/estimate
+// @desc    Quote a job under the award pay rules before posting it
+// @access  Private (Clients only)
+router.post('/estimate', authenticateToken, requireRole(['client']), estimateValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { jobType, shiftPattern, rate, startDate, endDate, totalHours, hoursPerDay, startHour, positions } = req.body;
+
+  if (endDate && new Date(startDate) > new Date(endDate)) {
+    throw new AppError('Start date must be before end date', 400, 'Invalid Date Range');
+  }
+
+  // An unsaved job gives the same schedule and crew handling as a posted one
+  const job = new Job({ jobType, shiftPattern, rate, startDate, endDate, positions });
+
+  res.json({
+    success: true,
+    estimate: job.estimateCost({ totalHours, hoursPerDay, startHour })
+  });
+}));
+
+// Bulk import uploads are held in memory; the file is parsed and discarded
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.JOB_IMPORT_MAX_FILE_MB) || 2) * 1024 * 1024, files: 1 }
+}).single('file');
+
+const handleImportUpload = (req, res, next) => {
+  importUpload(req, res, error => {
+    if (error) {
+      return next(new AppError(error.message, 400, 'Upload Failed'));
+    }
+    if (!req.file) {
+      return next(new AppError('Attach a .csv or .xlsx file in the "file" field', 400, 'File Required'));
+    }
+    next();
+  });
+};
+
+const serializeJobImport = jobImport => ({
+  id: jobImport._id,
+  filename: jobImport.filename,
+  format: jobImport.format,
+  mode: jobImport.mode,
+  status: jobImport.status,
+  totalRows: jobImport.totalRows,
+  validRows: jobImport.validRows,
+  invalidRows: jobImport.invalidRows,
+  createdJobs: jobImport.createdJobs,
+  unknownColumns: jobImport.unknownColumns,
+  error: jobImport.error,
+  rows: jobImport.rows,
+  createdAt: jobImport.createdAt,
+  committedAt: jobImport.committedAt
+});
+
+const findImportForClient = async (importId, clientId) => {
+  if (!mongoose.Types.ObjectId.isValid(importId)) {
+    throw new AppError('Import not found', 404, 'Import Not Found');
+  }
+  const jobImport = await JobImport.findOne({ _id: importId, clientId });
+  if (!jobImport) {
+    throw new AppError('Import not found', 404, 'Import Not Found');
+  }
+  return jobImport;
+};
+
+// @route   GET /api/jobs/import/template
+// @desc    Download a CSV template with the bulk import columns
+// @access  Private (Clients only)
+router.get('/import/template', authenticateToken, requireRole(['client']), (req, res) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': 'attachment; filename="job-import-template.csv"'
+  });
+  res.send(`${IMPORT_COLUMNS.join(',')}\r\n`);
+});
+
+// @route   POST /api/jobs/import
+// @desc    Bulk import jobs from a CSV or XLSX file. mode=dry_run (default) only validates;
+//          mode=commit creates every job, or none if any row is invalid
+// @access  Private (Clients only)
+router.post('/import', authenticateToken, requireRole(['client']), handleImportUpload, [
+  query('mode').optional().isIn(['dry_run', 'commit']).withMessage('Mode must be dry_run or commit')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const mode = req.query.mode || 'dry_run';
+
+  const jobImport = await jobImportService.importJobs({
+    file: req.file,
+    clientId: req.user._id,
+    mode,
+    rules: jobDetailsValidation
+  });
+
+  const messages = {
+    validated: `All ${jobImport.totalRows} rows are valid. Import again with mode=commit to create the jobs.`,
+    rejected: `${jobImport.invalidRows} of ${jobImport.totalRows} rows have errors${mode === 'commit' ? '; no jobs were created' : ''}`,
+    committed: `${jobImport.createdJobs} jobs created`,
+    failed: 'The import could not be completed; no jobs were created'
+  };
+  const statusCodes = { validated: 200, rejected: 422, committed: 201, failed: 500 };
+
+  res.status(statusCodes[jobImport.status]).json({
+    success: ['validated', 'committed'].includes(jobImport.status),
+    message: messages[jobImport.status],
+    import: serializeJobImport(jobImport),
+    reportUrl: `/api/jobs/imports/${jobImport._id}/report`
+  });
+}));
+
+// @route   GET /api/jobs/imports/:importId
+// @desc    Get the result of a bulk import
+// @access  Private (Clients only)
+router.get('/imports/:importId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const jobImport = await findImportForClient(req.params.importId, req.user._id);
+
+  res.json({
+    success: true,
+    import: serializeJobImport(jobImport)
+  });
+}));
+
+// @route   GET /api/jobs/imports/:importId/report
+// @desc    Download the per-row result of a bulk import as CSV
+// @access  Private (Clients only)
+router.get('/imports/:importId/report', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const jobImport = await findImportForClient(req.params.importId, req.user._id);
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="job-import-${jobImport._id}.csv"`
   });
+  res.send(buildReportCsv(jobImport.rows));
 }));
 
 // @route   GET /api/jobs
 // @desc    Get jobs with filtering and pagination
 // @access  Private
-router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/', authenticateToken, searchJobsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const {
     status,
     type,
     urgency,
     minRate,
     maxRate,
+    lat,
+    lng,
+    postcode,
     location,
     maxDistance = 50,
     startDate,
@@ -144,42 +382,83 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
 
   // Build search filters
   if (status) query.status = status;
-  if (type) query.type = type;
-  if (urgency) query.urgency = urgency;
+  if (type) query.jobType = type;
+  if (urgency) query.urgencyLevel = urgency;
+  if (startDate) query.startDate = { $gte: new Date(startDate) };
+  if (endDate) query.endDate = { $lte: new Date(endDate) };
+
+  // Crew jobs set the rate and tickets per position, so a match on any position counts
+  const crewFilters = [];
   if (minRate || maxRate) {
-    query.hourlyRate = {};
-    if (minRate) query.hourlyRate.$gte = parseFloat(minRate);
-    if (maxRate) query.hourlyRate.$lte = parseFloat(maxRate);
+    const rate = {};
+    if (minRate) rate.$gte = parseFloat(minRate);
+    if (maxRate) rate.$lte = parseFloat(maxRate);
+    crewFilters.push({ $or: [{ rate }, { positions: { $elemMatch: { rate } } }] });
+  }
+  if (certificationRequired) {
+    crewFilters.push({
+      $or: [{ requiredCertifications: certificationRequired }, { 'positions.requiredCertifications': certificationRequired }]
+    });
   }
-  if (startDate) query['duration.startDate'] = { $gte: new Date(startDate) };
-  if (endDate) query['duration.endDate'] = { $lte: new Date(endDate) };
-  if (certificationRequired) query.certificationRequirements = { $in: [certificationRequired] };
+  if (crewFilters.length) query.$and = crewFilters;
 
   // For riggers, only show open jobs
   if (req.user.userType === 'rigger') {
-    query.status = 'open';
+    query.status = 'posted';
   }
 
   // For clients, show only their own jobs
   if (req.user.userType === 'client') {
-    query.postedBy = req.user._id;
+    query.clientId = req.user._id;
   }
 
-  // TODO: Location-based search would require geospatial queries
-  // This is a placeholder for now
-  
-  const sortOptions = {};
-  sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  const origin = await geocodingService.resolveSearchOrigin({ lat, lng, postcode, location });
 
-  const jobs = await Job.find(query)
-    .populate('postedBy', 'firstName lastName clientProfile.companyName clientProfile.rating')
-    .populate('assignedTo', 'firstName lastName riggerProfile.rating')
-    .skip(skip)
-    .limit(parseInt(limit))
-    .sort(sortOptions)
-    .lean();
+  if (sortBy === 'distance' && !origin) {
+    throw new AppError('Sorting by distance requires lat/lng or postcode', 400, 'Missing Location');
+  }
+
+  let sortOptions = null;
+  if (sortBy !== 'distance') {
+    sortOptions = {};
+    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  }
+
+  const populateOptions = [
+    { path: 'clientId', select: 'firstName lastName clientProfile.companyName clientProfile.rating' },
+    { path: 'assignedRiggerId', select: 'firstName lastName riggerProfile.rating' }
+  ];
+
+  let jobs;
+  let totalJobs;
+
+  if (origin) {
+    const results = await Job.searchNear(origin, {
+      maxDistance: parseFloat(maxDistance),
+      query,
+      sort: sortOptions,
+      skip,
+      limit: parseInt(limit)
+    });
+
+    await Job.populate(results.jobs, populateOptions);
 
-  const totalJobs = await Job.countDocuments(query);
+    jobs = results.jobs.map(result => {
+      const job = Job.hydrate(result);
+      job.distanceFromLocation = metresToKm(result.distance);
+      return job.toObject({ virtuals: true });
+    });
+    totalJobs = results.total;
+  } else {
+    jobs = await Job.find(query)
+      .populate(populateOptions)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort(sortOptions)
+      .lean();
+
+    totalJobs = await Job.countDocuments(query);
+  }
 
   res.json({
     success: true,
@@ -199,8 +478,8 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
 // @access  Private
 router.get('/:jobId', authenticateToken, asyncHandler(async (req, res) => {
   const job = await Job.findById(req.params.jobId)
-    .populate('postedBy', 'firstName lastName clientProfile.companyName clientProfile.rating clientProfile.industry')
-    .populate('assignedTo', 'firstName lastName riggerProfile.rating riggerProfile.specializations riggerProfile.experienceLevel')
+    .populate('clientId', 'firstName lastName clientProfile.companyName clientProfile.rating clientProfile.industry')
+    .populate('assignedRiggerId', 'firstName lastName riggerProfile.rating riggerProfile.specializations riggerProfile.experienceLevel')
     .lean();
 
   if (!job) {
@@ -208,20 +487,22 @@ router.get('/:jobId', authenticateToken, asyncHandler(async (req, res) => {
   }
 
   // Check if user has permission to view this job
-  if (req.user.userType === 'client' && job.postedBy._id.toString() !== req.user._id.toString()) {
+  if (req.user.userType === 'client' && job.clientId._id.toString() !== req.user._id.toString()) {
     throw new AppError('Not authorized to view this job', 403, 'Unauthorized');
   }
 
+  await jobAnalyticsService.recordView(job, req.user._id);
+
   // Add application status for riggers
   if (req.user.userType === 'rigger') {
     const application = await JobApplication.findOne({
-      job: req.params.jobId,
-      applicant: req.user._id
+      jobId: req.params.jobId,
+      applicantId: req.user._id
     }).lean();
 
     job.userApplication = application ? {
       status: application.status,
-      appliedAt: application.appliedAt
+      appliedAt: application.applicationDate
     } : null;
   }
 
@@ -231,21 +512,197 @@ router.get('/:jobId', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/jobs/:jobId/cost
+// @desc    Get the cost breakdown for a job: final once completed, otherwise an estimate
+// @access  Private (Job owner or assigned rigger)
+router.get('/:jobId/cost', authenticateToken, asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.jobId);
+
+  if (!job) {
+    throw new AppError('Job not found', 404, 'Job Not Found');
+  }
+
+  const isClient = job.clientId && job.clientId.toString() === req.user._id.toString();
+  if (!isClient && !job.isAssignedTo(req.user._id)) {
+    throw new AppError('Not authorized to view job costs', 403, 'Unauthorized');
+  }
+
+  const isFinal = Boolean(job.costBreakdown && job.costBreakdown.totals && job.status === 'completed');
+
+  res.json({
+    success: true,
+    isFinal,
+    cost: isFinal
+      ? { currency: job.currency, ...job.costBreakdown.toObject() }
+      : job.estimateCost({
+        totalHours: req.query.totalHours ? parseFloat(req.query.totalHours) : undefined,
+        hoursPerDay: req.query.hoursPerDay ? parseFloat(req.query.hoursPerDay) : undefined
+      })
+  });
+}));
+
+// Helpers for site document routes
+const findJobForClient = async (jobId, userId) => {
+  const job = await Job.findOne({ _id: jobId, clientId: userId });
+  if (!job) {
+    throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
+  }
+  return job;
+};
+
+const documentFileFrom = ({ url, filename, mimeType, size }) => ({ url, filename, mimeType, size });
+
+const serializeSiteDocument = (job, document) => ({
+  ...document.toObject(),
+  acknowledgedBy: job.assignedRiggerIds.filter(riggerId => document.isAcknowledgedBy(riggerId)),
+  awaitingAcknowledgement: job.assignedRiggerIds.filter(riggerId => !document.isAcknowledgedBy(riggerId))
+});
+
+const notifyDocumentChange = (job, document, title, sender) => notificationService.notifyMany(job.assignedRiggerIds, {
+  type: 'safety_alert',
+  title,
+  message: `"${document.title}" (version ${document.version}) on "${job.title}"${document.requiredBeforeStart ? ' must be acknowledged before the job can start' : ' is available to read'}.`,
+  relatedJob: job._id,
+  priority: document.requiredBeforeStart ? 'high' : 'medium',
+  actionUrl: `/jobs/${job._id}/documents`,
+  sender
+});
+
+// @route   GET /api/jobs/:jobId/documents
+// @desc    Get a job's site documents and who has acknowledged them
+// @access  Private (Job owner or assigned rigger)
+router.get('/:jobId/documents', authenticateToken, asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.jobId);
+
+  if (!job) {
+    throw new AppError('Job not found', 404, 'Job Not Found');
+  }
+
+  const isClient = job.clientId && job.clientId.toString() === req.user._id.toString();
+  if (!isClient && !job.isAssignedTo(req.user._id)) {
+    throw new AppError('Not authorized to view job documents', 403, 'Unauthorized');
+  }
+
+  res.json({
+    success: true,
+    documents: job.siteDocuments.map(document => serializeSiteDocument(job, document)),
+    readyToStart: job.outstandingAcknowledgements().length === 0
+  });
+}));
+
+// @route   POST /api/jobs/:jobId/documents
+// @desc    Attach a site document (SWMS, lift plan, permit...) to a job
+// @access  Private (Job owner only)
+router.post('/:jobId/documents', authenticateToken, requireRole(['client']), siteDocumentValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const job = await findJobForClient(req.params.jobId, req.user._id);
+
+  if (['completed', 'cancelled'].includes(job.status)) {
+    throw new AppError(`Cannot add documents to a ${job.status} job`, 409, 'Invalid Status');
+  }
+
+  const document = job.addSiteDocument({
+    type: req.body.type,
+    title: req.body.title,
+    reference: req.body.reference,
+    requiredBeforeStart: req.body.requiredBeforeStart,
+    file: documentFileFrom(req.body)
+  }, req.user._id);
+  await job.save();
+
+  await notifyDocumentChange(job, document, 'New site document', req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Site document added',
+    document: serializeSiteDocument(job, document)
+  });
+}));
+
+// @route   PUT /api/jobs/:jobId/documents/:documentId
+// @desc    Upload a new version of a site document; riggers must acknowledge it again
+// @access  Private (Job owner only)
+router.put('/:jobId/documents/:documentId', authenticateToken, requireRole(['client']), siteDocumentRevisionValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const job = await findJobForClient(req.params.jobId, req.user._id);
+
+  if (['completed', 'cancelled'].includes(job.status)) {
+    throw new AppError(`Cannot revise documents on a ${job.status} job`, 409, 'Invalid Status');
+  }
+
+  const document = job.reviseSiteDocument(req.params.documentId, {
+    file: documentFileFrom(req.body),
+    changeSummary: req.body.changeSummary,
+    reference: req.body.reference,
+    requiredBeforeStart: req.body.requiredBeforeStart
+  }, req.user._id);
+  await job.save();
+
+  await notifyDocumentChange(job, document, 'Site document updated', req.user._id);
+
+  res.json({
+    success: true,
+    message: `Site document updated to version ${document.version}`,
+    document: serializeSiteDocument(job, document)
+  });
+}));
+
+// @route   DELETE /api/jobs/:jobId/documents/:documentId
+// @desc    Remove a site document from a job
+// @access  Private (Job owner only)
+router.delete('/:jobId/documents/:documentId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const job = await findJobForClient(req.params.jobId, req.user._id);
+
+  if (job.status !== 'posted' && job.status !== 'assigned') {
+    throw new AppError('Documents can only be removed before the job starts', 409, 'Invalid Status');
+  }
+
+  job.findSiteDocument(req.params.documentId).deleteOne();
+  await job.save();
+
+  res.json({
+    success: true,
+    message: 'Site document removed'
+  });
+}));
+
+// @route   POST /api/jobs/:jobId/documents/:documentId/acknowledge
+// @desc    Acknowledge the current version of a site document
+// @access  Private (Assigned rigger only)
+router.post('/:jobId/documents/:documentId/acknowledge', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
+  const job = await Job.findOne({
+    _id: req.params.jobId,
+    ...Job.assignedToQuery(req.user._id)
+  });
+
+  if (!job) {
+    throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
+  }
+
+  const document = job.acknowledgeSiteDocument(req.params.documentId, req.user._id);
+  await job.save();
+
+  res.json({
+    success: true,
+    message: `Acknowledged "${document.title}" version ${document.version}`,
+    document: serializeSiteDocument(job, document),
+    readyToStart: job.outstandingAcknowledgements().length === 0
+  });
+}));
+
 // @route   PUT /api/jobs/:jobId
 // @desc    Update a job
 // @access  Private (Job owner only)
 router.put('/:jobId', authenticateToken, requireRole(['client']), updateJobValidation, handleValidationErrors, asyncHandler(async (req, res) => {
-  const job = await Job.findOne({ _id: req.params.jobId, postedBy: req.user._id });
+  const job = await findJobForClient(req.params.jobId, req.user._id);
 
-  if (!job) {
-    throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
+  if (job.assignedRiggerIds.length > 0 && changeOrderService.changeableStatuses.includes(job.status)) {
+    throw new AppError('The terms of an assigned job can only be changed by a change order', 409, 'Change Order Required');
   }
 
-  if (job.status !== 'open') {
+  if (job.status !== 'posted') {
     throw new AppError('Cannot edit job that is not in open status', 400, 'Invalid Status');
   }
 
-  const allowedUpdates = ['title', 'description', 'hourlyRate', 'urgency', 'maxApplicants', 'certificationRequirements', 'safetyRequirements'];
+  const allowedUpdates = ['title', 'description', 'hourlyRate', 'urgency', 'maxApplicants', 'certificationRequirements', 'safetyRequirements', 'autoRejectFailedScreening'];
   const updates = {};
 
   allowedUpdates.forEach(field => {
@@ -258,7 +715,12 @@ router.put('/:jobId', authenticateToken, requireRole(['client']), updateJobValid
     req.params.jobId,
     updates,
     { new: true, runValidators: true }
-  ).populate('postedBy', 'firstName lastName clientProfile.companyName');
+  ).populate('clientId', 'firstName lastName clientProfile.companyName');
+
+  // A raised applicant limit lets riggers in from the waitlist
+  if (updates.maxApplicants !== undefined) {
+    await waitlistService.promoteNext(job._id);
+  }
 
   res.json({
     success: true,
@@ -271,18 +733,10 @@ router.put('/:jobId', authenticateToken, requireRole(['client']), updateJobValid
 // @desc    Cancel/Delete a job
 // @access  Private (Job owner only)
 router.delete('/:jobId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
-  const job = await Job.findOne({ _id: req.params.jobId, postedBy: req.user._id });
+  const job = await findJobForClient(req.params.jobId, req.user._id);
 
-  if (!job) {
-    throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
-  }
-
-  if (job.status === 'completed') {
-    throw new AppError('Cannot cancel a completed job', 400, 'Invalid Status');
-  }
-
-  job.status = 'cancelled';
-  await job.save();
+  await job.cancelJob(req.body.reason || 'Cancelled by client', req.user._id);
+  await interviewService.cancelClosedInterviews(job._id, req.user._id);
 
   // Update client's active jobs count
   await User.findByIdAndUpdate(
@@ -303,70 +757,35 @@ router.delete('/:jobId', authenticateToken, requireRole(['client']), asyncHandle
 // @desc    Apply for a job
 // @access  Private (Riggers only)
 router.post('/:jobId/apply', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
-  const { message, availabilityInfo, relevantExperience } = req.body;
-
-  const job = await Job.findById(req.params.jobId);
-  if (!job) {
-    throw new AppError('Job not found', 404, 'Job Not Found');
-  }
-
-  if (job.status !== 'open') {
-    throw new AppError('Job is not accepting applications', 400, 'Job Not Open');
-  }
-
-  // Check if user already applied
-  const existingApplication = await JobApplication.findOne({
-    job: req.params.jobId,
-    applicant: req.user._id
-  });
-
-  if (existingApplication) {
-    throw new AppError('You have already applied for this job', 400, 'Duplicate Application');
-  }
-
-  // Check if job has reached max applicants
-  if (job.maxApplicants && job.currentApplicants >= job.maxApplicants) {
-    throw new AppError('Job has reached maximum number of applicants', 400, 'Max Applicants Reached');
-  }
-
-  const application = new JobApplication({
-    job: req.params.jobId,
-    applicant: req.user._id,
-    message,
-    availabilityInfo,
-    relevantExperience
-  });
-
-  await application.save();
+  const { application, screening } = await applicationService.apply(req.params.jobId, req.user, req.body);
 
   res.status(201).json({
     success: true,
-    message: 'Application submitted successfully',
-    application
+    message: application.submittedMessage(),
+    application,
+    screening
   });
 }));
 
 // @route   GET /api/jobs/:jobId/applications
 // @desc    Get applications for a job
 // @access  Private (Job owner only)
-router.get('/:jobId/applications', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
-  const job = await Job.findOne({ _id: req.params.jobId, postedBy: req.user._id });
-  
-  if (!job) {
-    throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
-  }
+router.get('/:jobId/applications', authenticateToken, requireRole(['client']), jobApplicationsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const job = await findJobForClient(req.params.jobId, req.user._id);
 
   const { status, page = 1, limit = 20 } = req.query;
   const skip = (parseInt(page) - 1) * parseInt(limit);
-  const query = { job: req.params.jobId };
+  const query = { jobId: job._id };
 
   if (status) query.status = status;
+  if (req.query.positionId) query.positionId = req.query.positionId;
+  if (req.query.screening) query['screening.result'] = req.query.screening;
 
   const applications = await JobApplication.find(query)
-    .populate('applicant', 'firstName lastName riggerProfile.rating riggerProfile.specializations riggerProfile.experienceLevel riggerProfile.completedJobs')
+    .populate('applicantId', 'firstName lastName riggerProfile.rating riggerProfile.specializations riggerProfile.experienceLevel riggerProfile.completedJobs')
     .skip(skip)
     .limit(parseInt(limit))
-    .sort({ appliedAt: -1 })
+    .sort({ applicationDate: -1 })
     .lean();
 
   const totalApplications = await JobApplication.countDocuments(query);
@@ -384,60 +803,47 @@ router.get('/:jobId/applications', authenticateToken, requireRole(['client']), a
   });
 }));
 
-// @route   PUT /api/jobs/:jobId/applications/:applicationId
-// @desc    Update application status (accept/reject)
+// @route   GET /api/jobs/:jobId/waitlist
+// @desc    Get the applications waiting for a place on a full job, next in line first
 // @access  Private (Job owner only)
-router.put('/:jobId/applications/:applicationId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
-  const { status, message } = req.body;
-
-  if (!['accepted', 'rejected'].includes(status)) {
-    throw new AppError('Invalid status. Must be accepted or rejected', 400, 'Invalid Status');
-  }
-
-  const job = await Job.findOne({ _id: req.params.jobId, postedBy: req.user._id });
-  if (!job) {
-    throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
-  }
-
-  const application = await JobApplication.findOne({
-    _id: req.params.applicationId,
-    job: req.params.jobId
-  }).populate('applicant', 'firstName lastName');
-
-  if (!application) {
-    throw new AppError('Application not found', 404, 'Application Not Found');
-  }
+router.get('/:jobId/waitlist', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const job = await findJobForClient(req.params.jobId, req.user._id);
 
-  if (application.status !== 'pending') {
-    throw new AppError('Application has already been reviewed', 400, 'Already Reviewed');
-  }
+  const waitlist = await JobApplication.findWaitlist(job._id)
+    .populate('applicantId', 'firstName lastName riggerProfile.rating riggerProfile.experienceLevel riggerProfile.completedJobs');
 
-  application.status = status;
-  application.reviewedAt = new Date();
-  if (message) application.reviewMessage = message;
+  res.json({
+    success: true,
+    maxApplicants: job.maxApplicants,
+    currentApplicants: job.currentApplicants,
+    waitlist
+  });
+}));
 
-  if (status === 'accepted') {
-    // Assign job to the applicant
-    job.assignedTo = application.applicant._id;
-    job.status = 'assigned';
-    await job.save();
+// @route   PUT /api/jobs/:jobId/waitlist
+// @desc    Reorder the waitlist; applicationIds lists every waitlisted application in the new order
+// @access  Private (Job owner only)
+router.put('/:jobId/waitlist', authenticateToken, requireRole(['client']), waitlistOrderValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const job = await findJobForClient(req.params.jobId, req.user._id);
+  const waitlist = await waitlistService.reorder(job, req.body.applicationIds);
 
-    // Reject all other pending applications
-    await JobApplication.updateMany(
-      { job: req.params.jobId, status: 'pending', _id: { $ne: req.params.applicationId } },
-      { 
-        status: 'rejected', 
-        reviewedAt: new Date(),
-        rejectionReason: 'Position filled by another candidate'
-      }
-    );
-  }
+  res.json({
+    success: true,
+    message: 'Waitlist reordered',
+    waitlist
+  });
+}));
 
-  await application.save();
+// @route   PUT /api/jobs/:jobId/applications/:applicationId
+// @desc    Update application status (accept/reject)
+// @access  Private (Job owner only)
+router.put('/:jobId/applications/:applicationId', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const job = await findJobForClient(req.params.jobId, req.user._id);
+  const application = await applicationService.review({ _id: req.params.applicationId, jobId: job._id }, req.user, req.body);
 
   res.json({
     success: true,
-    message: `Application ${status} successfully`,
+    message: `Application ${req.body.status} successfully`,
     application
   });
 }));
@@ -448,17 +854,14 @@ router.put('/:jobId/applications/:applicationId', authenticateToken, requireRole
 router.put('/:jobId/start', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
   const job = await Job.findOne({ 
     _id: req.params.jobId, 
-    assignedTo: req.user._id,
-    status: 'assigned'
+    ...Job.assignedToQuery(req.user._id)
   });
 
   if (!job) {
     throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
   }
 
-  job.status = 'in_progress';
-  job.actualStartDate = new Date();
-  await job.save();
+  await job.startJob(req.user._id);
 
   res.json({
     success: true,
@@ -469,36 +872,40 @@ router.put('/:jobId/start', authenticateToken, requireRole(['rigger']), asyncHan
 
 // @route   PUT /api/jobs/:jobId/complete
 // @desc    Complete a job
-// @access  Private (Assigned rigger only)
-router.put('/:jobId/complete', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
+// @access  Private (Job owner, or the assigned rigger on a single-rigger job)
+router.put('/:jobId/complete', authenticateToken, requireRole(['rigger', 'client']), asyncHandler(async (req, res) => {
   const { completionNotes, actualHours } = req.body;
 
-  const job = await Job.findOne({ 
-    _id: req.params.jobId, 
-    assignedTo: req.user._id,
-    status: 'in_progress'
+  const job = await Job.findOne({
+    _id: req.params.jobId,
+    ...(req.user.userType === 'client' ? { clientId: req.user._id } : Job.assignedToQuery(req.user._id))
   });
 
   if (!job) {
     throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
   }
 
-  job.status = 'completed';
-  job.actualEndDate = new Date();
-  if (completionNotes) job.completionDetails.notes = completionNotes;
-  if (actualHours) job.completionDetails.actualHours = actualHours;
+  // One rigger finishing does not finish the crew; the client signs off crew jobs
+  if (job.isCrewJob && req.user.userType !== 'client') {
+    throw new AppError('Crew jobs are completed by the client once the whole crew has finished', 403, 'Client Completion Required');
+  }
 
-  await job.save();
+  // Approved timesheets take precedence over self-reported hours
+  const approved = await Timesheet.getApprovedHours(job._id);
+  const hoursWorked = approved.days > 0 ? approved.totalHours : actualHours;
+  const workEntries = approved.days > 0 ? await Timesheet.getApprovedWorkEntries(job) : undefined;
 
-  // Update rigger's completed jobs count
-  await User.findByIdAndUpdate(
-    req.user._id,
+  await job.completeJob(hoursWorked, completionNotes, req.user._id, workEntries);
+
+  // Every rigger on the job gets credit for it
+  await User.updateMany(
+    { _id: { $in: job.assignedRiggerIds } },
     { $inc: { 'riggerProfile.completedJobs': 1 } }
   );
 
   // Update client's active jobs count
   await User.findByIdAndUpdate(
-    job.postedBy,
+    job.clientId,
     { $inc: { 'clientProfile.activeJobs': -1 } }
   );
 
@@ -509,4 +916,34 @@ router.put('/:jobId/complete', authenticateToken, requireRole(['rigger']), async
   });
 }));
 
+// @route   PUT /api/jobs/:jobId/hold
+// @desc    Put a job on hold
+// @access  Private (Job owner only)
+router.put('/:jobId/hold', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const job = await findJobForClient(req.params.jobId, req.user._id);
+
+  await job.putOnHold(req.body.reason, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Job put on hold successfully',
+    job
+  });
+}));
+
+// @route   PUT /api/jobs/:jobId/resume
+// @desc    Resume a job that is on hold
+// @access  Private (Job owner only)
+router.put('/:jobId/resume', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const job = await findJobForClient(req.params.jobId, req.user._id);
+
+  await job.resume(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Job resumed successfully',
+    job
+  });
+}));
+
 module.exports = router;
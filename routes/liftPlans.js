@@ -0,0 +1,275 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const CraneLoadChart = require('../models/CraneLoadChart');
+const Job = require('../models/Job');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { calculateLift } = require('../utils/liftPlan');
+
+const router = express.Router();
+
+// Validation rules
+const chartValidation = [
+  body('manufacturer').trim().isLength({ min: 2, max: 100 }).withMessage('Manufacturer must be between 2-100 characters'),
+  body('model').trim().isLength({ min: 1, max: 100 }).withMessage('Model must be between 1-100 characters'),
+  body('craneType').isIn(CraneLoadChart.schema.path('craneType').enumValues).withMessage('Invalid crane type'),
+  body('configurations').isArray({ min: 1 }).withMessage('At least one configuration is required'),
+  body('configurations.*.name').trim().notEmpty().withMessage('Configuration name is required'),
+  body('configurations.*.boomLengths').isArray({ min: 1 }).withMessage('Each configuration needs at least one boom length'),
+  body('configurations.*.boomLengths.*.lengthM').isFloat({ min: 0 }).withMessage('Boom length must be a positive number'),
+  body('configurations.*.boomLengths.*.ratings').isArray({ min: 1 }).withMessage('Each boom length needs at least one rating'),
+  body('configurations.*.boomLengths.*.ratings.*.radiusM').isFloat({ min: 0 }).withMessage('Radius must be a positive number'),
+  body('configurations.*.boomLengths.*.ratings.*.capacityKg').isFloat({ min: 0 }).withMessage('Capacity must be a positive number')
+];
+
+const liftValidation = [
+  body('craneChartId').optional().isMongoId().withMessage('Invalid load chart'),
+  body('configuration').trim().notEmpty().withMessage('Crane configuration is required'),
+  body('loadWeightKg').isFloat({ min: 0 }).withMessage('Load weight must be a positive number'),
+  body('riggingWeightKg').optional().isFloat({ min: 0 }).withMessage('Rigging weight must be a positive number'),
+  body('hookBlockWeightKg').optional().isFloat({ min: 0 }).withMessage('Hook block weight must be a positive number'),
+  body('radiusM').isFloat({ min: 0 }).withMessage('Radius must be a positive number'),
+  body('boomLengthM').isFloat({ min: 0 }).withMessage('Boom length must be a positive number')
+];
+
+const jobLiftValidation = [
+  body('loadDescription').trim().isLength({ min: 3, max: 200 }).withMessage('Load description must be between 3-200 characters'),
+  ...liftValidation
+];
+
+const signOffValidation = [
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must not exceed 1000 characters')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const liftInputsFrom = reqBody => ({
+  configuration: reqBody.configuration,
+  loadDescription: reqBody.loadDescription,
+  loadWeightKg: parseFloat(reqBody.loadWeightKg),
+  riggingWeightKg: reqBody.riggingWeightKg !== undefined ? parseFloat(reqBody.riggingWeightKg) : 0,
+  hookBlockWeightKg: reqBody.hookBlockWeightKg !== undefined ? parseFloat(reqBody.hookBlockWeightKg) : 0,
+  radiusM: parseFloat(reqBody.radiusM),
+  boomLengthM: parseFloat(reqBody.boomLengthM)
+});
+
+// Load a job the current user is party to
+const findJobForParty = async (jobId, user) => {
+  const job = await Job.findById(jobId);
+
+  if (!job) {
+    throw new AppError('Job not found', 404, 'Job Not Found');
+  }
+
+  const isClient = job.clientId && job.clientId.toString() === user._id.toString();
+  if (!isClient && !job.isAssignedTo(user._id)) {
+    throw new AppError('Not authorized to access lift plans for this job', 403, 'Unauthorized');
+  }
+  return job;
+};
+
+// @route   GET /api/lift-plans/charts
+// @desc    List crane load charts
+// @access  Private
+router.get('/charts', authenticateToken, [
+  query('craneType').optional().isIn(CraneLoadChart.schema.path('craneType').enumValues).withMessage('Invalid crane type')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.manufacturer) filter.manufacturer = req.query.manufacturer;
+  if (req.query.craneType) filter.craneType = req.query.craneType;
+
+  const charts = await CraneLoadChart.findActive(filter).select('manufacturer model craneType maxCapacityKg chartReference configurations.name');
+
+  res.json({
+    success: true,
+    charts
+  });
+}));
+
+// @route   GET /api/lift-plans/charts/:chartId
+// @desc    Get a crane load chart
+// @access  Private
+router.get('/charts/:chartId', authenticateToken, asyncHandler(async (req, res) => {
+  const chart = await CraneLoadChart.findById(req.params.chartId);
+
+  if (!chart) {
+    throw new AppError('Load chart not found', 404, 'Load Chart Not Found');
+  }
+
+  res.json({
+    success: true,
+    chart
+  });
+}));
+
+// @route   POST /api/lift-plans/charts
+// @desc    Add a crane load chart
+// @access  Private (Admins only)
+router.post('/charts', authenticateToken, requireRole(['admin']), chartValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { manufacturer, model, craneType, maxCapacityKg, configurations, chartReference, notes } = req.body;
+
+  const existing = await CraneLoadChart.findOne({ manufacturer, model });
+  if (existing) {
+    throw new AppError(`A load chart for the ${manufacturer} ${model} already exists`, 409, 'Duplicate Load Chart');
+  }
+
+  const chart = await CraneLoadChart.create({
+    manufacturer,
+    model,
+    craneType,
+    maxCapacityKg,
+    configurations,
+    chartReference,
+    notes,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Load chart added',
+    chart
+  });
+}));
+
+// @route   PUT /api/lift-plans/charts/:chartId
+// @desc    Update or retire a crane load chart; plans already made keep the values they used
+// @access  Private (Admins only)
+router.put('/charts/:chartId', authenticateToken, requireRole(['admin']), asyncHandler(async (req, res) => {
+  const allowedUpdates = ['craneType', 'maxCapacityKg', 'configurations', 'chartReference', 'notes', 'isActive'];
+  const updates = {};
+
+  allowedUpdates.forEach(field => {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  });
+
+  const chart = await CraneLoadChart.findByIdAndUpdate(req.params.chartId, updates, { new: true, runValidators: true });
+
+  if (!chart) {
+    throw new AppError('Load chart not found', 404, 'Load Chart Not Found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Load chart updated',
+    chart
+  });
+}));
+
+// @route   POST /api/lift-plans/calculate
+// @desc    Check a lift against a load chart without saving it
+// @access  Private
+router.post('/calculate', authenticateToken, [
+  body('craneChartId').isMongoId().withMessage('Invalid load chart'),
+  ...liftValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const chart = await CraneLoadChart.findById(req.body.craneChartId);
+
+  if (!chart) {
+    throw new AppError('Load chart not found', 404, 'Load Chart Not Found');
+  }
+
+  const inputs = liftInputsFrom(req.body);
+  const rating = chart.ratedCapacity(inputs.configuration, inputs.boomLengthM, inputs.radiusM);
+
+  res.json({
+    success: true,
+    crane: chart.displayName,
+    chart: { boomLengthM: rating.boomLengthM, radiusM: rating.radiusM, ratedCapacityKg: rating.capacityKg },
+    result: calculateLift({ ...inputs, ratedCapacityKg: rating.capacityKg })
+  });
+}));
+
+// @route   GET /api/lift-plans/jobs/:jobId
+// @desc    Get the lift plans attached to a job
+// @access  Private (Job owner or assigned rigger)
+router.get('/jobs/:jobId', authenticateToken, asyncHandler(async (req, res) => {
+  const job = await findJobForParty(req.params.jobId, req.user);
+
+  res.json({
+    success: true,
+    liftPlans: job.liftPlans,
+    hasCriticalLift: job.liftPlans.some(plan => plan.isCritical)
+  });
+}));
+
+// @route   POST /api/lift-plans/jobs/:jobId
+// @desc    Calculate a lift and attach it to a job as a draft plan
+// @access  Private (Job owner or assigned rigger)
+router.post('/jobs/:jobId', authenticateToken, jobLiftValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const job = await findJobForParty(req.params.jobId, req.user);
+
+  if (['completed', 'cancelled'].includes(job.status)) {
+    throw new AppError(`Cannot add lift plans to a ${job.status} job`, 409, 'Invalid Status');
+  }
+
+  // Without an explicit chart, use the crane listed in the job's equipment
+  const chart = req.body.craneChartId
+    ? await CraneLoadChart.findById(req.body.craneChartId)
+    : await CraneLoadChart.findForEquipment(job.equipmentRequired);
+
+  if (!chart) {
+    throw new AppError('No load chart found for this crane; choose one with craneChartId', 404, 'Load Chart Not Found');
+  }
+
+  const plan = job.addLiftPlan(chart, liftInputsFrom(req.body), req.user._id);
+  await job.save();
+
+  res.status(201).json({
+    success: true,
+    message: plan.results.exceedsCapacity
+      ? 'Lift plan saved, but the lift exceeds the crane\'s rated capacity'
+      : plan.isCritical ? 'Critical lift plan saved; it needs independent sign-off' : 'Lift plan saved',
+    liftPlan: plan
+  });
+}));
+
+// @route   PUT /api/lift-plans/jobs/:jobId/:planId/sign-off
+// @desc    Sign off a lift plan
+// @access  Private (Job owner or assigned rigger)
+router.put('/jobs/:jobId/:planId/sign-off', authenticateToken, signOffValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const job = await findJobForParty(req.params.jobId, req.user);
+
+  const plan = job.signOffLiftPlan(req.params.planId, req.user._id, req.body.notes);
+  await job.save();
+
+  res.json({
+    success: true,
+    message: 'Lift plan signed off',
+    liftPlan: plan
+  });
+}));
+
+// @route   DELETE /api/lift-plans/jobs/:jobId/:planId
+// @desc    Discard a draft lift plan
+// @access  Private (Job owner or assigned rigger)
+router.delete('/jobs/:jobId/:planId', authenticateToken, asyncHandler(async (req, res) => {
+  const job = await findJobForParty(req.params.jobId, req.user);
+  const plan = job.findLiftPlan(req.params.planId);
+
+  if (plan.status === 'signed_off') {
+    throw new AppError('Signed-off lift plans cannot be deleted', 409, 'Invalid Lift Plan State');
+  }
+
+  plan.deleteOne();
+  await job.save();
+
+  res.json({
+    success: true,
+    message: 'Lift plan discarded'
+  });
+}));
+
+module.exports = router;
@@ -167,8 +167,8 @@ router.post('/jobs/:jobId/process', authenticateToken, requireRole(['client']),
 
   const job = await Job.findOne({ 
     _id: req.params.jobId, 
-    postedBy: req.user._id 
-  }).populate('assignedTo', 'firstName lastName');
+    clientId: req.user._id 
+  }).populate('assignedRiggerId', 'firstName lastName');
 
   if (!job) {
     throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
@@ -178,13 +178,13 @@ router.post('/jobs/:jobId/process', authenticateToken, requireRole(['client']),
     throw new AppError('Payment can only be processed for completed jobs', 400, 'Job Not Completed');
   }
 
-  if (job.paymentStatus === 'paid') {
+  if (job.isPaid || job.paymentStatus === 'paid') {
     throw new AppError('Payment has already been processed for this job', 400, 'Already Paid');
   }
 
-  // Calculate total hours and expected payment
-  const actualHours = job.completionDetails.actualHours || job.duration.estimatedHours || 0;
-  const expectedAmount = actualHours * job.hourlyRate;
+  // Award-based cost from completion takes precedence over a flat hourly calculation
+  const actualHours = job.hoursWorked || 0;
+  const expectedAmount = job.totalCost || actualHours * job.rate;
   const totalAmount = amount + tip;
 
   // In a real implementation, you would integrate with a payment processor
@@ -197,7 +197,7 @@ router.post('/jobs/:jobId/process', authenticateToken, requireRole(['client']),
     paymentMethod,
     jobId: req.params.jobId,
     clientId: req.user._id,
-    riggerId: job.assignedTo._id
+    riggerId: job.assignedRiggerId ? job.assignedRiggerId._id : undefined
   });
 
   if (!paymentResult.success) {
@@ -205,6 +205,7 @@ router.post('/jobs/:jobId/process', authenticateToken, requireRole(['client']),
   }
 
   // Update job payment information
+  job.isPaid = true;
   job.paymentStatus = 'paid';
   job.paymentDetails = {
     amount: amount,
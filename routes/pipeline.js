@@ -0,0 +1,136 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const ApplicationPipeline = require('../models/ApplicationPipeline');
+const JobApplication = require('../models/JobApplication');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Validation rules
+const pipelineValidation = [
+  body('stages').isArray({ min: 1, max: ApplicationPipeline.maxStages }).withMessage(`Stages must be an array of 1-${ApplicationPipeline.maxStages} stages`),
+  body('stages.*.name').trim().isLength({ min: 1, max: 60 }).withMessage('Stage name must be between 1-60 characters'),
+  body('stages.*.key').optional().matches(/^[a-z0-9_]{1,40}$/).withMessage('Stage key must be lowercase letters, digits and underscores')
+];
+
+const boardValidation = [
+  query('jobId').optional().isMongoId().withMessage('Invalid job ID'),
+  query('positionId').optional().isMongoId().withMessage('Invalid position ID'),
+  query('screening').optional().isIn(['passed', 'failed']).withMessage('Screening must be passed or failed')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const serializePipeline = (pipeline, stageCounts) => ({
+  stages: pipeline.stages.map(stage => ({
+    key: stage.key,
+    name: stage.name,
+    pendingApplications: stageCounts[stage.key] || 0
+  })),
+  isDefault: pipeline.isNew,
+  updatedAt: pipeline.updatedAt
+});
+
+// Replace the client's stages, refusing to drop stages that still hold pending applications
+const saveStages = async (clientId, stages) => {
+  const pipeline = await ApplicationPipeline.forClient(clientId);
+  const stageCounts = await JobApplication.getStageCounts(clientId, pipeline.firstStage().key);
+
+  pipeline.setStages(stages, stageCounts);
+  await pipeline.save();
+
+  return { pipeline, stageCounts };
+};
+
+// @route   GET /api/pipeline
+// @desc    Get the current client's application pipeline stages
+// @access  Private (Clients only)
+router.get('/', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const pipeline = await ApplicationPipeline.forClient(req.user._id);
+  const stageCounts = await JobApplication.getStageCounts(req.user._id, pipeline.firstStage().key);
+
+  res.json({
+    success: true,
+    pipeline: serializePipeline(pipeline, stageCounts)
+  });
+}));
+
+// @route   PUT /api/pipeline
+// @desc    Define the current client's application pipeline stages, in order
+// @access  Private (Clients only)
+router.put('/', authenticateToken, requireRole(['client']), pipelineValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { pipeline, stageCounts } = await saveStages(req.user._id, req.body.stages);
+
+  res.json({
+    success: true,
+    message: 'Pipeline updated successfully',
+    pipeline: serializePipeline(pipeline, stageCounts)
+  });
+}));
+
+// @route   DELETE /api/pipeline
+// @desc    Reset the current client's pipeline to the default stages
+// @access  Private (Clients only)
+router.delete('/', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const { pipeline, stageCounts } = await saveStages(req.user._id, ApplicationPipeline.defaultStages);
+
+  res.json({
+    success: true,
+    message: 'Pipeline reset to the default stages',
+    pipeline: serializePipeline(pipeline, stageCounts)
+  });
+}));
+
+// @route   GET /api/pipeline/board
+// @desc    Kanban view of pending applications grouped by pipeline stage
+// @access  Private (Clients only)
+router.get('/board', authenticateToken, requireRole(['client']), boardValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { jobId, positionId, screening } = req.query;
+
+  // Cast up front: the aggregate below does not cast query values
+  const match = { clientId: req.user._id, isActive: true };
+  if (jobId) match.jobId = new mongoose.Types.ObjectId(jobId);
+  if (positionId) match.positionId = new mongoose.Types.ObjectId(positionId);
+  if (screening) match['screening.result'] = screening;
+
+  const [pipeline, applications, closed] = await Promise.all([
+    ApplicationPipeline.forClient(req.user._id),
+    JobApplication.find({ ...match, status: 'pending' })
+      .select('jobId applicantId positionId stage stageHistory screening proposedRate agreedRate applicationDate shortlistedAt priority tags')
+      .populate('applicantId', 'firstName lastName profileImageURL riggerProfile.rating riggerProfile.experienceLevel')
+      .populate('jobId', 'title status startDate')
+      .sort({ priority: -1, applicationDate: 1 })
+      .lean(),
+    JobApplication.aggregate([
+      { $match: { ...match, status: { $ne: 'pending' } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  // Cards carry when the application entered its current stage, not the full history
+  const cards = applications.map(({ stageHistory = [], ...application }) => {
+    const lastChange = stageHistory[stageHistory.length - 1];
+    return { ...application, stageEnteredAt: lastChange ? lastChange.changedAt : application.applicationDate };
+  });
+
+  res.json({
+    success: true,
+    columns: pipeline.buildBoard(cards),
+    closed: Object.fromEntries(closed.map(row => [row._id, row.count]))
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Timesheet = require('../models/Timesheet');
+const Job = require('../models/Job');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { haversineDistanceKm } = require('../utils/geo');
+
+const router = express.Router();
+
+const DEFAULT_GEOFENCE_RADIUS_METRES = parseInt(process.env.TIMESHEET_GEOFENCE_RADIUS_METRES) || 500;
+
+// Validation rules
+const clockEventValidation = [
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must not exceed 500 characters')
+];
+
+const breakValidation = [
+  body('type').optional().isIn(['meal', 'rest', 'weather', 'other']).withMessage('Invalid break type'),
+  body('isPaid').optional().isBoolean().withMessage('isPaid must be boolean')
+];
+
+const disputeValidation = [
+  body('reason').trim().isLength({ min: 5, max: 1000 }).withMessage('Dispute reason must be between 5-1000 characters')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check your input',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Find a job the current rigger is assigned to and can log time against
+const findAssignedJob = async (jobId, riggerId) => {
+  const job = await Job.findOne({ _id: jobId, ...Job.assignedToQuery(riggerId) });
+
+  if (!job) {
+    throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
+  }
+
+  if (!['assigned', 'in_progress'].includes(job.status)) {
+    throw new AppError('Time can only be logged against assigned or in-progress jobs', 409, 'Invalid Status');
+  }
+
+  return job;
+};
+
+// Build a clock event and check it against the job site geofence. Jobs without a site
+// coordinate can't be checked, so the event is flagged for the client to review instead.
+const buildClockEvent = (job, latitude, longitude) => {
+  const coordinate = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+  const clockEvent = { time: new Date(), coordinate };
+
+  const site = job.location && job.location.coordinate;
+  if (site) {
+    const radius = job.geofenceRadius || DEFAULT_GEOFENCE_RADIUS_METRES;
+    clockEvent.distanceFromSite = Math.round(haversineDistanceKm(site, coordinate) * 1000);
+    clockEvent.withinGeofence = clockEvent.distanceFromSite <= radius;
+
+    if (!clockEvent.withinGeofence) {
+      throw new AppError(
+        `You are ${clockEvent.distanceFromSite}m from the job site. Clock in and out must be within ${radius}m.`,
+        403,
+        'Outside Geofence'
+      );
+    }
+  } else {
+    clockEvent.flaggedForReview = true;
+  }
+
+  return clockEvent;
+};
+
+// Find a timesheet on a job owned by the current client
+const findClientTimesheet = async (timesheetId, clientId) => {
+  const timesheet = await Timesheet.findOne({ _id: timesheetId, clientId });
+
+  if (!timesheet) {
+    throw new AppError('Timesheet not found or not authorized', 404, 'Timesheet Not Found');
+  }
+
+  return timesheet;
+};
+
+// @route   POST /api/timesheets/:jobId/clock-in
+// @desc    Clock in to a shift at the job site
+// @access  Private (Assigned rigger only)
+router.post('/:jobId/clock-in', authenticateToken, requireRole(['rigger']), clockEventValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const job = await findAssignedJob(req.params.jobId, req.user._id);
+
+  const openTimesheet = await Timesheet.findOpenShift(job._id, req.user._id);
+  if (openTimesheet) {
+    throw new AppError('You are already clocked in to this job', 409, 'Already Clocked In');
+  }
+
+  const clockEvent = buildClockEvent(job, req.body.latitude, req.body.longitude);
+  const workDate = Timesheet.startOfDay(clockEvent.time);
+
+  let timesheet = await Timesheet.findOne({ jobId: job._id, riggerId: req.user._id, workDate });
+  if (!timesheet) {
+    timesheet = new Timesheet({
+      jobId: job._id,
+      riggerId: req.user._id,
+      clientId: job.clientId,
+      workDate
+    });
+  }
+
+  await timesheet.clockIn(clockEvent);
+
+  res.status(201).json({
+    success: true,
+    message: 'Clocked in successfully',
+    timesheet
+  });
+}));
+
+// @route   POST /api/timesheets/:jobId/clock-out
+// @desc    Clock out of the current shift
+// @access  Private (Assigned rigger only)
+router.post('/:jobId/clock-out', authenticateToken, requireRole(['rigger']), clockEventValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const job = await findAssignedJob(req.params.jobId, req.user._id);
+
+  const timesheet = await Timesheet.findOpenShift(job._id, req.user._id);
+  if (!timesheet) {
+    throw new AppError('You are not clocked in to this job', 409, 'Not Clocked In');
+  }
+
+  const clockEvent = buildClockEvent(job, req.body.latitude, req.body.longitude);
+  await timesheet.clockOut(clockEvent, req.body.notes);
+
+  res.json({
+    success: true,
+    message: 'Clocked out successfully',
+    timesheet
+  });
+}));
+
+// @route   POST /api/timesheets/:jobId/breaks/start
+// @desc    Start a break in the current shift
+// @access  Private (Assigned rigger only)
+router.post('/:jobId/breaks/start', authenticateToken, requireRole(['rigger']), breakValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const timesheet = await Timesheet.findOpenShift(req.params.jobId, req.user._id);
+  if (!timesheet) {
+    throw new AppError('You are not clocked in to this job', 409, 'Not Clocked In');
+  }
+
+  await timesheet.startBreak(req.body.type, req.body.isPaid);
+
+  res.json({
+    success: true,
+    message: 'Break started',
+    timesheet
+  });
+}));
+
+// @route   POST /api/timesheets/:jobId/breaks/end
+// @desc    End the break in progress
+// @access  Private (Assigned rigger only)
+router.post('/:jobId/breaks/end', authenticateToken, requireRole(['rigger']), asyncHandler(async (req, res) => {
+  const timesheet = await Timesheet.findOpenShift(req.params.jobId, req.user._id);
+  if (!timesheet) {
+    throw new AppError('You are not clocked in to this job', 409, 'Not Clocked In');
+  }
+
+  await timesheet.endBreak();
+
+  res.json({
+    success: true,
+    message: 'Break ended',
+    timesheet
+  });
+}));
+
+// @route   GET /api/timesheets/job/:jobId
+// @desc    Get timesheets for a job, one per rigger per day
+// @access  Private (Job owner or assigned rigger)
+router.get('/job/:jobId', authenticateToken, asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.jobId).select('clientId assignedRiggerId positions hoursWorked totalCost rate');
+
+  if (!job) {
+    throw new AppError('Job not found', 404, 'Job Not Found');
+  }
+
+  const userId = req.user._id.toString();
+  const isClient = job.clientId && job.clientId.toString() === userId;
+  const isRigger = job.isAssignedTo(req.user._id);
+
+  if (!isClient && !isRigger) {
+    throw new AppError('Not authorized to view these timesheets', 403, 'Unauthorized');
+  }
+
+  const timesheets = await Timesheet.findByJob(job._id, req.query.status);
+  const approved = await Timesheet.getApprovedHours(job._id);
+
+  res.json({
+    success: true,
+    timesheets,
+    summary: {
+      approvedHours: approved.totalHours,
+      approvedDays: approved.days,
+      pendingReview: timesheets.filter(timesheet => timesheet.canReview()).length,
+      locationToCheck: timesheets.filter(timesheet => timesheet.needsLocationReview()).length,
+      hoursWorked: job.hoursWorked,
+      totalCost: job.totalCost
+    }
+  });
+}));
+
+// @route   PUT /api/timesheets/:timesheetId/approve
+// @desc    Approve a day's timesheet and update job hours
+// @access  Private (Job owner only)
+router.put('/:timesheetId/approve', authenticateToken, requireRole(['client']), asyncHandler(async (req, res) => {
+  const timesheet = await findClientTimesheet(req.params.timesheetId, req.user._id);
+
+  if (!timesheet.canReview()) {
+    throw new AppError('Only submitted or disputed timesheets with no open shift can be approved', 409, 'Invalid Timesheet State');
+  }
+
+  await timesheet.approve(req.user._id, req.body.notes);
+  const job = await Timesheet.syncJobHours(timesheet.jobId);
+
+  res.json({
+    success: true,
+    message: 'Timesheet approved successfully',
+    timesheet,
+    job: job && { hoursWorked: job.hoursWorked, totalCost: job.totalCost }
+  });
+}));
+
+// @route   PUT /api/timesheets/:timesheetId/dispute
+// @desc    Dispute a day's timesheet
+// @access  Private (Job owner only)
+router.put('/:timesheetId/dispute', authenticateToken, requireRole(['client']), disputeValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const timesheet = await findClientTimesheet(req.params.timesheetId, req.user._id);
+
+  if (timesheet.status !== 'submitted') {
+    throw new AppError('Only submitted timesheets can be disputed', 409, 'Invalid Timesheet State');
+  }
+
+  await timesheet.dispute(req.user._id, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Timesheet disputed',
+    timesheet
+  });
+}));
+
+module.exports = router;
@@ -1,8 +1,13 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const ErasureLog = require('../models/ErasureLog');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const geocodingService = require('../services/geocodingService');
+const accountErasureService = require('../services/accountErasureService');
+const { isValidCoordinate, toGeoJSONPoint, metresToKm } = require('../utils/geo');
+const { upcomingExpiries } = require('../utils/certificationExpiry');
 
 const router = express.Router();
 
@@ -22,7 +27,18 @@ const updateRiggerProfileValidation = [
   body('maximumTravelDistance').optional().isInt({ min: 0 }).withMessage('Maximum travel distance must be positive'),
   body('fifoAvailable').optional().isBoolean().withMessage('FIFO availability must be boolean'),
   body('nightShiftAvailable').optional().isBoolean().withMessage('Night shift availability must be boolean'),
-  body('emergencyAvailable').optional().isBoolean().withMessage('Emergency availability must be boolean')
+  body('emergencyAvailable').optional().isBoolean().withMessage('Emergency availability must be boolean'),
+  body('homeBase.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Home base latitude must be between -90 and 90'),
+  body('homeBase.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Home base longitude must be between -180 and 180'),
+  body('homeBase.postcode').optional().matches(/^\d{4}$/).withMessage('Home base postcode must be 4 digits')
+];
+
+const searchUsersValidation = [
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('postcode').optional().matches(/^\d{4}$/).withMessage('Postcode must be 4 digits'),
+  query('maxDistance').optional().isFloat({ min: 1, max: 5000 }).withMessage('Max distance must be between 1-5000 km'),
+  query('includeFifo').optional().isBoolean().withMessage('includeFifo must be boolean')
 ];
 
 const updateClientProfileValidation = [
@@ -119,6 +135,29 @@ router.put('/rigger-profile', authenticateToken, requireRole(['rigger']), update
     updateFields['riggerProfile.preferredLocations'] = req.body.preferredLocations;
   }
 
+  // Home base is stored with a GeoJSON point for radius searches
+  if (req.body.homeBase) {
+    const { address, postcode, state } = req.body.homeBase;
+    let latitude = parseFloat(req.body.homeBase.latitude);
+    let longitude = parseFloat(req.body.homeBase.longitude);
+
+    if (!isValidCoordinate(latitude, longitude)) {
+      const coordinate = postcode ? await geocodingService.geocodePostcode(postcode) : null;
+      if (!coordinate) {
+        throw new AppError('Home base requires latitude/longitude or a known postcode', 400, 'Invalid Home Base');
+      }
+      ({ latitude, longitude } = coordinate);
+    }
+
+    updateFields['riggerProfile.homeBase'] = {
+      address,
+      postcode,
+      state,
+      coordinate: { latitude, longitude },
+      point: toGeoJSONPoint(latitude, longitude)
+    };
+  }
+
   const user = await User.findByIdAndUpdate(
     req.user._id,
     updateFields,
@@ -203,6 +242,32 @@ router.post('/certifications', authenticateToken, requireRole(['rigger']), async
   });
 }));
 
+// @route   GET /api/users/certifications/expiring
+// @desc    List the rigger's tickets that have expired or expire soon, soonest first
+// @access  Private (Riggers only)
+router.get('/certifications/expiring', authenticateToken, requireRole(['rigger']), [
+  query('days').optional().isInt({ min: 1, max: 730 }).withMessage('Days must be between 1-730')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 90;
+  const certifications = req.user.riggerProfile ? req.user.riggerProfile.certifications : [];
+
+  const expiries = upcomingExpiries(certifications, new Date(), days).map(({ certification, daysRemaining, status }) => ({
+    certificationId: certification._id,
+    name: certification.name,
+    issuingAuthority: certification.issuingAuthority,
+    licenseNumber: certification.licenseNumber,
+    expiryDate: certification.expiryDate,
+    daysRemaining,
+    status
+  }));
+
+  res.json({
+    success: true,
+    days,
+    certifications: expiries
+  });
+}));
+
 // @route   DELETE /api/users/certifications/:certificationId
 // @desc    Remove certification from rigger profile
 // @access  Private (Riggers only)
@@ -227,13 +292,17 @@ router.delete('/certifications/:certificationId', authenticateToken, requireRole
 // @route   GET /api/users/search
 // @desc    Search for users (riggers for clients, basic info only)
 // @access  Private
-router.get('/search', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/search', authenticateToken, searchUsersValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const { 
     userType = 'rigger', 
     specialization, 
     experienceLevel, 
+    lat,
+    lng,
+    postcode,
     location, 
     maxDistance = 50,
+    includeFifo = 'true',
     availability = 'available',
     minRating = 0,
     page = 1,
@@ -257,21 +326,46 @@ router.get('/search', authenticateToken, asyncHandler(async (req, res) => {
     if (minRating > 0) {
       query['riggerProfile.rating'] = { $gte: parseFloat(minRating) };
     }
-    
-    // Location-based search would require geospatial queries
-    // This is a simplified version
-    if (location) {
-      // TODO: Implement geospatial search
-    }
   }
 
-  const users = await User.find(query)
-    .select('firstName lastName profilePicture riggerProfile.specializations riggerProfile.experienceLevel riggerProfile.rating riggerProfile.completedJobs riggerProfile.availability.status')
-    .skip(skip)
-    .limit(parseInt(limit))
-    .lean();
+  const selectFields = 'firstName lastName profilePicture riggerProfile.specializations riggerProfile.experienceLevel riggerProfile.rating riggerProfile.completedJobs riggerProfile.availability.status';
+  const origin = userType === 'rigger'
+    ? await geocodingService.resolveSearchOrigin({ lat, lng, postcode, location })
+    : null;
+
+  let users;
+  let totalUsers;
+
+  if (origin) {
+    const projection = {};
+    `${selectFields} riggerProfile.maximumTravelDistance riggerProfile.fifoAvailable riggerProfile.homeBase.postcode riggerProfile.homeBase.state`
+      .split(' ')
+      .forEach(field => { projection[field] = 1; });
+
+    const results = await User.findRiggersNear(origin, {
+      maxDistance: parseFloat(maxDistance),
+      query,
+      includeFifo: includeFifo === 'true' || includeFifo === true,
+      projection,
+      skip,
+      limit: parseInt(limit)
+    });
 
-  const totalUsers = await User.countDocuments(query);
+    users = results.users.map(({ distance, withinTravelRange, ...user }) => ({
+      ...user,
+      distanceKm: metresToKm(distance),
+      matchType: withinTravelRange ? 'local' : 'fifo'
+    }));
+    totalUsers = results.total;
+  } else {
+    users = await User.find(query)
+      .select(selectFields)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    totalUsers = await User.countDocuments(query);
+  }
 
   res.json({
     success: true,
@@ -286,6 +380,25 @@ router.get('/search', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/users/erasures
+// @desc    Audit log of account deletions
+// @access  Private (Admin only)
+router.get('/erasures', authenticateToken, requireRole(['admin']), [
+  query('status').optional().isIn(ErasureLog.schema.path('status').enumValues).withMessage('Invalid status'),
+  query('email').optional().isEmail().withMessage('Please provide a valid email')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.email) filter.emailHash = ErasureLog.hashEmail(req.query.email);
+
+  const erasures = await ErasureLog.find(filter).sort({ requestedAt: -1 }).limit(100);
+
+  res.json({
+    success: true,
+    erasures
+  });
+}));
+
 // @route   GET /api/users/:userId
 // @desc    Get public profile of a user
 // @access  Private
@@ -337,22 +450,26 @@ router.put('/availability', authenticateToken, requireRole(['rigger']), asyncHan
 }));
 
 // @route   DELETE /api/users/account
-// @desc    Deactivate user account
+// @desc    Request account deletion: the account is deactivated now and erased after a grace period
 // @access  Private
-router.delete('/account', authenticateToken, asyncHandler(async (req, res) => {
-  const user = await User.findByIdAndUpdate(
-    req.user._id,
-    { isActive: false },
-    { new: true }
-  );
-
+router.delete('/account', authenticateToken, [
+  body('password').notEmpty().withMessage('Password is required to delete your account')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
   if (!user) {
     throw new AppError('User not found', 404, 'User Not Found');
   }
 
+  if (!(await user.comparePassword(req.body.password))) {
+    throw new AppError('Password is incorrect', 401, 'Authentication Failed');
+  }
+
+  await accountErasureService.requestDeletion(user);
+
   res.json({
     success: true,
-    message: 'Account deactivated successfully'
+    message: `Your account has been deactivated and will be deleted on ${user.deletionScheduledFor.toISOString().slice(0, 10)}. To keep it, restore it before then with your email and password at POST /api/auth/restore-account.`,
+    deletionScheduledFor: user.deletionScheduledFor
   });
 }));
 
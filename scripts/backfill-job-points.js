@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * One-off backfill of `location.point` on jobs saved before geospatial search
+ * existed. The Job pre-save hook keeps the point in sync from then on, but
+ * older jobs only have `location.coordinate` and never match $geoNear.
+ *
+ * Usage: MONGODB_URI=... node scripts/backfill-job-points.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+const missingPoint = {
+  'location.coordinate.latitude': { $type: 'number' },
+  'location.coordinate.longitude': { $type: 'number' },
+  'location.point.coordinates.1': { $exists: false }
+};
+
+const backfill = async ({ dryRun }) => {
+  const count = await Job.countDocuments(missingPoint);
+  if (dryRun || count === 0) return { missing: count, updated: 0 };
+
+  // Pipeline update so each job's point is built from its own coordinate
+  const result = await Job.updateMany(missingPoint, [
+    {
+      $set: {
+        'location.point': {
+          type: 'Point',
+          coordinates: ['$location.coordinate.longitude', '$location.coordinate.latitude']
+        }
+      }
+    }
+  ]);
+  return { missing: count, updated: result.modifiedCount };
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/riggerhire')
+    .then(() => backfill({ dryRun }))
+    .then(({ missing, updated }) => {
+      console.log(dryRun ? `${missing} job(s) missing location.point` : `Backfilled location.point on ${updated} of ${missing} job(s)`);
+      return mongoose.disconnect();
+    })
+    .catch(error => {
+      console.error('Backfill failed:', error);
+      process.exitCode = 1;
+      return mongoose.disconnect();
+    });
+}
+
+module.exports = { backfill, missingPoint };
@@ -23,6 +23,19 @@ const applicationRoutes = require('./routes/applications');
 const paymentRoutes = require('./routes/payments');
 const agentRoutes = require('./routes/agents');
 const worksafeRoutes = require('./routes/worksafe');
+const timesheetRoutes = require('./routes/timesheets');
+const dispatchRoutes = require('./routes/dispatch');
+const jobTemplateRoutes = require('./routes/jobTemplates');
+const jobScheduleRoutes = require('./routes/jobSchedules');
+const changeOrderRoutes = require('./routes/changeOrders');
+const liftPlanRoutes = require('./routes/liftPlans');
+const analyticsRoutes = require('./routes/analytics');
+const pipelineRoutes = require('./routes/pipeline');
+const interviewRoutes = require('./routes/interviews');
+const documentRoutes = require('./routes/documents');
+const calendarRoutes = require('./routes/calendar');
+const credentialRoutes = require('./routes/credentials');
+const exportRoutes = require('./routes/exports');
 // const contactRoutes = require('./routes/contact');
 
 // Import billing routes
@@ -37,6 +50,16 @@ const setupSecurity = require('./middleware/security');
 const { protect } = require('./middleware/auth');
 const { verifyEmail } = require('./middleware/emailVerification');
 const { forgotPassword, resetPassword } = require('./middleware/passwordReset');
+
+// Import background jobs
+const scheduler = require('./services/scheduler');
+const emergencyDispatchService = require('./services/emergencyDispatchService');
+const interviewService = require('./services/interviewService');
+const jobScheduleService = require('./services/jobScheduleService');
+const jobExpiryService = require('./services/jobExpiryService');
+const certificationExpiryService = require('./services/certificationExpiryService');
+const dataExportService = require('./services/dataExportService');
+const accountErasureService = require('./services/accountErasureService');
 const { setup2FA, verify2FASetup, verify2FAToken, disable2FA } = require('./middleware/twoFactor');
 
 const app = express();
@@ -156,12 +179,31 @@ app.use('/api/applications', protect, applicationRoutes);
 app.use('/api/payments', protect, paymentRoutes);
 app.use('/api/agents', protect, agentRoutes);
 app.use('/api/worksafe', protect, worksafeRoutes);
+app.use('/api/timesheets', protect, timesheetRoutes);
+app.use('/api/dispatch', protect, dispatchRoutes);
+app.use('/api/job-templates', protect, jobTemplateRoutes);
+app.use('/api/job-schedules', protect, jobScheduleRoutes);
+app.use('/api/change-orders', protect, changeOrderRoutes);
+app.use('/api/lift-plans', protect, liftPlanRoutes);
+app.use('/api/analytics', protect, analyticsRoutes);
+app.use('/api/pipeline', protect, pipelineRoutes);
+app.use('/api/interviews', protect, interviewRoutes);
+app.use('/api/documents', protect, documentRoutes);
 // app.use('/api/contact', contactRoutes);
 
 // Billing routes (protected)
 app.use('/api/billing/employer', protect, employerBillingRoutes);
 app.use('/api/billing/worker', protect, workerBillingRoutes);
 
+// Calendar routes (feed URLs are public and authorised by their secret token)
+app.use('/api/calendar', calendarRoutes);
+
+// Licence card routes (verification is public and authorised by the signed token)
+app.use('/api/credentials', credentialRoutes);
+
+// Data export routes (downloads are public and authorised by a signed, short-lived link)
+app.use('/api/exports', exportRoutes);
+
 // NGO Transparency routes (public access)
 app.use('/api/transparency', ngoTransparencyRoutes);
 
@@ -178,6 +220,19 @@ app.get('/api', (req, res) => {
       payments: '/api/payments',
       contact: '/api/contact',
       worksafe: '/api/worksafe',
+      timesheets: '/api/timesheets',
+      dispatch: '/api/dispatch',
+      jobTemplates: '/api/job-templates',
+      jobSchedules: '/api/job-schedules',
+      changeOrders: '/api/change-orders',
+      liftPlans: '/api/lift-plans',
+      analytics: '/api/analytics',
+      pipeline: '/api/pipeline',
+      interviews: '/api/interviews',
+      documents: '/api/documents',
+      calendar: '/api/calendar',
+      credentials: '/api/credentials',
+      exports: '/api/exports',
       health: '/health'
     }
   });
@@ -218,6 +273,16 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/riggerhir
   // Record database connection metric
   metrics.setGauge('database_connected', 1);
   
+  // Start background jobs
+  scheduler.register('emergency-dispatch-waves', 60 * 1000, () => emergencyDispatchService.processExpiredWaves());
+  scheduler.register('recurring-job-postings', 60 * 60 * 1000, () => jobScheduleService.generateDueJobs());
+  scheduler.register('job-expiry', 15 * 60 * 1000, () => jobExpiryService.processExpiredJobs());
+  scheduler.register('interview-reminders', 5 * 60 * 1000, () => interviewService.processReminders());
+  scheduler.register('certification-expiry', 60 * 60 * 1000, () => certificationExpiryService.processExpiringCertifications());
+  scheduler.register('data-exports', 5 * 60 * 1000, () => dataExportService.processExports());
+  scheduler.register('account-erasure', 60 * 60 * 1000, () => accountErasureService.processDueErasures());
+  scheduler.start();
+  
   // Start server
   const server = app.listen(PORT, () => {
     logger.info('RiggerBackend server started successfully', {
@@ -254,6 +319,8 @@ process.on('SIGINT', async () => {
   logger.info('Received SIGINT. Graceful shutdown initiated...');
   
   try {
+    scheduler.stop();
+    
     // Flush metrics before shutdown
     await metrics.flushNow();
     logger.info('Metrics flushed successfully');
@@ -278,6 +345,7 @@ process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM. Graceful shutdown initiated...');
   
   try {
+    scheduler.stop();
     await metrics.flushNow();
     await mongoose.connection.close();
     metrics.recordBusinessEvent('server_shutdown', 'application');
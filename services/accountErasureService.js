@@ -0,0 +1,334 @@
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const User = require('../models/User');
+const ErasureLog = require('../models/ErasureLog');
+const Interview = require('../models/Interview');
+const Timesheet = require('../models/Timesheet');
+const TaskRun = require('../models/TaskRun');
+const ProfileDocument = require('../models/ProfileDocument');
+const LicenceCredential = require('../models/LicenceCredential');
+const DataExport = require('../models/DataExport');
+const { Post, Comment, Connection, Message, Notification } = require('../models/Social');
+const { PaymentTransaction, Invoice } = require('../models/payment/PaymentModels');
+const { AppError } = require('../middleware/errorHandler');
+const documentStorageService = require('./documentStorageService');
+const emailService = require('./emailService');
+const waitlistService = require('./waitlistService');
+const interviewService = require('./interviewService');
+const { logger } = require('../src/lib/logging/logger');
+
+const TASK_NAME = 'account-erasure';
+
+// Jobs that hold the user to work in progress; deletion waits until they are finished
+const ACTIVE_JOB_STATUSES = ['assigned', 'in_progress', 'on_hold'];
+
+/**
+ * Account deletion. A request deactivates the account and starts a grace period
+ * during which the user can restore it; afterwards personal details are erased:
+ * the profile is anonymised, messages, posts, interview notes and timesheet
+ * locations are scrubbed, and payment records kept for tax are pseudonymised.
+ * Each step is written to an ErasureLog.
+ */
+class AccountErasureService {
+  constructor() {
+    this.graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+  }
+
+  activeJobsQuery(userId, statuses = ACTIVE_JOB_STATUSES) {
+    return {
+      $or: [{ clientId: userId }, ...Job.assignedToQuery(userId).$or],
+      status: { $in: statuses }
+    };
+  }
+
+  /**
+   * Deactivate the account and schedule its erasure
+   * @param {Object} user - User document
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - The ErasureLog
+   */
+  async requestDeletion(user, now = new Date()) {
+    const activeJobs = await Job.countDocuments(this.activeJobsQuery(user._id));
+    if (activeJobs > 0) {
+      throw new AppError(`Finish or cancel your ${activeJobs} active job(s) before deleting your account`, 409, 'Active Jobs');
+    }
+
+    // Hashed first so a missing ERASURE_LOG_SECRET fails before the account is deactivated
+    const emailHash = ErasureLog.hashEmail(user.email);
+    user.scheduleDeletion(this.graceDays, now);
+    await user.save();
+
+    const log = new ErasureLog({
+      userId: user._id,
+      userType: user.userType,
+      emailHash,
+      pseudonym: ErasureLog.pseudonymFor(user._id),
+      requestedAt: now,
+      scheduledFor: user.deletionScheduledFor
+    });
+    log.recordStep('deletion_requested', undefined, { graceDays: this.graceDays }, now);
+
+    const revoked = await LicenceCredential.revokeAllForUser(user._id, 'revoked_by_rigger', now);
+    log.recordStep('credentials_revoked', revoked.modifiedCount, undefined, now);
+    await log.save();
+
+    try {
+      await emailService.sendAccountDeletionEmail(user.email, user.deletionScheduledFor);
+    } catch (error) {
+      logger.error(`Account deletion email error for user ${user._id}`, error);
+    }
+
+    return log;
+  }
+
+  /**
+   * Restore an account during its grace period
+   * @param {Object} user - User document
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - The user
+   */
+  async cancelDeletion(user, now = new Date()) {
+    user.cancelDeletion();
+    await user.save();
+
+    const log = await ErasureLog.findOpenForUser(user._id);
+    if (log) await log.cancel(now);
+
+    return user;
+  }
+
+  /**
+   * Erase every account whose grace period has ended. Run periodically by the scheduler.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - The TaskRun document
+   */
+  async processDueErasures(now = new Date()) {
+    const run = await TaskRun.start(TASK_NAME);
+    const summary = { erased: 0, deferred: 0, failed: 0 };
+
+    try {
+      const users = await User.findDueForErasure(now);
+
+      for (const user of users) {
+        const result = await this.erase(user, now);
+        run.recordAffected('User', user._id, result);
+        summary[result] += 1;
+      }
+
+      return await run.succeed(summary);
+    } catch (error) {
+      logger.error('Account erasure processor error', error);
+      return run.fail(error, summary);
+    }
+  }
+
+  /**
+   * Erase one account. Every step can be re-run, so a failed erasure is retried from the start.
+   * @param {Object} user - User document
+   * @param {Date} now - Current time
+   * @returns {Promise<string>} - 'erased', 'deferred' (jobs under way) or 'failed'
+   */
+  async erase(user, now = new Date()) {
+    let log = await ErasureLog.findOpenForUser(user._id);
+    if (!log) {
+      log = new ErasureLog({
+        userId: user._id,
+        userType: user.userType,
+        emailHash: ErasureLog.hashEmail(user.email),
+        pseudonym: ErasureLog.pseudonymFor(user._id),
+        requestedAt: user.deletionRequestedAt || now,
+        scheduledFor: user.deletionScheduledFor
+      });
+    }
+    log.attempts += 1;
+
+    try {
+      const jobsUnderWay = await Job.countDocuments(this.activeJobsQuery(user._id, ['in_progress', 'on_hold']));
+      if (jobsUnderWay > 0) {
+        log.recordStep('erasure_deferred', jobsUnderWay, { reason: 'jobs_in_progress' }, now);
+        await log.save();
+        return 'deferred';
+      }
+
+      await this.closeJobs(user, log, now);
+      await this.scrubApplications(user, log, now);
+      await this.scrubInterviews(user, log, now);
+      await this.scrubTimesheets(user, log, now);
+      await this.scrubSocial(user, log, now);
+      await this.pseudonymiseFinancialRecords(user, log, now);
+      await this.deleteFiles(user, log, now);
+
+      user.anonymise(now);
+      // Anonymised profiles no longer meet the registration rules (e.g. phone number)
+      await user.save({ validateBeforeSave: false });
+      log.recordStep('user_anonymised', 1, undefined, now);
+
+      await log.complete(now);
+      return 'erased';
+    } catch (error) {
+      logger.error(`Account erasure failed for user ${user._id}`, error);
+      await log.fail(error);
+      return 'failed';
+    }
+  }
+
+  // Withdraw open applications, take the rigger off upcoming jobs and cancel the client's unfilled jobs
+  async closeJobs(user, log, now) {
+    const openApplications = await JobApplication.find({ applicantId: user._id, status: { $in: ['pending', 'waitlisted'] } });
+    for (const application of openApplications) {
+      await application.withdraw();
+      await waitlistService.promoteNext(application.jobId);
+    }
+    log.recordStep('applications_withdrawn', openApplications.length, undefined, now);
+
+    const assignedJobs = await Job.find({ ...Job.assignedToQuery(user._id), status: { $in: ['posted', 'assigned'] } });
+    for (const job of assignedJobs) {
+      job.releaseRigger(user._id, { reason: 'Rigger deleted their account' });
+      await job.save();
+    }
+    log.recordStep('riggers_released', assignedJobs.length, undefined, now);
+
+    const postedJobs = await Job.find({ clientId: user._id, status: { $in: ['posted', 'assigned'] } });
+    for (const job of postedJobs) {
+      await job.cancelJob('Client deleted their account', user._id);
+      await JobApplication.rejectPending(job._id, 'Job cancelled');
+    }
+    log.recordStep('jobs_cancelled', postedJobs.length, undefined, now);
+
+    // Interviews on the withdrawn applications and cancelled jobs are called off
+    const jobIds = new Set([
+      ...openApplications.map(application => application.jobId.toString()),
+      ...postedJobs.map(job => job._id.toString())
+    ]);
+    let interviewsCancelled = 0;
+    for (const jobId of jobIds) {
+      interviewsCancelled += await interviewService.cancelClosedInterviews(jobId, user._id);
+    }
+    log.recordStep('interviews_cancelled', interviewsCancelled, undefined, now);
+  }
+
+  // Applications stay on the client's job history without the rigger's own words
+  async scrubApplications(user, log, now) {
+    const result = await JobApplication.updateMany(
+      { applicantId: user._id },
+      { $set: { message: '[Deleted]', portfolioItems: [] }, $unset: { relevantExperience: 1 } }
+    );
+    log.recordStep('applications_scrubbed', result.modifiedCount, undefined, now);
+
+    // Rate offer messages: every one on the user's applications, and those they sent as the client
+    const negotiated = await JobApplication.find({
+      $or: [{ applicantId: user._id }, { 'rateOffers.fromUserId': user._id }]
+    }).select('applicantId rateOffers');
+    let offersScrubbed = 0;
+    for (const application of negotiated) {
+      const paths = {};
+      application.rateOffers.forEach((offer, index) => {
+        if (offer.message && (application.applicantId.equals(user._id) || offer.fromUserId.equals(user._id))) {
+          paths[`rateOffers.${index}.message`] = 1;
+        }
+      });
+      if (Object.keys(paths).length === 0) continue;
+      await JobApplication.updateOne({ _id: application._id }, { $unset: paths });
+      offersScrubbed += Object.keys(paths).length;
+    }
+    log.recordStep('rate_offers_scrubbed', offersScrubbed, undefined, now);
+  }
+
+  // Interviews stay on the job's history without the arrangements or notes, from either side, about the user
+  async scrubInterviews(user, log, now) {
+    const interviews = await Interview.find({ $or: [{ riggerId: user._id }, { clientId: user._id }] }).select('history');
+    for (const interview of interviews) {
+      const paths = { details: 1, outcomeNotes: 1 };
+      interview.history.forEach((event, index) => {
+        paths[`history.${index}.note`] = 1;
+      });
+      await Interview.updateOne({ _id: interview._id }, { $unset: paths });
+    }
+    log.recordStep('interviews_scrubbed', interviews.length, undefined, now);
+  }
+
+  // Timesheets are kept for pay records, without where the rigger clocked in and out
+  async scrubTimesheets(user, log, now) {
+    const timesheets = await Timesheet.find({ riggerId: user._id }).select('shifts');
+    for (const timesheet of timesheets) {
+      const paths = {};
+      timesheet.shifts.forEach((shift, index) => {
+        paths[`shifts.${index}.clockIn.coordinate`] = 1;
+        if (shift.clockOut) paths[`shifts.${index}.clockOut.coordinate`] = 1;
+      });
+      if (Object.keys(paths).length) await Timesheet.updateOne({ _id: timesheet._id }, { $unset: paths });
+    }
+    log.recordStep('timesheets_scrubbed', timesheets.length, undefined, now);
+  }
+
+  async scrubSocial(user, log, now) {
+    const messages = await Message.updateMany(
+      { sender: user._id },
+      { $set: { content: '[Message deleted]', attachments: [], isActive: false }, $unset: { sharedContact: 1, sharedJob: 1 } }
+    );
+    log.recordStep('messages_scrubbed', messages.modifiedCount, undefined, now);
+
+    const posts = await Post.updateMany(
+      { author: user._id },
+      {
+        $set: { content: '[Post deleted]', media: [], tags: [], mentions: [], isActive: false },
+        $unset: { location: 1, sharedCertification: 1, sharedJob: 1 }
+      }
+    );
+    log.recordStep('posts_scrubbed', posts.modifiedCount, undefined, now);
+
+    const comments = await Comment.updateMany({ author: user._id }, { $set: { content: '[Comment deleted]', isActive: false } });
+    log.recordStep('comments_scrubbed', comments.modifiedCount, undefined, now);
+
+    const connections = await Connection.deleteMany({ $or: [{ requester: user._id }, { recipient: user._id }] });
+    log.recordStep('connections_deleted', connections.deletedCount, undefined, now);
+
+    const notifications = await Notification.deleteMany({ recipient: user._id });
+    log.recordStep('notifications_deleted', notifications.deletedCount, undefined, now);
+  }
+
+  // Payments and invoices are kept for tax records, with the name and contact details replaced by the pseudonym
+  async pseudonymiseFinancialRecords(user, log, now) {
+    const counts = {};
+    for (const party of ['payer', 'payee']) {
+      const result = await PaymentTransaction.updateMany(
+        { [`participants.${party}.userId`]: user._id },
+        { $set: { [`participants.${party}.name`]: log.pseudonym }, $unset: { [`participants.${party}.email`]: 1 } }
+      );
+      counts[party] = result.modifiedCount;
+    }
+    log.recordStep('transactions_pseudonymised', counts.payer + counts.payee, counts, now);
+
+    const invoices = await Invoice.updateMany(
+      { userId: user._id },
+      {
+        $set: { 'billing.name': log.pseudonym },
+        $unset: { 'billing.email': 1, 'billing.address.line1': 1, 'billing.address.line2': 1, 'billing.address.city': 1 }
+      }
+    );
+    log.recordStep('invoices_pseudonymised', invoices.modifiedCount, undefined, now);
+  }
+
+  // Licence uploads, licence cards and data exports are deleted outright
+  async deleteFiles(user, log, now) {
+    const documents = await ProfileDocument.find({ userId: user._id });
+    for (const document of documents) {
+      await documentStorageService.remove(document.storageKey);
+      await documentStorageService.remove(document.thumbnailKey);
+    }
+    await ProfileDocument.deleteMany({ userId: user._id });
+    log.recordStep('documents_deleted', documents.length, undefined, now);
+
+    const credentials = await LicenceCredential.deleteMany({ userId: user._id });
+    log.recordStep('credentials_deleted', credentials.deletedCount, undefined, now);
+
+    const exports = await DataExport.find({ userId: user._id });
+    for (const dataExport of exports) {
+      await documentStorageService.remove(dataExport.storageKey);
+    }
+    await DataExport.deleteMany({ userId: user._id });
+    log.recordStep('exports_deleted', exports.length, undefined, now);
+  }
+}
+
+module.exports = new AccountErasureService();
@@ -0,0 +1,112 @@
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const { AppError } = require('../middleware/errorHandler');
+const { screenApplicant } = require('../utils/applicationScreening');
+const waitlistService = require('./waitlistService');
+const interviewService = require('./interviewService');
+
+/**
+ * Applying for jobs and reviewing applications. Both the jobs and the
+ * applications routes expose these, so the rules live here once: who may apply,
+ * how applicants are screened and waitlisted, and what a review sets in motion.
+ */
+class ApplicationService {
+  constructor() {
+    this.reviewStatuses = ['accepted', 'rejected'];
+  }
+
+  /**
+   * Apply for a job as a rigger
+   * @param {string} jobId - Job ID
+   * @param {Object} rigger - Applying user
+   * @param {Object} details - message, availabilityInfo, relevantExperience and, on crew jobs, positionId
+   * @returns {Promise<Object>} - The saved application and its screening result
+   */
+  async apply(jobId, rigger, { message, availabilityInfo, relevantExperience, positionId } = {}) {
+    const job = await Job.findById(jobId);
+    if (!job) {
+      throw new AppError('Job not found', 404, 'Job Not Found');
+    }
+
+    if (job.status !== 'posted') {
+      throw new AppError('Job is not accepting applications', 400, 'Job Not Open');
+    }
+
+    if (await JobApplication.exists({ jobId: job._id, applicantId: rigger._id })) {
+      throw new AppError('You have already applied for this job', 400, 'Duplicate Application');
+    }
+
+    if (job.areApplicationsClosed()) {
+      throw new AppError('Applications for this job have closed', 400, 'Applications Closed');
+    }
+
+    // Crew jobs take applications for a specific open position
+    if (job.isCrewJob && !job.findOpenPosition(positionId)) {
+      throw new AppError('Please choose an open position to apply for', 400, 'Invalid Position');
+    }
+
+    const application = new JobApplication({
+      jobId: job._id,
+      applicantId: rigger._id,
+      clientId: job.clientId,
+      positionId: job.isCrewJob ? positionId : undefined,
+      message,
+      availabilityInfo,
+      relevantExperience
+    });
+
+    // Screen the applicant's tickets, experience and insurance against the job
+    const screening = application.recordScreening(
+      screenApplicant({ profile: rigger.riggerProfile, job, position: job.isCrewJob ? job.positions.id(positionId) : null }),
+      job.autoRejectFailedScreening
+    );
+
+    // Past the job's applicant limit the application queues on the waitlist
+    await waitlistService.waitlistIfFull(application, job);
+
+    await application.save();
+
+    return { application, screening };
+  }
+
+  /**
+   * Accept or reject a pending application on one of the client's open jobs
+   * @param {Object} filter - Identifies the application, e.g. { _id, jobId }
+   * @param {Object} client - Reviewing job owner
+   * @param {Object} decision - status ('accepted' or 'rejected') and an optional message
+   * @returns {Promise<Object>} - The reviewed application
+   */
+  async review(filter, client, { status, message }) {
+    if (!this.reviewStatuses.includes(status)) {
+      throw new AppError('Invalid status. Must be accepted or rejected', 400, 'Invalid Status');
+    }
+
+    const application = await JobApplication.findOne({ ...filter, clientId: client._id });
+    if (!application) {
+      throw new AppError('Application not found or not authorized', 404, 'Application Not Found');
+    }
+
+    if (!application.canReview()) {
+      throw new AppError('Application has already been reviewed', 400, 'Already Reviewed');
+    }
+
+    const job = await Job.findById(application.jobId).select('status');
+    if (!job || job.status !== 'posted') {
+      throw new AppError('Cannot review applications for jobs that are not open', 400, 'Job Not Open');
+    }
+
+    // Accepting assigns the applicant to the job, or to their crew position, at any agreed rate
+    if (status === 'accepted') {
+      await application.accept(client._id, message);
+    } else {
+      await application.reject(client._id, message);
+    }
+
+    await waitlistService.promoteNext(application.jobId);
+    await interviewService.cancelClosedInterviews(application.jobId, client._id);
+
+    return application;
+  }
+}
+
+module.exports = new ApplicationService();
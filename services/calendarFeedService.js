@@ -0,0 +1,121 @@
+const Job = require('../models/Job');
+const payRules = require('../config/payRules');
+const { buildCalendar } = require('../utils/ics');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const SHIFT_LABELS = {
+  day_shift: 'Day shift',
+  night_shift: 'Night shift',
+  swing_shift: 'Swing shift',
+  fifo: 'FIFO',
+  continuous: 'Continuous'
+};
+
+const STATUS_PREFIX = {
+  posted: '[Unfilled] ',
+  on_hold: '[On hold] ',
+  cancelled: '[Cancelled] '
+};
+
+/**
+ * Builds per-user iCalendar feeds of jobs. Riggers get the jobs they are
+ * assigned to; clients get their own jobs. Feeds are generated on request, so
+ * date changes and cancellations show up the next time a calendar app polls.
+ */
+class CalendarFeedService {
+  constructor() {
+    // Jobs that started longer ago than this drop out of the feed
+    this.historyDays = parseInt(process.env.CALENDAR_FEED_HISTORY_DAYS) || 90;
+    this.refreshMinutes = parseInt(process.env.CALENDAR_FEED_REFRESH_MINUTES) || 60;
+  }
+
+  /**
+   * Build the feed for a user
+   * @param {Object} user - User document
+   * @param {Date} now - Current time
+   * @returns {Promise<string>} - iCalendar text
+   */
+  async buildFeed(user, now = new Date()) {
+    const since = new Date(now.getTime() - this.historyDays * DAY_MS);
+    const isRigger = user.userType === 'rigger';
+
+    // Riggers are matched on assignment, not status: crew jobs stay posted while other positions fill
+    const query = {
+      $and: [
+        isRigger ? Job.assignedToQuery(user._id) : { clientId: user._id },
+        { $or: [{ startDate: { $gte: since } }, { endDate: { $gte: since } }] }
+      ]
+    };
+
+    const jobs = await Job.find(query)
+      .populate('clientId', 'firstName lastName email phoneNumber clientProfile.companyName')
+      .populate('assignedRiggerId', 'firstName lastName phoneNumber')
+      .populate('positions.assignedRiggerIds', 'firstName lastName phoneNumber')
+      .sort({ startDate: 1 });
+
+    return buildCalendar({
+      name: isRigger ? 'RiggerHire - My jobs' : `RiggerHire - ${user.clientProfile ? user.clientProfile.companyName : 'Our'} jobs`,
+      refreshMinutes: this.refreshMinutes,
+      events: jobs.map(job => this.buildJobEvent(job, isRigger ? 'rigger' : 'client'))
+    }, now);
+  }
+
+  /**
+   * Turn a job into a calendar event
+   * @param {Object} job - Job document with clientId and riggers populated
+   * @param {string} audience - 'rigger' or 'client'
+   * @returns {Object} - Event for utils/ics buildCalendar
+   */
+  buildJobEvent(job, audience) {
+    const start = job.startDate;
+    const pattern = payRules.shiftPatterns[job.shiftPattern];
+    const end = job.endDate && job.endDate > start
+      ? job.endDate
+      : new Date(start.getTime() + (pattern ? pattern.hoursPerDay : 8) * HOUR_MS);
+
+    // A rigger's place on a crew job that is still filling is confirmed for them
+    const status = audience === 'rigger' && job.status === 'posted' ? 'assigned' : job.status;
+
+    const { address, city, state, postcode, coordinate } = job.location;
+    const details = [
+      `Status: ${status.replace('_', ' ')}`,
+      `Shift: ${SHIFT_LABELS[job.shiftPattern] || job.shiftPattern}`
+    ];
+
+    if (audience === 'rigger' && job.clientId) {
+      const client = job.clientId;
+      const company = client.clientProfile ? `${client.clientProfile.companyName} - ` : '';
+      details.push(`Client contact: ${company}${client.firstName} ${client.lastName}, ${client.phoneNumber}, ${client.email}`);
+    }
+    if (audience === 'client') {
+      const riggers = job.isCrewJob
+        ? job.positions.flatMap(position => position.assignedRiggerIds)
+        : [job.assignedRiggerId].filter(Boolean);
+      riggers.filter(rigger => rigger.firstName).forEach(rigger => {
+        details.push(`Rigger: ${rigger.firstName} ${rigger.lastName}, ${rigger.phoneNumber}`);
+      });
+    }
+    if (job.equipmentRequired && job.equipmentRequired.length) {
+      details.push(`Equipment: ${job.equipmentRequired.join(', ')}`);
+    }
+
+    return {
+      uid: `job-${job._id}@riggerhire`,
+      start,
+      end,
+      summary: `${STATUS_PREFIX[status] || ''}${job.title}`,
+      description: details.join('\n'),
+      location: `${address}, ${city} ${state} ${postcode}`,
+      geo: coordinate,
+      url: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/jobs/${job._id}` : undefined,
+      status: status === 'cancelled' ? 'CANCELLED' : status === 'posted' ? 'TENTATIVE' : 'CONFIRMED',
+      // Change orders bump the version and every status change adds history, so this only goes up
+      sequence: (job.version || 1) - 1 + job.statusHistory.length,
+      lastModified: job.updatedAt
+    };
+  }
+}
+
+module.exports = new CalendarFeedService();
@@ -0,0 +1,172 @@
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const User = require('../models/User');
+const TaskRun = require('../models/TaskRun');
+const notificationService = require('./notificationService');
+const waitlistService = require('./waitlistService');
+const { logger } = require('../src/lib/logging/logger');
+const { DEFAULT_REMINDER_DAYS, dueReminder, isExpired, isUnqualifiedFor } = require('../utils/certificationExpiry');
+
+const TASK_NAME = 'certification-expiry';
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Watches riggers' ticket expiry dates. Sends renewal reminders ahead of expiry,
+ * marks expired tickets invalid and takes the rigger off jobs that need the
+ * ticket, warning the clients affected. Every run is recorded as a TaskRun.
+ */
+class CertificationExpiryService {
+  constructor() {
+    const days = (process.env.CERT_EXPIRY_REMINDER_DAYS || '')
+      .split(',')
+      .map(value => parseInt(value))
+      .filter(value => value > 0);
+    this.reminderDays = days.length ? days : DEFAULT_REMINDER_DAYS;
+  }
+
+  /**
+   * Run the processor once. Run periodically by the scheduler.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - The TaskRun document
+   */
+  async processExpiringCertifications(now = new Date()) {
+    const run = await TaskRun.start(TASK_NAME);
+    const summary = { remindersSent: 0, certificationsExpired: 0, riggersReleased: 0, clientsWarned: 0, riggersFailed: 0 };
+
+    try {
+      const furthest = Math.max(...this.reminderDays);
+      const riggers = await User.findWithCertificationsExpiringBy(new Date(now.getTime() + furthest * 24 * 60 * 60 * 1000));
+
+      // One rigger failing is recorded on the run and doesn't hold up the others
+      for (const rigger of riggers) {
+        try {
+          await this.processRigger(rigger, now, run, summary);
+        } catch (error) {
+          logger.error(`Certification expiry failed for rigger ${rigger._id}`, error);
+          run.recordAffected('User', rigger._id, 'failed', { error: error.message });
+          summary.riggersFailed += 1;
+        }
+      }
+
+      return await run.succeed(summary);
+    } catch (error) {
+      logger.error('Certification expiry processor error', error);
+      return run.fail(error, summary);
+    }
+  }
+
+  // Send due reminders for one rigger's tickets and deal with any that have expired
+  async processRigger(rigger, now, run, summary) {
+    const expired = [];
+
+    for (const certification of rigger.riggerProfile.certifications) {
+      if (certification.isValid === false) continue;
+
+      if (isExpired(certification, now)) {
+        certification.isValid = false;
+        certification.expiredAt = now;
+        expired.push(certification);
+        continue;
+      }
+
+      const reminder = dueReminder(certification, now, this.reminderDays);
+      if (reminder) {
+        await this.sendReminder(rigger, certification, reminder.days);
+        certification.remindersSent.push(...reminder.covers);
+        run.recordAffected('User', rigger._id, 'reminder_sent', { certification: certification.name, days: reminder.days });
+        summary.remindersSent += 1;
+      }
+    }
+
+    await rigger.save();
+
+    for (const certification of expired) {
+      run.recordAffected('User', rigger._id, 'certification_expired', { certification: certification.name });
+      summary.certificationsExpired += 1;
+      await this.handleExpiry(rigger, certification, now, run, summary);
+    }
+  }
+
+  sendReminder(rigger, certification, days) {
+    return notificationService.notify(rigger._id, {
+      type: 'safety_alert',
+      title: `${certification.name} expires in ${days} days`,
+      message: `Your ${certification.name} ticket (${certification.licenseNumber}) expires on ${formatDate(certification.expiryDate)}. Renew it and upload the new ticket so you are not turned away on site.`,
+      priority: days <= 7 ? 'high' : 'medium',
+      actionUrl: '/profile/certifications'
+    });
+  }
+
+  /**
+   * Take the rigger off upcoming jobs that need the expired ticket, withdraw their accepted
+   * application and open the job to applications again, and warn the clients.
+   * Jobs already under way are left for the client to deal with.
+   */
+  async handleExpiry(rigger, certification, now, run, summary) {
+    await notificationService.notify(rigger._id, {
+      type: 'safety_alert',
+      title: `${certification.name} has expired`,
+      message: `Your ${certification.name} ticket expired on ${formatDate(certification.expiryDate)}. Upload a renewed ticket before taking jobs that need it.`,
+      priority: 'high',
+      actionUrl: '/profile/certifications'
+    });
+
+    const jobs = await Job.find({
+      ...Job.assignedToQuery(rigger._id),
+      status: { $in: ['posted', 'assigned', 'in_progress', 'on_hold'] }
+    });
+
+    for (const job of jobs) {
+      const unqualified = isUnqualifiedFor({
+        job,
+        position: job.isCrewJob ? job.positionFor(rigger._id) : null,
+        certifications: rigger.riggerProfile.certifications,
+        certificationName: certification.name
+      }, now);
+      if (!unqualified) continue;
+
+      const riggerName = `${rigger.firstName} ${rigger.lastName}`;
+
+      if (['posted', 'assigned'].includes(job.status)) {
+        job.releaseRigger(rigger._id, { reason: `${riggerName}'s ${certification.name} ticket expired` });
+        job.reopenApplications(now);
+        await job.save();
+
+        const application = await JobApplication.findOne({ jobId: job._id, applicantId: rigger._id, status: 'accepted' });
+        if (application) {
+          await application.withdraw();
+        }
+        await waitlistService.promoteNext(job._id);
+        run.recordAffected('Job', job._id, 'rigger_released', { riggerId: rigger._id, certification: certification.name });
+        summary.riggersReleased += 1;
+
+        await notificationService.notify(rigger._id, {
+          type: 'safety_alert',
+          title: 'Removed from job',
+          message: `You have been taken off "${job.title}" because it requires a current ${certification.name} ticket.`,
+          relatedJob: job._id,
+          priority: 'high'
+        });
+        await notificationService.notify(job.clientId, {
+          type: 'safety_alert',
+          title: 'Rigger removed: ticket expired',
+          message: `${riggerName}'s ${certification.name} ticket has expired, so they have been taken off "${job.title}". The job is open for a replacement.`,
+          relatedJob: job._id,
+          priority: 'high'
+        });
+      } else {
+        await notificationService.notify(job.clientId, {
+          type: 'safety_alert',
+          title: 'Rigger ticket expired',
+          message: `${riggerName}'s ${certification.name} ticket has expired. They must not work on "${job.title}" until it is renewed.`,
+          relatedJob: job._id,
+          priority: 'critical'
+        });
+      }
+      summary.clientsWarned += 1;
+    }
+  }
+}
+
+module.exports = new CertificationExpiryService();
@@ -0,0 +1,271 @@
+const ChangeOrder = require('../models/ChangeOrder');
+const JobVersion = require('../models/JobVersion');
+const Job = require('../models/Job');
+const Timesheet = require('../models/Timesheet');
+const { AppError } = require('../middleware/errorHandler');
+const notificationService = require('./notificationService');
+
+const FIELD_LABELS = {
+  rate: 'rate',
+  startDate: 'start date',
+  endDate: 'end date',
+  description: 'scope',
+  equipmentRequired: 'equipment',
+  safetyRequirements: 'safety requirements',
+  shiftPattern: 'shift pattern'
+};
+
+/**
+ * Handles change orders on assigned jobs. Either side proposes a change to the
+ * agreed terms, the other side accepts or rejects it, and accepted changes are
+ * applied to the job as a new JobVersion so costs can be worked out against
+ * the terms in force on each day.
+ */
+class ChangeOrderService {
+  constructor() {
+    this.changeableStatuses = ['assigned', 'in_progress', 'on_hold'];
+  }
+
+  /**
+   * Work out which side of a job a user is on
+   * @param {Object} job - Job document
+   * @param {string} userId - User ID
+   * @returns {string|null} - 'client', 'rigger' or null if not a party
+   */
+  partyRole(job, userId) {
+    if (job.clientId.toString() === userId.toString()) return 'client';
+    if (job.isAssignedTo(userId)) return 'rigger';
+    return null;
+  }
+
+  /**
+   * Load a job and check the user is a party to it
+   * @returns {Promise<Object>} - { job, role }
+   */
+  async findJobForParty(jobId, userId) {
+    const job = await Job.findById(jobId);
+    const role = job && this.partyRole(job, userId);
+
+    if (!role) {
+      throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
+    }
+    return { job, role };
+  }
+
+  /**
+   * Propose a change to the agreed terms of a job
+   * @param {Object} job - Job document
+   * @param {Object} user - Proposing user
+   * @param {Object} proposal - { changes: { field: value }, reason, effectiveFrom }
+   * @returns {Promise<Object>} - The ChangeOrder document
+   */
+  async propose(job, user, { changes, reason, effectiveFrom }) {
+    const role = this.partyRole(job, user._id);
+    if (!role) {
+      throw new AppError('Job not found or not authorized', 404, 'Job Not Found');
+    }
+    if (!this.changeableStatuses.includes(job.status) || job.assignedRiggerIds.length === 0) {
+      throw new AppError('Change orders can only be raised on assigned jobs that are not yet finished', 409, 'Invalid Status');
+    }
+    if (await ChangeOrder.findOpenForJob(job._id)) {
+      throw new AppError('This job already has a change order awaiting a response', 409, 'Change Order Pending');
+    }
+    if (effectiveFrom && new Date(effectiveFrom) < job.createdAt) {
+      throw new AppError('A change cannot take effect before the job was created', 400, 'Invalid Effective Date');
+    }
+
+    const fieldChanges = this.buildChanges(job, changes);
+
+    const changeOrder = await ChangeOrder.create({
+      jobId: job._id,
+      number: await ChangeOrder.nextNumber(job._id),
+      proposedBy: user._id,
+      proposerRole: role,
+      reason,
+      changes: fieldChanges,
+      effectiveFrom,
+      requiredApprovers: role === 'client' ? job.assignedRiggerIds : [job.clientId]
+    });
+
+    await notificationService.notifyMany(changeOrder.requiredApprovers, {
+      title: `Change order ${changeOrder.reference} proposed`,
+      message: `${user.firstName} proposed a change to the ${this.describe(fieldChanges)} on "${job.title}". Review and accept or reject it.`,
+      relatedJob: job._id,
+      priority: 'high',
+      sender: user._id
+    });
+
+    return changeOrder;
+  }
+
+  /**
+   * Validate requested values against the job schema and diff them with the current terms
+   * @param {Object} job - Job document
+   * @param {Object} changes - { field: value }
+   * @returns {Array<Object>} - [{ field, from, to }]
+   */
+  buildChanges(job, changes) {
+    const fields = Object.keys(changes || {});
+    const unknown = fields.filter(field => !JobVersion.agreedFields.includes(field));
+    if (unknown.length) {
+      throw new AppError(`These fields cannot be changed by a change order: ${unknown.join(', ')}`, 400, 'Invalid Change');
+    }
+    // Crew jobs are paid per position, so a job-wide rate would not change what anyone is paid
+    if (job.isCrewJob && fields.includes('rate')) {
+      throw new AppError('Rates on crew jobs are set per position and cannot be changed by a change order', 400, 'Invalid Change');
+    }
+
+    // Cast and validate the new values on a detached copy of the job
+    const candidate = Job.hydrate(job.toObject());
+    fields.forEach(field => candidate.set(field, changes[field]));
+
+    const validationError = candidate.validateSync(fields);
+    if (validationError) {
+      throw new AppError(validationError.message, 400, 'Invalid Change');
+    }
+    if (candidate.endDate && candidate.endDate < candidate.startDate) {
+      throw new AppError('End date must be after start date', 400, 'Invalid Date Range');
+    }
+
+    const fieldChanges = fields
+      .map(field => ({ field, from: job.get(field), to: candidate.get(field) }))
+      .filter(change => !ChangeOrder.sameValue(change.from, change.to))
+      .map(change => ({
+        field: change.field,
+        from: Array.isArray(change.from) ? [...change.from] : change.from,
+        to: Array.isArray(change.to) ? [...change.to] : change.to
+      }));
+
+    if (fieldChanges.length === 0) {
+      throw new AppError('The proposed values match the current terms', 400, 'No Changes');
+    }
+    return fieldChanges;
+  }
+
+  /**
+   * Accept or reject a change order. Applied to the job once every approver has accepted.
+   * @param {string} changeOrderId - ChangeOrder ID
+   * @param {Object} user - Responding user
+   * @param {string} decision - 'accepted' or 'rejected'
+   * @param {string} note - Optional note for the proposer
+   * @returns {Promise<Object>} - { changeOrder, job }
+   */
+  async respond(changeOrderId, user, decision, note) {
+    const changeOrder = await ChangeOrder.findById(changeOrderId);
+    if (!changeOrder) {
+      throw new AppError('Change order not found', 404, 'Change Order Not Found');
+    }
+
+    const job = await Job.findById(changeOrder.jobId);
+    if (!job) {
+      throw new AppError('Job not found', 404, 'Job Not Found');
+    }
+
+    changeOrder.recordResponse(user._id, decision, note);
+
+    // The job may have finished or had its terms changed since the proposal
+    if (changeOrder.status === 'accepted' && (!this.changeableStatuses.includes(job.status) || changeOrder.isStale(job))) {
+      changeOrder.status = 'superseded';
+      await changeOrder.save();
+      throw new AppError('The job has changed since this change order was proposed', 409, 'Change Order Superseded');
+    }
+
+    // Only the response that settles the change order moves it out of 'proposed'
+    const saved = await ChangeOrder.findOneAndUpdate(
+      { _id: changeOrder._id, status: 'proposed', 'responses.userId': { $ne: user._id } },
+      { $set: { status: changeOrder.status, responses: changeOrder.responses, closedAt: changeOrder.closedAt } },
+      { new: true }
+    );
+    if (!saved) {
+      throw new AppError('This change order has already been settled', 409, 'Invalid Change Order State');
+    }
+
+    let updatedJob = job;
+    if (saved.status === 'accepted') {
+      updatedJob = await this.apply(saved, job, user._id);
+    }
+
+    await notificationService.notify(saved.proposedBy, {
+      title: `Change order ${saved.reference} ${saved.status === 'proposed' ? decision : saved.status}`,
+      message: `${user.firstName} ${decision} your change to the ${this.describe(saved.changes)} on "${job.title}".${note ? ` Note: ${note}` : ''}`,
+      relatedJob: job._id,
+      priority: 'high',
+      sender: user._id
+    });
+
+    return { changeOrder: saved, job: updatedJob };
+  }
+
+  /**
+   * Apply an accepted change order: update the job and record a new version
+   * @param {Object} changeOrder - Accepted ChangeOrder document
+   * @param {Object} job - Job document
+   * @param {string} acceptedBy - User ID of the final approver
+   * @returns {Promise<Object>} - The updated job
+   */
+  async apply(changeOrder, job, acceptedBy) {
+    // Record the original terms the first time a job is changed
+    if (job.version === 1 && !(await JobVersion.exists({ jobId: job._id }))) {
+      await JobVersion.create({
+        jobId: job._id,
+        version: 1,
+        snapshot: JobVersion.snapshotOf(job),
+        effectiveFrom: job.createdAt,
+        createdBy: job.clientId
+      });
+    }
+
+    changeOrder.changes.forEach(change => job.set(change.field, change.to));
+    job.version += 1;
+    await job.save();
+
+    await JobVersion.create({
+      jobId: job._id,
+      version: job.version,
+      snapshot: JobVersion.snapshotOf(job),
+      effectiveFrom: changeOrder.effectiveFrom || changeOrder.closedAt,
+      changeOrderId: changeOrder._id,
+      createdBy: acceptedBy
+    });
+
+    changeOrder.appliedVersion = job.version;
+    await changeOrder.save();
+
+    // Re-cost hours already worked against the rates in force on each day
+    if (changeOrder.changes.some(change => change.field === 'rate')) {
+      return (await Timesheet.syncJobHours(job._id)) || job;
+    }
+    return job;
+  }
+
+  /**
+   * Withdraw a change order before the other side responds
+   * @param {string} changeOrderId - ChangeOrder ID
+   * @param {Object} user - The proposer
+   * @returns {Promise<Object>} - The ChangeOrder document
+   */
+  async withdraw(changeOrderId, user) {
+    const changeOrder = await ChangeOrder.findById(changeOrderId);
+    if (!changeOrder) {
+      throw new AppError('Change order not found', 404, 'Change Order Not Found');
+    }
+
+    changeOrder.withdraw(user._id);
+    await changeOrder.save();
+
+    await notificationService.notifyMany(changeOrder.awaitingResponseFrom(), {
+      title: `Change order ${changeOrder.reference} withdrawn`,
+      message: `${user.firstName} withdrew their proposed change to the ${this.describe(changeOrder.changes)}.`,
+      relatedJob: changeOrder.jobId,
+      sender: user._id
+    });
+
+    return changeOrder;
+  }
+
+  describe(changes) {
+    return changes.map(change => FIELD_LABELS[change.field] || change.field).join(', ');
+  }
+}
+
+module.exports = new ChangeOrderService();
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const archiver = require('archiver');
+const jwt = require('jsonwebtoken');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const User = require('../models/User');
+const DataExport = require('../models/DataExport');
+const TaskRun = require('../models/TaskRun');
+const { Post, Message, Notification } = require('../models/Social');
+const { PaymentTransaction, Invoice, EarningSummary } = require('../models/payment/PaymentModels');
+const { AppError } = require('../middleware/errorHandler');
+const documentStorageService = require('./documentStorageService');
+const notificationService = require('./notificationService');
+const { toCsv, toPlainRecords } = require('../utils/dataExport');
+const { logger } = require('../src/lib/logging/logger');
+
+const TASK_NAME = 'data-exports';
+const AUDIENCE = 'data-export';
+const ALGORITHM = 'HS256';
+
+// Builds that have not finished after this long are assumed to have died with the process
+const STALE_BUILD_MS = 30 * 60 * 1000;
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10);
+
+// Jobs and applications are shared with the other party, so only the fields this user can see
+// are exported: not the client's pipeline stages, notes and tags on an application
+const JOB_FIELDS = [
+  'title', 'description', 'location', 'status', 'statusHistory', 'rate', 'postedRate', 'currency',
+  'requiredCertifications', 'experienceLevel', 'jobType', 'equipmentRequired', 'safetyRequirements',
+  'shiftPattern', 'duration', 'startDate', 'endDate', 'clientId', 'assignedRiggerId', 'positions',
+  'urgencyLevel', 'weatherDependency', 'heightWork', 'insuranceRequired', 'applicationDeadline', 'version',
+  'actualStartDate', 'actualEndDate', 'hoursWorked', 'completionNotes', 'clientRating', 'riggerRating',
+  'totalCost', 'costBreakdown', 'isPaid', 'paymentDate', 'createdAt', 'updatedAt'
+].join(' ');
+
+const APPLICATION_FIELDS = [
+  'jobId', 'applicantId', 'clientId', 'positionId', 'status', 'message', 'proposedRate', 'rateOffers',
+  'agreedRate', 'rateAgreedAt', 'screening', 'relevantExperience', 'certificationIds', 'portfolioItems',
+  'availableStartDate', 'canWorkWeekends', 'canWorkNights', 'canTravelDistance', 'applicationDate',
+  'reviewedDate', 'waitlistPosition', 'waitlistedAt', 'promotedAt', 'clientResponse', 'rejectionReason',
+  'applicantRating', 'clientRating', 'feedback', 'createdAt', 'updatedAt'
+].join(' ');
+
+// A rigger on a crew job gets their own negotiated rate, not the rest of the crew's
+const withOwnAgreedRates = (job, userId) => {
+  if (job.clientId === userId || !job.positions) return job;
+  return {
+    ...job,
+    positions: job.positions.map(position => ({
+      ...position,
+      agreedRates: (position.agreedRates || []).filter(entry => entry.riggerId === userId)
+    }))
+  };
+};
+
+// Everything held on a user, one CSV per section in the archive. redact(record, userId) trims
+// a plain record before it is exported.
+const SECTIONS = [
+  { name: 'profile', find: userId => User.find({ _id: userId }) },
+  {
+    name: 'jobs',
+    find: userId => Job.find({ $or: [{ clientId: userId }, ...Job.assignedToQuery(userId).$or] }).select(JOB_FIELDS).sort({ createdAt: 1 }),
+    redact: withOwnAgreedRates
+  },
+  { name: 'applications', find: userId => JobApplication.find({ applicantId: userId }).select(APPLICATION_FIELDS).sort({ applicationDate: 1 }) },
+  {
+    name: 'payment-transactions',
+    find: userId => PaymentTransaction.find({ $or: [{ 'participants.payer.userId': userId }, { 'participants.payee.userId': userId }] }).sort({ createdAt: 1 })
+  },
+  { name: 'invoices', find: userId => Invoice.find({ userId }).sort({ createdAt: 1 }) },
+  { name: 'earning-summaries', find: userId => EarningSummary.find({ workerId: userId }) },
+  { name: 'posts', find: userId => Post.find({ author: userId }).sort({ createdAt: 1 }) },
+  { name: 'messages', find: userId => Message.find({ $or: [{ sender: userId }, { recipient: userId }] }).sort({ createdAt: 1 }) },
+  { name: 'notifications', find: userId => Notification.find({ recipient: userId }).sort({ createdAt: 1 }) }
+];
+
+/**
+ * Self-service personal data exports (Australian Privacy Principle 12). An export
+ * is built in the background into a zip of JSON and CSV files, kept for a few
+ * days, and downloaded through a short-lived signed link.
+ */
+class DataExportService {
+  constructor() {
+    this.linkMinutes = parseInt(process.env.DATA_EXPORT_LINK_MINUTES) || 15;
+    this.retentionDays = parseInt(process.env.DATA_EXPORT_RETENTION_DAYS) || 7;
+  }
+
+  // Download links are signed with their own key, derived from JWT_SECRET, so they can never be used as login tokens
+  signingSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not set; data export links cannot be signed or checked');
+    }
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(AUDIENCE).digest('hex');
+  }
+
+  /**
+   * Request an export. It is built straight away in the background; the
+   * scheduler picks up any left behind by a restart.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - The DataExport document
+   */
+  async request(userId) {
+    const inProgress = await DataExport.findInProgressForUser(userId);
+    if (inProgress) {
+      throw new AppError('An export is already being prepared', 409, 'Export In Progress');
+    }
+
+    const dataExport = await DataExport.create({ userId, requestedAt: new Date() });
+    setImmediate(() => this.build(dataExport._id).catch(error => logger.error(`Data export ${dataExport._id} could not be started`, error)));
+    return dataExport;
+  }
+
+  /**
+   * Gather everything held on a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Section name to plain JSON records
+   */
+  async gather(userId) {
+    const data = {};
+    for (const section of SECTIONS) {
+      const records = toPlainRecords(await section.find(userId));
+      data[section.name] = section.redact ? records.map(record => section.redact(record, userId.toString())) : records;
+    }
+    return data;
+  }
+
+  /**
+   * Package the gathered data as a zip: everything in data.json, plus a CSV per section
+   * @param {Object} data - From gather()
+   * @param {Date} exportedAt - When the data was gathered
+   * @returns {Promise<Buffer>} - Zip file contents
+   */
+  createArchive(data, exportedAt) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('warning', reject);
+      archive.on('error', reject);
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+
+      archive.append(JSON.stringify({ exportedAt, ...data }, null, 2), { name: 'data.json' });
+      Object.entries(data).forEach(([name, records]) => {
+        archive.append(toCsv(records), { name: `csv/${name}.csv` });
+      });
+      archive.append([
+        'RiggerHire personal data export',
+        `Exported: ${new Date(exportedAt).toISOString()}`,
+        '',
+        'data.json holds everything below in one file. The csv folder has one file per section,',
+        'with nested fields as dotted column names and lists of records as JSON text.',
+        '',
+        ...Object.entries(data).map(([name, records]) => `${name}: ${records.length} record(s)`)
+      ].join('\r\n'), { name: 'README.txt' });
+
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Build one export, or the oldest waiting if no ID is given. A failure while
+   * building is recorded on the export rather than thrown.
+   * @param {string} exportId - DataExport ID (optional)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} - The export, or null if there was nothing to build
+   */
+  async build(exportId, now = new Date()) {
+    const dataExport = await DataExport.claimNext(new Date(now.getTime() - STALE_BUILD_MS), now, exportId);
+    if (!dataExport) return null;
+
+    try {
+      const data = await this.gather(dataExport.userId);
+      const archive = await this.createArchive(data, now);
+      const storageKey = await documentStorageService.save(`exports/${dataExport.userId}/${dataExport._id}.zip`, archive);
+
+      const expiresAt = new Date(now.getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+      dataExport.markReady({
+        storageKey,
+        size: archive.length,
+        sections: Object.entries(data).map(([name, records]) => ({ name, records: records.length }))
+      }, expiresAt);
+      await dataExport.save();
+
+      await notificationService.notify(dataExport.userId, {
+        type: 'account',
+        title: 'Your data export is ready',
+        message: `The copy of your RiggerHire data you asked for is ready to download until ${formatDate(expiresAt)}.`,
+        actionUrl: '/settings/privacy'
+      });
+    } catch (error) {
+      logger.error(`Data export ${dataExport._id} failed`, error);
+      dataExport.markFailed(error);
+      await dataExport.save();
+    }
+
+    return dataExport;
+  }
+
+  /**
+   * Build any exports left waiting and delete expired files. Run periodically by the scheduler.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - The TaskRun document
+   */
+  async processExports(now = new Date()) {
+    const run = await TaskRun.start(TASK_NAME);
+    const summary = { built: 0, failed: 0, expired: 0 };
+
+    try {
+      let dataExport;
+      while ((dataExport = await this.build(undefined, now))) {
+        run.recordAffected('DataExport', dataExport._id, dataExport.status === 'ready' ? 'built' : 'failed');
+        summary[dataExport.status === 'ready' ? 'built' : 'failed'] += 1;
+      }
+
+      for (const expired of await DataExport.findExpired(now)) {
+        await documentStorageService.remove(expired.storageKey);
+        expired.markExpired();
+        await expired.save();
+        run.recordAffected('DataExport', expired._id, 'expired');
+        summary.expired += 1;
+      }
+
+      return await run.succeed(summary);
+    } catch (error) {
+      logger.error('Data export processor error', error);
+      return run.fail(error, summary);
+    }
+  }
+
+  /**
+   * Create a short-lived download link for a ready export
+   * @param {Object} dataExport - DataExport document
+   * @param {Function} downloadUrlFor - Builds the download URL for a token
+   * @param {Date} now - Current time
+   * @returns {Object} - { url, expiresAt }
+   */
+  createDownloadLink(dataExport, downloadUrlFor, now = new Date()) {
+    dataExport.assertDownloadable(now);
+
+    const expiresAt = new Date(Math.min(now.getTime() + this.linkMinutes * 60 * 1000, dataExport.expiresAt.getTime()));
+    const token = jwt.sign({ iat: Math.floor(now.getTime() / 1000) }, this.signingSecret(), {
+      algorithm: ALGORITHM,
+      audience: AUDIENCE,
+      subject: dataExport.userId.toString(),
+      jwtid: dataExport._id.toString(),
+      expiresIn: Math.max(1, Math.floor((expiresAt - now) / 1000))
+    });
+
+    return { url: downloadUrlFor(token), expiresAt };
+  }
+
+  /**
+   * Check a download link and find its export
+   * @param {string} token - Token from the link
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - The DataExport document, ready to download
+   */
+  async resolveDownload(token, now = new Date()) {
+    const secret = this.signingSecret();
+    let claims;
+    try {
+      claims = jwt.verify(token, secret, { algorithms: [ALGORITHM], audience: AUDIENCE, clockTimestamp: Math.floor(now.getTime() / 1000) });
+    } catch (error) {
+      const expired = error.name === 'TokenExpiredError';
+      throw new AppError(
+        expired ? 'This download link has expired. Create a new one from your privacy settings.' : 'Invalid download link',
+        expired ? 410 : 401,
+        expired ? 'Link Expired' : 'Invalid Link'
+      );
+    }
+
+    const dataExport = await DataExport.findById(claims.jti);
+    if (!dataExport || dataExport.userId.toString() !== claims.sub) {
+      throw new AppError('Export not found', 404, 'Export Not Found');
+    }
+    dataExport.assertDownloadable(now);
+    return dataExport;
+  }
+}
+
+module.exports = new DataExportService();
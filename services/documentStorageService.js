@@ -0,0 +1,49 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Stores uploaded profile documents (licences, tickets, insurance certificates)
+ * and personal data exports on local disk. The directory is kept out of the
+ * public /uploads static route, so files are only served through the API.
+ */
+class DocumentStorageService {
+  constructor() {
+    this.root = path.resolve(process.env.DOCUMENT_STORAGE_PATH || './storage/documents');
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Save a file
+   * @param {string} key - Relative path, e.g. userId/documentId.pdf
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<string>} - The key
+   */
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return key;
+  }
+
+  read(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    if (!key) return;
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = new DocumentStorageService();
@@ -67,6 +67,47 @@ class EmailService {
 
     await this.transporter.sendMail(mailOptions);
   }
+
+  // calendar is iCalendar text; method is its METHOD (REQUEST or CANCEL) so mail apps offer to add or remove it
+  async sendInterviewEmail(email, { subject, heading, lines, calendar, method }) {
+    const mailOptions = {
+      from: process.env.SMTP_FROM,
+      to: email,
+      subject,
+      html: `
+        <h2>${heading}</h2>
+        ${lines.map(line => `<p>${line}</p>`).join('\n        ')}
+      `,
+      icalEvent: {
+        filename: 'interview.ics',
+        method,
+        content: calendar
+      }
+    };
+
+    await this.transporter.sendMail(mailOptions);
+  }
+
+  async sendAccountDeletionEmail(email, scheduledFor) {
+    const restoreUrl = `${process.env.FRONTEND_URL}/restore-account`;
+    const deletionDate = new Date(scheduledFor).toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' });
+
+    const mailOptions = {
+      from: process.env.SMTP_FROM,
+      to: email,
+      subject: 'Your RiggerHireApp Account Will Be Deleted',
+      html: `
+        <h2>Account Deletion Scheduled</h2>
+        <p>Your account has been deactivated and will be permanently deleted on ${deletionDate}.</p>
+        <p>Changed your mind? Restore your account before then:</p>
+        <a href="${restoreUrl}" style="display: inline-block; padding: 12px 24px; background-color: #4A90E2; color: white; text-decoration: none; border-radius: 4px;">Restore Account</a>
+        <p>Payment records and invoices are kept for tax purposes with your name removed.</p>
+        <p>If you didn't ask to delete your account, restore it and change your password.</p>
+      `
+    };
+
+    await this.transporter.sendMail(mailOptions);
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,264 @@
+const EmergencyDispatch = require('../models/EmergencyDispatch');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { metresToKm } = require('../utils/geo');
+const notificationService = require('./notificationService');
+const { logger } = require('../src/lib/logging/logger');
+
+const parseWaveRadii = value => (value || '10,25,50,100')
+  .split(',')
+  .map(radius => parseFloat(radius))
+  .filter(radius => radius > 0);
+
+/**
+ * Dispatches emergency jobs to nearby emergency-available riggers in waves of
+ * widening radius. The first rigger to accept wins; every other offer expires.
+ */
+class EmergencyDispatchService {
+  constructor() {
+    this.waveRadiiKm = parseWaveRadii(process.env.EMERGENCY_DISPATCH_WAVES_KM);
+    this.offerTimeoutMs = (parseInt(process.env.EMERGENCY_OFFER_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+    this.maxOffersPerWave = parseInt(process.env.EMERGENCY_DISPATCH_MAX_OFFERS_PER_WAVE) || 20;
+  }
+
+  /**
+   * Start a dispatch for an emergency job
+   * @param {Object} job - Job document with urgencyLevel 'emergency'
+   * @returns {Promise<Object>} - The EmergencyDispatch document
+   */
+  async startDispatch(job) {
+    if (job.urgencyLevel !== 'emergency') {
+      throw new AppError('Only emergency jobs can be dispatched', 400, 'Not An Emergency Job');
+    }
+    if (job.status !== 'posted') {
+      throw new AppError('Only posted jobs can be dispatched', 409, 'Invalid Status');
+    }
+    // A callout goes to the first rigger to accept, so it cannot staff the positions of a crew
+    if (job.isCrewJob) {
+      throw new AppError('Crew jobs cannot be dispatched; fill their positions through applications', 400, 'Crew Job');
+    }
+    if (!job.location || !job.location.coordinate) {
+      throw new AppError('Emergency dispatch requires job site coordinates', 400, 'Missing Coordinates');
+    }
+
+    const existing = await EmergencyDispatch.findActiveForJob(job._id);
+    if (existing) {
+      throw new AppError('A dispatch is already running for this job', 409, 'Dispatch In Progress');
+    }
+
+    const dispatch = new EmergencyDispatch({
+      jobId: job._id,
+      clientId: job.clientId,
+      requiredCertifications: job.requiredCertifications || [],
+      origin: {
+        latitude: job.location.coordinate.latitude,
+        longitude: job.location.coordinate.longitude
+      }
+    });
+    dispatch.recordEvent('dispatch_started', { waves: this.waveRadiiKm });
+
+    return this.runNextWave(dispatch, job);
+  }
+
+  /**
+   * Send offers for the next wave, or mark the dispatch exhausted if no waves remain
+   * @param {Object} dispatch - EmergencyDispatch document
+   * @param {Object} job - Job document
+   * @returns {Promise<Object>} - The saved dispatch
+   */
+  async runNextWave(dispatch, job) {
+    const waveNumber = dispatch.waves.length + 1;
+    const radiusKm = this.waveRadiiKm[waveNumber - 1];
+
+    if (radiusKm === undefined) {
+      dispatch.status = 'exhausted';
+      dispatch.completedAt = new Date();
+      dispatch.recordEvent('dispatch_exhausted', { wavesRun: dispatch.waves.length });
+      await dispatch.save();
+
+      await this.notify(dispatch.clientId, job, 'No riggers accepted your emergency callout',
+        `Nobody accepted "${job.title}" after ${dispatch.waves.length} dispatch waves. Consider raising the rate or widening the requirements.`);
+      return dispatch;
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.offerTimeoutMs);
+    const alreadyOffered = dispatch.offers.map(offer => offer.riggerId);
+
+    const responders = await User.findEmergencyResponders(
+      dispatch.origin,
+      radiusKm,
+      dispatch.requiredCertifications,
+      alreadyOffered,
+      this.maxOffersPerWave
+    );
+
+    dispatch.waves.push({ number: waveNumber, radiusKm, startedAt: now, expiresAt, offersSent: responders.length });
+    dispatch.recordEvent('wave_started', { wave: waveNumber, radiusKm, candidates: responders.length });
+
+    responders.forEach(rigger => {
+      dispatch.offers.push({
+        riggerId: rigger._id,
+        wave: waveNumber,
+        distanceKm: metresToKm(rigger.distance),
+        offeredAt: now,
+        expiresAt
+      });
+      dispatch.recordEvent('offer_sent', { riggerId: rigger._id, wave: waveNumber });
+    });
+
+    await dispatch.save();
+
+    await Promise.all(responders.map(rigger => this.notify(
+      rigger._id,
+      job,
+      'Emergency callout near you',
+      `${job.title} - ${metresToKm(rigger.distance)}km away. First to accept gets the job.`
+    )));
+
+    return dispatch;
+  }
+
+  /**
+   * Accept an offer. Acceptance is atomic so only the first rigger wins.
+   * @param {string} dispatchId - EmergencyDispatch ID
+   * @param {string} riggerId - Accepting rigger's user ID
+   * @returns {Promise<Object>} - { dispatch, job }
+   */
+  async acceptOffer(dispatchId, riggerId) {
+    const now = new Date();
+
+    // Check the job can still be assigned to a single rigger before claiming the callout
+    const dispatch = await EmergencyDispatch.findById(dispatchId).select('jobId');
+    const job = dispatch && await Job.findById(dispatch.jobId);
+    if (!job || job.status !== 'posted' || job.isCrewJob) {
+      throw new AppError('This callout is no longer available', 409, 'Offer Unavailable');
+    }
+
+    const claimed = await EmergencyDispatch.findOneAndUpdate(
+      {
+        _id: dispatchId,
+        status: 'dispatching',
+        offers: { $elemMatch: { riggerId, status: 'offered', expiresAt: { $gt: now } } }
+      },
+      { $set: { status: 'accepted', acceptedBy: riggerId, acceptedAt: now, completedAt: now } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new AppError('This callout is no longer available', 409, 'Offer Unavailable');
+    }
+
+    try {
+      await job.assignToRigger(riggerId, riggerId);
+    } catch (error) {
+      // Release the claim so the callout keeps running for the other riggers
+      await EmergencyDispatch.updateOne(
+        { _id: claimed._id, status: 'accepted', acceptedBy: riggerId },
+        { $set: { status: 'dispatching' }, $unset: { acceptedBy: 1, acceptedAt: 1, completedAt: 1 } }
+      );
+      throw error;
+    }
+
+    const offer = claimed.findOffer(riggerId);
+    claimed.respondToOffer(offer, 'accepted');
+    claimed.recordEvent('offer_accepted', { riggerId, wave: offer.wave, responseTimeSeconds: offer.responseTimeSeconds });
+    claimed.expireOutstandingOffers('filled', now);
+    await claimed.save();
+
+    await this.notify(claimed.clientId, job, 'Emergency callout accepted',
+      `A rigger has accepted "${job.title}" (${offer.distanceKm}km away).`);
+
+    return { dispatch: claimed, job };
+  }
+
+  /**
+   * Decline an offer
+   * @param {string} dispatchId - EmergencyDispatch ID
+   * @param {string} riggerId - Declining rigger's user ID
+   * @param {string} reason - Optional reason
+   * @returns {Promise<Object>} - The saved dispatch
+   */
+  async declineOffer(dispatchId, riggerId, reason) {
+    const dispatch = await EmergencyDispatch.findById(dispatchId);
+    const offer = dispatch && dispatch.findOffer(riggerId);
+
+    if (!offer || offer.status !== 'offered') {
+      throw new AppError('Offer not found or already answered', 404, 'Offer Not Found');
+    }
+
+    dispatch.respondToOffer(offer, 'declined', reason);
+    dispatch.recordEvent('offer_declined', { riggerId, wave: offer.wave, reason });
+    return dispatch.save();
+  }
+
+  /**
+   * Cancel a running dispatch
+   * @param {Object} dispatch - EmergencyDispatch document
+   * @param {string} cancelledBy - User ID
+   * @returns {Promise<Object>} - The saved dispatch
+   */
+  async cancelDispatch(dispatch, cancelledBy) {
+    if (dispatch.status !== 'dispatching') {
+      throw new AppError('Dispatch is not running', 409, 'Invalid Status');
+    }
+
+    dispatch.status = 'cancelled';
+    dispatch.completedAt = new Date();
+    dispatch.expireOutstandingOffers('cancelled');
+    dispatch.recordEvent('dispatch_cancelled', { cancelledBy });
+    return dispatch.save();
+  }
+
+  /**
+   * Time out waves whose offers have expired and move on to the next wave.
+   * A dispatch that fails is logged and left for the next run; the rest are still processed.
+   * Run periodically by the scheduler.
+   * @returns {Promise<Object>} - { processed, failed }
+   */
+  async processExpiredWaves() {
+    const now = new Date();
+    const dispatches = await EmergencyDispatch.findWithExpiredWaves(now);
+    let failed = 0;
+
+    for (const dispatch of dispatches) {
+      try {
+        await this.advanceWave(dispatch, now);
+      } catch (error) {
+        logger.error(`Emergency dispatch wave failed for dispatch ${dispatch._id}`, error);
+        failed += 1;
+      }
+    }
+
+    return { processed: dispatches.length - failed, failed };
+  }
+
+  // Time out the current wave, then run the next one or cancel the dispatch if the job has closed
+  async advanceWave(dispatch, now) {
+    dispatch.expireOutstandingOffers('timeout', now);
+    dispatch.recordEvent('wave_timed_out', { wave: dispatch.currentWave.number });
+
+    const job = await Job.findById(dispatch.jobId);
+    if (!job || job.status !== 'posted') {
+      dispatch.status = 'cancelled';
+      dispatch.completedAt = now;
+      dispatch.recordEvent('dispatch_cancelled', { reason: 'Job no longer open' });
+      return dispatch.save();
+    }
+
+    return this.runNextWave(dispatch, job);
+  }
+
+  notify(recipient, job, title, message) {
+    return notificationService.notify(recipient, {
+      type: 'job_alert',
+      title,
+      message,
+      relatedJob: job._id,
+      priority: 'critical'
+    });
+  }
+}
+
+module.exports = new EmergencyDispatchService();
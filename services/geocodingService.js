@@ -0,0 +1,88 @@
+const axios = require('axios');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../src/lib/logging/logger');
+const { isValidCoordinate, parseLatLng } = require('../utils/geo');
+
+class GeocodingService {
+  constructor() {
+    this.apiEndpoint = process.env.GEOCODING_API_ENDPOINT;
+    this.apiKey = process.env.GEOCODING_API_KEY;
+    this.cache = new Map();
+  }
+
+  /**
+   * Resolve an Australian postcode to the coordinate of its centroid
+   * @param {string} postcode - Four digit Australian postcode
+   * @returns {Promise<Object|null>} - { latitude, longitude } or null if unknown
+   */
+  async geocodePostcode(postcode) {
+    const formattedPostcode = String(postcode).trim();
+
+    if (!/^\d{4}$/.test(formattedPostcode)) {
+      return null;
+    }
+
+    if (this.cache.has(formattedPostcode)) {
+      return this.cache.get(formattedPostcode);
+    }
+
+    if (!this.apiEndpoint) {
+      throw new AppError('Postcode search is not available. Search by lat and lng instead.', 503, 'Geocoding Not Configured');
+    }
+
+    try {
+      const response = await axios.get(`${this.apiEndpoint}/postcodes/AU/${formattedPostcode}`, {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const latitude = Number(response.data.latitude);
+      const longitude = Number(response.data.longitude);
+      const coordinate = isValidCoordinate(latitude, longitude) ? { latitude, longitude } : null;
+
+      this.cache.set(formattedPostcode, coordinate);
+      return coordinate;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        this.cache.set(formattedPostcode, null);
+        return null;
+      }
+
+      logger.error('Postcode geocoding error', error);
+      throw new AppError('Postcode search is temporarily unavailable', 503, 'Geocoding Unavailable');
+    }
+  }
+
+  /**
+   * Resolve a search origin from lat/lng, a postcode, or a legacy `location` param
+   * (either "lat,lng" or a postcode)
+   * @param {Object} params - Query parameters { lat, lng, postcode, location }
+   * @returns {Promise<Object|null>} - { latitude, longitude } or null if no location given
+   */
+  async resolveSearchOrigin({ lat, lng, postcode, location }) {
+    if (lat !== undefined || lng !== undefined) {
+      const latitude = parseFloat(lat);
+      const longitude = parseFloat(lng);
+      if (!isValidCoordinate(latitude, longitude)) {
+        throw new AppError('Both lat and lng are required for location search', 400, 'Invalid Coordinates');
+      }
+      return { latitude, longitude };
+    }
+
+    const coordinate = parseLatLng(location);
+    if (coordinate) return coordinate;
+
+    const searchPostcode = postcode || location;
+    if (!searchPostcode) return null;
+
+    const origin = await this.geocodePostcode(searchPostcode);
+    if (!origin) {
+      throw new AppError(`Unable to locate postcode ${searchPostcode}`, 400, 'Unknown Location');
+    }
+    return origin;
+  }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,397 @@
+const Interview = require('../models/Interview');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const User = require('../models/User');
+const TaskRun = require('../models/TaskRun');
+const { AppError } = require('../middleware/errorHandler');
+const { buildCalendar } = require('../utils/ics');
+const { findConflicts } = require('../utils/scheduleConflicts');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { logger } = require('../src/lib/logging/logger');
+
+const TASK_NAME = 'interview-reminders';
+
+const TYPE_LABELS = {
+  phone: 'Phone interview',
+  video: 'Video interview',
+  site_visit: 'Site visit'
+};
+
+// Why an interview is called off once its application has been decided
+const CLOSED_APPLICATION_REASONS = {
+  accepted: 'Application accepted',
+  rejected: 'Application unsuccessful',
+  withdrawn: 'Application withdrawn'
+};
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Interview and site visit scheduling on applications. The client offers time
+ * slots, the rigger books one, and both parties get calendar invitations and
+ * reminders. Bookings are checked against the rigger's assigned jobs,
+ * availability and other interviews.
+ */
+class InterviewService {
+  /**
+   * Find an interview the user is a party to
+   * @param {string} interviewId - Interview ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} - Interview document
+   */
+  async findForParty(interviewId, user) {
+    const interview = await Interview.findOne({
+      _id: interviewId,
+      $or: [{ clientId: user._id }, { riggerId: user._id }]
+    });
+
+    if (!interview) {
+      throw new AppError('Interview not found or not authorized', 404, 'Interview Not Found');
+    }
+    return interview;
+  }
+
+  /**
+   * What clashes with a time for the rigger: job shifts, unavailability and other interviews
+   * @param {string} riggerId - Rigger user ID
+   * @param {Object} slot - { start, end }
+   * @param {string} excludeInterviewId - Interview being booked, so it does not clash with itself
+   * @returns {Promise<Array<Object>>} - Conflicts, see utils/scheduleConflicts
+   */
+  async findConflicts(riggerId, slot, excludeInterviewId = null) {
+    const [rigger, jobs, interviews] = await Promise.all([
+      User.findById(riggerId).select('riggerProfile.availability'),
+      Job.find({
+        ...Job.assignedToQuery(riggerId),
+        status: { $in: ['assigned', 'in_progress', 'on_hold'] },
+        startDate: { $lt: slot.end }
+      }).select('title startDate endDate shiftPattern'),
+      Interview.findScheduledForRigger(riggerId, slot.start, slot.end, excludeInterviewId)
+    ]);
+
+    return findConflicts(slot, {
+      jobs,
+      availability: rigger && rigger.riggerProfile ? rigger.riggerProfile.availability : undefined,
+      interviews
+    });
+  }
+
+  /**
+   * The interview's offered slots, each with its conflicts for the rigger
+   */
+  async slotConflicts(interview) {
+    return Promise.all(interview.slots.map(async slot => ({
+      slotId: slot._id,
+      start: slot.start,
+      end: slot.end,
+      conflicts: await this.findConflicts(interview.riggerId, slot, interview._id)
+    })));
+  }
+
+  /**
+   * Offer interview times on an application
+   * @param {Object} application - Pending JobApplication
+   * @param {Object} user - Client
+   * @param {Object} details - { type, slots, location, details, note }
+   * @returns {Promise<Object>} - The saved interview
+   */
+  async propose(application, user, { type, slots, location, details, note }) {
+    if (!application.canReview()) {
+      throw new AppError(`Cannot arrange an interview for an application that is ${application.status}`, 409, 'Invalid Application State');
+    }
+
+    const job = await Job.findById(application.jobId).select('title location');
+    const siteAddress = job && job.location ? `${job.location.address}, ${job.location.city} ${job.location.state} ${job.location.postcode}` : undefined;
+
+    const interview = new Interview({
+      applicationId: application._id,
+      jobId: application.jobId,
+      clientId: application.clientId,
+      riggerId: application.applicantId,
+      type,
+      location: location || (type === 'site_visit' ? siteAddress : undefined),
+      details
+    });
+    interview.proposeSlots(slots, user._id, note);
+    await interview.save();
+
+    await this.notifyParty(interview, interview.riggerId, user._id,
+      `${TYPE_LABELS[type]} requested`,
+      `Pick a time for a ${TYPE_LABELS[type].toLowerCase()} about "${job ? job.title : 'your application'}"`);
+
+    return interview;
+  }
+
+  /**
+   * Book one of the offered slots. Returns the conflicts, without booking, if the slot clashes.
+   * @param {Object} interview - Interview document
+   * @param {Object} user - Rigger
+   * @param {string} slotId - Chosen slot
+   * @returns {Promise<Object>} - { interview, conflicts }
+   */
+  async selectSlot(interview, user, slotId) {
+    if (interview.riggerId.toString() !== user._id.toString()) {
+      throw new AppError('Only the applicant can pick an interview time', 403, 'Unauthorized');
+    }
+
+    const slot = interview.slots.id(slotId);
+    if (slot) {
+      const conflicts = await this.findConflicts(interview.riggerId, slot, interview._id);
+      if (conflicts.length) return { interview, conflicts };
+    }
+
+    interview.selectSlot(slotId, user._id);
+    await interview.save();
+
+    await this.sendCalendarEmails(interview, 'REQUEST', `${TYPE_LABELS[interview.type]} booked`);
+    await this.notifyParty(interview, interview.clientId, user._id,
+      `${TYPE_LABELS[interview.type]} booked`,
+      `Booked for ${interview.scheduledStart.toISOString()}`);
+
+    return { interview, conflicts: [] };
+  }
+
+  /**
+   * Change the time. Clients offer new slots; riggers ask the client for new ones.
+   * @param {Object} interview - Interview document
+   * @param {Object} user - Client or rigger
+   * @param {Object} changes - { slots, note }
+   * @returns {Promise<Object>} - The saved interview
+   */
+  async reschedule(interview, user, { slots, note }) {
+    const wasScheduled = interview.status === 'scheduled';
+    const byClient = interview.clientId.toString() === user._id.toString();
+
+    if (byClient) {
+      interview.proposeSlots(slots, user._id, note);
+    } else {
+      interview.requestReschedule(user._id, note);
+    }
+    await interview.save();
+
+    // The booked time no longer stands, so take it out of both calendars
+    if (wasScheduled) {
+      await this.sendCalendarEmails(interview, 'CANCEL', `${TYPE_LABELS[interview.type]} being rescheduled`);
+    }
+    await this.notifyParty(interview, byClient ? interview.riggerId : interview.clientId, user._id,
+      `${TYPE_LABELS[interview.type]} rescheduled`,
+      byClient ? 'New times have been offered; please pick one' : `The applicant asked for different times${note ? `: ${note}` : ''}`);
+
+    return interview;
+  }
+
+  async cancel(interview, user, reason) {
+    const wasScheduled = interview.status === 'scheduled';
+    interview.cancel(user._id, reason);
+    await interview.save();
+
+    if (wasScheduled) {
+      await this.sendCalendarEmails(interview, 'CANCEL', `${TYPE_LABELS[interview.type]} cancelled`);
+    }
+    const otherParty = interview.clientId.toString() === user._id.toString() ? interview.riggerId : interview.clientId;
+    await this.notifyParty(interview, otherParty, user._id,
+      `${TYPE_LABELS[interview.type]} cancelled`,
+      reason || 'The interview has been cancelled');
+
+    return interview;
+  }
+
+  /**
+   * Cancel the open interviews on a job that can no longer lead anywhere: those on
+   * applications that have been accepted, rejected or withdrawn, or all of them once
+   * the job is cancelled. One interview failing is logged and doesn't stop the rest.
+   * @param {string} jobId - Job ID
+   * @param {string} cancelledBy - User whose action closed the applications; null for the system
+   * @returns {Promise<number>} - Interviews cancelled
+   */
+  async cancelClosedInterviews(jobId, cancelledBy = null) {
+    const interviews = await Interview.find({ jobId, status: { $nin: ['completed', 'cancelled'] } });
+    if (interviews.length === 0) return 0;
+
+    const [job, applications] = await Promise.all([
+      Job.findById(jobId).select('status'),
+      JobApplication.find({ _id: { $in: interviews.map(interview => interview.applicationId) } }).select('status')
+    ]);
+    const applicationStatus = new Map(applications.map(application => [application._id.toString(), application.status]));
+
+    let cancelled = 0;
+    for (const interview of interviews) {
+      const reason = !job || job.status === 'cancelled'
+        ? 'Job cancelled'
+        : CLOSED_APPLICATION_REASONS[applicationStatus.get(interview.applicationId.toString())];
+      if (!reason) continue;
+
+      try {
+        await this.callOff(interview, cancelledBy, reason);
+        cancelled += 1;
+      } catch (error) {
+        logger.error(`Interview ${interview._id} cancellation error`, error);
+      }
+    }
+    return cancelled;
+  }
+
+  // Cancel an interview on behalf of whoever closed its application and tell the other parties
+  async callOff(interview, cancelledBy, reason) {
+    const wasScheduled = interview.status === 'scheduled';
+    interview.cancel(cancelledBy, reason);
+    await interview.save();
+
+    if (wasScheduled) {
+      await this.sendCalendarEmails(interview, 'CANCEL', `${TYPE_LABELS[interview.type]} cancelled`);
+    }
+    const recipients = [interview.clientId, interview.riggerId]
+      .filter(recipient => !cancelledBy || recipient.toString() !== cancelledBy.toString());
+    for (const recipient of recipients) {
+      await this.notifyParty(interview, recipient, cancelledBy, `${TYPE_LABELS[interview.type]} cancelled`, reason);
+    }
+  }
+
+  /**
+   * iCalendar text for the interview, at its booked (or last booked) time
+   * @param {Object} interview - Interview that has been booked
+   * @param {Object} parties - { job, client, rigger } documents
+   * @param {string} method - REQUEST, CANCEL or PUBLISH
+   * @returns {string} - iCalendar text
+   */
+  buildCalendar(interview, { job, client, rigger }, method = 'PUBLISH') {
+    const { start, end } = interview.lastBookedTime();
+    const title = job ? job.title : 'RiggerHire job';
+    const company = client.clientProfile && client.clientProfile.companyName;
+
+    return buildCalendar({
+      name: 'RiggerHire interview',
+      method,
+      events: [{
+        uid: `interview-${interview._id}@riggerhire`,
+        start,
+        end,
+        summary: `${TYPE_LABELS[interview.type]}: ${title}`,
+        description: [
+          `${rigger.firstName} ${rigger.lastName} with ${company ? `${company} - ` : ''}${client.firstName} ${client.lastName}`,
+          interview.details
+        ].filter(Boolean).join('\n'),
+        location: interview.location,
+        organizer: { name: `${client.firstName} ${client.lastName}`, email: client.email },
+        attendees: [{ name: `${rigger.firstName} ${rigger.lastName}`, email: rigger.email }],
+        status: method === 'CANCEL' || interview.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+        sequence: interview.sequence,
+        lastModified: interview.updatedAt
+      }]
+    });
+  }
+
+  async loadParties(interview) {
+    const [job, client, rigger] = await Promise.all([
+      Job.findById(interview.jobId).select('title'),
+      User.findById(interview.clientId).select('firstName lastName email clientProfile.companyName'),
+      User.findById(interview.riggerId).select('firstName lastName email')
+    ]);
+    return { job, client, rigger };
+  }
+
+  /**
+   * Email both parties the interview details with a calendar invitation or cancellation.
+   * Failures are logged so an email problem never fails the booking.
+   */
+  async sendCalendarEmails(interview, method, heading) {
+    try {
+      const parties = await this.loadParties(interview);
+      if (!parties.client || !parties.rigger) return;
+
+      const time = interview.lastBookedTime();
+      if (!time) return;
+
+      const calendar = this.buildCalendar(interview, parties, method);
+      const lines = [
+        `${escapeHtml(TYPE_LABELS[interview.type])} for "${escapeHtml(parties.job ? parties.job.title : 'your job')}"`,
+        `When: ${time.start.toISOString()}`,
+        interview.location ? `Where: ${escapeHtml(interview.location)}` : null,
+        interview.details ? escapeHtml(interview.details) : null
+      ].filter(Boolean);
+
+      await Promise.all([parties.client, parties.rigger].map(party => emailService.sendInterviewEmail(party.email, {
+        subject: `${heading}: ${parties.job ? parties.job.title : 'RiggerHire'}`,
+        heading: escapeHtml(heading),
+        lines,
+        calendar,
+        method
+      })));
+    } catch (error) {
+      logger.error('Interview email error', error);
+    }
+  }
+
+  notifyParty(interview, recipient, sender, title, message) {
+    return notificationService.notify(recipient, {
+      type: 'event_reminder',
+      title,
+      message,
+      relatedJob: interview.jobId,
+      sender,
+      actionUrl: `/interviews/${interview._id}`
+    });
+  }
+
+  /**
+   * Send reminders for interviews coming up. Run periodically by the scheduler.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - The TaskRun document
+   */
+  async processReminders(now = new Date()) {
+    const run = await TaskRun.start(TASK_NAME);
+    const summary = { remindersSent: 0, remindersFailed: 0 };
+
+    try {
+      const interviews = await Interview.findDueReminders(now);
+
+      for (const interview of interviews) {
+        const due = interview.dueReminders(now);
+        if (due.length === 0) continue;
+
+        // One interview failing is recorded on the run and doesn't hold up the others
+        try {
+          await this.sendReminder(interview, due, now);
+          run.recordAffected('Interview', interview._id, 'reminder_sent', { reminders: due });
+          summary.remindersSent += 1;
+        } catch (error) {
+          logger.error(`Interview ${interview._id} reminder error`, error);
+          run.recordAffected('Interview', interview._id, 'failed', { reminders: due, error: error.message });
+          summary.remindersFailed += 1;
+        }
+      }
+
+      return await run.succeed(summary);
+    } catch (error) {
+      logger.error('Interview reminder processor error', error);
+      return run.fail(error, summary);
+    }
+  }
+
+  async sendReminder(interview, due, now) {
+    const hours = Math.max(1, Math.round((interview.scheduledStart - now) / (60 * 60 * 1000)));
+    const when = hours >= 24 ? 'tomorrow' : `in ${hours} hour${hours > 1 ? 's' : ''}`;
+    for (const recipient of [interview.clientId, interview.riggerId]) {
+      await notificationService.notify(recipient, {
+        type: 'event_reminder',
+        title: `${TYPE_LABELS[interview.type]} ${when}`,
+        message: `Starts at ${interview.scheduledStart.toISOString()}${interview.location ? ` at ${interview.location}` : ''}`,
+        relatedJob: interview.jobId,
+        priority: 'high',
+        actionUrl: `/interviews/${interview._id}`
+      });
+    }
+    await this.sendCalendarEmails(interview, 'REQUEST', `Reminder: ${TYPE_LABELS[interview.type]} ${when}`);
+
+    // All due reminders are covered by this one, e.g. when the interview was booked at short notice
+    interview.remindersSent.push(...due);
+    await interview.save();
+  }
+}
+
+module.exports = new InterviewService();
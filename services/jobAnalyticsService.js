@@ -0,0 +1,85 @@
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const JobView = require('../models/JobView');
+const { BREAKDOWN_KEYS, buildJobMetrics, summariseMetrics, breakdownMetrics } = require('../utils/jobAnalytics');
+const { logger } = require('../src/lib/logging/logger');
+
+const METRIC_FIELDS = 'title jobType location.state urgencyLevel status views statusHistory createdAt';
+
+/**
+ * Job pipeline analytics for clients: views through to hire, with fill and
+ * cancellation rates broken down by job type, state and urgency.
+ */
+class JobAnalyticsService {
+  /**
+   * Record that a user viewed a job. Clients viewing their own jobs are not counted.
+   * @param {Object} job - Job document or plain object
+   * @param {string} viewerId - User ID
+   */
+  async recordView(job, viewerId) {
+    if (job.clientId && job.clientId.toString() === viewerId.toString()) return;
+
+    try {
+      await Promise.all([
+        Job.updateOne({ _id: job._id }, { $inc: { views: 1 } }),
+        JobView.recordView(job._id, viewerId)
+      ]);
+    } catch (error) {
+      logger.error('Job view tracking error', error);
+    }
+  }
+
+  /**
+   * Build metrics for a set of jobs
+   * @param {Array<Object>} jobs - Lean jobs with METRIC_FIELDS
+   * @returns {Promise<Array<Object>>} - Per-job metrics
+   */
+  async metricsFor(jobs) {
+    const jobIds = jobs.map(job => job._id);
+    const [applicationStats, viewers] = await Promise.all([
+      JobApplication.getFunnelStats(jobIds),
+      JobView.countUniqueViewers(jobIds)
+    ]);
+
+    return jobs.map(job => buildJobMetrics(job, applicationStats[job._id.toString()], viewers[job._id.toString()]));
+  }
+
+  /**
+   * Pipeline analytics for one job
+   * @param {Object} job - Job document
+   * @returns {Promise<Object>} - Job metrics
+   */
+  async getJobAnalytics(job) {
+    const [metrics] = await this.metricsFor([job]);
+    return metrics;
+  }
+
+  /**
+   * Pipeline analytics across a client's jobs posted in a date range
+   * @param {string} clientId - Client user ID
+   * @param {Object} filters - { from, to, jobType, state, urgencyLevel }
+   * @returns {Promise<Object>} - { summary, breakdown, jobs }
+   */
+  async getClientAnalytics(clientId, { from, to, jobType, state, urgencyLevel } = {}) {
+    const query = { clientId };
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+    if (jobType) query.jobType = jobType;
+    if (state) query['location.state'] = state;
+    if (urgencyLevel) query.urgencyLevel = urgencyLevel;
+
+    const jobs = await Job.find(query).select(METRIC_FIELDS).sort({ createdAt: -1 }).lean();
+    const metrics = await this.metricsFor(jobs);
+
+    return {
+      summary: summariseMetrics(metrics),
+      breakdown: Object.fromEntries(BREAKDOWN_KEYS.map(key => [key, breakdownMetrics(metrics, key)])),
+      jobs: metrics
+    };
+  }
+}
+
+module.exports = new JobAnalyticsService();
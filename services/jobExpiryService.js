@@ -0,0 +1,148 @@
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const User = require('../models/User');
+const TaskRun = require('../models/TaskRun');
+const notificationService = require('./notificationService');
+const interviewService = require('./interviewService');
+const { logger } = require('../src/lib/logging/logger');
+
+const TASK_NAME = 'job-expiry';
+const EXPIRED_REASON = 'Start date passed with nobody assigned';
+
+/**
+ * Closes applications once a job's deadline passes and deals with posted jobs
+ * whose start date has gone by unfilled. Every run is recorded as a TaskRun.
+ */
+class JobExpiryService {
+  constructor() {
+    // 'cancel' auto-cancels unfilled jobs; 'flag' marks them for the client to deal with
+    this.expiryAction = process.env.JOB_EXPIRY_ACTION === 'flag' ? 'flag' : 'cancel';
+    this.graceHours = parseInt(process.env.JOB_EXPIRY_GRACE_HOURS) || 24;
+  }
+
+  /**
+   * Run the processor once. Run periodically by the scheduler.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - The TaskRun document
+   */
+  async processExpiredJobs(now = new Date()) {
+    const run = await TaskRun.start(TASK_NAME);
+    const summary = { applicationsClosed: 0, jobsFlagged: 0, jobsCancelled: 0, applicationsRejected: 0, notificationsSent: 0, jobsFailed: 0 };
+
+    try {
+      await this.closeApplications(now, run, summary);
+      await this.expireUnfilledJobs(now, run, summary);
+      return await run.succeed(summary);
+    } catch (error) {
+      logger.error('Job expiry processor error', error);
+      return run.fail(error, summary);
+    }
+  }
+
+  // A job that fails is logged and recorded on the run; the rest are still processed
+  async processJob(job, run, summary, step) {
+    try {
+      await step();
+    } catch (error) {
+      logger.error(`Job expiry failed for job ${job._id}`, error);
+      run.recordAffected('Job', job._id, 'failed', { error: error.message });
+      summary.jobsFailed += 1;
+    }
+  }
+
+  /**
+   * Close applications on posted jobs whose application deadline has passed
+   */
+  async closeApplications(now, run, summary) {
+    const jobs = await Job.findPastDeadline(now);
+
+    for (const job of jobs) {
+      await this.processJob(job, run, summary, () => this.closeJobApplications(job, now, run, summary));
+    }
+  }
+
+  // Close one job's applications and let the client and pending applicants know
+  async closeJobApplications(job, now, run, summary) {
+    job.applicationsClosedAt = now;
+    await job.save();
+
+    const pendingApplicants = await JobApplication.findPendingApplicantIds(job._id);
+    run.recordAffected('Job', job._id, 'applications_closed', { pendingApplications: pendingApplicants.length });
+    summary.applicationsClosed += 1;
+
+    summary.notificationsSent += await notificationService.notifyMany([job.clientId], {
+      title: 'Applications closed',
+      message: pendingApplicants.length
+        ? `Applications for "${job.title}" have closed. ${pendingApplicants.length} application(s) are waiting for your review.`
+        : `Applications for "${job.title}" have closed with no pending applications.`,
+      relatedJob: job._id,
+      priority: pendingApplicants.length ? 'high' : 'medium'
+    });
+
+    summary.notificationsSent += await notificationService.notifyMany(pendingApplicants, {
+      title: 'Applications closed',
+      message: `Applications for "${job.title}" have closed. The client is reviewing candidates.`,
+      relatedJob: job._id
+    });
+  }
+
+  /**
+   * Flag or cancel posted jobs whose start date passed (plus grace period) unfilled.
+   * Part-filled crew jobs are always flagged, never cancelled.
+   */
+  async expireUnfilledJobs(now, run, summary) {
+    const cutoff = new Date(now.getTime() - this.graceHours * 60 * 60 * 1000);
+    const jobs = await Job.findUnfilledPastStart(cutoff);
+
+    for (const job of jobs) {
+      await this.processJob(job, run, summary, () => this.expireJob(job, now, run, summary));
+    }
+  }
+
+  // Flag or cancel one unfilled job
+  async expireJob(job, now, run, summary) {
+    const pendingApplicants = await JobApplication.findPendingApplicantIds(job._id);
+    const partlyFilled = job.assignedRiggerIds.length > 0;
+
+    if (this.expiryAction === 'flag' || partlyFilled) {
+      job.expiryFlaggedAt = now;
+      await job.save();
+      run.recordAffected('Job', job._id, 'flagged', { partlyFilled });
+      summary.jobsFlagged += 1;
+
+      summary.notificationsSent += await notificationService.notifyMany([job.clientId], {
+        title: 'Job start date has passed',
+        message: partlyFilled
+          ? `"${job.title}" started without a full crew. Fill the remaining positions or update the job.`
+          : `"${job.title}" started with nobody assigned. Reschedule or cancel the job.`,
+        relatedJob: job._id,
+        priority: 'high'
+      });
+      return;
+    }
+
+    await job.cancelJob(EXPIRED_REASON);
+    const { modifiedCount } = await JobApplication.rejectPending(job._id, 'Job expired before anyone was assigned');
+    await interviewService.cancelClosedInterviews(job._id);
+    await User.findByIdAndUpdate(job.clientId, { $inc: { 'clientProfile.activeJobs': -1 } });
+
+    run.recordAffected('Job', job._id, 'cancelled', { applicationsRejected: modifiedCount });
+    summary.jobsCancelled += 1;
+    summary.applicationsRejected += modifiedCount;
+
+    summary.notificationsSent += await notificationService.notifyMany([job.clientId], {
+      title: 'Job cancelled automatically',
+      message: `"${job.title}" was cancelled because its start date passed with nobody assigned.`,
+      relatedJob: job._id,
+      priority: 'high'
+    });
+
+    summary.notificationsSent += await notificationService.notifyMany(pendingApplicants, {
+      title: 'Job no longer available',
+      message: `"${job.title}" has expired and your application has been closed.`,
+      relatedJob: job._id
+    });
+  }
+}
+
+module.exports = new JobExpiryService();
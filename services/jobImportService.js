@@ -0,0 +1,220 @@
+const { validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const JobImport = require('../models/JobImport');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { isValidCoordinate } = require('../utils/geo');
+const { parseCsv, toRecords, toJobRequest, toJobData, columnForPath } = require('../utils/jobImport');
+const emergencyDispatchService = require('./emergencyDispatchService');
+const { logger } = require('../src/lib/logging/logger');
+
+/**
+ * Bulk job import from CSV or XLSX. A dry run validates every row and reports
+ * per-row errors; a commit creates all the jobs or none.
+ */
+class JobImportService {
+  constructor() {
+    this.maxRows = parseInt(process.env.JOB_IMPORT_MAX_ROWS) || 500;
+  }
+
+  /**
+   * Work out the file format from its name or MIME type
+   * @param {Object} file - Multer file
+   * @returns {string|null} - 'csv', 'xlsx' or null if unsupported
+   */
+  detectFormat(file) {
+    const name = (file.originalname || '').toLowerCase();
+    if (name.endsWith('.csv') || file.mimetype === 'text/csv') return 'csv';
+    if (name.endsWith('.xlsx') || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+    return null;
+  }
+
+  /**
+   * Read the uploaded file into rows of string cells
+   * @param {Object} file - Multer file (memory storage)
+   * @param {string} format - 'csv' or 'xlsx'
+   * @returns {Promise<Array<Array<string>>>} - Rows, header first
+   */
+  async readRows(file, format) {
+    if (format === 'csv') {
+      return parseCsv(file.buffer.toString('utf8'));
+    }
+
+    // Only loaded for spreadsheet uploads
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (error) {
+      throw new AppError('The spreadsheet could not be read', 400, 'Invalid File');
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, row => {
+      const cells = [];
+      for (let column = 1; column <= sheet.columnCount; column++) {
+        cells.push(this.cellText(row.getCell(column).value));
+      }
+      rows.push(cells);
+    });
+    return rows;
+  }
+
+  cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value !== 'object') return String(value);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text); // Hyperlink
+    if (value.result !== undefined) return this.cellText(value.result); // Formula
+    return '';
+  }
+
+  /**
+   * Validate one record with the POST /api/jobs rules and the Job schema
+   * @param {Object} record - { rowNumber, values }
+   * @param {string} clientId - Client user ID
+   * @param {Array} rules - express-validator chains for job details
+   * @returns {Promise<Object>} - { rowNumber, status, title, issues, jobData }
+   */
+  async validateRecord({ rowNumber, values }, clientId, rules) {
+    const request = { body: toJobRequest(values) };
+    await Promise.all(rules.map(rule => rule.run(request)));
+
+    const issues = validationResult(request).array().map(error => ({
+      field: columnForPath(error.path),
+      message: error.msg
+    }));
+
+    if (values.latitude !== undefined && values.longitude !== undefined &&
+        !isValidCoordinate(Number(values.latitude), Number(values.longitude))) {
+      issues.push({ field: 'latitude', message: 'Invalid coordinates provided' });
+    }
+    if (values.endDate && new Date(values.startDate) >= new Date(values.endDate)) {
+      issues.push({ field: 'endDate', message: 'Start date must be before end date' });
+    }
+
+    const jobData = toJobData(values, clientId);
+    const schemaError = new Job(jobData).validateSync();
+    if (schemaError) {
+      Object.values(schemaError.errors).forEach(error => {
+        const field = columnForPath(error.path);
+        if (!issues.some(issue => issue.field === field)) {
+          issues.push({ field, message: error.message });
+        }
+      });
+    }
+
+    return {
+      rowNumber,
+      status: issues.length ? 'invalid' : 'valid',
+      title: values.title,
+      issues,
+      jobData
+    };
+  }
+
+  /**
+   * Validate (dry run) or import (commit) an uploaded file of jobs
+   * @param {Object} params - { file, clientId, mode, rules }
+   * @returns {Promise<Object>} - The saved JobImport document
+   */
+  async importJobs({ file, clientId, mode = 'dry_run', rules }) {
+    const format = this.detectFormat(file);
+    if (!format) {
+      throw new AppError('Upload a .csv or .xlsx file', 400, 'Unsupported File Type');
+    }
+
+    const { records, unknownColumns } = toRecords(await this.readRows(file, format));
+    if (records.length === 0) {
+      throw new AppError('The file has no job rows below the header row', 400, 'Empty Import');
+    }
+    if (records.length > this.maxRows) {
+      throw new AppError(`Imports are limited to ${this.maxRows} rows; this file has ${records.length}`, 400, 'Too Many Rows');
+    }
+
+    const rows = [];
+    for (const record of records) {
+      rows.push(await this.validateRecord(record, clientId, rules));
+    }
+    const validRows = rows.filter(row => row.status === 'valid').length;
+
+    const jobImport = new JobImport({
+      clientId,
+      filename: file.originalname,
+      format,
+      mode,
+      status: validRows === rows.length ? 'validated' : 'rejected',
+      totalRows: rows.length,
+      validRows,
+      unknownColumns,
+      rows: rows.map(({ jobData, ...row }) => row)
+    });
+
+    if (mode === 'commit' && jobImport.status === 'validated') {
+      await this.commit(jobImport, rows.map(row => row.jobData), clientId);
+    } else if (mode === 'commit') {
+      jobImport.rows.forEach(row => { row.status = row.status === 'valid' ? 'not_created' : row.status; });
+    }
+
+    return jobImport.save();
+  }
+
+  /**
+   * Create every job in row order; on any failure the jobs already created are
+   * deleted again, so nothing is created. Works without a replica set.
+   */
+  async commit(jobImport, jobData, clientId) {
+    const jobs = [];
+
+    try {
+      for (const data of jobData) {
+        jobs.push(await Job.create(data));
+      }
+      await User.updateOne(
+        { _id: clientId },
+        { $inc: { 'clientProfile.activeJobs': jobs.length, 'clientProfile.totalJobsPosted': jobs.length } }
+      );
+    } catch (error) {
+      logger.error('Job import commit error', error);
+      await this.removeCreatedJobs(jobs);
+      jobImport.status = 'failed';
+      jobImport.error = error.message;
+      jobImport.rows.forEach(row => { row.status = 'not_created'; });
+      return;
+    }
+
+    jobImport.status = 'committed';
+    jobImport.createdJobs = jobs.length;
+    jobImport.committedAt = new Date();
+    jobImport.rows.forEach((row, index) => {
+      row.status = 'created';
+      row.jobId = jobs[index]._id;
+    });
+
+    // As for single postings, emergency jobs go straight out to nearby riggers
+    for (const job of jobs.filter(created => created.urgencyLevel === 'emergency')) {
+      try {
+        await emergencyDispatchService.startDispatch(job);
+      } catch (error) {
+        logger.error('Emergency dispatch error', error);
+      }
+    }
+  }
+
+  // Undo a failed commit
+  async removeCreatedJobs(jobs) {
+    if (jobs.length === 0) return;
+
+    try {
+      await Job.deleteMany({ _id: { $in: jobs.map(job => job._id) } });
+    } catch (error) {
+      logger.error(`Job import rollback error; jobs left behind: ${jobs.map(job => job._id).join(', ')}`, error);
+    }
+  }
+}
+
+module.exports = new JobImportService();
@@ -0,0 +1,231 @@
+const Job = require('../models/Job');
+const JobTemplate = require('../models/JobTemplate');
+const JobSchedule = require('../models/JobSchedule');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const interviewService = require('./interviewService');
+const { logger } = require('../src/lib/logging/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAUSE_REASON = 'Recurring schedule paused';
+
+/**
+ * Posts jobs for recurring schedules ahead of time and manages a series as a whole.
+ */
+class JobScheduleService {
+  async findTemplate(schedule) {
+    const template = await JobTemplate.findOne({ _id: schedule.templateId, clientId: schedule.clientId });
+    if (!template) {
+      throw new AppError('Job template not found', 404, 'Template Not Found');
+    }
+    return template;
+  }
+
+  /**
+   * Future jobs in a series that have not started, i.e. still open to change
+   * @param {Object} schedule - JobSchedule document
+   * @param {Array<string>} statuses - Job statuses to include
+   * @param {Object} filter - Extra conditions, e.g. Job.unassignedQuery()
+   * @returns {Promise<Array>} - Job documents
+   */
+  findUpcomingJobs(schedule, statuses = ['posted'], filter = {}) {
+    return Job.find({
+      ...filter,
+      scheduleId: schedule._id,
+      status: { $in: statuses },
+      startDate: { $gt: new Date() }
+    }).sort({ startDate: 1 });
+  }
+
+  /**
+   * Create jobs for occurrences within the schedule's lead time that don't have one yet
+   * @param {Object} schedule - JobSchedule document
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} - Newly created jobs
+   */
+  async generateForSchedule(schedule, now = new Date()) {
+    if (schedule.status !== 'active') return [];
+
+    const template = await this.findTemplate(schedule);
+    const windowEnd = new Date(now.getTime() + schedule.leadTimeDays * DAY_MS);
+    const occurrences = schedule.occurrencesBetween(now, windowEnd);
+
+    const existing = await Job.find({ scheduleId: schedule._id, occurrenceDate: { $in: occurrences } }).select('occurrenceDate');
+    const generated = new Set(existing.map(job => job.occurrenceDate.getTime()));
+
+    const created = [];
+    for (const occurrenceDate of occurrences) {
+      if (generated.has(occurrenceDate.getTime())) continue;
+
+      const jobData = template.toJobData(occurrenceDate, schedule.overrides);
+      if (jobData.startDate <= now) continue;
+
+      try {
+        const job = new Job({ ...jobData, scheduleId: schedule._id, occurrenceDate });
+        await job.save();
+        created.push(job);
+      } catch (error) {
+        // Another run already posted this occurrence
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    if (created.length) {
+      await User.findByIdAndUpdate(
+        schedule.clientId,
+        { $inc: { 'clientProfile.activeJobs': created.length, 'clientProfile.totalJobsPosted': created.length } }
+      );
+      await template.updateOne({ $inc: { usageCount: created.length }, lastUsedAt: now });
+    }
+
+    schedule.occurrencesGenerated += created.length;
+    schedule.lastGeneratedAt = now;
+    if (schedule.isExhaustedThrough(windowEnd)) {
+      schedule.status = 'completed';
+    }
+    await schedule.save();
+
+    return created;
+  }
+
+  /**
+   * Generate upcoming jobs for every active schedule. Run periodically by the scheduler.
+   * @returns {Promise<Object>} - { schedules, jobsCreated }
+   */
+  async generateDueJobs(now = new Date()) {
+    const schedules = await JobSchedule.findDue();
+    let jobsCreated = 0;
+
+    for (const schedule of schedules) {
+      try {
+        const created = await this.generateForSchedule(schedule, now);
+        jobsCreated += created.length;
+      } catch (error) {
+        logger.error(`Job schedule ${schedule._id} generation error`, error);
+      }
+    }
+
+    return { schedules: schedules.length, jobsCreated };
+  }
+
+  /**
+   * Apply edits to a series. Upcoming posted jobs with no applicants are brought in line
+   * with the new settings; jobs riggers have applied for or been assigned to are left alone.
+   * @param {Object} schedule - JobSchedule document
+   * @param {Object} changes - { name, recurrence, overrides, leadTimeDays }
+   * @param {string} changedBy - User ID
+   * @returns {Promise<Object>} - { schedule, updated, cancelled, unchanged }
+   */
+  async updateSeries(schedule, changes, changedBy) {
+    if (['cancelled', 'completed'].includes(schedule.status)) {
+      throw new AppError(`Cannot edit a ${schedule.status} schedule`, 409, 'Invalid Schedule State');
+    }
+
+    if (changes.name !== undefined) schedule.name = changes.name;
+    if (changes.leadTimeDays !== undefined) schedule.leadTimeDays = changes.leadTimeDays;
+    if (changes.recurrence) {
+      schedule.recurrence = { ...schedule.recurrence.toObject(), ...changes.recurrence };
+    }
+    if (changes.overrides) {
+      schedule.overrides = { ...schedule.overrides, ...JobTemplate.pickTemplateFields(changes.overrides) };
+      schedule.markModified('overrides');
+    }
+    await schedule.save();
+
+    const template = await this.findTemplate(schedule);
+    const upcoming = await this.findUpcomingJobs(schedule, ['posted', 'on_hold'], Job.unassignedQuery());
+    const result = { updated: 0, cancelled: 0, unchanged: 0 };
+
+    for (const job of upcoming) {
+      if (job.currentApplicants > 0) {
+        result.unchanged += 1;
+        continue;
+      }
+
+      const stillScheduled = schedule.occurrencesBetween(job.occurrenceDate, job.occurrenceDate).length > 0;
+      if (!stillScheduled) {
+        await job.cancelJob('Removed from recurring schedule', changedBy);
+        await interviewService.cancelClosedInterviews(job._id, changedBy);
+        result.cancelled += 1;
+        continue;
+      }
+
+      job.set(template.toJobData(job.occurrenceDate, schedule.overrides));
+      await job.save();
+      result.updated += 1;
+    }
+
+    if (result.cancelled) {
+      await User.findByIdAndUpdate(
+        schedule.clientId,
+        { $inc: { 'clientProfile.activeJobs': -result.cancelled } }
+      );
+    }
+
+    // Post any occurrences the new pattern adds
+    const created = await this.generateForSchedule(schedule);
+    return { schedule, ...result, created: created.length };
+  }
+
+  /**
+   * Pause a series: stop posting new jobs and put upcoming posted jobs on hold
+   */
+  async pauseSeries(schedule, changedBy) {
+    schedule.pause();
+    await schedule.save();
+
+    const upcoming = await this.findUpcomingJobs(schedule);
+    for (const job of upcoming) {
+      await job.putOnHold(PAUSE_REASON, changedBy);
+    }
+
+    return { schedule, jobsOnHold: upcoming.length };
+  }
+
+  /**
+   * Resume a paused series: reopen held jobs and catch up on generation
+   */
+  async resumeSeries(schedule, changedBy) {
+    schedule.resume();
+    await schedule.save();
+
+    // Only reopen jobs the pause held, not ones the client put on hold separately
+    const onHold = await this.findUpcomingJobs(schedule, ['on_hold']);
+    const held = onHold.filter(job => {
+      const lastChange = job.statusHistory[job.statusHistory.length - 1];
+      return lastChange && lastChange.reason === PAUSE_REASON;
+    });
+    for (const job of held) {
+      await job.resume(changedBy);
+    }
+
+    const created = await this.generateForSchedule(schedule);
+    return { schedule, jobsResumed: held.length, created: created.length };
+  }
+
+  /**
+   * Cancel a series and every upcoming job in it that nobody has been assigned to
+   */
+  async cancelSeries(schedule, changedBy, reason = 'Recurring schedule cancelled') {
+    schedule.cancel(changedBy);
+    await schedule.save();
+
+    // Crew jobs stay posted while positions fill, so assignment is checked as well as status
+    const upcoming = await this.findUpcomingJobs(schedule, ['posted', 'on_hold'], Job.unassignedQuery());
+    for (const job of upcoming) {
+      await job.cancelJob(reason, changedBy);
+      await interviewService.cancelClosedInterviews(job._id, changedBy);
+    }
+
+    if (upcoming.length) {
+      await User.findByIdAndUpdate(
+        schedule.clientId,
+        { $inc: { 'clientProfile.activeJobs': -upcoming.length } }
+      );
+    }
+
+    return { schedule, jobsCancelled: upcoming.length };
+  }
+}
+
+module.exports = new JobScheduleService();
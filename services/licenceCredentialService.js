@@ -0,0 +1,213 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const LicenceCredential = require('../models/LicenceCredential');
+const { AppError } = require('../middleware/errorHandler');
+const workSafeService = require('../AutomationServer/Services/WorkSafeWA/WorkSafeService');
+const { licenceClassFor } = require('../utils/documentFields');
+const { logger } = require('../src/lib/logging/logger');
+
+const ISSUER = 'riggerhire';
+const AUDIENCE = 'licence-credential';
+const ALGORITHM = 'HS256';
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10);
+
+// Only the last four characters of a licence number are shown on the card and when it is scanned
+const maskLicenseNumber = number => (number ? `***${String(number).slice(-4)}` : undefined);
+
+/**
+ * Digital licence cards. A rigger's current certifications are signed into a JWS and
+ * shown as a QR code; site supervisors scan it and the public verify endpoint checks the
+ * signature, whether the credential has been revoked or has expired, and the current
+ * state of each certification.
+ */
+class LicenceCredentialService {
+  constructor() {
+    this.ttlHours = parseInt(process.env.CREDENTIAL_TTL_HOURS) || 24;
+    this.worksafeCacheHours = parseInt(process.env.WORKSAFE_VERIFY_CACHE_HOURS) || 24;
+  }
+
+  // A separate key so a credential can never be used as a login token
+  signingSecret() {
+    if (!process.env.CREDENTIAL_SIGNING_SECRET) {
+      throw new Error('CREDENTIAL_SIGNING_SECRET is not set; licence cards cannot be signed or checked');
+    }
+    return process.env.CREDENTIAL_SIGNING_SECRET;
+  }
+
+  currentCertifications(user, now = new Date()) {
+    const certifications = (user.riggerProfile && user.riggerProfile.certifications) || [];
+    return certifications.filter(certification => certification.isValid !== false && certification.expiryDate > now);
+  }
+
+  /**
+   * Check a certification against the WorkSafe WA licence register, reusing a recent result.
+   * Tickets that are not high risk work licence classes are not looked up.
+   * @param {Object} certification - riggerProfile.certifications entry (updated, not saved)
+   * @param {Date} now - Current time
+   * @returns {Promise<string>} - worksafeVerification status
+   */
+  async checkWorkSafe(certification, now = new Date()) {
+    const licenceClass = licenceClassFor(certification.name);
+    if (!licenceClass) return 'not_applicable';
+
+    const previous = certification.worksafeVerification;
+    const fresh = previous && previous.checkedAt &&
+      now - previous.checkedAt < this.worksafeCacheHours * 60 * 60 * 1000 &&
+      previous.status !== 'unavailable';
+    if (fresh) return previous.status;
+
+    let result = { status: 'unavailable' };
+    try {
+      const response = await workSafeService.validateHighRiskLicense(certification.licenseNumber, licenceClass);
+      result = { status: response.isValid ? 'verified' : 'not_found', verificationId: response.verificationId };
+    } catch (error) {
+      logger.error(`WorkSafe check failed for certification ${certification._id}`, error);
+    }
+
+    certification.worksafeVerification = { ...result, checkedAt: now };
+    return result.status;
+  }
+
+  /**
+   * Issue a new credential for the rigger, revoking any earlier one
+   * @param {string} userId - Rigger user ID
+   * @param {Function} verifyUrlFor - Builds the public verify URL for a token
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { credential, token, verifyUrl, qrCode }
+   */
+  async issue(userId, verifyUrlFor, now = new Date()) {
+    const secret = this.signingSecret();
+    const user = await User.findById(userId);
+    const certifications = this.currentCertifications(user, now);
+
+    if (certifications.length === 0) {
+      throw new AppError('Add a current certification to your profile before creating a licence card', 409, 'No Current Certifications');
+    }
+
+    const snapshot = [];
+    for (const certification of certifications) {
+      snapshot.push({
+        certificationId: certification._id,
+        name: certification.name,
+        licenceClass: licenceClassFor(certification.name) || undefined,
+        licenseNumber: certification.licenseNumber,
+        issuingAuthority: certification.issuingAuthority,
+        expiryDate: certification.expiryDate,
+        worksafeStatus: await this.checkWorkSafe(certification, now)
+      });
+    }
+    await user.save({ validateBeforeSave: false });
+
+    await LicenceCredential.revokeAllForUser(user._id, 'superseded', now);
+    const credential = await LicenceCredential.create({
+      userId: user._id,
+      certifications: snapshot,
+      issuedAt: now,
+      expiresAt: new Date(now.getTime() + this.ttlHours * 60 * 60 * 1000)
+    });
+
+    const token = this.sign(credential, user, secret);
+    const verifyUrl = verifyUrlFor(token);
+    const qrCode = await QRCode.toDataURL(verifyUrl, { errorCorrectionLevel: 'M', margin: 2, width: 360 });
+
+    return { credential, token, verifyUrl, qrCode };
+  }
+
+  // Compact claims keep the QR code easy to scan from a phone screen
+  sign(credential, user, secret = this.signingSecret()) {
+    return jwt.sign({
+      name: `${user.firstName} ${user.lastName}`,
+      certs: credential.certifications.map(certification => ({
+        n: certification.name,
+        c: certification.licenceClass,
+        no: maskLicenseNumber(certification.licenseNumber),
+        x: formatDate(certification.expiryDate),
+        ws: certification.worksafeStatus
+      }))
+    }, secret, {
+      algorithm: ALGORITHM,
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      subject: user._id.toString(),
+      jwtid: credential._id.toString(),
+      expiresIn: Math.round((credential.expiresAt - credential.issuedAt) / 1000)
+    });
+  }
+
+  /**
+   * Check a scanned credential. Never throws for a bad token; the result says what is wrong.
+   * @param {string} token - Credential token from the QR code
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { valid, status: 'valid'|'revoked'|'expired'|'invalid', message, holder, certifications }
+   */
+  async verify(token, now = new Date()) {
+    const secret = this.signingSecret();
+    let claims;
+    try {
+      // Expiry is judged from the credential record below, so expired cards are still identified
+      claims = jwt.verify(token, secret, { algorithms: [ALGORITHM], issuer: ISSUER, audience: AUDIENCE, ignoreExpiration: true });
+    } catch (error) {
+      return { valid: false, status: 'invalid', message: 'This licence card was not issued by RiggerHire or has been altered' };
+    }
+
+    const credential = await LicenceCredential.findById(claims.jti);
+    if (!credential || credential.userId.toString() !== claims.sub) {
+      return { valid: false, status: 'invalid', message: 'This licence card is not recognised' };
+    }
+
+    const user = await User.findById(credential.userId).select('firstName lastName profileImageURL isActive riggerProfile.certifications');
+    const status = !user || !user.isActive ? 'revoked' : credential.statusAt(now);
+
+    credential.verificationCount += 1;
+    credential.lastVerifiedAt = now;
+    await credential.save();
+
+    const messages = {
+      valid: 'Licence card is valid',
+      revoked: 'This licence card has been revoked',
+      expired: 'This licence card has expired; ask the rigger to open a new one'
+    };
+
+    return {
+      valid: status === 'valid',
+      status,
+      message: messages[status],
+      issuedAt: credential.issuedAt,
+      expiresAt: credential.expiresAt,
+      revokedAt: credential.revokedAt,
+      holder: user ? { name: `${user.firstName} ${user.lastName}`, profileImageURL: user.profileImageURL } : { name: claims.name },
+      certifications: credential.certifications.map(certification => this.certificationStatus(certification, user, now))
+    };
+  }
+
+  // A certification on the card, with its state now: it may have expired or been removed since
+  certificationStatus(certification, user, now) {
+    const current = user && user.riggerProfile ? user.riggerProfile.certifications.id(certification.certificationId) : null;
+    let status = 'current';
+    if (!current) {
+      status = 'removed';
+    } else if (current.isValid === false) {
+      status = 'invalidated';
+    } else if (current.expiryDate <= now) {
+      status = 'expired';
+    }
+
+    return {
+      name: certification.name,
+      licenceClass: certification.licenceClass,
+      licenseNumber: maskLicenseNumber(certification.licenseNumber),
+      issuingAuthority: certification.issuingAuthority,
+      expiryDate: current ? current.expiryDate : certification.expiryDate,
+      worksafeStatus: certification.worksafeStatus,
+      status
+    };
+  }
+
+  revoke(userId, reason = 'revoked_by_rigger', now = new Date()) {
+    return LicenceCredential.revokeAllForUser(userId, reason, now);
+  }
+}
+
+module.exports = new LicenceCredentialService();
@@ -0,0 +1,45 @@
+const { Notification } = require('../models/Social');
+const { logger } = require('../src/lib/logging/logger');
+
+/**
+ * Creates in-app notifications. Failures are logged and swallowed so a
+ * notification problem never fails the action that triggered it.
+ */
+class NotificationService {
+  /**
+   * Notify a single user
+   * @param {string} recipient - User ID
+   * @param {Object} notification - { type, title, message, relatedJob, priority, actionUrl, sender }
+   * @returns {Promise<Object|null>} - The notification, or null if it could not be created
+   */
+  async notify(recipient, { type = 'job_alert', title, message, relatedJob, priority = 'medium', actionUrl, sender }) {
+    try {
+      return await Notification.create({
+        recipient,
+        sender,
+        type,
+        title: title.substring(0, 100),
+        message: message.substring(0, 300),
+        relatedJob,
+        priority,
+        actionUrl: actionUrl || (relatedJob ? `/jobs/${relatedJob}` : undefined)
+      });
+    } catch (error) {
+      logger.error('Notification error', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send the same notification to several users
+   * @param {Array<string>} recipients - User IDs
+   * @param {Object} notification - As for notify()
+   * @returns {Promise<number>} - Number of notifications created
+   */
+  async notifyMany(recipients, notification) {
+    const results = await Promise.all(recipients.map(recipient => this.notify(recipient, notification)));
+    return results.filter(Boolean).length;
+  }
+}
+
+module.exports = new NotificationService();
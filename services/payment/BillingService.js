@@ -123,6 +123,51 @@ class BillingService {
     }
   }
 
+  // Generate an invoice for a completed job from its award pay rules breakdown
+  static async generateJobInvoice(job) {
+    try {
+      if (!job.costBreakdown || !job.costBreakdown.lines.length) {
+        throw new Error('Job has no cost breakdown');
+      }
+
+      const invoiceNumber = `INV-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+      const { lines, totals } = job.costBreakdown;
+      const ngoContribution = totals.total * 0.005;
+
+      const invoice = new Invoice({
+        invoiceNumber,
+        userId: job.clientId,
+        type: 'job_fee',
+        items: lines.map(line => ({
+          description: `${job.title} - ${line.description}`,
+          quantity: line.quantity,
+          unitPrice: line.rate,
+          total: line.amount,
+          metadata: { jobId: job._id, code: line.code, category: line.category, unit: line.unit }
+        })),
+        amounts: {
+          subtotal: totals.total,
+          total: totals.total,
+          currency: job.currency
+        },
+        dates: {
+          issued: new Date(),
+          due: new Date(Date.now() + (14 * 24 * 60 * 60 * 1000)) // 14 days from now
+        },
+        chaseWhiteRabbitNGO: {
+          contributionIncluded: true,
+          contributionAmount: ngoContribution,
+          transparencyNote: `0.5% of this payment supports ChaseWhiteRabbit NGO's worker safety and training programs`
+        }
+      });
+
+      await invoice.save();
+      return invoice;
+    } catch (error) {
+      throw new Error(`Failed to generate job invoice: ${error.message}`);
+    }
+  }
+
   // Update worker earnings summary
   static async updateWorkerEarnings(workerId, jobPayment) {
     try {
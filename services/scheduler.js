@@ -0,0 +1,101 @@
+const { logger } = require('../src/lib/logging/logger');
+
+/**
+ * Minimal in-process scheduler for recurring background tasks.
+ * Each task runs on its own interval and never overlaps with itself.
+ */
+class Scheduler {
+  constructor() {
+    this.tasks = new Map();
+    this.isRunning = false;
+  }
+
+  /**
+   * Register a recurring task
+   * @param {string} name - Unique task name used in logs
+   * @param {number} intervalMs - Interval between runs in milliseconds
+   * @param {Function} handler - Async function to run
+   */
+  register(name, intervalMs, handler) {
+    if (this.tasks.has(name)) {
+      throw new Error(`Task ${name} is already registered`);
+    }
+
+    this.tasks.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastError: null });
+
+    if (this.isRunning) {
+      this.schedule(this.tasks.get(name));
+    }
+  }
+
+  /**
+   * Start all registered tasks
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.tasks.forEach(task => this.schedule(task));
+    logger.info('Scheduler started', { tasks: [...this.tasks.keys()] });
+  }
+
+  /**
+   * Stop all registered tasks
+   */
+  stop() {
+    this.tasks.forEach(task => {
+      clearInterval(task.timer);
+      task.timer = null;
+    });
+    this.isRunning = false;
+  }
+
+  schedule(task) {
+    task.timer = setInterval(() => this.run(task.name), task.intervalMs);
+    // Don't keep the process alive just for background tasks
+    if (task.timer.unref) task.timer.unref();
+  }
+
+  /**
+   * Run a task immediately, skipping if a previous run is still in progress
+   * @param {string} name - Task name
+   * @returns {Promise<*>} - Handler result, or undefined if skipped
+   */
+  async run(name) {
+    const task = this.tasks.get(name);
+    if (!task) {
+      throw new Error(`Unknown task ${name}`);
+    }
+    if (task.running) {
+      logger.warn('Scheduled task still running, skipping', { task: name });
+      return undefined;
+    }
+
+    task.running = true;
+    const startedAt = Date.now();
+    try {
+      const result = await task.handler();
+      task.lastRunAt = new Date();
+      task.lastError = null;
+      logger.debug('Scheduled task completed', { task: name, durationMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      task.lastError = error.message;
+      logger.error(`Scheduled task ${name} failed`, error);
+      return undefined;
+    } finally {
+      task.running = false;
+    }
+  }
+
+  /**
+   * Status of all registered tasks, for health checks
+   * @returns {Array<Object>}
+   */
+  status() {
+    return [...this.tasks.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+      name, intervalMs, running, lastRunAt, lastError
+    }));
+  }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,89 @@
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const notificationService = require('./notificationService');
+const interviewService = require('./interviewService');
+
+const POSITION_FILLED_REASON = 'Position filled by another candidate';
+
+/**
+ * Waitlist for jobs that have reached maxApplicants. Applications past the limit
+ * queue in order, and when a place opens up (an application is withdrawn or
+ * rejected) the next in line is promoted to pending and told about it.
+ */
+class WaitlistService {
+  /**
+   * Put a new pending application on the waitlist if the job is full (does not save)
+   * @param {Object} application - New JobApplication
+   * @param {Object} job - The job applied for
+   * @returns {Promise<Object>} - The application
+   */
+  async waitlistIfFull(application, job) {
+    if (application.status === 'pending' && job.hasReachedMaxApplicants(await JobApplication.countActive(job._id))) {
+      application.joinWaitlist(await JobApplication.nextWaitlistPosition(job._id));
+    }
+    return application;
+  }
+
+  /**
+   * Promote waitlisted applications into any open places, in waitlist order.
+   * Crew applicants whose position has since filled are rejected instead.
+   * @param {string} jobId - Job ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<Object>>} - The promoted applications
+   */
+  async promoteNext(jobId, now = new Date()) {
+    const job = await Job.findById(jobId);
+    if (!job || job.status !== 'posted' || !job.isActive) return [];
+
+    const waitlist = await JobApplication.findWaitlist(job._id);
+    if (waitlist.length === 0) return [];
+
+    const activeCount = await JobApplication.countActive(job._id);
+    let openPlaces = job.maxApplicants ? job.maxApplicants - activeCount : waitlist.length;
+
+    const promoted = [];
+    let rejected = 0;
+    for (const application of waitlist) {
+      if (openPlaces <= 0) break;
+
+      if (job.isCrewJob && !job.findOpenPosition(application.positionId)) {
+        await application.reject(null, POSITION_FILLED_REASON);
+        rejected += 1;
+        continue;
+      }
+
+      application.promoteFromWaitlist(now);
+      await application.save();
+      promoted.push(application);
+      openPlaces -= 1;
+    }
+
+    await JobApplication.renumberWaitlist(job._id);
+    if (rejected > 0) {
+      await interviewService.cancelClosedInterviews(job._id);
+    }
+
+    await Promise.all(promoted.map(application => notificationService.notify(application.applicantId, {
+      title: 'You are off the waitlist',
+      message: `A place has opened up on "${job.title}". Your application has been sent to the client for review.`,
+      relatedJob: job._id,
+      priority: 'high',
+      actionUrl: `/applications/${application._id}`
+    })));
+
+    return promoted;
+  }
+
+  /**
+   * Set the order of a job's waitlist
+   * @param {Object} job - Job owned by the client
+   * @param {Array<string>} applicationIds - Every waitlisted application, next in line first
+   * @returns {Promise<Array<Object>>} - The reordered waitlist
+   */
+  async reorder(job, applicationIds) {
+    await JobApplication.renumberWaitlist(job._id, applicationIds);
+    return JobApplication.findWaitlist(job._id);
+  }
+}
+
+module.exports = new WaitlistService();
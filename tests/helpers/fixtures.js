@@ -0,0 +1,65 @@
+// Valid documents for route tests; pass overrides for the fields a test cares about
+
+const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+const clientData = (overrides = {}) => ({
+    email: 'alex.morgan@example.com',
+    password: 'Password123!',
+    firstName: 'Alex',
+    lastName: 'Morgan',
+    phoneNumber: '0412345678',
+    userType: 'client',
+    ...overrides
+});
+
+const riggerData = (overrides = {}) => ({
+    email: 'sam.taylor@example.com',
+    password: 'Password123!',
+    firstName: 'Sam',
+    lastName: 'Taylor',
+    phoneNumber: '0423456789',
+    userType: 'rigger',
+    ...overrides,
+    riggerProfile: {
+        experienceLevel: 'advanced',
+        insuranceCoverage: 20000000,
+        certifications: [{
+            name: 'Dogging',
+            issuingAuthority: 'WorkSafe WA',
+            licenseNumber: 'HRW0123456',
+            issueDate: new Date('2022-05-02'),
+            expiryDate: inDays(365)
+        }],
+        ...overrides.riggerProfile
+    }
+});
+
+const jobData = (clientId, overrides = {}) => ({
+    title: 'Tower crane erection',
+    description: 'Erect tower crane on level 2 slab',
+    location: {
+        address: '1 Hay Street',
+        city: 'Perth',
+        state: 'WA',
+        postcode: '6000',
+        siteType: 'construction'
+    },
+    rate: 85,
+    jobType: 'rigger',
+    duration: 'daily',
+    startDate: inDays(7),
+    clientId,
+    ...overrides
+});
+
+const crewJobData = (clientId, overrides = {}) => jobData(clientId, {
+    title: 'Steel erection crew',
+    positions: [
+        { jobType: 'dogger', headcount: 1, rate: 80, requiredCertifications: ['Dogging'] },
+        { jobType: 'rigger', headcount: 2, rate: 90 }
+    ],
+    rate: undefined,
+    ...overrides
+});
+
+module.exports = { inDays, clientData, riggerData, jobData, crewJobData };
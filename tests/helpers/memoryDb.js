@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const sift = require('sift').default;
+const { haversineDistanceKm } = require('../../utils/geo');
+
+// Route tests run without a MongoDB server. Every model's collection is swapped for an
+// in-memory array, so queries, projections, middleware and population still go through Mongoose,
+// and a filter on a field the schema doesn't have matches nothing, as it would in MongoDB.
+
+// Anything that reaches a real collection fails straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const isObjectId = value => Boolean(value) && value._bsontype === 'ObjectId';
+const isPlainObject = value => Boolean(value) && typeof value === 'object' &&
+    !(value instanceof Date) && !(value instanceof RegExp) && !Buffer.isBuffer(value);
+
+const clone = value => {
+    if (isObjectId(value)) return new mongoose.Types.ObjectId(value.toHexString());
+    if (value instanceof Date) return new Date(value);
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+    }
+    return value;
+};
+
+// ObjectIds compare by their hex string, as the server compares them by value
+const comparable = value => {
+    if (isObjectId(value)) return value.toHexString();
+    if (Array.isArray(value)) return value.map(comparable);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, comparable(entry)]));
+    }
+    return value;
+};
+
+const matcher = filter => {
+    const test = sift(comparable(filter || {}));
+    return doc => test(comparable(doc));
+};
+
+const assertPath = path => {
+    if (path.split('.').includes('$')) {
+        throw new Error(`Positional update ${path} is not supported in memory`);
+    }
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+    assertPath(path);
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((parent, key, index) => {
+        if (parent[key] == null) {
+            parent[key] = /^\d+$/.test(keys[index + 1] || last) ? [] : {};
+        }
+        return parent[key];
+    }, doc);
+    target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+    assertPath(path);
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = getPath(doc, keys.join('.')) ?? (keys.length ? undefined : doc);
+    if (target != null) delete target[last];
+};
+
+// Inclusion ({ title: 1 }) or exclusion ({ extractedText: 0 }) projections on top-level or dotted paths
+const project = (doc, projection) => {
+    const fields = Object.entries(projection || {}).filter(([path]) => path !== '_id');
+    if (fields.length === 0 || fields.some(([, value]) => typeof value === 'object')) return doc;
+
+    if (fields.some(([, value]) => value)) {
+        const projected = projection._id === 0 ? {} : { _id: doc._id };
+        fields.forEach(([path]) => {
+            const value = getPath(doc, path);
+            if (value !== undefined) setPath(projected, path, value);
+        });
+        return projected;
+    }
+
+    const projected = clone(doc);
+    fields.forEach(([path]) => unsetPath(projected, path));
+    if (projection._id === 0) delete projected._id;
+    return projected;
+};
+
+const sameValue = (a, b) => JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+
+const applyUpdate = (doc, update, { isInsert = false } = {}) => {
+    if (Array.isArray(update)) {
+        throw new Error('Pipeline updates are not supported in memory');
+    }
+
+    Object.entries(update).forEach(([operator, fields]) => {
+        if (!operator.startsWith('$')) {
+            setPath(doc, operator, clone(fields));
+            return;
+        }
+
+        Object.entries(fields).forEach(([path, value]) => {
+            const current = getPath(doc, path);
+            switch (operator) {
+                case '$set':
+                    setPath(doc, path, clone(value));
+                    break;
+                case '$setOnInsert':
+                    if (isInsert) setPath(doc, path, clone(value));
+                    break;
+                case '$unset':
+                    unsetPath(doc, path);
+                    break;
+                case '$inc':
+                    setPath(doc, path, (current || 0) + value);
+                    break;
+                case '$push': {
+                    const items = value && value.$each ? value.$each : [value];
+                    const array = current ? [...current] : [];
+                    const position = value && value.$position !== undefined ? value.$position : array.length;
+                    array.splice(position, 0, ...items.map(clone));
+                    setPath(doc, path, array);
+                    break;
+                }
+                case '$addToSet': {
+                    const items = value && value.$each ? value.$each : [value];
+                    const array = current ? [...current] : [];
+                    items.forEach(item => {
+                        if (!array.some(existing => sameValue(existing, item))) array.push(clone(item));
+                    });
+                    setPath(doc, path, array);
+                    break;
+                }
+                case '$pull': {
+                    const test = isPlainObject(value) ? matcher(value) : item => sameValue(item, value);
+                    setPath(doc, path, (current || []).filter(item => !test(item)));
+                    break;
+                }
+                case '$pullAll':
+                    setPath(doc, path, (current || []).filter(item => !value.some(pulled => sameValue(item, pulled))));
+                    break;
+                default:
+                    throw new Error(`${operator} is not supported in memory`);
+            }
+        });
+    });
+};
+
+const compareValues = (a, b) => {
+    const left = comparable(a);
+    const right = comparable(b);
+    if (left === right) return 0;
+    if (left === undefined || left === null) return -1;
+    if (right === undefined || right === null) return 1;
+    return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const sortDocs = (docs, sort) => {
+    const keys = Array.isArray(sort) ? sort : Object.entries(sort);
+    return [...docs].sort((a, b) => {
+        for (const [path, direction] of keys) {
+            const order = compareValues(getPath(a, path), getPath(b, path));
+            if (order !== 0) return direction === -1 || direction === 'desc' ? -order : order;
+        }
+        return 0;
+    });
+};
+
+// Distance in metres from a GeoJSON point to the document's point at key, or null if it has none
+const distanceTo = (near, doc, key) => {
+    const point = getPath(doc, key);
+    if (!point || !Array.isArray(point.coordinates)) return null;
+    const [fromLongitude, fromLatitude] = near.coordinates;
+    const [longitude, latitude] = point.coordinates;
+    return haversineDistanceKm({ latitude: fromLatitude, longitude: fromLongitude }, { latitude, longitude }) * 1000;
+};
+
+// A field path ('$totalHours') or a constant
+const evaluate = (doc, expression) => (typeof expression === 'string' && expression.startsWith('$')
+    ? getPath(doc, expression.slice(1))
+    : expression);
+
+// $group with $sum accumulators, the only kind the models use
+const groupDocs = (docs, { _id, ...accumulators }) => {
+    const groups = new Map();
+    docs.forEach(doc => {
+        const key = evaluate(doc, _id);
+        const id = JSON.stringify(comparable(key ?? null));
+        if (!groups.has(id)) {
+            groups.set(id, { _id: key ?? null, ...Object.fromEntries(Object.keys(accumulators).map(field => [field, 0])) });
+        }
+        const group = groups.get(id);
+        Object.entries(accumulators).forEach(([field, accumulator]) => {
+            const [operator, expression] = Object.entries(accumulator)[0];
+            if (operator !== '$sum') throw new Error(`${operator} is not supported in memory`);
+            group[field] += Number(evaluate(doc, expression)) || 0;
+        });
+    });
+    return [...groups.values()];
+};
+
+// The aggregation stages the models run: $geoNear, $match, $group, $sort, $skip, $limit, $count and $facet
+const runPipeline = (docs, pipeline) => pipeline.reduce((current, stage) => {
+    const [operator, spec] = Object.entries(stage)[0];
+    switch (operator) {
+        case '$geoNear':
+            return current
+                .filter(matcher(spec.query))
+                .map(doc => ({ ...doc, [spec.distanceField]: distanceTo(spec.near, doc, spec.key) }))
+                .filter(doc => doc[spec.distanceField] !== null &&
+                    (spec.maxDistance === undefined || doc[spec.distanceField] <= spec.maxDistance))
+                .sort((a, b) => a[spec.distanceField] - b[spec.distanceField]);
+        case '$match':
+            return current.filter(matcher(spec));
+        case '$group':
+            return groupDocs(current, spec);
+        case '$sort':
+            return sortDocs(current, spec);
+        case '$skip':
+            return current.slice(spec);
+        case '$limit':
+            return current.slice(0, spec);
+        case '$count':
+            return [{ [spec]: current.length }];
+        case '$facet':
+            return [Object.fromEntries(Object.entries(spec).map(([name, stages]) => [name, runPipeline(current, stages)]))];
+        default:
+            throw new Error(`Aggregation stage ${operator} is not supported in memory`);
+    }
+}, docs);
+
+// Implements the subset of the driver's Collection API that Mongoose calls
+class MemoryCollection {
+    constructor() {
+        this.docs = [];
+    }
+
+    matching(filter, { sort, skip, limit } = {}) {
+        let docs = this.docs.filter(matcher(filter));
+        if (sort) docs = sortDocs(docs, sort);
+        if (skip) docs = docs.slice(skip);
+        if (limit) docs = docs.slice(0, limit);
+        return docs;
+    }
+
+    upsert(filter, update) {
+        const doc = { _id: new mongoose.Types.ObjectId() };
+        Object.entries(filter || {}).forEach(([path, value]) => {
+            if (!path.startsWith('$') && !isPlainObject(value)) setPath(doc, path, clone(value));
+        });
+        applyUpdate(doc, update, { isInsert: true });
+        this.docs.push(doc);
+        return doc;
+    }
+
+    update(filter, update, options = {}, limit) {
+        const docs = this.matching(filter, { sort: options.sort, limit });
+        if (docs.length === 0 && options.upsert) {
+            const doc = this.upsert(filter, update);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+        }
+        docs.forEach(doc => applyUpdate(doc, update));
+        return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0 };
+    }
+
+    remove(filter, limit) {
+        const docs = this.matching(filter, { limit });
+        this.docs = this.docs.filter(doc => !docs.includes(doc));
+        return { acknowledged: true, deletedCount: docs.length };
+    }
+
+    async find(filter, options = {}) {
+        const docs = this.matching(filter, options).map(doc => clone(project(doc, options.projection)));
+        return { toArray: async () => docs };
+    }
+
+    async findOne(filter, options = {}) {
+        const [doc] = this.matching(filter, { ...options, limit: 1 });
+        return doc ? clone(project(doc, options.projection)) : null;
+    }
+
+    async countDocuments(filter) {
+        return this.matching(filter).length;
+    }
+
+    async distinct(field, filter) {
+        const values = this.matching(filter).flatMap(doc => [].concat(getPath(doc, field) ?? []));
+        return values.filter((value, index) => values.findIndex(other => sameValue(other, value)) === index).map(clone);
+    }
+
+    async insertOne(doc) {
+        this.docs.push(clone(doc));
+        return { acknowledged: true, insertedId: doc._id };
+    }
+
+    async insertMany(docs) {
+        docs.forEach(doc => this.docs.push(clone(doc)));
+        return { acknowledged: true, insertedCount: docs.length, insertedIds: docs.map(doc => doc._id) };
+    }
+
+    async updateOne(filter, update, options) {
+        return this.update(filter, update, options, 1);
+    }
+
+    async updateMany(filter, update, options) {
+        return this.update(filter, update, options);
+    }
+
+    async findOneAndUpdate(filter, update, options = {}) {
+        const [doc] = this.matching(filter, { sort: options.sort, limit: 1 });
+        let value = null;
+        if (doc) {
+            const before = clone(doc);
+            applyUpdate(doc, update);
+            value = options.returnDocument === 'after' ? clone(doc) : before;
+        } else if (options.upsert) {
+            const inserted = this.upsert(filter, update);
+            value = options.returnDocument === 'after' ? clone(inserted) : null;
+        }
+        return options.includeResultMetadata ? { value, ok: 1 } : value;
+    }
+
+    async deleteOne(filter) {
+        return this.remove(filter, 1);
+    }
+
+    async deleteMany(filter) {
+        return this.remove(filter);
+    }
+
+    async bulkWrite(operations) {
+        operations.forEach(operation => {
+            const [type, spec] = Object.entries(operation)[0];
+            if (type === 'insertOne') this.docs.push(clone(spec.document));
+            else if (type === 'updateOne') this.update(spec.filter, spec.update, spec, 1);
+            else if (type === 'updateMany') this.update(spec.filter, spec.update, spec);
+            else if (type === 'deleteOne') this.remove(spec.filter, 1);
+            else if (type === 'deleteMany') this.remove(spec.filter);
+            else throw new Error(`bulkWrite ${type} is not supported in memory`);
+        });
+        return { acknowledged: true };
+    }
+
+    aggregate(pipeline) {
+        const docs = runPipeline(this.docs, pipeline).map(clone);
+        return { toArray: async () => docs };
+    }
+}
+
+const COLLECTION_METHODS = Object.getOwnPropertyNames(MemoryCollection.prototype)
+    .filter(method => !['constructor', 'matching', 'upsert', 'update', 'remove'].includes(method));
+
+/**
+ * Back every registered model with an in-memory collection. Call in beforeEach after the
+ * routes under test are required; jest.restoreAllMocks() puts the real collections back.
+ * @returns {Object} - insert(Model, data) stores a document without running middleware;
+ *   docs(Model) returns the stored documents as plain objects
+ */
+const useMemoryDb = () => {
+    const collections = new Map();
+
+    mongoose.modelNames().forEach(name => {
+        const Model = mongoose.model(name);
+        const memory = new MemoryCollection();
+        collections.set(name, memory);
+        COLLECTION_METHODS.forEach(method => {
+            jest.spyOn(Model.collection, method).mockImplementation((...args) => memory[method](...args));
+        });
+    });
+
+    return {
+        insert(Model, data) {
+            const doc = new Model(data);
+            collections.get(Model.modelName).docs.push(clone(doc.toObject({ depopulate: true })));
+            return doc;
+        },
+
+        docs(Model) {
+            return collections.get(Model.modelName).docs.map(clone);
+        }
+    };
+};
+
+module.exports = { useMemoryDb };
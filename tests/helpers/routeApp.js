@@ -0,0 +1,16 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+// An app serving one router the way server.js mounts it
+const createApp = (path, router) => {
+    const app = express();
+    app.use(express.json());
+    app.use(path, router);
+    app.use(errorHandler);
+    return app;
+};
+
+const bearer = user => `Bearer ${jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET)}`;
+
+module.exports = { createApp, bearer };
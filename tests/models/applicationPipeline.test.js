@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const ApplicationPipeline = require('../../models/ApplicationPipeline');
+const JobApplication = require('../../models/JobApplication');
+
+describe('ApplicationPipeline Model', () => {
+    const clientId = new mongoose.Types.ObjectId();
+    const recruiterId = new mongoose.Types.ObjectId();
+    let pipeline;
+
+    beforeEach(() => {
+        pipeline = new ApplicationPipeline({ clientId, stages: ApplicationPipeline.defaultStages });
+    });
+
+    it('should derive stage keys from names and reject duplicates', () => {
+        pipeline.setStages([{ name: 'New' }, { name: 'Ticket check' }, { key: 'offer', name: 'Offer sent' }]);
+
+        expect(pipeline.stages.map(stage => stage.key)).toEqual(['new', 'ticket_check', 'offer']);
+        expect(pipeline.validateSync()).toBeUndefined();
+
+        pipeline.setStages([{ name: 'Ticket check' }, { name: 'Ticket-check' }]);
+        expect(pipeline.validateSync().errors.stages.message).toBe('Stage keys must be unique');
+    });
+
+    it('should refuse to remove stages that hold pending applications', () => {
+        expect(() => pipeline.setStages([{ name: 'Applied' }], { phone_screen: 2, offer_sent: 0 }))
+            .toThrow('Move pending applications out of phone_screen');
+    });
+
+    it('should group applications into columns in stage order', () => {
+        const columns = pipeline.buildBoard([
+            { _id: 'a', stage: 'phone_screen' },
+            { _id: 'b', stage: 'retired_stage' },
+            { _id: 'c' }
+        ]);
+
+        expect(columns.map(column => column.key)).toEqual(ApplicationPipeline.defaultStages.map(stage => stage.key));
+        expect(columns[0].applications.map(card => card._id)).toEqual(['b', 'c']);
+        expect(columns[2]).toMatchObject({ key: 'phone_screen', count: 1 });
+    });
+
+    describe('moving applications', () => {
+        let application;
+
+        beforeEach(() => {
+            application = new JobApplication({
+                jobId: new mongoose.Types.ObjectId(),
+                applicantId: new mongoose.Types.ObjectId(),
+                clientId,
+                message: 'Available from Monday',
+                stage: 'applied'
+            });
+            application.save = jest.fn().mockResolvedValue(application);
+        });
+
+        it('should record history and notes and mark the applicant shortlisted', async () => {
+            await application.moveToStage(pipeline, 'phone_screen', recruiterId, 'Call booked for 2pm');
+
+            expect(application.stage).toBe('phone_screen');
+            expect(application.stageHistory[0]).toMatchObject({ from: 'applied', to: 'phone_screen', note: 'Call booked for 2pm' });
+            expect(application.stageNotes[0]).toMatchObject({ stage: 'phone_screen', note: 'Call booked for 2pm' });
+            expect(application.shortlistedAt).toBeInstanceOf(Date);
+
+            await application.moveToStage(pipeline, 'applied', recruiterId);
+            expect(application.shortlistedAt).toBeUndefined();
+            expect(application.stageHistory).toHaveLength(2);
+        });
+
+        it('should refuse unknown stages, repeat moves and closed applications', () => {
+            expect(() => application.moveToStage(pipeline, 'interview', recruiterId)).toThrow('Unknown pipeline stage');
+            expect(() => application.moveToStage(pipeline, 'applied', recruiterId)).toThrow('already in applied');
+
+            application.status = 'rejected';
+            expect(() => application.moveToStage(pipeline, 'offer_sent', recruiterId)).toThrow('Cannot move an application that is rejected');
+        });
+    });
+});
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const ChangeOrder = require('../../models/ChangeOrder');
+const JobVersion = require('../../models/JobVersion');
+const Job = require('../../models/Job');
+
+describe('ChangeOrder Model', () => {
+    const clientId = new mongoose.Types.ObjectId();
+    const riggerA = new mongoose.Types.ObjectId();
+    const riggerB = new mongoose.Types.ObjectId();
+    let changeOrder;
+
+    beforeEach(() => {
+        changeOrder = new ChangeOrder({
+            jobId: new mongoose.Types.ObjectId(),
+            number: 2,
+            proposedBy: clientId,
+            proposerRole: 'client',
+            reason: 'Lift moved to night works',
+            changes: [{ field: 'rate', from: 80, to: 95 }],
+            requiredApprovers: [riggerA, riggerB]
+        });
+    });
+
+    it('should stay proposed until every approver accepts', () => {
+        expect(changeOrder.recordResponse(riggerA, 'accepted')).toBe('proposed');
+        expect(changeOrder.awaitingResponseFrom()).toEqual([riggerB]);
+
+        expect(changeOrder.recordResponse(riggerB, 'accepted')).toBe('accepted');
+        expect(changeOrder.closedAt).toBeInstanceOf(Date);
+        expect(changeOrder.reference).toBe('CO-2');
+    });
+
+    it('should be rejected by any single rejection', () => {
+        changeOrder.recordResponse(riggerA, 'accepted');
+        expect(changeOrder.recordResponse(riggerB, 'rejected', 'Rate too low')).toBe('rejected');
+        expect(() => changeOrder.recordResponse(riggerB, 'accepted')).toThrow('already rejected');
+    });
+
+    it('should refuse responses from the proposer, non-parties and repeat responders', () => {
+        expect(() => changeOrder.recordResponse(clientId, 'accepted')).toThrow('not a party');
+        changeOrder.recordResponse(riggerA, 'accepted');
+        expect(() => changeOrder.recordResponse(riggerA, 'accepted')).toThrow('already responded');
+    });
+
+    it('should only be withdrawn by the proposer while open', () => {
+        expect(() => changeOrder.withdraw(riggerA)).toThrow('Only the proposer');
+        changeOrder.withdraw(clientId);
+        expect(changeOrder.status).toBe('withdrawn');
+        expect(() => changeOrder.withdraw(clientId)).toThrow('already withdrawn');
+    });
+
+    it('should be stale once the job no longer matches the proposed from values', () => {
+        const job = new Job({ rate: 80, startDate: new Date('2026-03-02') });
+        expect(changeOrder.isStale(job)).toBe(false);
+
+        job.rate = 85;
+        expect(changeOrder.isStale(job)).toBe(true);
+    });
+});
+
+describe('JobVersion Model', () => {
+    const timeline = [
+        new JobVersion({ version: 1, snapshot: { rate: 80 }, effectiveFrom: new Date('2026-03-01T00:00:00Z') }),
+        new JobVersion({ version: 2, snapshot: { rate: 95 }, effectiveFrom: new Date('2026-03-10T00:00:00Z') }),
+        new JobVersion({ version: 3, snapshot: { rate: 100 }, effectiveFrom: new Date('2026-03-20T00:00:00Z') })
+    ];
+
+    it('should find the version in force at a date', () => {
+        expect(JobVersion.effectiveAt(timeline, '2026-03-05').version).toBe(1);
+        expect(JobVersion.effectiveAt(timeline, '2026-03-10T00:00:00Z').version).toBe(2);
+        expect(JobVersion.effectiveAt(timeline, '2026-04-01').snapshot.rate).toBe(100);
+        expect(JobVersion.effectiveAt(timeline, '2026-02-01')).toBeNull();
+    });
+
+    it('should snapshot only the agreed terms of a job', () => {
+        const job = new Job({ title: 'Tower crane lift', rate: 80, equipmentRequired: ['spreader bar'], shiftPattern: 'night_shift' });
+        const snapshot = JobVersion.snapshotOf(job);
+
+        expect(snapshot).toMatchObject({ rate: 80, equipmentRequired: ['spreader bar'], shiftPattern: 'night_shift' });
+        expect(snapshot.title).toBeUndefined();
+    });
+});
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const DataExport = require('../../models/DataExport');
+
+describe('DataExport Model', () => {
+    const now = new Date('2026-03-01T00:00:00Z');
+    const expiresAt = new Date('2026-03-08T00:00:00Z');
+
+    const ready = () => new DataExport({ userId: new mongoose.Types.ObjectId() }).markReady({
+        storageKey: 'exports/user/export.zip',
+        size: 4096,
+        sections: [{ name: 'applications', records: 3 }]
+    }, expiresAt, now);
+
+    it('should be downloadable once ready until it expires', () => {
+        const dataExport = ready();
+
+        expect(dataExport.status).toBe('ready');
+        expect(() => dataExport.assertDownloadable(now)).not.toThrow();
+        expect(() => dataExport.assertDownloadable(expiresAt)).toThrow('This export has expired');
+    });
+
+    it('should not be downloadable while it is being built or after it failed', () => {
+        const dataExport = new DataExport({ userId: new mongoose.Types.ObjectId() });
+
+        expect(() => dataExport.assertDownloadable(now)).toThrow('Export is still being prepared');
+        dataExport.markFailed(new Error('Disk full'), now);
+        expect(dataExport.error).toBe('Disk full');
+        expect(() => dataExport.assertDownloadable(now)).toThrow('This export could not be prepared');
+    });
+
+    it('should forget the file once it has expired', () => {
+        const dataExport = ready().markExpired();
+
+        expect(dataExport.storageKey).toBeUndefined();
+        expect(() => dataExport.assertDownloadable(now)).toThrow('This export has expired');
+    });
+});
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const EmergencyDispatch = require('../../models/EmergencyDispatch');
+
+describe('EmergencyDispatch Model', () => {
+    let dispatch;
+    let riggerA;
+    let riggerB;
+
+    beforeEach(() => {
+        riggerA = new mongoose.Types.ObjectId();
+        riggerB = new mongoose.Types.ObjectId();
+        const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+
+        dispatch = new EmergencyDispatch({
+            jobId: new mongoose.Types.ObjectId(),
+            clientId: new mongoose.Types.ObjectId(),
+            origin: { latitude: -31.95, longitude: 115.86 },
+            waves: [{ number: 1, radiusKm: 10, expiresAt, offersSent: 2 }],
+            offers: [
+                { riggerId: riggerA, wave: 1, distanceKm: 3.2, offeredAt: new Date(Date.now() - 90 * 1000), expiresAt },
+                { riggerId: riggerB, wave: 1, distanceKm: 8.1, expiresAt }
+            ]
+        });
+    });
+
+    it('should expose the latest wave as currentWave', () => {
+        dispatch.waves.push({ number: 2, radiusKm: 25, expiresAt: new Date() });
+        expect(dispatch.currentWave.number).toBe(2);
+    });
+
+    it('should find an offer by rigger', () => {
+        expect(dispatch.findOffer(riggerB.toString()).distanceKm).toBe(8.1);
+        expect(dispatch.findOffer(new mongoose.Types.ObjectId())).toBeUndefined();
+    });
+
+    it('should record response time when an offer is accepted', () => {
+        const offer = dispatch.respondToOffer(dispatch.findOffer(riggerA), 'accepted');
+
+        expect(offer.status).toBe('accepted');
+        expect(offer.responseTimeSeconds).toBeGreaterThanOrEqual(90);
+    });
+
+    it('should expire only outstanding offers and log each expiry', () => {
+        dispatch.respondToOffer(dispatch.findOffer(riggerA), 'accepted');
+        dispatch.expireOutstandingOffers('filled');
+
+        expect(dispatch.findOffer(riggerA).status).toBe('accepted');
+        expect(dispatch.findOffer(riggerB).status).toBe('expired');
+        expect(dispatch.findOffer(riggerB).expiryReason).toBe('filled');
+
+        const expiries = dispatch.events.filter(event => event.type === 'offer_expired');
+        expect(expiries).toHaveLength(1);
+        expect(expiries[0].riggerId.toString()).toBe(riggerB.toString());
+        expect(expiries[0].details.reason).toBe('filled');
+    });
+});
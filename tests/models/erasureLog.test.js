@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const ErasureLog = require('../../models/ErasureLog');
+
+describe('ErasureLog Model', () => {
+    it('should hash emails regardless of case and whitespace', () => {
+        const hash = ErasureLog.hashEmail('Sam.Taylor@Example.com ');
+
+        expect(hash).toBe(ErasureLog.hashEmail('sam.taylor@example.com'));
+        expect(hash).not.toContain('sam');
+    });
+
+    it('should record steps with the records affected', () => {
+        const userId = new mongoose.Types.ObjectId();
+        const now = new Date('2026-03-31T00:00:00Z');
+        const log = new ErasureLog({
+            userId,
+            emailHash: ErasureLog.hashEmail('sam.taylor@example.com'),
+            pseudonym: ErasureLog.pseudonymFor(userId),
+            requestedAt: new Date('2026-03-01T00:00:00Z'),
+            scheduledFor: now
+        });
+
+        log.recordStep('messages_scrubbed', 12, undefined, now);
+
+        expect(log.pseudonym).toBe(`Erased user ${userId.toString().slice(-8)}`);
+        expect(log.steps[0].toObject()).toEqual({ step: 'messages_scrubbed', at: now, count: 12 });
+        expect(log.validateSync()).toBeUndefined();
+    });
+});
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Interview = require('../../models/Interview');
+
+describe('Interview Model', () => {
+    const clientId = new mongoose.Types.ObjectId();
+    const riggerId = new mongoose.Types.ObjectId();
+    const now = new Date('2026-03-01T00:00:00Z');
+    const slots = [
+        { start: new Date('2026-03-03T01:00:00Z'), end: new Date('2026-03-03T01:30:00Z') },
+        { start: new Date('2026-03-04T01:00:00Z'), end: new Date('2026-03-04T01:30:00Z') }
+    ];
+    let interview;
+
+    beforeEach(() => {
+        interview = new Interview({
+            applicationId: new mongoose.Types.ObjectId(),
+            jobId: new mongoose.Types.ObjectId(),
+            clientId,
+            riggerId,
+            type: 'site_visit'
+        });
+        interview.proposeSlots(slots, clientId, 'Meet at the site office', now);
+    });
+
+    it('should book an offered slot and record it in the history', () => {
+        interview.selectSlot(interview.slots[1]._id, riggerId, now);
+
+        expect(interview.status).toBe('scheduled');
+        expect(interview.scheduledStart).toEqual(slots[1].start);
+        expect(interview.sequence).toBe(1);
+        expect(interview.history.map(entry => entry.action)).toEqual(['proposed', 'scheduled']);
+    });
+
+    it('should refuse past or invalid slots', () => {
+        expect(() => interview.proposeSlots([{ start: now, end: slots[0].end }], clientId, null, now)).toThrow('in the future');
+        expect(() => interview.proposeSlots([{ start: slots[0].end, end: slots[0].start }], clientId, null, now)).toThrow('end after it starts');
+        expect(() => interview.selectSlot(interview.slots[0]._id, riggerId, new Date('2026-03-03T02:00:00Z'))).toThrow('passed');
+    });
+
+    it('should keep the last booked time when rescheduled', () => {
+        interview.selectSlot(interview.slots[0]._id, riggerId, now);
+        interview.requestReschedule(riggerId, 'On another site that day', now);
+
+        expect(interview.status).toBe('reschedule_requested');
+        expect(interview.scheduledStart).toBeUndefined();
+        expect(interview.sequence).toBe(2);
+        expect(interview.lastBookedTime()).toEqual({ start: slots[0].start, end: slots[0].end });
+        expect(() => interview.selectSlot(interview.slots[1]._id, riggerId, now)).toThrow('reschedule requested');
+
+        interview.proposeSlots(slots.slice(1), clientId, null, now);
+        expect(interview.status).toBe('proposed');
+        expect(interview.history.map(entry => entry.action)).toEqual(['proposed', 'scheduled', 'reschedule_requested', 'rescheduled']);
+    });
+
+    it('should send each reminder once when it falls due', () => {
+        interview.selectSlot(interview.slots[0]._id, riggerId, now);
+
+        expect(interview.dueReminders(new Date('2026-03-01T12:00:00Z'))).toEqual([]);
+        expect(interview.dueReminders(new Date('2026-03-02T02:00:00Z'))).toEqual(['24h']);
+
+        interview.remindersSent.push('24h');
+        expect(interview.dueReminders(new Date('2026-03-03T00:30:00Z'))).toEqual(['1h']);
+    });
+
+    it('should not change a cancelled interview', () => {
+        interview.cancel(clientId, 'Position filled', now);
+
+        expect(interview.status).toBe('cancelled');
+        expect(() => interview.proposeSlots(slots, clientId, null, now)).toThrow('Interview is cancelled');
+        expect(() => interview.cancel(riggerId, null, now)).toThrow('already cancelled');
+    });
+});
@@ -0,0 +1,388 @@
+const mongoose = require('mongoose');
+const Job = require('../../models/Job');
+const CraneLoadChart = require('../../models/CraneLoadChart');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { inDays, jobData } = require('../helpers/fixtures');
+
+describe('Job Model', () => {
+    let job;
+    const clientId = new mongoose.Types.ObjectId();
+    const riggerId = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+        job = new Job({
+            title: 'Tower crane erection',
+            description: 'Erect tower crane on level 2 slab',
+            location: {
+                address: '1 Hay Street',
+                city: 'Perth',
+                state: 'WA',
+                postcode: '6000',
+                siteType: 'construction'
+            },
+            rate: 85,
+            jobType: 'rigger',
+            duration: 'daily',
+            startDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+            clientId
+        });
+        job.save = jest.fn().mockResolvedValue(job);
+    });
+
+    describe('transitionTo', () => {
+        it('should allow transitions in the table and record history', () => {
+            job.transitionTo('assigned', { changedBy: clientId, reason: 'Hired' });
+
+            expect(job.status).toBe('assigned');
+            expect(job.statusHistory).toHaveLength(1);
+            expect(job.statusHistory[0].from).toBe('posted');
+            expect(job.statusHistory[0].to).toBe('assigned');
+            expect(job.statusHistory[0].changedBy).toEqual(clientId);
+            expect(job.statusHistory[0].reason).toBe('Hired');
+            expect(job.statusHistory[0].changedAt).toBeInstanceOf(Date);
+        });
+
+        it('should reject illegal transitions with a 409 error', () => {
+            expect(() => job.transitionTo('completed')).toThrow('Cannot change job status from posted to completed');
+
+            let thrown;
+            try {
+                job.transitionTo('in_progress');
+            } catch (error) {
+                thrown = error;
+            }
+            expect(thrown.status).toBe(409);
+            expect(thrown.error).toBe('Invalid Status Transition');
+            expect(job.status).toBe('posted');
+            expect(job.statusHistory).toHaveLength(0);
+        });
+
+        it('should treat completed and cancelled as terminal', () => {
+            job.status = 'completed';
+            Job.schema.path('status').enumValues.forEach(status => {
+                expect(job.canTransitionTo(status)).toBe(false);
+            });
+
+            job.status = 'cancelled';
+            expect(job.canTransitionTo('in_progress')).toBe(false);
+        });
+    });
+
+    describe('lifecycle methods', () => {
+        it('should move through assign, start and complete', async () => {
+            await job.assignToRigger(riggerId, clientId);
+            await job.startJob(riggerId);
+            await job.completeJob(8, 'Lift completed', riggerId);
+
+            expect(job.status).toBe('completed');
+            expect(job.assignedRiggerId).toEqual(riggerId);
+            expect(job.totalCost).toBe(job.costBreakdown.totals.total);
+            expect(job.statusHistory.map(entry => entry.to)).toEqual(['assigned', 'in_progress', 'completed']);
+            expect(job.save).toHaveBeenCalledTimes(3);
+        });
+
+        it('should resume to the status held before going on hold', async () => {
+            await job.assignToRigger(riggerId, clientId);
+            await job.putOnHold('Wind over limits', clientId);
+            await job.resume(clientId);
+
+            expect(job.status).toBe('assigned');
+        });
+
+        it('should replace the posted rate with a negotiated rate on assignment', async () => {
+            await job.fillPosition(riggerId, undefined, clientId, 92);
+
+            expect(job.status).toBe('assigned');
+            expect(job.rate).toBe(92);
+            expect(job.postedRate).toBe(85);
+        });
+
+        it('should not start a job that has not been assigned', async () => {
+            await expect(job.startJob(riggerId)).rejects.toThrow('Cannot change job status from posted to in_progress');
+            expect(job.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('application deadline', () => {
+        it('should close applications once the deadline passes', () => {
+            job.applicationDeadline = new Date(Date.now() + 60 * 60 * 1000);
+            expect(job.areApplicationsClosed()).toBe(false);
+            expect(job.canApply()).toBe(true);
+
+            expect(job.areApplicationsClosed(new Date(Date.now() + 2 * 60 * 60 * 1000))).toBe(true);
+        });
+
+        describe('default', () => {
+            beforeEach(() => {
+                useMemoryDb();
+            });
+
+            afterEach(() => {
+                jest.restoreAllMocks();
+            });
+
+            it('should close applications the day before the job starts', async () => {
+                const posted = new Job(jobData(clientId));
+                await posted.save();
+
+                expect(posted.applicationDeadline.getTime()).toBe(posted.startDate.getTime() - 24 * 60 * 60 * 1000);
+            });
+
+            it('should keep applications open until the start of a job starting within a day', async () => {
+                const urgent = new Job(jobData(clientId, { startDate: inDays(0.5), urgencyLevel: 'urgent' }));
+                await urgent.save();
+
+                expect(urgent.applicationDeadline).toEqual(urgent.startDate);
+                expect(urgent.areApplicationsClosed()).toBe(false);
+            });
+        });
+
+        it('should stay closed once the processor has closed applications', () => {
+            job.applicationDeadline = new Date(Date.now() + 60 * 60 * 1000);
+            job.applicationsClosedAt = new Date();
+
+            expect(job.areApplicationsClosed()).toBe(true);
+            expect(job.canApply()).toBe(false);
+        });
+    });
+
+    describe('reopenApplications', () => {
+        it('should undo the expiry processor\'s close and move a passed deadline to the start date', () => {
+            const now = new Date();
+            job.applicationDeadline = new Date(now.getTime() - 60 * 60 * 1000);
+            job.applicationsClosedAt = job.applicationDeadline;
+
+            job.reopenApplications(now);
+
+            expect(job.applicationsClosedAt).toBeUndefined();
+            expect(job.applicationDeadline).toEqual(job.startDate);
+            expect(job.canApply()).toBe(true);
+        });
+
+        it('should keep a deadline that has not passed', () => {
+            const deadline = new Date(Date.now() + 60 * 60 * 1000);
+            job.applicationDeadline = deadline;
+
+            expect(job.reopenApplications().applicationDeadline).toEqual(deadline);
+        });
+    });
+
+    describe('releaseRigger', () => {
+        it('should put an assigned job back up at its posted rate', async () => {
+            await job.assignToRigger(riggerId, clientId, 92);
+            job.releaseRigger(riggerId, { reason: 'Dogging ticket expired' });
+
+            expect(job.status).toBe('posted');
+            expect(job.assignedRiggerId).toBeUndefined();
+            expect(job.rate).toBe(85);
+            expect(job.statusHistory[job.statusHistory.length - 1].reason).toBe('Dogging ticket expired');
+        });
+
+        it('should not release a rigger from a job under way', async () => {
+            await job.assignToRigger(riggerId, clientId);
+            job.status = 'in_progress';
+
+            expect(() => job.releaseRigger(riggerId)).toThrow('Cannot release a rigger from a job that is in_progress');
+        });
+    });
+
+    describe('applicant limit', () => {
+        it('should keep taking applications for the waitlist once the limit is reached', () => {
+            job.maxApplicants = 2;
+            expect(job.hasReachedMaxApplicants(1)).toBe(false);
+
+            expect(job.hasReachedMaxApplicants(2)).toBe(true);
+            expect(job.canApply()).toBe(true);
+        });
+    });
+
+    describe('site documents', () => {
+        const file = { url: 'https://files.example.com/swms-v1.pdf', filename: 'swms-v1.pdf', mimeType: 'application/pdf' };
+        let swms;
+
+        beforeEach(() => {
+            job.status = 'assigned';
+            job.assignedRiggerId = riggerId;
+            swms = job.addSiteDocument({ type: 'swms', title: 'Tower crane SWMS', requiredBeforeStart: true, file }, clientId);
+            job.addSiteDocument({ type: 'other', title: 'Site map', file }, clientId);
+        });
+
+        it('should refuse to start until required documents are acknowledged', async () => {
+            expect(job.outstandingAcknowledgements()).toHaveLength(1);
+            await expect(job.startJob(riggerId)).rejects.toThrow('Tower crane SWMS');
+            expect(job.status).toBe('assigned');
+
+            job.acknowledgeSiteDocument(swms._id, riggerId);
+            await job.startJob(riggerId);
+            expect(job.status).toBe('in_progress');
+        });
+
+        it('should require acknowledgement again after a new version is uploaded', () => {
+            job.acknowledgeSiteDocument(swms._id, riggerId);
+            job.reviseSiteDocument(swms._id, { file: { ...file, url: 'https://files.example.com/swms-v2.pdf' }, changeSummary: 'Exclusion zone widened' }, clientId);
+
+            expect(swms.version).toBe(2);
+            expect(swms.previousVersions[0].version).toBe(1);
+            expect(swms.isAcknowledgedBy(riggerId)).toBe(false);
+            expect(job.outstandingAcknowledgements()[0].riggerIds).toEqual([riggerId]);
+        });
+
+        it('should only accept acknowledgements from assigned riggers', () => {
+            expect(() => job.acknowledgeSiteDocument(swms._id, new mongoose.Types.ObjectId())).toThrow('Only riggers assigned');
+            expect(() => job.acknowledgeSiteDocument(new mongoose.Types.ObjectId(), riggerId)).toThrow('Site document not found');
+        });
+    });
+
+    describe('lift plans', () => {
+        const chart = new CraneLoadChart({
+            manufacturer: 'Liebherr',
+            model: 'LTM 1100-5.2',
+            craneType: 'all_terrain',
+            configurations: [{
+                name: 'Full counterweight',
+                boomLengths: [{ lengthM: 25, ratings: [{ radiusM: 12, capacityKg: 10000 }] }]
+            }]
+        });
+        const lift = { configuration: 'Full counterweight', loadDescription: 'Precast panel', riggingWeightKg: 200, radiusM: 11, boomLengthM: 24 };
+
+        beforeEach(() => {
+            job.jobType = 'mobile_crane_operator';
+        });
+
+        it('should only be available on crane operator jobs', () => {
+            job.jobType = 'scaffolder';
+            expect(() => job.addLiftPlan(chart, { ...lift, loadWeightKg: 1000 }, clientId)).toThrow('crane operator jobs');
+        });
+
+        it('should record the chart values and results used for the calculation', () => {
+            const plan = job.addLiftPlan(chart, { ...lift, loadWeightKg: 5000 }, clientId);
+
+            expect(plan.crane).toBe('Liebherr LTM 1100-5.2');
+            expect(plan.chart).toMatchObject({ boomLengthM: 25, radiusM: 12, ratedCapacityKg: 10000 });
+            expect(plan.results.percentOfCapacity).toBe(52);
+            expect(plan.isCritical).toBe(false);
+            expect(plan.status).toBe('draft');
+        });
+
+        it('should require independent sign-off for critical lifts', () => {
+            const plan = job.addLiftPlan(chart, { ...lift, loadWeightKg: 8000 }, clientId);
+
+            expect(plan.isCritical).toBe(true);
+            expect(() => job.signOffLiftPlan(plan._id, clientId)).toThrow('someone other than');
+
+            job.signOffLiftPlan(plan._id, riggerId, 'Ground bearing checked');
+            expect(plan.status).toBe('signed_off');
+            expect(() => job.signOffLiftPlan(plan._id, riggerId)).toThrow('already been signed off');
+        });
+
+        it('should refuse to sign off a lift over rated capacity', () => {
+            const plan = job.addLiftPlan(chart, { ...lift, loadWeightKg: 9900 }, clientId);
+            expect(() => job.signOffLiftPlan(plan._id, riggerId)).toThrow('exceeds');
+        });
+    });
+
+    describe('costing', () => {
+        // Monday 2 June 2025
+        const monday = new Date(2025, 5, 2, 7);
+
+        it('should spread completed hours across work days from the start date', async () => {
+            job.status = 'in_progress';
+            job.actualStartDate = monday;
+            await job.completeJob(10, 'Lift completed', riggerId);
+
+            const codes = job.costBreakdown.lines.map(line => line.code);
+            expect(codes).toEqual(['ordinary', 'industry_allowance']);
+            // 10h x $85 ordinary over two days + 10h x $0.85 industry allowance
+            expect(job.totalCost).toBe(858.5);
+        });
+
+        it('should cost a long day with overtime when given work entries', async () => {
+            job.status = 'in_progress';
+            await job.completeJob(10, 'Lift completed', riggerId, [{ date: monday, hours: 10 }]);
+
+            // 8h x $85 + 2h x $127.50 + 10h x $0.85 industry allowance
+            expect(job.totalCost).toBe(943.5);
+        });
+
+        it('should prefer per-day work entries over spreading hours', async () => {
+            job.status = 'in_progress';
+            await job.completeJob(16, null, riggerId, [
+                { date: monday, hours: 8 },
+                { date: new Date(2025, 5, 7), hours: 8 } // Saturday
+            ]);
+
+            expect(job.costBreakdown.totals.penalties).toBe(85 * 1.5 * 2 + 85 * 2 * 6);
+        });
+    });
+
+    describe('crew positions', () => {
+        let crewJob;
+
+        beforeEach(() => {
+            crewJob = new Job({
+                title: 'Tower crane erection crew',
+                description: 'Erect luffing tower crane',
+                location: {
+                    address: '1 Hay Street',
+                    city: 'Perth',
+                    state: 'WA',
+                    postcode: '6000',
+                    siteType: 'construction'
+                },
+                duration: 'daily',
+                startDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+                clientId,
+                positions: [
+                    { jobType: 'tower_crane_operator', headcount: 1, rate: 95, requiredCertifications: ['CT'] },
+                    { jobType: 'rigger', headcount: 2, rate: 80, requiredCertifications: ['RI'] }
+                ]
+            });
+            crewJob.save = jest.fn().mockResolvedValue(crewJob);
+        });
+
+        it('should derive headline fields from positions on validate', async () => {
+            await crewJob.validate();
+
+            expect(crewJob.jobType).toBe('tower_crane_operator');
+            expect(crewJob.rate).toBe(80);
+            expect(crewJob.requiredCertifications).toEqual(['CT', 'RI']);
+            expect(crewJob.totalHeadcount).toBe(3);
+        });
+
+        it('should only move to assigned once every position is filled', async () => {
+            const [operator, riggers] = crewJob.positions;
+
+            await crewJob.fillPosition(new mongoose.Types.ObjectId(), riggers._id, clientId);
+            await crewJob.fillPosition(new mongoose.Types.ObjectId(), riggers._id, clientId);
+            expect(crewJob.status).toBe('posted');
+            expect(riggers.isFilled).toBe(true);
+            expect(crewJob.findOpenPosition(riggers._id)).toBeNull();
+
+            await crewJob.fillPosition(riggerId, operator._id, clientId);
+            expect(crewJob.status).toBe('assigned');
+            expect(crewJob.assignedRiggerIds).toHaveLength(3);
+            expect(crewJob.isAssignedTo(riggerId)).toBe(true);
+        });
+
+        it('should reject filling a full position', async () => {
+            const [operator] = crewJob.positions;
+            await crewJob.fillPosition(riggerId, operator._id, clientId);
+
+            await expect(crewJob.fillPosition(new mongoose.Types.ObjectId(), operator._id, clientId))
+                .rejects.toThrow('All 1 tower_crane_operator positions are filled');
+        });
+
+        it('should pay a rigger their negotiated rate without changing the position rate', async () => {
+            const [, riggers] = crewJob.positions;
+            const otherRigger = new mongoose.Types.ObjectId();
+
+            await crewJob.fillPosition(riggerId, riggers._id, clientId, 88);
+            await crewJob.fillPosition(otherRigger, riggers._id, clientId, 80);
+
+            expect(riggers.rate).toBe(80);
+            expect(riggers.agreedRates).toHaveLength(1);
+            expect(riggers.rateFor(riggerId)).toBe(88);
+            expect(riggers.rateFor(otherRigger)).toBe(80);
+        });
+    });
+});
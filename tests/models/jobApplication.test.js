@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const JobApplication = require('../../models/JobApplication');
+
+describe('JobApplication Model', () => {
+    const riggerId = new mongoose.Types.ObjectId();
+    const clientId = new mongoose.Types.ObjectId();
+    const now = new Date('2026-03-01T00:00:00Z');
+    let application;
+
+    beforeEach(() => {
+        application = new JobApplication({
+            jobId: new mongoose.Types.ObjectId(),
+            applicantId: riggerId,
+            clientId,
+            message: 'Available from Monday'
+        });
+    });
+
+    describe('rate negotiation', () => {
+        it('should close an offer when the other party counters it', () => {
+            const offer = application.offerRate('rigger', riggerId, { rate: 95 }, now);
+            const counter = application.offerRate('client', clientId, { rate: 88, message: 'Meet in the middle?' }, now);
+
+            expect(offer.status).toBe('countered');
+            expect(application.proposedRate).toBe(95);
+            expect(application.pendingRateOffer(now)).toBe(counter);
+        });
+
+        it('should not let a party make a second offer while theirs is pending', () => {
+            application.offerRate('rigger', riggerId, { rate: 95 }, now);
+
+            expect(() => application.offerRate('rigger', riggerId, { rate: 93 }, now)).toThrow('still awaiting a response');
+        });
+
+        it('should agree the rate when the other party accepts', () => {
+            const offer = application.offerRate('rigger', riggerId, { rate: 95 }, now);
+
+            expect(() => application.respondToRateOffer(offer._id, 'rigger', 'accepted', now)).toThrow('your own offer');
+
+            application.respondToRateOffer(offer._id, 'client', 'accepted', now);
+            expect(application.agreedRate).toBe(95);
+            expect(application.assignmentRate(now)).toBe(95);
+            expect(() => application.offerRate('client', clientId, { rate: 90 }, now)).toThrow('already been agreed');
+        });
+
+        it('should only let the maker withdraw an offer', () => {
+            const offer = application.offerRate('client', clientId, { rate: 85 }, now);
+
+            expect(() => application.respondToRateOffer(offer._id, 'rigger', 'withdrawn', now)).toThrow('Only the party who made an offer');
+            application.respondToRateOffer(offer._id, 'client', 'withdrawn', now);
+            expect(application.pendingRateOffer(now)).toBeNull();
+        });
+
+        it('should expire offers past their expiry', () => {
+            const offer = application.offerRate('client', clientId, { rate: 85, expiresAt: new Date('2026-03-02T00:00:00Z') }, now);
+            const later = new Date('2026-03-03T00:00:00Z');
+
+            expect(() => application.respondToRateOffer(offer._id, 'rigger', 'accepted', later)).toThrow('This offer has been expired');
+            expect(offer.status).toBe('expired');
+            expect(application.offerRate('rigger', riggerId, { rate: 90 }, later).status).toBe('pending');
+        });
+
+        it('should not assign an applicant while an offer is open', () => {
+            expect(application.assignmentRate(now)).toBeUndefined();
+
+            application.offerRate('rigger', riggerId, { rate: 95 }, now);
+            expect(() => application.assignmentRate(now)).toThrow('open rate offer');
+        });
+    });
+
+    describe('screening', () => {
+        const failed = {
+            result: 'failed',
+            reasons: [{ check: 'insurance', requirement: '10000000', message: 'Job needs more insurance cover' }],
+            warnings: [],
+            screenedAt: now
+        };
+
+        it('should record the result without rejecting by default', () => {
+            application.recordScreening(failed);
+
+            expect(application.screening.result).toBe('failed');
+            expect(application.status).toBe('pending');
+        });
+
+        it('should reject a failed application when the job auto-rejects', () => {
+            application.recordScreening(failed, true);
+
+            expect(application.status).toBe('rejected');
+            expect(application.rejectionReason).toBe('Automatic screening: Job needs more insurance cover');
+        });
+    });
+
+    describe('waitlist', () => {
+        it('should queue an application and promote it to pending', () => {
+            application.joinWaitlist(3, now);
+
+            expect(application.status).toBe('waitlisted');
+            expect(application.waitlistPosition).toBe(3);
+            expect(application.canWithdraw()).toBe(true);
+            expect(application.canReview()).toBe(false);
+
+            application.promoteFromWaitlist(now);
+
+            expect(application.status).toBe('pending');
+            expect(application.waitlistPosition).toBeUndefined();
+            expect(application.promotedAt).toEqual(now);
+        });
+
+        it('should only promote waitlisted applications', () => {
+            expect(() => application.promoteFromWaitlist(now)).toThrow('Cannot promote an application that is pending');
+
+            application.status = 'rejected';
+            expect(() => application.joinWaitlist(1, now)).toThrow('Cannot waitlist an application that is rejected');
+        });
+    });
+});
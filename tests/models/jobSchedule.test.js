@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const JobSchedule = require('../../models/JobSchedule');
+const JobTemplate = require('../../models/JobTemplate');
+
+// Monday 2 June 2025
+const day = (date, month = 5) => new Date(2025, month, date);
+
+const buildSchedule = recurrence => new JobSchedule({
+    clientId: new mongoose.Types.ObjectId(),
+    templateId: new mongoose.Types.ObjectId(),
+    recurrence
+});
+
+describe('JobSchedule Model', () => {
+    describe('occurrencesBetween', () => {
+        it('should list every Monday for 8 weeks', () => {
+            const schedule = buildSchedule({ frequency: 'weekly', daysOfWeek: [1], startsOn: day(2), maxOccurrences: 8 });
+            const occurrences = schedule.occurrencesBetween(day(1), day(31, 11));
+
+            expect(occurrences).toHaveLength(8);
+            expect(occurrences.every(date => date.getDay() === 1)).toBe(true);
+            expect(occurrences[7]).toEqual(day(21, 6));
+        });
+
+        it('should skip alternate weeks for a fortnightly series', () => {
+            const schedule = buildSchedule({ frequency: 'weekly', interval: 2, daysOfWeek: [1, 3], startsOn: day(2) });
+            const occurrences = schedule.occurrencesBetween(day(2), day(22));
+
+            expect(occurrences.map(date => date.getDate())).toEqual([2, 4, 16, 18]);
+        });
+
+        it('should default weekly series to the start day', () => {
+            const schedule = buildSchedule({ frequency: 'weekly', startsOn: day(4), endsOn: day(25) });
+            expect(schedule.occurrencesBetween(day(1), day(30)).map(date => date.getDate())).toEqual([4, 11, 18, 25]);
+        });
+
+        it('should only return occurrences in the requested window, counted from the series start', () => {
+            const schedule = buildSchedule({ frequency: 'daily', interval: 3, startsOn: day(2), maxOccurrences: 5 });
+
+            expect(schedule.occurrencesBetween(day(9), day(30)).map(date => date.getDate())).toEqual([11, 14]);
+        });
+    });
+
+    describe('isExhaustedThrough', () => {
+        it('should be exhausted once the end date or occurrence count is reached', () => {
+            const byCount = buildSchedule({ frequency: 'weekly', daysOfWeek: [1], startsOn: day(2), maxOccurrences: 2 });
+            expect(byCount.isExhaustedThrough(day(6))).toBe(false);
+            expect(byCount.isExhaustedThrough(day(9))).toBe(true);
+
+            const byDate = buildSchedule({ frequency: 'daily', startsOn: day(2), endsOn: day(10) });
+            expect(byDate.isExhaustedThrough(day(9))).toBe(false);
+            expect(byDate.isExhaustedThrough(day(10))).toBe(true);
+        });
+    });
+
+    describe('series state', () => {
+        it('should pause, resume and cancel', () => {
+            const schedule = buildSchedule({ startsOn: day(2), maxOccurrences: 8 });
+            const clientId = new mongoose.Types.ObjectId();
+
+            schedule.pause();
+            expect(schedule.status).toBe('paused');
+            expect(() => schedule.pause()).toThrow('Cannot pause a paused schedule');
+
+            schedule.resume();
+            expect(schedule.status).toBe('active');
+
+            schedule.cancel(clientId);
+            expect(schedule.status).toBe('cancelled');
+            expect(schedule.cancelledBy).toEqual(clientId);
+
+            let thrown;
+            try {
+                schedule.resume();
+            } catch (error) {
+                thrown = error;
+            }
+            expect(thrown.status).toBe(409);
+            expect(thrown.error).toBe('Invalid Schedule State');
+        });
+    });
+});
+
+describe('JobTemplate Model', () => {
+    const template = new JobTemplate({
+        clientId: new mongoose.Types.ObjectId(),
+        name: 'Night shift dogger - port',
+        jobDefaults: {
+            title: 'Night shift dogger',
+            description: 'Dogging for ship unloading at berth 4',
+            jobType: 'dogger',
+            shiftPattern: 'night_shift',
+            rate: 72,
+            status: 'completed',
+            assignedRiggerId: new mongoose.Types.ObjectId()
+        },
+        startTime: '18:00',
+        shiftHours: 12
+    });
+
+    it('should build job data at the template start time with an end date', () => {
+        const jobData = template.toJobData(day(2));
+
+        expect(jobData.startDate).toEqual(new Date(2025, 5, 2, 18, 0));
+        expect(jobData.endDate).toEqual(new Date(2025, 5, 3, 6, 0));
+        expect(jobData.clientId).toEqual(template.clientId);
+        expect(jobData.templateId).toEqual(template._id);
+    });
+
+    it('should only copy template fields and let overrides win', () => {
+        const jobData = template.toJobData(day(2), { rate: 80, status: 'posted' });
+
+        expect(jobData.rate).toBe(80);
+        expect(jobData.jobType).toBe('dogger');
+        expect(jobData.status).toBeUndefined();
+        expect(jobData.assignedRiggerId).toBeUndefined();
+    });
+});
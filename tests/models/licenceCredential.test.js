@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const LicenceCredential = require('../../models/LicenceCredential');
+
+describe('LicenceCredential Model', () => {
+    const issuedAt = new Date('2026-03-01T08:00:00Z');
+
+    const credential = (fields = {}) => new LicenceCredential({
+        userId: new mongoose.Types.ObjectId(),
+        certifications: [{
+            certificationId: new mongoose.Types.ObjectId(),
+            name: 'Rigging - Intermediate',
+            licenceClass: 'RI',
+            expiryDate: new Date('2028-01-31'),
+            worksafeStatus: 'verified'
+        }],
+        issuedAt,
+        expiresAt: new Date('2026-03-02T08:00:00Z'),
+        ...fields
+    });
+
+    it('should be valid until it expires', () => {
+        const card = credential();
+
+        expect(card.statusAt(new Date('2026-03-01T12:00:00Z'))).toBe('valid');
+        expect(card.statusAt(new Date('2026-03-02T08:00:00Z'))).toBe('expired');
+        expect(card.validateSync()).toBeUndefined();
+    });
+
+    it('should report a revoked credential as revoked even after it expires', () => {
+        const card = credential({ revokedAt: new Date('2026-03-01T09:00:00Z'), revocationReason: 'superseded' });
+
+        expect(card.isRevoked).toBe(true);
+        expect(card.statusAt(new Date('2026-03-01T10:00:00Z'))).toBe('revoked');
+        expect(card.statusAt(new Date('2026-03-05T00:00:00Z'))).toBe('revoked');
+    });
+});
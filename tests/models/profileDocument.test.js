@@ -0,0 +1,94 @@
+const ProfileDocument = require('../../models/ProfileDocument');
+const User = require('../../models/User');
+
+describe('ProfileDocument Model', () => {
+    const now = new Date('2026-03-01T00:00:00Z');
+    let user;
+
+    const uploaded = (kind, extracted) => new ProfileDocument({
+        userId: user._id,
+        kind,
+        mimeType: 'application/pdf',
+        size: 2048,
+        sha256: 'a'.repeat(64),
+        storageKey: `${user._id}/licence.pdf`,
+        extracted
+    });
+
+    beforeEach(() => {
+        user = new User({
+            email: 'rigger@example.com',
+            password: 'Password123!',
+            firstName: 'Sam',
+            lastName: 'Taylor',
+            userType: 'rigger',
+            riggerProfile: { certifications: [] }
+        });
+    });
+
+    it('should add a certification from the read details with the rigger\'s corrections', () => {
+        const document = uploaded('certification', {
+            name: 'Dogging',
+            issuingAuthority: 'WorkSafe WA',
+            licenseNumber: 'HRW0123456',
+            issueDate: new Date('2022-05-02'),
+            expiryDate: new Date('2027-05-01')
+        });
+
+        document.confirm(user, { licenseNumber: 'HRW0123465' }, '/api/documents/1/file', now);
+
+        const [certification] = user.riggerProfile.certifications;
+        expect(certification.licenseNumber).toBe('HRW0123465');
+        expect(certification.name).toBe('Dogging');
+        expect(certification.documentId).toEqual(document._id);
+        expect(document.certificationId).toEqual(certification._id);
+        expect(document.status).toBe('confirmed');
+        expect(certification.verificationStatus).toBe('unverified');
+    });
+
+    it('should record an admin\'s review of the confirmed certification', () => {
+        const document = uploaded('certification', {
+            name: 'Dogging',
+            issuingAuthority: 'WorkSafe WA',
+            licenseNumber: 'HRW0123456',
+            issueDate: new Date('2022-05-02'),
+            expiryDate: new Date('2027-05-01')
+        });
+        document.confirm(user, {}, '/file', now);
+        const adminId = new User()._id;
+
+        const certification = document.reviewCertification(user, 'rejected', adminId, now);
+
+        expect(certification.verificationStatus).toBe('rejected');
+        expect(certification.verifiedBy).toEqual(adminId);
+        expect(certification.isValid).toBe(false);
+        expect(() => uploaded('certification', {}).reviewCertification(user, 'verified', adminId, now))
+            .toThrow('Only a confirmed certification upload can be reviewed');
+    });
+
+    it('should not save until the required details are filled in', () => {
+        const document = uploaded('certification', { name: 'Dogging' });
+
+        expect(() => document.confirm(user, {}, '/file', now)).toThrow('Please fill in issuingAuthority, licenseNumber, issueDate, expiryDate');
+        expect(user.riggerProfile.certifications).toHaveLength(0);
+        expect(document.status).toBe('pending_review');
+    });
+
+    it('should save insurance details and coverage to the profile', () => {
+        const document = uploaded('insurance', { insurer: 'Coastal Underwriting', coverageAmount: 20000000 });
+
+        document.confirm(user, { policyNumber: 'PL-884213', expiryDate: '2027-06-30' }, '/file', now);
+
+        expect(user.riggerProfile.insurance.policyNumber).toBe('PL-884213');
+        expect(user.riggerProfile.insuranceCoverage).toBe(20000000);
+    });
+
+    it('should only confirm or discard a document once', () => {
+        const document = uploaded('certification', {});
+        document.discard(now);
+
+        expect(document.status).toBe('discarded');
+        expect(() => document.discard(now)).toThrow('Document has already been discarded');
+        expect(() => document.confirm(user, {}, '/file', now)).toThrow('Document has already been discarded');
+    });
+});
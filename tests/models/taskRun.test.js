@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const TaskRun = require('../../models/TaskRun');
+
+describe('TaskRun Model', () => {
+    let run;
+
+    beforeEach(() => {
+        run = new TaskRun({ task: 'job-expiry', startedAt: new Date(Date.now() - 1500) });
+        run.save = jest.fn().mockResolvedValue(run);
+    });
+
+    it('should record affected records and a summary on success', async () => {
+        const jobId = new mongoose.Types.ObjectId();
+        run.recordAffected('Job', jobId, 'cancelled', { applicationsRejected: 2 });
+        await run.succeed({ jobsCancelled: 1 });
+
+        expect(run.status).toBe('succeeded');
+        expect(run.affected[0]).toMatchObject({ entityType: 'Job', entityId: jobId, action: 'cancelled' });
+        expect(run.summary).toEqual({ jobsCancelled: 1 });
+        expect(run.durationMs).toBeGreaterThanOrEqual(1500);
+        expect(run.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the error and partial summary on failure', async () => {
+        await run.fail(new Error('Connection lost'), { applicationsClosed: 3 });
+
+        expect(run.status).toBe('failed');
+        expect(run.error).toBe('Connection lost');
+        expect(run.summary).toEqual({ applicationsClosed: 3 });
+        expect(run.finishedAt).toBeInstanceOf(Date);
+    });
+});
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Timesheet = require('../../models/Timesheet');
+const Job = require('../../models/Job');
+
+const at = (hours, minutes = 0) => new Date(2025, 5, 2, hours, minutes);
+
+describe('Timesheet Model', () => {
+    describe('calculateShiftHours', () => {
+        it('should exclude unpaid breaks', () => {
+            const shift = {
+                clockIn: { time: at(6) },
+                clockOut: { time: at(18) },
+                breaks: [
+                    { start: at(10), end: at(10, 30), isPaid: false },
+                    { start: at(14), end: at(14, 15), isPaid: true }
+                ]
+            };
+
+            expect(Timesheet.calculateShiftHours(shift)).toBe(11.5);
+        });
+
+        it('should count an open shift up to now', () => {
+            const shift = { clockIn: { time: at(6) }, breaks: [] };
+            expect(Timesheet.calculateShiftHours(shift, at(8))).toBe(2);
+        });
+    });
+
+    describe('shift lifecycle', () => {
+        let timesheet;
+
+        beforeEach(() => {
+            timesheet = new Timesheet({
+                jobId: new mongoose.Types.ObjectId(),
+                riggerId: new mongoose.Types.ObjectId(),
+                clientId: new mongoose.Types.ObjectId(),
+                workDate: Timesheet.startOfDay(at(6))
+            });
+            timesheet.save = jest.fn().mockResolvedValue(timesheet);
+        });
+
+        it('should open and close a shift and mark it submitted', async () => {
+            await timesheet.clockIn({ time: at(6), withinGeofence: true });
+            expect(timesheet.openShift).toBeDefined();
+            expect(timesheet.status).toBe('open');
+
+            await timesheet.clockOut({ time: at(14), withinGeofence: true }, 'Slings inspected');
+            expect(timesheet.openShift).toBeUndefined();
+            expect(timesheet.status).toBe('submitted');
+            expect(timesheet.shifts[0].notes).toBe('Slings inspected');
+        });
+
+        it('should reject clocking in twice', async () => {
+            await timesheet.clockIn({ time: at(6) });
+            await expect(timesheet.clockIn({ time: at(7) })).rejects.toThrow('Already clocked in');
+        });
+
+        it('should close a running break at clock-out', async () => {
+            await timesheet.clockIn({ time: at(6) });
+            await timesheet.startBreak('meal');
+            await expect(timesheet.startBreak('rest')).rejects.toThrow('A break is already in progress');
+
+            await timesheet.clockOut({ time: at(14) });
+            expect(timesheet.shifts[0].breaks[0].end).toEqual(at(14));
+        });
+
+        it('should only be reviewable once submitted with no open shift', async () => {
+            expect(timesheet.canReview()).toBe(false);
+
+            await timesheet.clockIn({ time: at(6) });
+            await timesheet.clockOut({ time: at(14) });
+            expect(timesheet.canReview()).toBe(true);
+
+            await timesheet.dispute(timesheet.clientId, 'Left site at 1pm');
+            expect(timesheet.status).toBe('disputed');
+            expect(timesheet.canReview()).toBe(true);
+
+            await timesheet.approve(timesheet.clientId);
+            expect(timesheet.status).toBe('approved');
+            expect(timesheet.disputes[0].resolvedAt).toBeInstanceOf(Date);
+        });
+
+        it('should need a location review when a clock event was not geofenced', async () => {
+            await timesheet.clockIn({ time: at(6), withinGeofence: true });
+            await timesheet.clockOut({ time: at(14), withinGeofence: true });
+            expect(timesheet.needsLocationReview()).toBe(false);
+
+            await timesheet.clockIn({ time: at(15), flaggedForReview: true });
+            expect(timesheet.needsLocationReview()).toBe(true);
+        });
+    });
+
+    describe('syncJobHours', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it.each([
+            ['completed', { status: 'completed' }],
+            ['paid', { status: 'in_progress', isPaid: true }]
+        ])('should leave the cost of a %s job alone', async (label, fields) => {
+            const job = { _id: new mongoose.Types.ObjectId(), ...fields, applyCost: jest.fn(), save: jest.fn() };
+            jest.spyOn(Job, 'findById').mockResolvedValue(job);
+            const approvedHours = jest.spyOn(Timesheet, 'getApprovedHours');
+
+            await expect(Timesheet.syncJobHours(job._id)).resolves.toBe(job);
+            expect(approvedHours).not.toHaveBeenCalled();
+            expect(job.applyCost).not.toHaveBeenCalled();
+            expect(job.save).not.toHaveBeenCalled();
+        });
+    });
+});
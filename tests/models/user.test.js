@@ -0,0 +1,67 @@
+const User = require('../../models/User');
+
+describe('User Model', () => {
+    describe('account deletion', () => {
+        const now = new Date('2026-03-01T00:00:00Z');
+        let user;
+
+        beforeEach(() => {
+            user = new User({
+                email: 'sam.taylor@example.com',
+                password: 'Password123!',
+                firstName: 'Sam',
+                lastName: 'Taylor',
+                phoneNumber: '0412345678',
+                userType: 'rigger',
+                twoFactorEnabled: true,
+                twoFactorSecret: 'secret',
+                calendarFeedToken: 'hashed-feed-token',
+                riggerProfile: {
+                    certifications: [{
+                        name: 'Dogging',
+                        issuingAuthority: 'WorkSafe WA',
+                        licenseNumber: 'HRW0123456',
+                        issueDate: new Date('2022-05-02'),
+                        expiryDate: new Date('2027-05-01')
+                    }],
+                    homeBase: { address: '12 Main St', postcode: '6714', state: 'WA', coordinate: { latitude: -20.74, longitude: 116.85 } },
+                    equipmentOwned: ['Shackles']
+                }
+            });
+        });
+
+        it('should deactivate the account for the grace period', () => {
+            user.scheduleDeletion(30, now);
+
+            expect(user.isActive).toBe(false);
+            expect(user.deletionRequestedAt).toEqual(now);
+            expect(user.deletionScheduledFor).toEqual(new Date('2026-03-31T00:00:00Z'));
+            expect(user.calendarFeedToken).toBeUndefined();
+            expect(() => user.scheduleDeletion(30, now)).toThrow('Account deletion has already been requested');
+        });
+
+        it('should reactivate the account when deletion is cancelled', () => {
+            user.scheduleDeletion(30, now).cancelDeletion();
+
+            expect(user.isActive).toBe(true);
+            expect(user.deletionScheduledFor).toBeUndefined();
+            expect(() => user.cancelDeletion()).toThrow('Account is not scheduled for deletion');
+        });
+
+        it('should strip personal details and free the email address', () => {
+            user.anonymise(now);
+
+            expect(user.firstName).toBe('Deleted');
+            expect(user.lastName).toBe('User');
+            expect(user.email).toBe(`deleted-${user._id}@deleted.invalid`);
+            expect(user.phoneNumber).toBe('');
+            expect(user.twoFactorEnabled).toBe(false);
+            expect(user.twoFactorSecret).toBeUndefined();
+            expect(user.riggerProfile.certifications).toHaveLength(0);
+            expect(user.riggerProfile.homeBase).toBeUndefined();
+            expect(user.riggerProfile.equipmentOwned).toHaveLength(0);
+            expect(user.isActive).toBe(false);
+            expect(user.anonymisedAt).toEqual(now);
+        });
+    });
+});
@@ -0,0 +1,264 @@
+const request = require('supertest');
+const applicationRoutes = require('../../routes/applications');
+const Job = require('../../models/Job');
+const JobApplication = require('../../models/JobApplication');
+const Interview = require('../../models/Interview');
+const User = require('../../models/User');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp, bearer } = require('../helpers/routeApp');
+const { inDays, clientData, riggerData, jobData, crewJobData } = require('../helpers/fixtures');
+
+describe('Application Routes', () => {
+    const app = createApp('/api/applications', applicationRoutes);
+    let db;
+    let client;
+    let rigger;
+
+    const apply = (job, user, body = {}) => request(app)
+        .post(`/api/applications/${job._id}`)
+        .set('Authorization', bearer(user))
+        .send({ message: 'Available from Monday', ...body });
+
+    const review = (applicationId, status) => request(app)
+        .put(`/api/applications/${applicationId}/review`)
+        .set('Authorization', bearer(client))
+        .send({ status });
+
+    const offer = (applicationId, user, rate) => request(app)
+        .post(`/api/applications/${applicationId}/offers`)
+        .set('Authorization', bearer(user))
+        .send({ rate });
+
+    const acceptOffer = (applicationId, offerId, user) => request(app)
+        .put(`/api/applications/${applicationId}/offers/${offerId}/accept`)
+        .set('Authorization', bearer(user));
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        client = db.insert(User, clientData());
+        rigger = db.insert(User, riggerData());
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('crew positions', () => {
+        let job;
+        let dogger;
+
+        beforeEach(() => {
+            job = db.insert(Job, crewJobData(client._id));
+            dogger = job.positions[0];
+        });
+
+        it('should take an application for an open position', async () => {
+            const response = await apply(job, rigger, { positionId: dogger._id.toString() });
+
+            expect(response.status).toBe(201);
+            const [stored] = db.docs(JobApplication);
+            expect(stored.jobId).toEqual(job._id);
+            expect(stored.applicantId).toEqual(rigger._id);
+            expect(stored.clientId).toEqual(client._id);
+            expect(stored.positionId).toEqual(dogger._id);
+            expect(stored.status).toBe('pending');
+        });
+
+        it('should ask for a position on crew jobs', async () => {
+            const response = await apply(job, rigger);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid Position');
+            expect(db.docs(JobApplication)).toHaveLength(0);
+        });
+
+        it('should fill the position on acceptance and reject the other applicants for it', async () => {
+            const other = db.insert(User, riggerData({ email: 'jo.lee@example.com' }));
+            const first = await apply(job, rigger, { positionId: dogger._id.toString() });
+            const second = await apply(job, other, { positionId: dogger._id.toString() });
+
+            const response = await review(first.body.application._id, 'accepted');
+
+            expect(response.status).toBe(200);
+            const [stored] = db.docs(Job);
+            expect(stored.positions[0].assignedRiggerIds).toEqual([rigger._id]);
+            expect(stored.status).toBe('posted');
+
+            const rejected = db.docs(JobApplication).find(application => application._id.equals(second.body.application._id));
+            expect(rejected.status).toBe('rejected');
+            expect(rejected.rejectionReason).toBe('Position filled by another candidate');
+        });
+
+        it('should not let another client review the application', async () => {
+            const { body } = await apply(job, rigger, { positionId: dogger._id.toString() });
+            client = db.insert(User, clientData({ email: 'jo.lee@example.com' }));
+
+            const response = await review(body.application._id, 'accepted');
+
+            expect(response.status).toBe(404);
+            expect(db.docs(Job)[0].positions[0].assignedRiggerIds).toHaveLength(0);
+        });
+    });
+
+    describe('agreed rates', () => {
+        it('should assign a single rigger job at the agreed rate', async () => {
+            const job = db.insert(Job, jobData(client._id));
+            const { body } = await apply(job, rigger);
+            const applicationId = body.application._id;
+
+            const offered = await offer(applicationId, client, 95);
+            expect(offered.status).toBe(201);
+            expect((await acceptOffer(applicationId, offered.body.offer._id, rigger)).status).toBe(200);
+
+            const response = await review(applicationId, 'accepted');
+
+            expect(response.status).toBe(200);
+            const [stored] = db.docs(Job);
+            expect(stored.status).toBe('assigned');
+            expect(stored.assignedRiggerId).toEqual(rigger._id);
+            expect(stored.rate).toBe(95);
+            expect(stored.postedRate).toBe(85);
+        });
+
+        it('should record the agreed rate on the crew position and leave its posted rate alone', async () => {
+            const job = db.insert(Job, crewJobData(client._id));
+            const { body } = await apply(job, rigger, { positionId: job.positions[0]._id.toString() });
+            const applicationId = body.application._id;
+
+            const offered = await offer(applicationId, rigger, 88);
+            expect(offered.status).toBe(201);
+            expect((await acceptOffer(applicationId, offered.body.offer._id, client)).status).toBe(200);
+
+            const response = await review(applicationId, 'accepted');
+
+            expect(response.status).toBe(200);
+            const [position] = db.docs(Job)[0].positions;
+            expect(position.assignedRiggerIds).toEqual([rigger._id]);
+            expect(position.rate).toBe(80);
+            expect(position.agreedRates).toEqual([expect.objectContaining({ riggerId: rigger._id, rate: 88 })]);
+        });
+    });
+
+    describe('screening', () => {
+        let job;
+
+        const listApplications = screening => request(app)
+            .get('/api/applications')
+            .query({ screening })
+            .set('Authorization', bearer(client));
+
+        beforeEach(() => {
+            job = db.insert(Job, jobData(client._id));
+        });
+
+        it('should fail an applicant whose insurance has expired', async () => {
+            const lapsed = db.insert(User, riggerData({
+                email: 'jo.lee@example.com',
+                riggerProfile: {
+                    insurance: { insurer: 'QBE', policyNumber: 'PL-1', coverageAmount: 20000000, expiryDate: inDays(-10) }
+                }
+            }));
+
+            const response = await apply(job, lapsed);
+
+            expect(response.status).toBe(201);
+            expect(response.body.screening.result).toBe('failed');
+            expect(response.body.screening.reasons.map(reason => reason.check)).toEqual(['insurance']);
+        });
+
+        it('should list applications by screening result', async () => {
+            const uninsured = db.insert(User, riggerData({ email: 'jo.lee@example.com', riggerProfile: { insuranceCoverage: 5000000 } }));
+            await apply(job, rigger);
+            await apply(job, uninsured);
+
+            const failed = await listApplications('failed');
+
+            expect(failed.status).toBe(200);
+            expect(failed.body.applications.map(application => application.applicantId._id)).toEqual([uninsured._id.toString()]);
+        });
+
+        it('should reject an unknown screening result', async () => {
+            const response = await listApplications('maybe');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Validation Error');
+        });
+    });
+
+    describe('waitlist', () => {
+        it('should waitlist applicants beyond the limit and promote the next when a place opens', async () => {
+            const job = db.insert(Job, jobData(client._id, { maxApplicants: 1 }));
+            const other = db.insert(User, riggerData({ email: 'jo.lee@example.com' }));
+
+            const first = await apply(job, rigger);
+            expect(first.body.application.status).toBe('pending');
+            expect(db.docs(Job)[0].currentApplicants).toBe(1);
+
+            const second = await apply(job, other);
+            expect(second.status).toBe(201);
+            expect(second.body.application).toMatchObject({ status: 'waitlisted', waitlistPosition: 1 });
+            expect(second.body.message).toBe('The job has reached its applicant limit; you are number 1 on the waitlist');
+
+            await request(app)
+                .delete(`/api/applications/${first.body.application._id}`)
+                .set('Authorization', bearer(rigger));
+
+            const promoted = db.docs(JobApplication).find(application => application._id.equals(second.body.application._id));
+            expect(promoted.status).toBe('pending');
+            expect(promoted.waitlistPosition).toBeUndefined();
+            expect(db.docs(Job)[0].currentApplicants).toBe(1);
+        });
+    });
+
+    describe('interviews', () => {
+        const interviewFor = (application, job) => db.insert(Interview, {
+            applicationId: application._id,
+            jobId: job._id,
+            clientId: client._id,
+            riggerId: application.applicantId,
+            type: 'phone',
+            slots: [{ start: inDays(2), end: inDays(2.05) }]
+        });
+
+        const interviewStatus = interview => db.docs(Interview).find(stored => stored._id.equals(interview._id));
+
+        it('should call off the interview when an application is rejected', async () => {
+            const job = db.insert(Job, jobData(client._id));
+            const { body } = await apply(job, rigger);
+            const interview = interviewFor(body.application, job);
+
+            await review(body.application._id, 'rejected');
+
+            expect(interviewStatus(interview)).toMatchObject({ status: 'cancelled', cancellationReason: 'Application unsuccessful' });
+        });
+
+        it('should call off interviews with applicants turned down when a crew position fills', async () => {
+            const job = db.insert(Job, crewJobData(client._id));
+            const other = db.insert(User, riggerData({ email: 'jo.lee@example.com' }));
+            const positionId = job.positions[0]._id.toString();
+            const first = await apply(job, rigger, { positionId });
+            const second = await apply(job, other, { positionId });
+            const hired = interviewFor(first.body.application, job);
+            const turnedDown = interviewFor(second.body.application, job);
+
+            await review(first.body.application._id, 'accepted');
+
+            expect(interviewStatus(hired)).toMatchObject({ status: 'cancelled', cancellationReason: 'Application accepted' });
+            expect(interviewStatus(turnedDown)).toMatchObject({ status: 'cancelled', cancellationReason: 'Application unsuccessful' });
+        });
+
+        it('should call off the interview when the rigger withdraws', async () => {
+            const job = db.insert(Job, jobData(client._id));
+            const { body } = await apply(job, rigger);
+            const interview = interviewFor(body.application, job);
+
+            const response = await request(app)
+                .delete(`/api/applications/${body.application._id}`)
+                .set('Authorization', bearer(rigger));
+
+            expect(response.status).toBe(200);
+            expect(interviewStatus(interview)).toMatchObject({ status: 'cancelled', cancellationReason: 'Application withdrawn' });
+        });
+    });
+});
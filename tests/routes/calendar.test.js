@@ -0,0 +1,47 @@
+const request = require('supertest');
+const calendarRoutes = require('../../routes/calendar');
+const Job = require('../../models/Job');
+const User = require('../../models/User');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp } = require('../helpers/routeApp');
+const { inDays, clientData, riggerData, jobData, crewJobData } = require('../helpers/fixtures');
+
+describe('Calendar Routes', () => {
+    const app = createApp('/api/calendar', calendarRoutes);
+    let db;
+    let client;
+    let rigger;
+    let feedToken;
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        client = db.insert(User, clientData());
+        const user = new User(riggerData());
+        feedToken = user.generateCalendarFeedToken();
+        rigger = db.insert(User, user.toObject());
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('GET /api/calendar/feed/:token.ics', () => {
+        it('should include crew jobs the rigger holds a position on while other positions are still open', async () => {
+            const crew = crewJobData(client._id, { title: 'Steel erection crew' });
+            crew.positions[0].assignedRiggerIds = [rigger._id];
+            db.insert(Job, crew);
+            db.insert(Job, jobData(client._id, { title: 'Mobile crane lift', status: 'assigned', assignedRiggerId: rigger._id, startDate: inDays(3) }));
+            db.insert(Job, jobData(client._id, { title: 'Someone else\'s lift' }));
+
+            const response = await request(app).get(`/api/calendar/feed/${feedToken}.ics`);
+
+            expect(response.status).toBe(200);
+            expect(response.text).toContain('SUMMARY:Steel erection crew');
+            expect(response.text).toContain('SUMMARY:Mobile crane lift');
+            expect(response.text).not.toContain('Someone else');
+            expect(response.text).not.toContain('[Unfilled]');
+            expect(response.text).not.toContain('STATUS:TENTATIVE');
+        });
+    });
+});
@@ -0,0 +1,54 @@
+const request = require('supertest');
+const changeOrderRoutes = require('../../routes/changeOrders');
+const ChangeOrder = require('../../models/ChangeOrder');
+const Job = require('../../models/Job');
+const User = require('../../models/User');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp, bearer } = require('../helpers/routeApp');
+const { clientData, riggerData, jobData, crewJobData } = require('../helpers/fixtures');
+
+describe('Change Order Routes', () => {
+    const app = createApp('/api/change-orders', changeOrderRoutes);
+    let db;
+    let client;
+    let rigger;
+
+    const propose = (job, changes) => request(app)
+        .post(`/api/change-orders/jobs/${job._id}`)
+        .set('Authorization', bearer(client))
+        .send({ changes, reason: 'Lift moved to night works' });
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        client = db.insert(User, clientData());
+        rigger = db.insert(User, riggerData());
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /api/change-orders/jobs/:jobId', () => {
+        it('should propose a rate change on a single rigger job', async () => {
+            const job = db.insert(Job, jobData(client._id, { status: 'assigned', assignedRiggerId: rigger._id }));
+
+            const response = await propose(job, { rate: 95 });
+
+            expect(response.status).toBe(201);
+            expect(response.body.changeOrder.changes).toEqual([{ field: 'rate', from: 85, to: 95 }]);
+        });
+
+        it('should refuse a job-wide rate change on a crew job', async () => {
+            const crew = crewJobData(client._id, { status: 'assigned' });
+            crew.positions[0].assignedRiggerIds = [rigger._id];
+            const job = db.insert(Job, crew);
+
+            const response = await propose(job, { rate: 95 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid Change');
+            expect(db.docs(ChangeOrder)).toHaveLength(0);
+        });
+    });
+});
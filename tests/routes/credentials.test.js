@@ -0,0 +1,67 @@
+const axios = require('axios');
+const request = require('supertest');
+const credentialRoutes = require('../../routes/credentials');
+const LicenceCredential = require('../../models/LicenceCredential');
+const User = require('../../models/User');
+const { logger } = require('../../src/lib/logging/logger');
+const workSafeService = require('../../AutomationServer/Services/WorkSafeWA/WorkSafeService');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp, bearer } = require('../helpers/routeApp');
+const { riggerData } = require('../helpers/fixtures');
+
+describe('Credential Routes', () => {
+    const app = createApp('/api/credentials', credentialRoutes);
+    let db;
+    let rigger;
+
+    const issue = () => request(app)
+        .post('/api/credentials/me')
+        .set('Authorization', bearer(rigger));
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        rigger = db.insert(User, riggerData());
+        process.env.CREDENTIAL_SIGNING_SECRET = 'test-credential-secret';
+        jest.spyOn(workSafeService, 'validateHighRiskLicense').mockResolvedValue({ isValid: true, verificationId: 'WS-1' });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete process.env.CREDENTIAL_SIGNING_SECRET;
+        jest.restoreAllMocks();
+    });
+
+    it('should issue a licence card that the verify endpoint accepts', async () => {
+        const issued = await issue();
+
+        expect(issued.status).toBe(201);
+        const verified = await request(app).get(`/api/credentials/verify/${issued.body.token}`);
+        expect(verified.status).toBe(200);
+        expect(verified.body.verification).toMatchObject({ valid: true, status: 'valid' });
+    });
+
+    it('should record the WorkSafe register result on the card', async () => {
+        workSafeService.validateHighRiskLicense.mockRestore();
+        jest.replaceProperty(workSafeService, 'apiKey', 'test-key');
+        jest.replaceProperty(workSafeService, 'apiSecret', 'test-secret');
+        jest.spyOn(axios, 'get').mockResolvedValue({ data: { valid: true, verification_id: 'WS-42' } });
+        jest.spyOn(logger, 'info').mockImplementation(() => {});
+
+        const response = await issue();
+
+        expect(response.status).toBe(201);
+        expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('/licenses/validate'), expect.anything());
+        expect(response.body.credential.certifications[0].worksafeStatus).toBe('verified');
+        const [certification] = db.docs(User).find(user => user._id.equals(rigger._id)).riggerProfile.certifications;
+        expect(certification.worksafeVerification).toMatchObject({ status: 'verified', verificationId: 'WS-42' });
+    });
+
+        it('should refuse to issue or check cards without a signing secret', async () => {
+        const { body } = await issue();
+        delete process.env.CREDENTIAL_SIGNING_SECRET;
+
+        expect((await issue()).status).toBe(500);
+        expect(db.docs(LicenceCredential).filter(credential => !credential.revokedAt)).toHaveLength(1);
+        expect((await request(app).get(`/api/credentials/verify/${body.token}`)).status).toBe(500);
+    });
+});
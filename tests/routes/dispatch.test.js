@@ -0,0 +1,127 @@
+const request = require('supertest');
+const dispatchRoutes = require('../../routes/dispatch');
+const EmergencyDispatch = require('../../models/EmergencyDispatch');
+const Job = require('../../models/Job');
+const User = require('../../models/User');
+const emergencyDispatchService = require('../../services/emergencyDispatchService');
+const { logger } = require('../../src/lib/logging/logger');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp, bearer } = require('../helpers/routeApp');
+const { clientData, riggerData, jobData, crewJobData } = require('../helpers/fixtures');
+
+describe('Dispatch Routes', () => {
+    const app = createApp('/api/dispatch', dispatchRoutes);
+    let db;
+    let client;
+    let rigger;
+    let job;
+    let dispatch;
+
+    const accept = () => request(app)
+        .post(`/api/dispatch/${dispatch._id}/accept`)
+        .set('Authorization', bearer(rigger));
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        client = db.insert(User, clientData());
+        rigger = db.insert(User, riggerData());
+        job = db.insert(Job, jobData(client._id, { urgencyLevel: 'emergency' }));
+        dispatch = db.insert(EmergencyDispatch, {
+            jobId: job._id,
+            clientId: client._id,
+            origin: { latitude: -31.9523, longitude: 115.8613 },
+            waves: [{ number: 1, radiusKm: 10, expiresAt: new Date(Date.now() + 10 * 60 * 1000) }],
+            offers: [{ riggerId: rigger._id, wave: 1, distanceKm: 4, expiresAt: new Date(Date.now() + 10 * 60 * 1000) }]
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /api/dispatch/jobs/:jobId', () => {
+        it('should refuse to dispatch a crew job', async () => {
+            const crew = db.insert(Job, crewJobData(client._id, { urgencyLevel: 'emergency', rate: 80 }));
+
+            const response = await request(app)
+                .post(`/api/dispatch/jobs/${crew._id}`)
+                .set('Authorization', bearer(client));
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Crew Job');
+            expect(db.docs(EmergencyDispatch)).toHaveLength(1);
+        });
+    });
+
+    describe('POST /api/dispatch/:dispatchId/accept', () => {
+        it('should assign the rigger and close the callout', async () => {
+            const response = await accept();
+
+            expect(response.status).toBe(200);
+            expect(db.docs(Job)[0].assignedRiggerId).toEqual(rigger._id);
+            const [stored] = db.docs(EmergencyDispatch);
+            expect(stored.status).toBe('accepted');
+            expect(stored.offers[0].status).toBe('accepted');
+        });
+
+        it('should leave the callout running when the job can no longer be assigned', async () => {
+            await Job.updateOne({ _id: job._id }, { status: 'cancelled' });
+
+            const response = await accept();
+
+            expect(response.status).toBe(409);
+            const [stored] = db.docs(EmergencyDispatch);
+            expect(stored.status).toBe('dispatching');
+            expect(stored.offers[0].status).toBe('offered');
+        });
+
+        it('should not hand a crew job to the first rigger to accept', async () => {
+            const crew = db.insert(Job, crewJobData(client._id, { urgencyLevel: 'emergency', rate: 80 }));
+            await EmergencyDispatch.updateOne({ _id: dispatch._id }, { jobId: crew._id });
+
+            const response = await accept();
+
+            expect(response.status).toBe(409);
+            expect(db.docs(Job)[1].positions.flatMap(position => position.assignedRiggerIds)).toEqual([]);
+            expect(db.docs(EmergencyDispatch)[0].status).toBe('dispatching');
+        });
+
+        it('should release the claim when assigning the rigger fails', async () => {
+            jest.spyOn(Job.prototype, 'assignToRigger').mockRejectedValue(new Error('Write conflict'));
+
+            const response = await accept();
+
+            expect(response.status).toBe(500);
+            const [stored] = db.docs(EmergencyDispatch);
+            expect(stored.status).toBe('dispatching');
+            expect(stored.acceptedBy).toBeUndefined();
+            expect(stored.offers[0].status).toBe('offered');
+        });
+    });
+
+    describe('expired waves', () => {
+        const expiredDispatch = jobId => db.insert(EmergencyDispatch, {
+            jobId,
+            clientId: client._id,
+            origin: { latitude: -31.9523, longitude: 115.8613 },
+            waves: [{ number: 1, radiusKm: 10, expiresAt: new Date(Date.now() - 60 * 1000) }],
+            offers: [{ riggerId: rigger._id, wave: 1, distanceKm: 4, expiresAt: new Date(Date.now() - 60 * 1000) }]
+        });
+
+        it('should log a dispatch that fails and carry on with the rest', async () => {
+            jest.spyOn(logger, 'error').mockImplementation(() => {});
+            jest.spyOn(emergencyDispatchService, 'runNextWave').mockRejectedValueOnce(new Error('Geo index missing'));
+            const failing = expiredDispatch(job._id);
+            const closedJob = db.insert(Job, jobData(client._id, { urgencyLevel: 'emergency', status: 'cancelled' }));
+            const closing = expiredDispatch(closedJob._id);
+
+            const result = await emergencyDispatchService.processExpiredWaves();
+
+            expect(result).toEqual({ processed: 1, failed: 1 });
+            expect(logger.error).toHaveBeenCalledWith(`Emergency dispatch wave failed for dispatch ${failing._id}`, expect.any(Error));
+            const stored = db.docs(EmergencyDispatch).find(found => found._id.equals(closing._id));
+            expect(stored.status).toBe('cancelled');
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const request = require('supertest');
+const documentRoutes = require('../../routes/documents');
+const ProfileDocument = require('../../models/ProfileDocument');
+const User = require('../../models/User');
+const documentStorageService = require('../../services/documentStorageService');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp, bearer } = require('../helpers/routeApp');
+const { riggerData, clientData } = require('../helpers/fixtures');
+
+describe('Document Routes', () => {
+    const app = createApp('/api/documents', documentRoutes);
+    let db;
+    let rigger;
+
+    const upload = (overrides = {}) => db.insert(ProfileDocument, {
+        userId: rigger._id,
+        kind: 'certification',
+        originalName: 'dogging ticket.pdf',
+        mimeType: 'application/pdf',
+        size: 2048,
+        sha256: 'a'.repeat(64),
+        storageKey: `${rigger._id}/licence.pdf`,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        rigger = db.insert(User, riggerData());
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('GET /api/documents/:documentId/file', () => {
+        it('should encode the uploaded file name rather than copy it into the header', async () => {
+            jest.spyOn(documentStorageService, 'read').mockResolvedValue(Buffer.from('%PDF-1.4'));
+            const document = upload({ originalName: 'ticket";\r\nX-Injected: 1 Łukasz.pdf' });
+
+            const response = await request(app)
+                .get(`/api/documents/${document._id}/file`)
+                .set('Authorization', bearer(rigger));
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('application/pdf');
+            expect(response.headers['x-injected']).toBeUndefined();
+            expect(response.headers['content-disposition']).toContain("filename*=UTF-8''ticket%22%3B%0D%0AX-Injected%3A%201%20%C5%81ukasz.pdf");
+        });
+    });
+
+    describe('PUT /api/documents/:documentId/review', () => {
+        let admin;
+        let document;
+
+        const review = (user, status) => request(app)
+            .put(`/api/documents/${document._id}/review`)
+            .set('Authorization', bearer(user))
+            .send({ status });
+
+        beforeEach(async () => {
+            admin = db.insert(User, clientData({ email: 'admin@example.com', userType: 'admin' }));
+            const [certification] = rigger.riggerProfile.certifications;
+            document = upload({ status: 'confirmed', certificationId: certification._id });
+            await User.updateOne({ _id: rigger._id }, {
+                $set: {
+                    'riggerProfile.certifications.0.documentId': document._id,
+                    'riggerProfile.certifications.0.verificationStatus': 'unverified'
+                }
+            });
+        });
+
+        it('should let an admin verify the certification', async () => {
+            const response = await review(admin, 'verified');
+
+            expect(response.status).toBe(200);
+            const stored = db.docs(User).find(user => user._id.equals(rigger._id));
+            expect(stored.riggerProfile.certifications[0]).toMatchObject({ verificationStatus: 'verified', verifiedBy: admin._id, isValid: true });
+        });
+
+        it('should not let the rigger verify their own certification', async () => {
+            const response = await review(rigger, 'verified');
+
+            expect(response.status).toBe(403);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const exportRoutes = require('../../routes/exports');
+const Job = require('../../models/Job');
+const JobApplication = require('../../models/JobApplication');
+const DataExport = require('../../models/DataExport');
+const User = require('../../models/User');
+const dataExportService = require('../../services/dataExportService');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp } = require('../helpers/routeApp');
+const { inDays, clientData, riggerData, crewJobData } = require('../helpers/fixtures');
+
+describe('Data Exports', () => {
+    const app = createApp('/api/exports', exportRoutes);
+    let db;
+    let client;
+    let rigger;
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        client = db.insert(User, clientData());
+        rigger = db.insert(User, riggerData());
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('gather', () => {
+        it('should leave the client\'s pipeline notes and other riggers\' rates out of a rigger\'s export', async () => {
+            const other = db.insert(User, riggerData({ email: 'jo.lee@example.com' }));
+            const job = db.insert(Job, crewJobData(client._id, {
+                status: 'assigned',
+                positions: [{
+                    jobType: 'rigger',
+                    headcount: 2,
+                    rate: 90,
+                    assignedRiggerIds: [rigger._id, other._id],
+                    agreedRates: [{ riggerId: rigger._id, rate: 95 }, { riggerId: other._id, rate: 99 }]
+                }]
+            }));
+            db.insert(JobApplication, {
+                jobId: job._id,
+                applicantId: rigger._id,
+                clientId: client._id,
+                positionId: job.positions[0]._id,
+                message: 'Available from Monday',
+                stage: 'interview',
+                stageHistory: [{ to: 'interview', changedBy: client._id, note: 'Strong on tandem lifts' }],
+                stageNotes: [{ stage: 'interview', note: 'Asked for more than the others', authorId: client._id }],
+                tags: ['shortlist']
+            });
+
+            const data = await dataExportService.gather(rigger._id);
+
+            expect(data.jobs[0].positions[0].agreedRates).toEqual([{ riggerId: rigger._id.toString(), rate: 95 }]);
+            const [application] = data.applications;
+            expect(application.message).toBe('Available from Monday');
+            expect(application).not.toHaveProperty('stage');
+            expect(application).not.toHaveProperty('stageHistory');
+            expect(application).not.toHaveProperty('stageNotes');
+            expect(application).not.toHaveProperty('tags');
+
+            const clientData = await dataExportService.gather(client._id);
+            expect(clientData.jobs[0].positions[0].agreedRates).toHaveLength(2);
+        });
+    });
+
+    describe('GET /api/exports/download/:token', () => {
+        const jwtSecret = process.env.JWT_SECRET;
+
+        afterEach(() => {
+            process.env.JWT_SECRET = jwtSecret;
+        });
+
+        it('should not accept links when no signing secret is set', async () => {
+            const dataExport = db.insert(DataExport, {
+                userId: rigger._id,
+                status: 'ready',
+                storageKey: `exports/${rigger._id}/export.zip`,
+                completedAt: new Date(),
+                expiresAt: inDays(7)
+            });
+            delete process.env.JWT_SECRET;
+            const emptyKey = crypto.createHmac('sha256', '').update('data-export').digest('hex');
+            const token = jwt.sign({}, emptyKey, {
+                algorithm: 'HS256',
+                audience: 'data-export',
+                subject: rigger._id.toString(),
+                jwtid: dataExport._id.toString(),
+                expiresIn: 600
+            });
+
+            const response = await request(app).get(`/api/exports/download/${token}`);
+
+            expect(response.status).toBe(500);
+            expect(db.docs(DataExport)[0].downloadCount).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jobScheduleRoutes = require('../../routes/jobSchedules');
+const Job = require('../../models/Job');
+const JobSchedule = require('../../models/JobSchedule');
+const JobTemplate = require('../../models/JobTemplate');
+const User = require('../../models/User');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp, bearer } = require('../helpers/routeApp');
+const { inDays, clientData, riggerData, jobData, crewJobData } = require('../helpers/fixtures');
+
+describe('Job Schedule Routes', () => {
+    const app = createApp('/api/job-schedules', jobScheduleRoutes);
+    let db;
+    let client;
+    let rigger;
+    let schedule;
+
+    const seriesJob = (data, overrides = {}) => db.insert(Job, {
+        ...data,
+        scheduleId: schedule._id,
+        occurrenceDate: data.startDate,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        client = db.insert(User, clientData());
+        rigger = db.insert(User, riggerData());
+        schedule = db.insert(JobSchedule, {
+            clientId: client._id,
+            templateId: new mongoose.Types.ObjectId(),
+            recurrence: { frequency: 'weekly', startsOn: inDays(7), maxOccurrences: 4 }
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('PUT /api/job-schedules/:scheduleId', () => {
+        it('should cancel jobs for dates the edit drops and take them off the client\'s active jobs', async () => {
+            const { title, description, location, rate, jobType, duration } = jobData(client._id);
+            const template = db.insert(JobTemplate, {
+                clientId: client._id,
+                name: 'Weekly crane lift',
+                jobDefaults: { title, description, location, rate, jobType, duration }
+            });
+            const firstDay = JobSchedule.startOfDay(inDays(7));
+            const secondDay = JobSchedule.startOfDay(inDays(14));
+            await JobSchedule.updateOne({ _id: schedule._id }, { $set: { templateId: template._id, 'recurrence.startsOn': firstDay } });
+            await User.updateOne({ _id: client._id }, { $set: { 'clientProfile.activeJobs': 2 } });
+            const kept = seriesJob(jobData(client._id), { occurrenceDate: firstDay });
+            const dropped = seriesJob(jobData(client._id, { startDate: inDays(14) }), { occurrenceDate: secondDay });
+
+            const response = await request(app)
+                .put(`/api/job-schedules/${schedule._id}`)
+                .set('Authorization', bearer(client))
+                .send({ recurrence: { maxOccurrences: 1 } });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ cancelled: 1, created: 0 });
+            const statusOf = job => db.docs(Job).find(stored => stored._id.equals(job._id)).status;
+            expect(statusOf(kept)).toBe('posted');
+            expect(statusOf(dropped)).toBe('cancelled');
+            expect(db.docs(User).find(user => user._id.equals(client._id)).clientProfile.activeJobs).toBe(1);
+        });
+    });
+
+    describe('DELETE /api/job-schedules/:scheduleId', () => {
+        it('should cancel upcoming jobs nobody is assigned to and keep staffed ones', async () => {
+            const open = seriesJob(jobData(client._id));
+            const crew = crewJobData(client._id, { startDate: inDays(14) });
+            crew.positions[1].assignedRiggerIds = [rigger._id];
+            const partlyFilled = seriesJob(crew);
+            const held = seriesJob(jobData(client._id, { startDate: inDays(21) }), { status: 'on_hold', assignedRiggerId: rigger._id });
+
+            const response = await request(app)
+                .delete(`/api/job-schedules/${schedule._id}`)
+                .set('Authorization', bearer(client));
+
+            expect(response.status).toBe(200);
+            expect(response.body.jobsCancelled).toBe(1);
+
+            const statusOf = job => db.docs(Job).find(stored => stored._id.equals(job._id)).status;
+            expect(statusOf(open)).toBe('cancelled');
+            expect(statusOf(partlyFilled)).toBe('posted');
+            expect(statusOf(held)).toBe('on_hold');
+            expect(db.docs(JobSchedule)[0].status).toBe('cancelled');
+        });
+    });
+});
@@ -0,0 +1,253 @@
+const request = require('supertest');
+const jobRoutes = require('../../routes/jobs');
+const Job = require('../../models/Job');
+const JobApplication = require('../../models/JobApplication');
+const Interview = require('../../models/Interview');
+const User = require('../../models/User');
+const { logger } = require('../../src/lib/logging/logger');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp, bearer } = require('../helpers/routeApp');
+const { inDays, clientData, riggerData, jobData, crewJobData } = require('../helpers/fixtures');
+
+describe('Job Routes', () => {
+    const app = createApp('/api/jobs', jobRoutes);
+    let db;
+    let client;
+    let job;
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        client = db.insert(User, clientData());
+        job = db.insert(Job, jobData(client._id));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(logger, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('GET /api/jobs', () => {
+        const at = (latitude, longitude) => ({
+            ...jobData(client._id).location,
+            coordinate: { latitude, longitude },
+            point: { type: 'Point', coordinates: [longitude, latitude] }
+        });
+
+        it('should apply the rate and certification filters within the search radius', async () => {
+            const rigger = db.insert(User, riggerData());
+            const perth = at(-31.95, 115.86);
+            const dogging = db.insert(Job, jobData(client._id, { location: perth, rate: 95, requiredCertifications: ['Dogging'] }));
+            const crew = db.insert(Job, crewJobData(client._id, {
+                location: at(-31.99, 115.89),
+                rate: 80, // The lowest position rate, as set on save
+                positions: [
+                    { jobType: 'dogger', headcount: 1, rate: 100, requiredCertifications: ['Dogging'] },
+                    { jobType: 'rigger', headcount: 2, rate: 80 }
+                ]
+            }));
+            db.insert(Job, jobData(client._id, { location: perth, rate: 80, requiredCertifications: ['Dogging'] }));
+            db.insert(Job, jobData(client._id, { location: perth, rate: 95 }));
+            db.insert(Job, jobData(client._id, { location: at(-20.74, 116.85), rate: 95, requiredCertifications: ['Dogging'] }));
+
+            const response = await request(app)
+                .get('/api/jobs')
+                .query({ lat: -31.95, lng: 115.86, maxDistance: 20, minRate: 90, certificationRequired: 'Dogging' })
+                .set('Authorization', bearer(rigger));
+
+            expect(response.status).toBe(200);
+            expect(response.body.jobs.map(found => found._id)).toEqual([dogging._id.toString(), crew._id.toString()]);
+            expect(response.body.pagination.totalJobs).toBe(2);
+        });
+    });
+
+    describe('PUT /api/jobs/:jobId/hold and /resume', () => {
+        it('should put the client\'s job on hold and resume it to its previous status', async () => {
+            const held = await request(app)
+                .put(`/api/jobs/${job._id}/hold`)
+                .set('Authorization', bearer(client))
+                .send({ reason: 'Crane delivery delayed' });
+
+            expect(held.status).toBe(200);
+            expect(held.body.job.status).toBe('on_hold');
+
+            const resumed = await request(app)
+                .put(`/api/jobs/${job._id}/resume`)
+                .set('Authorization', bearer(client));
+
+            expect(resumed.status).toBe(200);
+            expect(resumed.body.job.status).toBe('posted');
+
+            const [stored] = db.docs(Job);
+            expect(stored.status).toBe('posted');
+            expect(stored.statusHistory.map(entry => entry.to)).toEqual(['on_hold', 'posted']);
+        });
+
+        it('should not let another client put the job on hold', async () => {
+            const otherClient = db.insert(User, clientData({ email: 'jo.lee@example.com' }));
+
+            const response = await request(app)
+                .put(`/api/jobs/${job._id}/hold`)
+                .set('Authorization', bearer(otherClient));
+
+            expect(response.status).toBe(404);
+            expect(db.docs(Job)[0].status).toBe('posted');
+        });
+    });
+
+    describe('PUT /api/jobs/:jobId/complete', () => {
+        let dogger;
+        let riggers;
+        let crew;
+
+        beforeEach(() => {
+            dogger = db.insert(User, riggerData({ email: 'sam.dogger@example.com' }));
+            riggers = [
+                db.insert(User, riggerData({ email: 'ali.rigger@example.com' })),
+                db.insert(User, riggerData({ email: 'kim.rigger@example.com' }))
+            ];
+            crew = db.insert(Job, crewJobData(client._id, {
+                status: 'in_progress',
+                rate: 80,
+                actualStartDate: inDays(-1),
+                positions: [
+                    { jobType: 'dogger', headcount: 1, rate: 80, assignedRiggerIds: [dogger._id] },
+                    { jobType: 'rigger', headcount: 2, rate: 90, assignedRiggerIds: riggers.map(rigger => rigger._id) }
+                ]
+            }));
+        });
+
+        it('should not let one rigger complete a crew job', async () => {
+            const response = await request(app)
+                .put(`/api/jobs/${crew._id}/complete`)
+                .set('Authorization', bearer(dogger))
+                .send({ actualHours: 8 });
+
+            expect(response.status).toBe(403);
+            expect(db.docs(Job).find(stored => stored._id.equals(crew._id)).status).toBe('in_progress');
+        });
+
+        it('should let the client complete a crew job and credit every rigger on it', async () => {
+            const response = await request(app)
+                .put(`/api/jobs/${crew._id}/complete`)
+                .set('Authorization', bearer(client))
+                .send({ actualHours: 8 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.job.status).toBe('completed');
+            const completed = db.docs(User)
+                .filter(user => user.userType === 'rigger')
+                .map(user => user.riggerProfile.completedJobs);
+            expect(completed).toEqual([1, 1, 1]);
+        });
+    });
+
+    describe('DELETE /api/jobs/:jobId', () => {
+        it('should cancel the job and call off its interviews', async () => {
+            const rigger = db.insert(User, riggerData());
+            const application = db.insert(JobApplication, { jobId: job._id, applicantId: rigger._id, clientId: client._id });
+            db.insert(Interview, {
+                applicationId: application._id,
+                jobId: job._id,
+                clientId: client._id,
+                riggerId: rigger._id,
+                type: 'site_visit',
+                slots: [{ start: inDays(2), end: inDays(2.05) }]
+            });
+
+            const response = await request(app)
+                .delete(`/api/jobs/${job._id}`)
+                .set('Authorization', bearer(client))
+                .send({ reason: 'Project postponed' });
+
+            expect(response.status).toBe(200);
+            expect(db.docs(Job)[0].status).toBe('cancelled');
+            expect(db.docs(Interview)[0]).toMatchObject({ status: 'cancelled', cancellationReason: 'Job cancelled' });
+        });
+    });
+
+    describe('POST /api/jobs/:jobId/apply and PUT /api/jobs/:jobId/applications/:applicationId', () => {
+        it('should apply for a crew position and fill it on acceptance', async () => {
+            const rigger = db.insert(User, riggerData());
+            const crew = db.insert(Job, crewJobData(client._id));
+            const dogger = crew.positions[0];
+
+            const applied = await request(app)
+                .post(`/api/jobs/${crew._id}/apply`)
+                .set('Authorization', bearer(rigger))
+                .send({ message: 'Available from Monday', positionId: dogger._id.toString() });
+
+            expect(applied.status).toBe(201);
+            expect(applied.body.application.positionId).toBe(dogger._id.toString());
+
+            const reviewed = await request(app)
+                .put(`/api/jobs/${crew._id}/applications/${applied.body.application._id}`)
+                .set('Authorization', bearer(client))
+                .send({ status: 'accepted' });
+
+            expect(reviewed.status).toBe(200);
+            expect(reviewed.body.application.status).toBe('accepted');
+            const stored = db.docs(Job).find(found => found._id.equals(crew._id));
+            expect(stored.positions[0].assignedRiggerIds).toEqual([rigger._id]);
+        });
+
+        it('should not take a second application from the same rigger', async () => {
+            const rigger = db.insert(User, riggerData());
+            db.insert(JobApplication, { jobId: job._id, applicantId: rigger._id, clientId: client._id });
+
+            const response = await request(app)
+                .post(`/api/jobs/${job._id}/apply`)
+                .set('Authorization', bearer(rigger));
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Duplicate Application');
+        });
+    });
+
+    describe('GET /api/jobs/:jobId/applications', () => {
+        it('should reject an unknown screening result', async () => {
+            const response = await request(app)
+                .get(`/api/jobs/${job._id}/applications?screening=maybe`)
+                .set('Authorization', bearer(client));
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Validation Error');
+        });
+    });
+
+    describe('POST /api/jobs/import?mode=commit', () => {
+        const startDate = inDays(14).toISOString().slice(0, 10);
+        const csv = [
+            'title,description,jobType,rate,startDate,address,city,state,postcode,siteType',
+            `Crane lift one,Lift AC units onto the roof,rigger,85,${startDate},1 Hay Street,Perth,WA,6000,construction`,
+            `Crane lift two,Lift steel beams to level 3,rigger,90,${startDate},2 Hay Street,Perth,WA,6000,construction`
+        ].join('\n');
+
+        const importJobs = () => request(app)
+            .post('/api/jobs/import?mode=commit')
+            .set('Authorization', bearer(client))
+            .attach('file', Buffer.from(csv), 'jobs.csv');
+
+        it('should create every row', async () => {
+            const response = await importJobs();
+
+            expect(response.status).toBe(201);
+            expect(response.body.import.createdJobs).toBe(2);
+            expect(db.docs(Job)).toHaveLength(3);
+        });
+
+        it('should delete the jobs already created when a later row fails to save', async () => {
+            const insertOne = Job.collection.insertOne;
+            insertOne
+                .mockImplementationOnce(insertOne.getMockImplementation())
+                .mockImplementationOnce(() => Promise.reject(new Error('Connection reset')));
+
+            const response = await importJobs();
+
+            expect(response.status).toBe(500);
+            expect(response.body.import.status).toBe('failed');
+            expect(response.body.import.rows.map(row => row.status)).toEqual(['not_created', 'not_created']);
+            expect(db.docs(Job).map(stored => stored._id)).toEqual([job._id]);
+        });
+    });
+});
@@ -0,0 +1,49 @@
+const request = require('supertest');
+const paymentRoutes = require('../../routes/payments');
+const Job = require('../../models/Job');
+const User = require('../../models/User');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp, bearer } = require('../helpers/routeApp');
+const { clientData, riggerData, jobData } = require('../helpers/fixtures');
+
+describe('Payment Routes', () => {
+    const app = createApp('/api/payments', paymentRoutes);
+    let db;
+    let client;
+    let rigger;
+
+    const pay = job => request(app)
+        .post(`/api/payments/jobs/${job._id}/process`)
+        .set('Authorization', bearer(client))
+        .send({ amount: 1360, paymentMethod: 'bank_transfer' });
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        client = db.insert(User, clientData());
+        rigger = db.insert(User, riggerData());
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /api/payments/jobs/:jobId/process', () => {
+        it.each([
+            ['its award-based cost', { totalCost: 1360, hoursWorked: 16 }],
+            ['its hours at the job rate', { hoursWorked: 16 }]
+        ])('should pay a completed job against %s', async (label, fields) => {
+            const job = db.insert(Job, jobData(client._id, { status: 'completed', assignedRiggerId: rigger._id, ...fields }));
+
+            const response = await pay(job);
+
+            expect(response.status).toBe(200);
+            expect(db.docs(Job)[0].isPaid).toBe(true);
+
+            const again = await pay(job);
+            expect(again.status).toBe(400);
+            expect(again.body.error).toBe('Already Paid');
+        });
+    });
+});
@@ -0,0 +1,64 @@
+const request = require('supertest');
+const timesheetRoutes = require('../../routes/timesheets');
+const Job = require('../../models/Job');
+const Timesheet = require('../../models/Timesheet');
+const User = require('../../models/User');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp, bearer } = require('../helpers/routeApp');
+const { clientData, riggerData, jobData } = require('../helpers/fixtures');
+
+describe('Timesheet Routes', () => {
+    const app = createApp('/api/timesheets', timesheetRoutes);
+    const site = { latitude: -31.9523, longitude: 115.8613 };
+    let db;
+    let client;
+    let rigger;
+
+    const assignedJob = location => db.insert(Job, jobData(client._id, {
+        status: 'assigned',
+        assignedRiggerId: rigger._id,
+        location: { ...jobData(client._id).location, ...location }
+    }));
+
+    const clockIn = (job, coordinate) => request(app)
+        .post(`/api/timesheets/${job._id}/clock-in`)
+        .set('Authorization', bearer(rigger))
+        .send(coordinate);
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        client = db.insert(User, clientData());
+        rigger = db.insert(User, riggerData());
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /api/timesheets/:jobId/clock-in', () => {
+        it('should check the clock-in against the site geofence', async () => {
+            const job = assignedJob({ coordinate: site });
+
+            const outside = await clockIn(job, { latitude: -32.05, longitude: 115.75 });
+            expect(outside.status).toBe(403);
+            expect(outside.body.error).toBe('Outside Geofence');
+
+            const onSite = await clockIn(job, { latitude: -31.9524, longitude: 115.8614 });
+            expect(onSite.status).toBe(201);
+            expect(onSite.body.timesheet.shifts[0].clockIn.withinGeofence).toBe(true);
+            expect(onSite.body.timesheet.shifts[0].clockIn.flaggedForReview).toBeUndefined();
+        });
+
+        it('should flag the clock-in for review when the job has no site coordinate', async () => {
+            const job = assignedJob({});
+
+            const response = await clockIn(job, { latitude: -32.05, longitude: 115.75 });
+
+            expect(response.status).toBe(201);
+            const [stored] = db.docs(Timesheet);
+            expect(stored.shifts[0].clockIn.flaggedForReview).toBe(true);
+            expect(stored.shifts[0].clockIn.withinGeofence).toBeUndefined();
+        });
+    });
+});
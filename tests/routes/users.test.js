@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const userRoutes = require('../../routes/users');
+const Job = require('../../models/Job');
+const JobApplication = require('../../models/JobApplication');
+const Interview = require('../../models/Interview');
+const Timesheet = require('../../models/Timesheet');
+const ErasureLog = require('../../models/ErasureLog');
+const User = require('../../models/User');
+const accountErasureService = require('../../services/accountErasureService');
+const emailService = require('../../services/emailService');
+const { useMemoryDb } = require('../helpers/memoryDb');
+const { createApp, bearer } = require('../helpers/routeApp');
+const { inDays, clientData, riggerData, jobData } = require('../helpers/fixtures');
+
+describe('User Routes', () => {
+    const app = createApp('/api/users', userRoutes);
+    let db;
+    let client;
+    let rigger;
+
+    beforeEach(() => {
+        db = useMemoryDb();
+        client = db.insert(User, clientData());
+        rigger = db.insert(User, riggerData());
+        jest.spyOn(emailService, 'sendAccountDeletionEmail').mockResolvedValue();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('DELETE /api/users/account', () => {
+        it('should schedule the deletion, log a keyed email hash and say how to restore the account', async () => {
+            // insert() keeps the password as given; store it hashed as registration would
+            await User.updateOne({ _id: rigger._id }, { $set: { password: await bcrypt.hash('Password123!', 4) } });
+
+            const response = await request(app)
+                .delete('/api/users/account')
+                .set('Authorization', bearer(rigger))
+                .send({ password: 'Password123!' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toContain('POST /api/auth/restore-account');
+            const [log] = db.docs(ErasureLog);
+            const unkeyed = crypto.createHash('sha256').update('sam.taylor@example.com').digest('hex');
+            expect(log.emailHash).toBe(ErasureLog.hashEmail('sam.taylor@example.com'));
+            expect(log.emailHash).not.toBe(unkeyed);
+        });
+    });
+
+    describe('account erasure', () => {
+        it('should scrub the rigger\'s clock-in locations, rate offer messages and interview notes', async () => {
+            const job = db.insert(Job, jobData(client._id, { status: 'completed' }));
+            const application = db.insert(JobApplication, {
+                jobId: job._id,
+                applicantId: rigger._id,
+                clientId: client._id,
+                message: 'Available from Monday',
+                rateOffers: [
+                    { fromRole: 'rigger', fromUserId: rigger._id, rate: 95, message: 'I bring my own rigging gear' },
+                    { fromRole: 'client', fromUserId: client._id, rate: 90, message: 'Can meet you at 90' }
+                ]
+            });
+            db.insert(Interview, {
+                applicationId: application._id,
+                jobId: job._id,
+                clientId: client._id,
+                riggerId: rigger._id,
+                type: 'phone',
+                details: 'Call Sam on 0423 456 789',
+                slots: [{ start: inDays(-3), end: inDays(-2.95) }],
+                history: [{ action: 'proposed', by: client._id, note: 'Ask about the Karratha shutdown' }],
+                status: 'completed',
+                outcomeNotes: 'Good on tandem lifts, slow with paperwork'
+            });
+            db.insert(Timesheet, {
+                jobId: job._id,
+                riggerId: rigger._id,
+                clientId: client._id,
+                workDate: inDays(-1),
+                shifts: [{
+                    clockIn: { time: inDays(-1), coordinate: { latitude: -31.95, longitude: 115.86 }, distanceFromSite: 20 },
+                    clockOut: { time: inDays(-0.7), coordinate: { latitude: -31.95, longitude: 115.86 }, distanceFromSite: 25 }
+                }],
+                status: 'approved'
+            });
+
+            const user = await User.findById(rigger._id);
+            user.scheduleDeletion(0, inDays(-30));
+            const result = await accountErasureService.erase(user);
+
+            expect(result).toBe('erased');
+            const [shift] = db.docs(Timesheet)[0].shifts;
+            expect(shift.clockIn).not.toHaveProperty('coordinate');
+            expect(shift.clockOut).not.toHaveProperty('coordinate');
+            expect(shift.clockIn.distanceFromSite).toBe(20);
+            expect(db.docs(JobApplication)[0].rateOffers.map(offer => offer.message)).toEqual([undefined, undefined]);
+            const [interview] = db.docs(Interview);
+            expect(interview).not.toHaveProperty('details');
+            expect(interview).not.toHaveProperty('outcomeNotes');
+            expect(interview.history[0]).not.toHaveProperty('note');
+        });
+    });
+});
@@ -5,4 +5,5 @@ process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.JWT_EXPIRES_IN = '1h';
 process.env.EMAIL_FROM = 'test@riggerhire.com';
 process.env.SESSION_SECRET = 'test-session-secret';
+process.env.ERASURE_LOG_SECRET = 'test-erasure-log-secret';
 process.env.MONGODB_URI = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/riggerhire_test';
@@ -0,0 +1,89 @@
+const { screenApplicant } = require('../../utils/applicationScreening');
+
+describe('Application Screening', () => {
+    const now = new Date('2026-03-01T00:00:00Z');
+    const job = {
+        requiredCertifications: ['Rigging Intermediate', 'Dogging'],
+        experienceLevel: 'intermediate',
+        insuranceRequired: 10000000,
+        startDate: new Date('2026-04-01T00:00:00Z'),
+        endDate: new Date('2026-06-30T00:00:00Z')
+    };
+    const ticket = (name, expiryDate, isValid = true) => ({ name, expiryDate: new Date(expiryDate), isValid });
+    const profile = {
+        certifications: [ticket('rigging intermediate', '2028-01-01'), ticket('Dogging', '2027-01-01')],
+        experienceLevel: 'advanced',
+        insuranceCoverage: 20000000
+    };
+
+    it('should pass an applicant who meets every requirement', () => {
+        const screening = screenApplicant({ profile, job }, now);
+
+        expect(screening).toEqual({ result: 'passed', reasons: [], warnings: [], screenedAt: now });
+    });
+
+    it('should fail missing, invalid and expired tickets', () => {
+        const screening = screenApplicant({
+            profile: { ...profile, certifications: [ticket('Dogging', '2026-03-15')] },
+            job: { ...job, requiredCertifications: ['Rigging Intermediate', 'Dogging'] }
+        }, now);
+
+        expect(screening.result).toBe('failed');
+        expect(screening.reasons.map(reason => reason.message)).toEqual([
+            'No Rigging Intermediate ticket on profile',
+            'Dogging ticket expires before the job starts on 2026-04-01'
+        ]);
+
+        const invalid = screenApplicant({
+            profile: { ...profile, certifications: [...profile.certifications.slice(0, 1), ticket('Dogging', '2027-01-01', false)] },
+            job
+        }, now);
+        expect(invalid.reasons[0].message).toBe('Dogging ticket is marked invalid');
+    });
+
+    it('should warn when a ticket expires part way through the job', () => {
+        const screening = screenApplicant({
+            profile: { ...profile, certifications: [profile.certifications[0], ticket('Dogging', '2026-05-01')] },
+            job
+        }, now);
+
+        expect(screening.result).toBe('passed');
+        expect(screening.warnings).toEqual(['Dogging ticket expires on 2026-05-01, before the job ends']);
+    });
+
+    it('should check experience level and insurance cover', () => {
+        const screening = screenApplicant({
+            profile: { ...profile, experienceLevel: 'entry', insuranceCoverage: 5000000 },
+            job: { ...job, experienceLevel: 'advanced' }
+        }, now);
+
+        expect(screening.reasons.map(reason => reason.check)).toEqual(['experience', 'insurance']);
+    });
+
+    it('should fail insurance cover that has expired or runs out before the job starts', () => {
+        const policy = expiryDate => ({ insurer: 'QBE', policyNumber: 'PL-1', coverageAmount: 20000000, expiryDate: new Date(expiryDate) });
+
+        const expired = screenApplicant({ profile: { ...profile, insurance: policy('2026-02-01') }, job }, now);
+        expect(expired.result).toBe('failed');
+        expect(expired.reasons.map(reason => reason.message)).toEqual(['Insurance cover expired on 2026-02-01']);
+
+        const lapsing = screenApplicant({ profile: { ...profile, insurance: policy('2026-03-20') }, job }, now);
+        expect(lapsing.reasons.map(reason => reason.message)).toEqual(['Insurance cover expires before the job starts on 2026-04-01']);
+
+        expect(screenApplicant({ profile: { ...profile, insurance: policy('2027-03-01') }, job }, now).result).toBe('passed');
+    });
+
+    it('should only warn when the profile has no insurance cover recorded', () => {
+        const screening = screenApplicant({ profile: { ...profile, insuranceCoverage: 0 }, job }, now);
+
+        expect(screening.result).toBe('passed');
+        expect(screening.warnings).toEqual(['No insurance cover on profile; check cover before hiring']);
+    });
+
+    it('should use the requirements of the crew position applied for', () => {
+        const position = { requiredCertifications: ['Crane Tower'], experienceLevel: 'expert' };
+        const screening = screenApplicant({ profile, job, position }, now);
+
+        expect(screening.reasons.map(reason => reason.requirement)).toEqual(['Crane Tower', 'expert']);
+    });
+});
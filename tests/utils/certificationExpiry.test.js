@@ -0,0 +1,65 @@
+const { daysUntilExpiry, dueReminder, upcomingExpiries, isUnqualifiedFor } = require('../../utils/certificationExpiry');
+
+describe('Certification Expiry', () => {
+    const now = new Date('2026-03-01T00:00:00Z');
+    const daysFromNow = days => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    describe('dueReminder', () => {
+        it('should remind at each threshold once', () => {
+            const certification = { name: 'Dogging', expiryDate: daysFromNow(85), remindersSent: [] };
+
+            expect(dueReminder(certification, now)).toEqual({ days: 90, covers: [90] });
+
+            certification.remindersSent = [90];
+            expect(dueReminder(certification, now)).toBeNull();
+            expect(dueReminder(certification, daysFromNow(60))).toEqual({ days: 30, covers: [30] });
+        });
+
+        it('should send only the nearest reminder when several are due', () => {
+            const certification = { name: 'Dogging', expiryDate: daysFromNow(5), remindersSent: [] };
+
+            expect(dueReminder(certification, now)).toEqual({ days: 7, covers: [90, 30, 7] });
+        });
+
+        it('should not remind about expired or invalid tickets', () => {
+            expect(dueReminder({ expiryDate: daysFromNow(-1) }, now)).toBeNull();
+            expect(dueReminder({ expiryDate: daysFromNow(5), isValid: false }, now)).toBeNull();
+        });
+    });
+
+    it('should list expired and expiring tickets soonest first', () => {
+        const expiries = upcomingExpiries([
+            { name: 'Rigging Intermediate', expiryDate: daysFromNow(400) },
+            { name: 'EWP', expiryDate: daysFromNow(20) },
+            { name: 'Dogging', expiryDate: daysFromNow(-3), isValid: false }
+        ], now, 90);
+
+        expect(expiries.map(entry => [entry.certification.name, entry.daysRemaining, entry.status])).toEqual([
+            ['Dogging', -3, 'expired'],
+            ['EWP', 20, 'expiring']
+        ]);
+        expect(daysUntilExpiry({ expiryDate: daysFromNow(0.5) }, now)).toBe(1);
+    });
+
+    describe('isUnqualifiedFor', () => {
+        const job = { requiredCertifications: ['Dogging', 'White Card'], startDate: daysFromNow(10) };
+        const expired = { name: 'Dogging', expiryDate: daysFromNow(-1), isValid: false };
+
+        it('should flag jobs that need the expired ticket', () => {
+            expect(isUnqualifiedFor({ job, certifications: [expired], certificationName: 'dogging' }, now)).toBe(true);
+            expect(isUnqualifiedFor({ job, certifications: [expired], certificationName: 'EWP' }, now)).toBe(false);
+        });
+
+        it('should accept a renewed ticket of the same name', () => {
+            const renewed = { name: 'Dogging', expiryDate: daysFromNow(1000), isValid: true };
+
+            expect(isUnqualifiedFor({ job, certifications: [expired, renewed], certificationName: 'Dogging' }, now)).toBe(false);
+        });
+
+        it('should use the crew position requirements', () => {
+            const position = { requiredCertifications: ['EWP'] };
+
+            expect(isUnqualifiedFor({ job, position, certifications: [expired], certificationName: 'Dogging' }, now)).toBe(false);
+        });
+    });
+});
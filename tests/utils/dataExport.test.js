@@ -0,0 +1,53 @@
+const { flattenRecord, toCsv, toPlainRecords } = require('../../utils/dataExport');
+
+describe('dataExport utils', () => {
+    describe('flattenRecord', () => {
+        it('should name nested fields with dotted columns', () => {
+            expect(flattenRecord({ location: { address: { city: 'Karratha' } }, rate: 68 })).toEqual({
+                'location.address.city': 'Karratha',
+                rate: 68
+            });
+        });
+
+        it('should join lists of values and keep lists of records as JSON', () => {
+            const flat = flattenRecord({
+                tags: ['crane', 'night'],
+                stageHistory: [{ stage: 'applied' }]
+            });
+
+            expect(flat.tags).toBe('crane; night');
+            expect(flat.stageHistory).toBe('[{"stage":"applied"}]');
+        });
+    });
+
+    describe('toCsv', () => {
+        it('should include every column seen across the records', () => {
+            const csv = toCsv([{ title: 'Tower crane lift' }, { title: 'Mobile crane', rate: 70 }]);
+
+            expect(csv).toBe('title,rate\r\nTower crane lift,\r\nMobile crane,70\r\n');
+        });
+
+        it('should quote cells with commas, quotes and newlines', () => {
+            expect(toCsv([{ content: 'See you at 6, "sharp"\nThanks' }])).toBe('content\r\n"See you at 6, ""sharp""\nThanks"\r\n');
+        });
+
+        it('should stop cells being run as spreadsheet formulas', () => {
+            expect(toCsv([{ content: '=HYPERLINK("http://example.com")' }])).toBe('content\r\n"\'=HYPERLINK(""http://example.com"")"\r\n');
+        });
+
+        it('should be empty with no records', () => {
+            expect(toCsv([])).toBe('');
+        });
+    });
+
+    describe('toPlainRecords', () => {
+        it('should serialise dates and use toJSON', () => {
+            const user = { email: 'sam@example.com', password: 'hash', toJSON() { return { email: this.email }; } };
+
+            expect(toPlainRecords([user, { at: new Date('2026-03-01T00:00:00Z') }])).toEqual([
+                { email: 'sam@example.com' },
+                { at: '2026-03-01T00:00:00.000Z' }
+            ]);
+        });
+    });
+});
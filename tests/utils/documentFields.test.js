@@ -0,0 +1,59 @@
+const { parseDocumentDate, licenceClassFor, extractDocumentFields } = require('../../utils/documentFields');
+
+describe('Document Fields', () => {
+    describe('parseDocumentDate', () => {
+        it('should read day-first and ISO dates', () => {
+            expect(parseDocumentDate('14/03/2027')).toEqual(new Date(Date.UTC(2027, 2, 14)));
+            expect(parseDocumentDate('14-03-27')).toEqual(new Date(Date.UTC(2027, 2, 14)));
+            expect(parseDocumentDate('2027-03-14')).toEqual(new Date(Date.UTC(2027, 2, 14)));
+            expect(parseDocumentDate('14 March 2027')).toEqual(new Date(Date.UTC(2027, 2, 14)));
+        });
+
+        it('should reject dates that do not exist', () => {
+            expect(parseDocumentDate('31/02/2027')).toBeNull();
+            expect(parseDocumentDate('03/14/2027')).toBeNull();
+            expect(parseDocumentDate('soon')).toBeNull();
+        });
+    });
+
+    it('should suggest licence details from a high risk work licence', () => {
+        const text = [
+            'WorkSafe WA',
+            'High Risk Work Licence',
+            'Licence No: HRW0123456',
+            'Classes: DG RB RI',
+            'Date of issue: 02/05/2022',
+            'Expiry date: 01/05/2027'
+        ].join('\n');
+
+        expect(extractDocumentFields(text)).toEqual({
+            licenseNumber: 'HRW0123456',
+            issuingAuthority: 'WorkSafe WA',
+            licenceClasses: ['DG', 'RB', 'RI'],
+            name: 'Dogging',
+            issueDate: new Date(Date.UTC(2022, 4, 2)),
+            expiryDate: new Date(Date.UTC(2027, 4, 1))
+        });
+    });
+
+    it('should suggest policy details from an insurance certificate of currency', () => {
+        const text = 'Certificate of Currency\nInsurer: Coastal Underwriting Ltd\nPolicy Number: PL-884213\nLimit of indemnity: $20 million\nValid until 30 June 2027';
+
+        expect(extractDocumentFields(text, 'insurance')).toEqual({
+            insurer: 'Coastal Underwriting Ltd',
+            policyNumber: 'PL-884213',
+            coverageAmount: 20000000,
+            expiryDate: new Date(Date.UTC(2027, 5, 30))
+        });
+    });
+
+    it('should map certification names to licence classes', () => {
+        expect(licenceClassFor('rigging intermediate')).toBe('RI');
+        expect(licenceClassFor('dg')).toBe('DG');
+        expect(licenceClassFor('White Card')).toBeNull();
+    });
+
+    it('should leave out anything it cannot find', () => {
+        expect(extractDocumentFields('A photo of a dog')).toEqual({});
+    });
+});
@@ -0,0 +1,69 @@
+const {
+    isValidCoordinate,
+    toGeoJSONPoint,
+    parseLatLng,
+    haversineDistanceKm,
+    metresToKm
+} = require('../../utils/geo');
+
+describe('Geo Utils', () => {
+    describe('isValidCoordinate', () => {
+        it('should accept coordinates within bounds', () => {
+            expect(isValidCoordinate(-31.9505, 115.8605)).toBe(true);
+        });
+
+        it('should reject out of range or non-numeric values', () => {
+            expect(isValidCoordinate(91, 115)).toBe(false);
+            expect(isValidCoordinate(-31, 181)).toBe(false);
+            expect(isValidCoordinate(NaN, 115)).toBe(false);
+            expect(isValidCoordinate('-31.9', 115.8)).toBe(false);
+        });
+    });
+
+    describe('toGeoJSONPoint', () => {
+        it('should put longitude first', () => {
+            expect(toGeoJSONPoint(-31.9505, 115.8605)).toEqual({
+                type: 'Point',
+                coordinates: [115.8605, -31.9505]
+            });
+        });
+    });
+
+    describe('parseLatLng', () => {
+        it('should parse a lat,lng string', () => {
+            expect(parseLatLng('-31.9505, 115.8605')).toEqual({
+                latitude: -31.9505,
+                longitude: 115.8605
+            });
+        });
+
+        it('should return null for postcodes and malformed input', () => {
+            expect(parseLatLng('6000')).toBeNull();
+            expect(parseLatLng('-31.9,')).toBeNull();
+            expect(parseLatLng('abc,def')).toBeNull();
+            expect(parseLatLng(undefined)).toBeNull();
+        });
+    });
+
+    describe('haversineDistanceKm', () => {
+        it('should return zero for the same point', () => {
+            const perth = { latitude: -31.9505, longitude: 115.8605 };
+            expect(haversineDistanceKm(perth, perth)).toBe(0);
+        });
+
+        it('should calculate Perth to Karratha at roughly 1260 km', () => {
+            const perth = { latitude: -31.9505, longitude: 115.8605 };
+            const karratha = { latitude: -20.7364, longitude: 116.8463 };
+            const distance = haversineDistanceKm(perth, karratha);
+            expect(distance).toBeGreaterThan(1230);
+            expect(distance).toBeLessThan(1270);
+        });
+    });
+
+    describe('metresToKm', () => {
+        it('should round to one decimal place', () => {
+            expect(metresToKm(12345)).toBe(12.3);
+            expect(metresToKm(0)).toBe(0);
+        });
+    });
+});
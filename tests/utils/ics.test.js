@@ -0,0 +1,47 @@
+const { formatDateTime, escapeText, foldLine, buildCalendar } = require('../../utils/ics');
+
+describe('iCalendar Utilities', () => {
+    const event = {
+        uid: 'job-1@riggerhire',
+        start: new Date('2026-03-02T06:30:00Z'),
+        end: new Date('2026-03-02T14:30:00Z'),
+        summary: 'Tower crane erection, level 2',
+        description: 'Shift: Day shift\nClient contact: Jo Smith',
+        location: '1 Hay Street, Perth WA 6000',
+        status: 'CANCELLED',
+        sequence: 3
+    };
+
+    it('should format dates in UTC', () => {
+        expect(formatDateTime('2026-03-02T06:30:05Z')).toBe('20260302T063005Z');
+    });
+
+    it('should escape commas, semicolons, backslashes and newlines', () => {
+        expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+    });
+
+    it('should fold long lines at 75 octets', () => {
+        const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+        const lines = folded.split('\r\n');
+
+        expect(lines[0]).toHaveLength(75);
+        expect(lines.slice(1).every(line => line.startsWith(' ') && line.length <= 75)).toBe(true);
+        expect(lines.map((line, index) => (index ? line.slice(1) : line)).join('')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+    });
+
+    it('should build a calendar with CRLF line endings and event properties', () => {
+        const ics = buildCalendar({ name: 'My jobs', events: [event], refreshMinutes: 60 }, new Date('2026-01-01T00:00:00Z'));
+        const lines = ics.split('\r\n');
+
+        expect(lines[0]).toBe('BEGIN:VCALENDAR');
+        expect(lines).toContain('METHOD:PUBLISH');
+        expect(lines).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT60M');
+        expect(lines).toContain('UID:job-1@riggerhire');
+        expect(lines).toContain('DTSTAMP:20260101T000000Z');
+        expect(lines).toContain('DTSTART:20260302T063000Z');
+        expect(lines).toContain('SUMMARY:Tower crane erection\\, level 2');
+        expect(lines).toContain('STATUS:CANCELLED');
+        expect(lines).toContain('SEQUENCE:3');
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+});
@@ -0,0 +1,80 @@
+const { buildJobMetrics, summariseMetrics, breakdownMetrics } = require('../../utils/jobAnalytics');
+
+describe('Job Analytics Utilities', () => {
+    const postedAt = new Date('2026-03-02T08:00:00Z');
+    const hoursAfter = hours => new Date(postedAt.getTime() + hours * 60 * 60 * 1000);
+
+    const job = (overrides = {}) => ({
+        _id: overrides._id || 'job',
+        title: 'Dogman for precast install',
+        jobType: 'dogger',
+        location: { state: 'WA' },
+        urgencyLevel: 'standard',
+        status: 'posted',
+        views: 0,
+        statusHistory: [{ to: 'posted', changedAt: postedAt }],
+        createdAt: postedAt,
+        ...overrides
+    });
+
+    describe('buildJobMetrics', () => {
+        it('should time the first application and the fill from posting', () => {
+            const metrics = buildJobMetrics(
+                job({ status: 'assigned', views: 40, statusHistory: [{ to: 'posted', changedAt: postedAt }, { to: 'assigned', changedAt: hoursAfter(30) }] }),
+                { applications: 6, shortlisted: 2, hired: 1, firstApplicationAt: hoursAfter(4.5) },
+                25
+            );
+
+            expect(metrics).toMatchObject({ views: 40, uniqueViewers: 25, applications: 6, shortlisted: 2, hired: 1, filled: true, cancelled: false });
+            expect(metrics.timeToFirstApplicationHours).toBe(4.5);
+            expect(metrics.timeToFillHours).toBe(30);
+            expect(metrics.state).toBe('WA');
+        });
+
+        it('should leave timings empty for jobs with no applications or fill', () => {
+            const metrics = buildJobMetrics(job());
+
+            expect(metrics.applications).toBe(0);
+            expect(metrics.timeToFirstApplicationHours).toBeNull();
+            expect(metrics.timeToFillHours).toBeNull();
+        });
+    });
+
+    describe('summariseMetrics', () => {
+        const metrics = [
+            buildJobMetrics(job({ status: 'assigned', statusHistory: [{ to: 'assigned', changedAt: hoursAfter(10) }] }), { applications: 4, shortlisted: 2, hired: 1, firstApplicationAt: hoursAfter(1) }, 20),
+            buildJobMetrics(job({ status: 'completed', urgencyLevel: 'urgent', statusHistory: [{ to: 'assigned', changedAt: hoursAfter(20) }] }), { applications: 4, shortlisted: 2, hired: 1, firstApplicationAt: hoursAfter(3) }, 20),
+            buildJobMetrics(job({ status: 'cancelled', jobType: 'rigger', location: { state: 'QLD' } }), {}, 10),
+            buildJobMetrics(job({ jobType: 'rigger', location: { state: 'QLD' } }), { applications: 2, firstApplicationAt: hoursAfter(8) }, 10)
+        ];
+
+        it('should roll up the funnel with conversion, fill and cancellation rates', () => {
+            const summary = summariseMetrics(metrics);
+
+            expect(summary.funnel).toEqual({ views: 0, uniqueViewers: 60, applications: 10, shortlisted: 4, hired: 2 });
+            expect(summary.conversion).toEqual({ viewerToApplication: 0.167, applicationToShortlist: 0.4, shortlistToHire: 0.5 });
+            expect(summary.fillRate).toBe(0.5);
+            expect(summary.cancellationRate).toBe(0.25);
+            expect(summary.timeToFirstApplicationHours).toEqual({ average: 4, median: 3 });
+            expect(summary.timeToFillHours).toEqual({ average: 15, median: 15 });
+        });
+
+        it('should not divide by zero when there are no jobs', () => {
+            const summary = summariseMetrics([]);
+
+            expect(summary.fillRate).toBeNull();
+            expect(summary.conversion.shortlistToHire).toBeNull();
+            expect(summary.timeToFillHours.median).toBeNull();
+        });
+
+        it('should break metrics down by a field', () => {
+            const byState = breakdownMetrics(metrics, 'state');
+
+            expect(byState.map(group => group.state)).toEqual(['WA', 'QLD']);
+            expect(byState[1].cancellationRate).toBe(0.5);
+
+            const byUrgency = breakdownMetrics(metrics, 'urgencyLevel');
+            expect(byUrgency.find(group => group.urgencyLevel === 'urgent').jobs).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+const {
+    parseCsv,
+    toRecords,
+    toJobRequest,
+    toJobData,
+    columnForPath,
+    buildReportCsv
+} = require('../../utils/jobImport');
+
+describe('Job Import Utilities', () => {
+    it('should parse quoted fields, doubled quotes and embedded newlines', () => {
+        const rows = parseCsv('\uFEFFtitle,description\r\n"Crane, night","Says ""hi""\nthen leaves"\r\n\r\n');
+
+        expect(rows).toEqual([
+            ['title', 'description'],
+            ['Crane, night', 'Says "hi"\nthen leaves']
+        ]);
+    });
+
+    it('should match headers loosely and report unknown columns', () => {
+        const { records, unknownColumns } = toRecords([
+            ['Job Type', 'start_date', 'Colour'],
+            ['rigger', '2026-03-02', 'red'],
+            ['dogman', '', '']
+        ]);
+
+        expect(unknownColumns).toEqual(['Colour']);
+        expect(records).toEqual([
+            { rowNumber: 2, values: { jobType: 'rigger', startDate: '2026-03-02' } },
+            { rowNumber: 3, values: { jobType: 'dogman' } }
+        ]);
+    });
+
+    const values = {
+        title: 'Steel erection crew',
+        jobType: 'rigger',
+        rate: '55.5',
+        startDate: '2026-03-02',
+        address: '1 Hay Street',
+        latitude: '-31.95',
+        longitude: '115.86',
+        headcount: '3',
+        requiredCertifications: 'Rigging Intermediate; Dogging',
+        tags: 'steel|night'
+    };
+
+    it('should shape a record like a job creation request', () => {
+        const request = toJobRequest(values);
+
+        expect(request.hourlyRate).toBe('55.5');
+        expect(request.duration.startDate).toBe('2026-03-02');
+        expect(request.location.coordinates).toEqual(['115.86', '-31.95']);
+        expect(request.certificationRequirements).toEqual(['Rigging Intermediate', 'Dogging']);
+        expect(request.positions).toEqual([{ jobType: 'rigger', headcount: '3', rate: '55.5' }]);
+    });
+
+    it('should map a record onto the job schema', () => {
+        const job = toJobData(values, 'client-1');
+
+        expect(job.rate).toBe(55.5);
+        expect(job.duration).toBe('daily');
+        expect(job.location.coordinate).toEqual({ latitude: -31.95, longitude: 115.86 });
+        expect(job.tags).toEqual(['steel', 'night']);
+        expect(job.positions).toEqual([{
+            jobType: 'rigger',
+            headcount: 3,
+            rate: 55.5,
+            requiredCertifications: ['Rigging Intermediate', 'Dogging']
+        }]);
+        expect(job.clientId).toBe('client-1');
+        expect(toJobData({ ...values, headcount: '1' }, 'client-1').positions).toEqual([]);
+    });
+
+    it('should name the column behind a validation error path', () => {
+        expect(columnForPath('hourlyRate')).toBe('rate');
+        expect(columnForPath('duration.startDate')).toBe('startDate');
+        expect(columnForPath('location.city')).toBe('city');
+        expect(columnForPath('location.coordinate.longitude')).toBe('longitude');
+        expect(columnForPath('positions[0].jobType')).toBe('jobType');
+        expect(columnForPath('positions.0.rate')).toBe('rate');
+    });
+
+    it('should build a CSV report with one line per row', () => {
+        const report = buildReportCsv([
+            { rowNumber: 2, status: 'created', title: 'Crane, night', jobId: 'abc' },
+            { rowNumber: 3, status: 'invalid', issues: [{ field: 'rate', message: 'Rate is required' }, { field: 'title', message: 'Too short' }] }
+        ]);
+
+        expect(report.split('\r\n')).toEqual([
+            'row,status,title,jobId,errors',
+            '2,created,"Crane, night",abc,',
+            '3,invalid,,,rate: Rate is required; title: Too short',
+            ''
+        ]);
+    });
+});
@@ -0,0 +1,52 @@
+const { lookupRatedCapacity, calculateLift } = require('../../utils/liftPlan');
+
+describe('Lift Plan Utilities', () => {
+    const configuration = {
+        name: 'Main boom, full counterweight',
+        boomLengths: [
+            { lengthM: 30, ratings: [{ radiusM: 10, capacityKg: 20000 }, { radiusM: 14, capacityKg: 14000 }] },
+            { lengthM: 20, ratings: [{ radiusM: 10, capacityKg: 25000 }, { radiusM: 14, capacityKg: 17500 }, { radiusM: 18, capacityKg: 12000 }] }
+        ]
+    };
+
+    describe('lookupRatedCapacity', () => {
+        it('should read exact chart values', () => {
+            expect(lookupRatedCapacity(configuration, 20, 14)).toEqual({ capacityKg: 17500, boomLengthM: 20, radiusM: 14 });
+        });
+
+        it('should round up to the next boom length and radius rather than interpolate', () => {
+            // 22m boom at 11m radius is read from the 30m boom at 14m radius
+            expect(lookupRatedCapacity(configuration, 22, 11)).toEqual({ capacityKg: 14000, boomLengthM: 30, radiusM: 14 });
+        });
+
+        it('should return null for lifts off the chart', () => {
+            expect(lookupRatedCapacity(configuration, 35, 10)).toBeNull();
+            expect(lookupRatedCapacity(configuration, 30, 18)).toBeNull();
+        });
+    });
+
+    describe('calculateLift', () => {
+        it('should include rigging and hook block in the total load', () => {
+            const result = calculateLift({ ratedCapacityKg: 17500, loadWeightKg: 9000, riggingWeightKg: 350, hookBlockWeightKg: 450 });
+
+            expect(result.totalLoadKg).toBe(9800);
+            expect(result.percentOfCapacity).toBe(56);
+            expect(result.marginKg).toBe(7700);
+            expect(result.isCritical).toBe(false);
+            expect(result.exceedsCapacity).toBe(false);
+        });
+
+        it('should flag lifts at or above the threshold as critical', () => {
+            expect(calculateLift({ ratedCapacityKg: 10000, loadWeightKg: 7500 }).isCritical).toBe(true);
+            expect(calculateLift({ ratedCapacityKg: 10000, loadWeightKg: 7500, criticalThresholdPercent: 80 }).isCritical).toBe(false);
+        });
+
+        it('should report lifts over rated capacity', () => {
+            const result = calculateLift({ ratedCapacityKg: 10000, loadWeightKg: 9800, riggingWeightKg: 300 });
+
+            expect(result.exceedsCapacity).toBe(true);
+            expect(result.percentOfCapacity).toBe(101);
+            expect(result.marginKg).toBe(-100);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+const {
+    getDayType,
+    resolveShiftPattern,
+    buildSchedule,
+    calculateCost
+} = require('../../utils/payRules');
+
+// Monday 2 June 2025
+const monday = new Date(2025, 5, 2);
+const saturday = new Date(2025, 5, 7);
+const sunday = new Date(2025, 5, 8);
+const christmas = new Date(2025, 11, 25);
+
+const lineFor = (breakdown, code) => breakdown.lines.find(line => line.code === code);
+
+describe('Pay Rules', () => {
+    describe('getDayType', () => {
+        it('should classify weekdays, weekends and public holidays', () => {
+            expect(getDayType(monday)).toBe('weekday');
+            expect(getDayType(saturday)).toBe('saturday');
+            expect(getDayType(sunday)).toBe('sunday');
+            expect(getDayType(christmas)).toBe('publicHoliday');
+        });
+    });
+
+    describe('resolveShiftPattern', () => {
+        it('should classify day, swing and night shifts by start hour', () => {
+            expect(resolveShiftPattern('day_shift', 7)).toBe('day_shift');
+            expect(resolveShiftPattern('day_shift', 14)).toBe('swing_shift');
+            expect(resolveShiftPattern('day_shift', 22)).toBe('night_shift');
+            expect(resolveShiftPattern('night_shift', 2)).toBe('night_shift');
+        });
+
+        it('should keep rostered patterns regardless of start hour', () => {
+            expect(resolveShiftPattern('fifo', 19)).toBe('fifo');
+            expect(resolveShiftPattern('night_shift')).toBe('night_shift');
+        });
+    });
+
+    describe('buildSchedule', () => {
+        it('should skip weekends for day shift', () => {
+            // Friday 6 June to Tuesday 10 June
+            const entries = buildSchedule({ startDate: new Date(2025, 5, 6), endDate: new Date(2025, 5, 10) });
+            expect(entries.map(entry => entry.date.getDate())).toEqual([6, 9, 10]);
+            expect(entries.every(entry => entry.hours === 8)).toBe(true);
+        });
+
+        it('should work the start and end dates of a weekend day shift job', () => {
+            // Saturday 7 June to Sunday 8 June
+            const weekend = buildSchedule({ startDate: new Date(2025, 5, 7, 7), endDate: new Date(2025, 5, 8, 15) });
+            expect(weekend.map(entry => entry.date.getDate())).toEqual([7, 8]);
+
+            // Saturday 7 June to Tuesday 10 June: Sunday is not booked
+            const longWeekend = buildSchedule({ startDate: new Date(2025, 5, 7), endDate: new Date(2025, 5, 10) });
+            expect(longWeekend.map(entry => entry.date.getDate())).toEqual([7, 9, 10]);
+
+            const quote = calculateCost({ jobType: 'rigger', rate: 80, entries: weekend });
+            expect(quote.totals.hours).toBe(16);
+            expect(quote.totals.penalties).toBeGreaterThan(0);
+        });
+
+        it('should spread total hours across FIFO roster days', () => {
+            const entries = buildSchedule({ startDate: saturday, totalHours: 30, shiftPattern: 'fifo' });
+            expect(entries.map(entry => entry.hours)).toEqual([12, 12, 6]);
+        });
+    });
+
+    describe('calculateCost', () => {
+        it('should split weekday hours into ordinary and overtime tiers', () => {
+            const breakdown = calculateCost({
+                jobType: 'signaller',
+                rate: 50,
+                entries: [{ date: monday, hours: 12, startHour: 6 }]
+            });
+
+            expect(lineFor(breakdown, 'ordinary')).toMatchObject({ quantity: 8, rate: 50, amount: 400 });
+            expect(lineFor(breakdown, 'overtime_first_2')).toMatchObject({ quantity: 2, rate: 75, amount: 150 });
+            expect(lineFor(breakdown, 'overtime_after_2')).toMatchObject({ quantity: 2, rate: 100, amount: 200 });
+            expect(breakdown.totals).toMatchObject({ hours: 12, ordinary: 400, overtime: 350, total: 750 });
+        });
+
+        it('should apply weekend and public holiday penalty rates', () => {
+            const breakdown = calculateCost({
+                jobType: 'signaller',
+                rate: 50,
+                entries: [
+                    { date: saturday, hours: 4 },
+                    { date: sunday, hours: 4 },
+                    { date: christmas, hours: 4 }
+                ]
+            });
+
+            expect(lineFor(breakdown, 'ordinary')).toBeUndefined();
+            expect(lineFor(breakdown, 'saturday_first_2').amount).toBe(150);
+            expect(lineFor(breakdown, 'saturday_after_2').amount).toBe(200);
+            expect(lineFor(breakdown, 'sunday').amount).toBe(400);
+            expect(lineFor(breakdown, 'public_holiday').amount).toBe(500);
+            expect(breakdown.totals.penalties).toBe(1250);
+        });
+
+        it('should apply shift loadings to ordinary hours only', () => {
+            const breakdown = calculateCost({
+                jobType: 'signaller',
+                shiftPattern: 'night_shift',
+                rate: 40,
+                entries: [{ date: monday, hours: 10, startHour: 19 }]
+            });
+
+            expect(lineFor(breakdown, 'night_shift_loading')).toMatchObject({ quantity: 8, rate: 10, amount: 80 });
+            expect(breakdown.totals.loadings).toBe(80);
+        });
+
+        it('should add per-day FIFO and per-hour job type allowances', () => {
+            const breakdown = calculateCost({
+                jobType: 'rigger',
+                shiftPattern: 'fifo',
+                rate: 60,
+                entries: [
+                    { date: monday, hours: 8 },
+                    { date: new Date(2025, 5, 3), hours: 8 }
+                ]
+            });
+
+            expect(lineFor(breakdown, 'living_away_from_home')).toMatchObject({ quantity: 2, unit: 'day', amount: 125 });
+            expect(lineFor(breakdown, 'industry_allowance')).toMatchObject({ quantity: 16, unit: 'hour', amount: 13.6 });
+            expect(breakdown.totals.allowances).toBe(176.0);
+        });
+
+        it('should keep separate lines for entries at different rates', () => {
+            const breakdown = calculateCost({
+                jobType: 'signaller',
+                rate: 50,
+                entries: [
+                    { date: monday, hours: 8 },
+                    { date: monday, hours: 8, rate: 70, jobType: 'signaller' }
+                ]
+            });
+
+            const ordinaryLines = breakdown.lines.filter(line => line.code === 'ordinary');
+            expect(ordinaryLines.map(line => line.amount)).toEqual([400, 560]);
+            expect(breakdown.totals.total).toBe(960);
+        });
+    });
+});
@@ -0,0 +1,45 @@
+const { jobShiftWindows, findConflicts } = require('../../utils/scheduleConflicts');
+
+describe('Schedule Conflicts', () => {
+    // Monday 2 March to Friday 6 March 2026, day shift from 07:00 local time
+    const job = {
+        _id: 'job-1',
+        title: 'Tower crane erection',
+        startDate: new Date(2026, 2, 2, 7, 0),
+        endDate: new Date(2026, 2, 6, 17, 0),
+        shiftPattern: 'day_shift'
+    };
+    const slot = (day, hour, minutes = 30) => ({
+        start: new Date(2026, 2, day, hour, 0),
+        end: new Date(2026, 2, day, hour, minutes)
+    });
+
+    it('should list the shifts of a job on its work days', () => {
+        const windows = jobShiftWindows(job, new Date(2026, 2, 1), new Date(2026, 2, 9));
+
+        expect(windows).toHaveLength(5);
+        expect(windows[0]).toEqual({ start: new Date(2026, 2, 2, 7, 0), end: new Date(2026, 2, 2, 15, 0) });
+    });
+
+    it('should only clash with a job during its shifts', () => {
+        expect(findConflicts(slot(3, 9), { jobs: [job] })).toMatchObject([{ type: 'job', id: 'job-1' }]);
+        expect(findConflicts(slot(3, 16), { jobs: [job] })).toEqual([]);
+        expect(findConflicts(slot(7, 9), { jobs: [job] })).toEqual([]); // Saturday
+    });
+
+    it('should catch a night shift running past midnight', () => {
+        const nightJob = { ...job, startDate: new Date(2026, 2, 2, 19, 0), shiftPattern: 'night_shift' };
+
+        expect(findConflicts(slot(3, 1), { jobs: [nightJob] })).toHaveLength(1);
+    });
+
+    it('should clash with unavailability and other interviews', () => {
+        const conflicts = findConflicts(slot(10, 9), {
+            availability: { status: 'vacation', startDate: new Date(2026, 2, 9), endDate: new Date(2026, 2, 13) },
+            interviews: [{ _id: 'interview-1', scheduledStart: new Date(2026, 2, 10, 9, 15), scheduledEnd: new Date(2026, 2, 10, 9, 45) }]
+        });
+
+        expect(conflicts.map(conflict => conflict.type)).toEqual(['availability', 'interview']);
+        expect(findConflicts(slot(10, 9), { availability: { status: 'available' } })).toEqual([]);
+    });
+});
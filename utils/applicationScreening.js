@@ -0,0 +1,131 @@
+// Experience levels from least to most experienced
+const EXPERIENCE_ORDER = ['entry', 'intermediate', 'advanced', 'expert'];
+
+const normaliseName = name => String(name).trim().toLowerCase();
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Checks a rigger's tickets against a job's required certifications. A ticket must be
+ * marked valid and unexpired on the job's start date; one expiring before the job's end
+ * date only raises a warning.
+ * @param {Array<Object>} certifications - Rigger's certifications ({ name, expiryDate, isValid })
+ * @param {Array<string>} required - Required certification names
+ * @param {Date} startDate - Job start date
+ * @param {Date} [endDate] - Job end date
+ * @returns {Object} { reasons, warnings }
+ */
+const checkCertifications = (certifications, required, startDate, endDate) => {
+    const reasons = [];
+    const warnings = [];
+
+    required.forEach(name => {
+        const held = certifications.filter(cert => normaliseName(cert.name) === normaliseName(name));
+        const current = held.filter(cert => cert.isValid !== false && new Date(cert.expiryDate) > new Date(startDate));
+
+        if (held.length === 0) {
+            reasons.push({ check: 'certification', requirement: name, message: `No ${name} ticket on profile` });
+        } else if (current.length === 0) {
+            const invalid = held.every(cert => cert.isValid === false);
+            reasons.push({
+                check: 'certification',
+                requirement: name,
+                message: invalid
+                    ? `${name} ticket is marked invalid`
+                    : `${name} ticket expires before the job starts on ${formatDate(startDate)}`
+            });
+        } else if (endDate && current.every(cert => new Date(cert.expiryDate) < new Date(endDate))) {
+            const expiry = Math.max(...current.map(cert => new Date(cert.expiryDate).getTime()));
+            warnings.push(`${name} ticket expires on ${formatDate(expiry)}, before the job ends`);
+        }
+    });
+
+    return { reasons, warnings };
+};
+
+/**
+ * Checks a rigger's insurance against the cover a job needs. Cover confirmed from a
+ * certificate of currency must still be current on the job's start date. A profile with
+ * no cover recorded only raises a warning, as riggers can't enter cover themselves.
+ * @param {Object} profile - Rigger profile ({ insuranceCoverage, insurance: { expiryDate } })
+ * @param {number} insuranceRequired - Cover the job needs
+ * @param {Date} startDate - Job start date
+ * @param {Date} now - Screening time
+ * @returns {Object} { reasons, warnings }
+ */
+const checkInsurance = (profile, insuranceRequired, startDate, now) => {
+    const reasons = [];
+    const warnings = [];
+    const coverage = profile.insuranceCoverage || 0;
+    const expiryDate = profile.insurance && profile.insurance.expiryDate;
+
+    if (expiryDate && new Date(expiryDate) <= new Date(startDate)) {
+        reasons.push({
+            check: 'insurance',
+            requirement: String(insuranceRequired || 0),
+            message: new Date(expiryDate) <= now
+                ? `Insurance cover expired on ${formatDate(expiryDate)}`
+                : `Insurance cover expires before the job starts on ${formatDate(startDate)}`
+        });
+    } else if (!(insuranceRequired > 0)) {
+        return { reasons, warnings };
+    } else if (coverage === 0) {
+        warnings.push('No insurance cover on profile; check cover before hiring');
+    } else if (coverage < insuranceRequired) {
+        reasons.push({
+            check: 'insurance',
+            requirement: String(insuranceRequired),
+            message: `Job needs $${insuranceRequired.toLocaleString('en-AU')} insurance cover; profile has $${coverage.toLocaleString('en-AU')}`
+        });
+    }
+
+    return { reasons, warnings };
+};
+
+/**
+ * Screens an applicant against a job's (or crew position's) requirements:
+ * certifications, experience level and insurance coverage
+ * @param {Object} params - Screening inputs
+ * @param {Object} params.profile - Rigger profile ({ certifications, experienceLevel, insuranceCoverage, insurance })
+ * @param {Object} params.job - Job ({ requiredCertifications, experienceLevel, insuranceRequired, startDate, endDate })
+ * @param {Object} [params.position] - Crew position applied for; its requirements replace the job's
+ * @param {Date} [now] - Screening time
+ * @returns {Object} { result: 'passed'|'failed', reasons: [{ check, requirement, message }], warnings, screenedAt }
+ */
+const screenApplicant = ({ profile = {}, job, position }, now = new Date()) => {
+    const requiredCertifications = (position ? position.requiredCertifications : job.requiredCertifications) || [];
+    const { reasons, warnings } = checkCertifications(
+        profile.certifications || [],
+        requiredCertifications,
+        job.startDate || now,
+        job.endDate
+    );
+
+    const requiredLevel = (position && position.experienceLevel) || job.experienceLevel;
+    const heldLevel = profile.experienceLevel || EXPERIENCE_ORDER[0];
+    if (requiredLevel && EXPERIENCE_ORDER.indexOf(heldLevel) < EXPERIENCE_ORDER.indexOf(requiredLevel)) {
+        reasons.push({
+            check: 'experience',
+            requirement: requiredLevel,
+            message: `Job needs ${requiredLevel} experience; profile is ${heldLevel}`
+        });
+    }
+
+    const insurance = checkInsurance(profile, job.insuranceRequired, job.startDate || now, now);
+    reasons.push(...insurance.reasons);
+    warnings.push(...insurance.warnings);
+
+    return {
+        result: reasons.length ? 'failed' : 'passed',
+        reasons,
+        warnings,
+        screenedAt: now
+    };
+};
+
+module.exports = {
+    EXPERIENCE_ORDER,
+    checkCertifications,
+    checkInsurance,
+    screenApplicant
+};
@@ -0,0 +1,82 @@
+const { checkCertifications } = require('./applicationScreening');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry at which riggers are reminded to renew a ticket
+const DEFAULT_REMINDER_DAYS = [90, 30, 7];
+
+/**
+ * Whole days until a ticket expires; 0 on the day it expires, negative once expired
+ * @param {Object} certification - { expiryDate }
+ * @param {Date} now - Current time
+ * @returns {number}
+ */
+const daysUntilExpiry = (certification, now = new Date()) =>
+    Math.ceil((new Date(certification.expiryDate) - new Date(now)) / DAY_MS);
+
+const isExpired = (certification, now = new Date()) => new Date(certification.expiryDate) <= new Date(now);
+
+/**
+ * Works out which renewal reminder is due for a ticket. When several are due (e.g. a
+ * ticket added 20 days out) only the nearest is sent and the earlier ones are skipped.
+ * @param {Object} certification - { expiryDate, isValid, remindersSent }
+ * @param {Date} now - Current time
+ * @param {Array<number>} reminderDays - Days before expiry to remind at
+ * @returns {Object|null} { days, covers } - reminder to send and every reminder it covers
+ */
+const dueReminder = (certification, now = new Date(), reminderDays = DEFAULT_REMINDER_DAYS) => {
+    if (certification.isValid === false || isExpired(certification, now)) return null;
+
+    const daysLeft = daysUntilExpiry(certification, now);
+    const sent = (certification.remindersSent || []).map(Number);
+    const covers = reminderDays.filter(days => daysLeft <= days && !sent.includes(days));
+
+    if (covers.length === 0) return null;
+    return { days: Math.min(...covers), covers };
+};
+
+/**
+ * Lists a rigger's tickets that have expired or expire within a number of days, soonest first
+ * @param {Array<Object>} certifications - Rigger's certifications
+ * @param {Date} now - Current time
+ * @param {number} withinDays - How far ahead to look
+ * @returns {Array<Object>} [{ certification, daysRemaining, status: 'expired'|'invalid'|'expiring' }]
+ */
+const upcomingExpiries = (certifications = [], now = new Date(), withinDays = Math.max(...DEFAULT_REMINDER_DAYS)) =>
+    certifications
+        .filter(certification => certification.expiryDate && daysUntilExpiry(certification, now) <= withinDays)
+        .map(certification => ({
+            certification,
+            daysRemaining: daysUntilExpiry(certification, now),
+            status: isExpired(certification, now) ? 'expired' : (certification.isValid === false ? 'invalid' : 'expiring')
+        }))
+        .sort((a, b) => new Date(a.certification.expiryDate) - new Date(b.certification.expiryDate));
+
+/**
+ * Whether a rigger can no longer work a job after losing a ticket: the job (or the rigger's
+ * crew position) requires that ticket and they hold no other current one of the same name.
+ * @param {Object} params - Inputs
+ * @param {Object} params.job - Job ({ requiredCertifications, startDate, endDate })
+ * @param {Object} [params.position] - Rigger's crew position; its requirements replace the job's
+ * @param {Array<Object>} params.certifications - Rigger's certifications after the ticket was invalidated
+ * @param {string} params.certificationName - Name of the expired ticket
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isUnqualifiedFor = ({ job, position, certifications, certificationName }, now = new Date()) => {
+    const required = (position ? position.requiredCertifications : job.requiredCertifications) || [];
+    const needed = required.filter(name => name.trim().toLowerCase() === certificationName.trim().toLowerCase());
+    if (needed.length === 0) return false;
+
+    const from = new Date(Math.max(new Date(job.startDate).getTime(), new Date(now).getTime()));
+    return checkCertifications(certifications, needed, from).reasons.length > 0;
+};
+
+module.exports = {
+    DEFAULT_REMINDER_DAYS,
+    daysUntilExpiry,
+    isExpired,
+    dueReminder,
+    upcomingExpiries,
+    isUnqualifiedFor
+};
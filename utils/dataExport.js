@@ -0,0 +1,68 @@
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Flattens a plain JSON record into dotted column names, e.g. { address: { city } }
+ * becomes { 'address.city' }. Lists of values are joined with '; ' and lists of
+ * objects are kept as JSON text.
+ * @param {Object} record - Plain JSON object (ObjectIds and dates already strings)
+ * @param {string} prefix - Column name prefix, used when recursing
+ * @returns {Object} Column name to cell value
+ */
+const flattenRecord = (record, prefix = '') => {
+    const flat = {};
+
+    Object.entries(record || {}).forEach(([key, value]) => {
+        const column = prefix ? `${prefix}.${key}` : key;
+
+        if (Array.isArray(value)) {
+            flat[column] = value.some(item => item !== null && typeof item === 'object')
+                ? JSON.stringify(value)
+                : value.join('; ');
+        } else if (value !== null && typeof value === 'object') {
+            Object.assign(flat, flattenRecord(value, column));
+        } else {
+            flat[column] = value;
+        }
+    });
+
+    return flat;
+};
+
+const escapeCell = value => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV of records, one line per record. The columns are every field
+ * found across the records, in the order they are first seen.
+ * @param {Array<Object>} records - Plain JSON objects
+ * @returns {string} CSV text, empty if there are no records
+ */
+const toCsv = records => {
+    if (!records.length) return '';
+
+    const rows = records.map(record => flattenRecord(record));
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+    }));
+
+    const lines = [columns].concat(rows.map(row => columns.map(column => row[column])));
+    return `${lines.map(line => line.map(escapeCell).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Converts Mongoose documents to plain JSON, as the API would send them
+ * @param {Array<Object>} documents - Documents or plain objects
+ * @returns {Array<Object>} Plain JSON objects
+ */
+const toPlainRecords = documents => JSON.parse(JSON.stringify(documents));
+
+module.exports = {
+    flattenRecord,
+    toCsv,
+    toPlainRecords
+};
@@ -0,0 +1,156 @@
+// Pulls licence, ticket and insurance details out of text extracted from an uploaded document.
+// Everything found is a suggestion for the rigger to confirm, never saved as-is.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// High risk work licence classes printed on Australian licence cards
+const LICENCE_CLASSES = {
+    DG: 'Dogging',
+    RB: 'Rigging Basic',
+    RI: 'Rigging Intermediate',
+    RA: 'Rigging Advanced',
+    SB: 'Scaffolding Basic',
+    SI: 'Scaffolding Intermediate',
+    SA: 'Scaffolding Advanced',
+    CT: 'Tower Crane',
+    CS: 'Self-Erecting Tower Crane',
+    CD: 'Derrick Crane',
+    CP: 'Portal Boom Crane',
+    CB: 'Bridge and Gantry Crane',
+    CV: 'Vehicle Loading Crane',
+    CN: 'Non-Slewing Mobile Crane',
+    C2: 'Slewing Mobile Crane up to 20 tonnes',
+    C6: 'Slewing Mobile Crane up to 60 tonnes',
+    C1: 'Slewing Mobile Crane up to 100 tonnes',
+    C0: 'Slewing Mobile Crane open',
+    WP: 'Boom-Type Elevating Work Platform',
+    LF: 'Forklift Truck',
+    HM: 'Materials Hoist',
+    HP: 'Personnel and Materials Hoist'
+};
+
+const ISSUING_AUTHORITIES = [
+    'WorkSafe WA',
+    'SafeWork NSW',
+    'WorkSafe Victoria',
+    'WorkSafe Queensland',
+    'SafeWork SA',
+    'WorkSafe Tasmania',
+    'NT WorkSafe',
+    'WorkSafe ACT'
+];
+
+const DATE_PATTERN = '(\\d{1,2}[\\/.\\-]\\d{1,2}[\\/.\\-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\s+[A-Za-z]{3,9}\\.?\\s+\\d{4})';
+
+const labelled = (labels, valuePattern) => new RegExp(`(?:${labels})\\s*(?:date)?\\s*[:.#\\-]?\\s*${valuePattern}`, 'i');
+
+const EXPIRY_PATTERN = labelled('expiry|expires|expiration|valid\\s+(?:until|to)|exp\\.?', DATE_PATTERN);
+const ISSUE_PATTERN = labelled('date\\s+of\\s+issue|issue|issued(?:\\s+on)?', DATE_PATTERN);
+const LICENCE_NUMBER_PATTERN = labelled('(?:licen[cs]e|ticket|card|certificate|cert\\.?)\\s*(?:no\\.?|number|#)', '([A-Z0-9][A-Z0-9\\-\\/]{3,19})');
+const POLICY_NUMBER_PATTERN = labelled('policy\\s*(?:no\\.?|number|#)', '([A-Z0-9][A-Z0-9\\-\\/]{3,29})');
+const COVERAGE_PATTERN = /(?:limit\s+of\s+(?:liability|indemnity)|sum\s+insured|indemnity\s+limit|cover(?:age)?)\s*[:\-]?\s*\$\s?([\d,]+(?:\.\d{1,2})?)\s*(million|m\b)?/i;
+const INSURER_PATTERN = /(?:insurer|underwritten\s+by)\s*[:\-]?\s*([^\n]{2,60})/i;
+
+/**
+ * Parses a date as printed on Australian documents: day before month
+ * @param {string} text - e.g. 14/03/2027, 2027-03-14 or 14 March 2027
+ * @returns {Date|null} Midnight UTC on that date
+ */
+const parseDocumentDate = text => {
+    if (!text) return null;
+    const value = text.trim();
+    let year;
+    let month;
+    let day;
+
+    let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = value.match(/^(\d{1,2})[/.\-](\d{1,2})[/.\-](\d{2,4})$/))) {
+        [, day, month, year] = match.map(Number);
+        if (year < 100) year += 2000;
+    } else if ((match = value.match(/^(\d{1,2})\s+([A-Za-z]{3,9})\.?\s+(\d{4})$/))) {
+        day = Number(match[1]);
+        month = MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+        year = Number(match[3]);
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (month < 1 || month > 12 || date.getUTCDate() !== day) return null;
+    return date;
+};
+
+/**
+ * The high risk work licence class code for a certification name
+ * @param {string} name - e.g. 'Rigging Intermediate', 'rigging intermediate' or 'RI'
+ * @returns {string|null} Class code, or null for tickets that are not licence classes
+ */
+const licenceClassFor = name => {
+    if (!name) return null;
+    const value = String(name).trim();
+    if (LICENCE_CLASSES[value.toUpperCase()]) return value.toUpperCase();
+    const match = Object.entries(LICENCE_CLASSES).find(([, label]) => label.toLowerCase() === value.toLowerCase());
+    return match ? match[0] : null;
+};
+
+const findLicenceClasses = text => {
+    const tokens = text.match(/\b[A-Z][A-Z0-9]\b/g) || [];
+    return [...new Set(tokens.filter(token => LICENCE_CLASSES[token]))];
+};
+
+const parseCoverage = match => {
+    if (!match) return undefined;
+    const amount = Number(match[1].replace(/,/g, ''));
+    return match[2] ? amount * 1000000 : amount;
+};
+
+/**
+ * Suggests certification or insurance details from a document's text
+ * @param {string} text - Text extracted from the document
+ * @param {string} kind - 'certification' or 'insurance'
+ * @returns {Object} Only the fields that were found, e.g. { licenseNumber, expiryDate, name }
+ */
+const extractDocumentFields = (text = '', kind = 'certification') => {
+    const fields = {};
+    const found = (key, value) => {
+        if (value !== undefined && value !== null && value !== '') fields[key] = value;
+    };
+
+    const expiry = text.match(EXPIRY_PATTERN);
+    found('expiryDate', expiry && parseDocumentDate(expiry[1]));
+
+    const issued = text.match(ISSUE_PATTERN);
+    found('issueDate', issued && parseDocumentDate(issued[1]));
+
+    if (kind === 'insurance') {
+        const policy = text.match(POLICY_NUMBER_PATTERN);
+        found('policyNumber', policy && policy[1]);
+        found('coverageAmount', parseCoverage(text.match(COVERAGE_PATTERN)));
+        const insurer = text.match(INSURER_PATTERN);
+        found('insurer', insurer && insurer[1].trim());
+        return fields;
+    }
+
+    const licence = text.match(LICENCE_NUMBER_PATTERN);
+    found('licenseNumber', licence && licence[1]);
+
+    const authority = ISSUING_AUTHORITIES.find(name => new RegExp(name.replace(/\s+/g, '\\s*'), 'i').test(text));
+    found('issuingAuthority', authority);
+
+    const classes = findLicenceClasses(text);
+    if (classes.length) {
+        fields.licenceClasses = classes;
+        fields.name = LICENCE_CLASSES[classes[0]];
+    }
+    return fields;
+};
+
+module.exports = {
+    LICENCE_CLASSES,
+    ISSUING_AUTHORITIES,
+    parseDocumentDate,
+    licenceClassFor,
+    extractDocumentFields
+};
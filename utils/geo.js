@@ -0,0 +1,79 @@
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Checks that a latitude/longitude pair is within valid WGS84 bounds
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @returns {boolean} Whether the pair is a usable coordinate
+ */
+const isValidCoordinate = (latitude, longitude) => {
+    return Number.isFinite(latitude) &&
+        Number.isFinite(longitude) &&
+        latitude >= -90 && latitude <= 90 &&
+        longitude >= -180 && longitude <= 180;
+};
+
+/**
+ * Converts a latitude/longitude pair to a GeoJSON Point
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @returns {Object} GeoJSON Point (note GeoJSON order is [longitude, latitude])
+ */
+const toGeoJSONPoint = (latitude, longitude) => ({
+    type: 'Point',
+    coordinates: [longitude, latitude]
+});
+
+/**
+ * Parses a "lat,lng" string as sent in query parameters
+ * @param {string} value - Comma separated latitude and longitude
+ * @returns {Object|null} { latitude, longitude } or null if not a coordinate
+ */
+const parseLatLng = value => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const parts = value.split(',').map(part => part.trim());
+    if (parts.length !== 2 || parts.some(part => part === '')) {
+        return null;
+    }
+
+    const latitude = Number(parts[0]);
+    const longitude = Number(parts[1]);
+
+    return isValidCoordinate(latitude, longitude) ? { latitude, longitude } : null;
+};
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in kilometres
+ */
+const haversineDistanceKm = (from, to) => {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Rounds a distance in metres to kilometres with one decimal place
+ * @param {number} metres - Distance in metres
+ * @returns {number} Distance in kilometres
+ */
+const metresToKm = metres => Math.round(metres / 100) / 10;
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    isValidCoordinate,
+    toGeoJSONPoint,
+    parseLatLng,
+    haversineDistanceKm,
+    metresToKm
+};
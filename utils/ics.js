@@ -0,0 +1,136 @@
+const PRODUCT_ID = '-//RiggerHire//Job Calendar//EN';
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Formats a date as an iCalendar UTC date-time, e.g. 20260302T083000Z
+ * @param {Date|string} date - Date to format
+ * @returns {string} iCalendar date-time
+ */
+const formatDateTime = date => {
+    const value = new Date(date);
+    return `${value.getUTCFullYear()}${pad(value.getUTCMonth() + 1)}${pad(value.getUTCDate())}` +
+        `T${pad(value.getUTCHours())}${pad(value.getUTCMinutes())}${pad(value.getUTCSeconds())}Z`;
+};
+
+/**
+ * Escapes text for an iCalendar property value (RFC 5545 section 3.3.11)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeText = text => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line to 75 octets, continuing on lines that start with a space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, CRLF separated
+ */
+const foldLine = line => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74; // Continuation lines lose one octet to the leading space
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * Builds the lines of one VEVENT
+ * @param {Object} event - Event details
+ * @param {string} event.uid - Stable unique ID, so updates replace the earlier event
+ * @param {Date} event.start - Start time
+ * @param {Date} event.end - End time
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Body text
+ * @param {string} [event.location] - Address
+ * @param {Object} [event.geo] - { latitude, longitude }
+ * @param {string} [event.url] - Link back to the app
+ * @param {string} [event.status] - CONFIRMED, TENTATIVE or CANCELLED
+ * @param {number} [event.sequence] - Revision number; must increase when the event changes
+ * @param {Date} [event.lastModified] - When the event last changed
+ * @param {Array<Object>} [event.attendees] - [{ name, email }]
+ * @param {Object} [event.organizer] - { name, email }
+ * @param {Date} now - Timestamp for DTSTAMP
+ * @returns {Array<string>} Unfolded content lines
+ */
+const buildEventLines = (event, now) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        `DTSTART:${formatDateTime(event.start)}`,
+        `DTEND:${formatDateTime(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`
+    ];
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.geo) lines.push(`GEO:${event.geo.latitude};${event.geo.longitude}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.organizer) {
+        lines.push(`ORGANIZER;CN=${escapeText(event.organizer.name)}:mailto:${event.organizer.email}`);
+    }
+    (event.attendees || []).forEach(attendee => {
+        lines.push(`ATTENDEE;CN=${escapeText(attendee.name)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+    });
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+    lines.push(`SEQUENCE:${event.sequence || 0}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+};
+
+/**
+ * Builds an iCalendar (.ics) document
+ * @param {Object} calendar - Calendar details
+ * @param {string} calendar.name - Calendar name shown by calendar apps
+ * @param {Array<Object>} calendar.events - Events, as for buildEventLines
+ * @param {string} [calendar.method] - e.g. PUBLISH for feeds, REQUEST for invitations
+ * @param {number} [calendar.refreshMinutes] - Suggested polling interval for subscribed feeds
+ * @param {Date} [now] - Timestamp for DTSTAMP
+ * @returns {string} iCalendar text
+ */
+const buildCalendar = ({ name, events, method = 'PUBLISH', refreshMinutes }, now = new Date()) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    if (refreshMinutes) {
+        lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`);
+        lines.push(`X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+    }
+
+    events.forEach(event => lines.push(...buildEventLines(event, now)));
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    formatDateTime,
+    escapeText,
+    foldLine,
+    buildCalendar
+};
@@ -0,0 +1,114 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+const BREAKDOWN_KEYS = ['jobType', 'state', 'urgencyLevel'];
+
+const roundTo = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const ratio = (numerator, denominator) => (denominator > 0 ? roundTo(numerator / denominator, 3) : null);
+
+const hoursBetween = (from, to) => (from && to ? roundTo((new Date(to) - new Date(from)) / HOUR_MS) : null);
+
+const average = values => (values.length ? roundTo(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+const median = values => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : roundTo((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/**
+ * Builds the pipeline metrics for one job
+ * @param {Object} job - Job (plain object or document) with statusHistory
+ * @param {Object} [applicationStats] - { applications, shortlisted, hired, firstApplicationAt }
+ * @param {number} [uniqueViewers] - Distinct users who viewed the job
+ * @returns {Object} Job metrics
+ */
+const buildJobMetrics = (job, applicationStats = {}, uniqueViewers = 0) => {
+    // A job is filled the first time it reaches 'assigned' (crew jobs only get there once every position is filled)
+    const filledEntry = (job.statusHistory || []).find(entry => entry.to === 'assigned');
+
+    return {
+        jobId: job._id,
+        title: job.title,
+        jobType: job.jobType,
+        state: job.location ? job.location.state : undefined,
+        urgencyLevel: job.urgencyLevel,
+        status: job.status,
+        postedAt: job.createdAt,
+        views: job.views || 0,
+        uniqueViewers,
+        applications: applicationStats.applications || 0,
+        shortlisted: applicationStats.shortlisted || 0,
+        hired: applicationStats.hired || 0,
+        filled: Boolean(filledEntry),
+        cancelled: job.status === 'cancelled',
+        timeToFirstApplicationHours: hoursBetween(job.createdAt, applicationStats.firstApplicationAt),
+        timeToFillHours: filledEntry ? hoursBetween(job.createdAt, filledEntry.changedAt) : null
+    };
+};
+
+/**
+ * Rolls job metrics up into a funnel with conversion rates and timings
+ * @param {Array<Object>} metrics - Output of buildJobMetrics
+ * @returns {Object} Summary
+ */
+const summariseMetrics = metrics => {
+    const sum = field => metrics.reduce((total, job) => total + job[field], 0);
+    const timings = field => metrics.map(job => job[field]).filter(value => value !== null);
+
+    const funnel = {
+        views: sum('views'),
+        uniqueViewers: sum('uniqueViewers'),
+        applications: sum('applications'),
+        shortlisted: sum('shortlisted'),
+        hired: sum('hired')
+    };
+
+    return {
+        jobs: metrics.length,
+        filledJobs: metrics.filter(job => job.filled).length,
+        cancelledJobs: metrics.filter(job => job.cancelled).length,
+        funnel,
+        conversion: {
+            viewerToApplication: ratio(funnel.applications, funnel.uniqueViewers),
+            applicationToShortlist: ratio(funnel.shortlisted, funnel.applications),
+            shortlistToHire: ratio(funnel.hired, funnel.shortlisted)
+        },
+        fillRate: ratio(metrics.filter(job => job.filled).length, metrics.length),
+        cancellationRate: ratio(metrics.filter(job => job.cancelled).length, metrics.length),
+        timeToFirstApplicationHours: {
+            average: average(timings('timeToFirstApplicationHours')),
+            median: median(timings('timeToFirstApplicationHours'))
+        },
+        timeToFillHours: {
+            average: average(timings('timeToFillHours')),
+            median: median(timings('timeToFillHours'))
+        }
+    };
+};
+
+/**
+ * Summarises job metrics per value of a field, e.g. per jobType
+ * @param {Array<Object>} metrics - Output of buildJobMetrics
+ * @param {string} key - jobType, state or urgencyLevel
+ * @returns {Array<Object>} [{ [key]: value, ...summary }] sorted by job count
+ */
+const breakdownMetrics = (metrics, key) => {
+    const groups = metrics.reduce((grouped, job) => {
+        const value = job[key] || 'unknown';
+        (grouped[value] = grouped[value] || []).push(job);
+        return grouped;
+    }, {});
+
+    return Object.entries(groups)
+        .map(([value, jobs]) => ({ [key]: value, ...summariseMetrics(jobs) }))
+        .sort((a, b) => b.jobs - a.jobs);
+};
+
+module.exports = {
+    BREAKDOWN_KEYS,
+    buildJobMetrics,
+    summariseMetrics,
+    breakdownMetrics
+};
@@ -0,0 +1,215 @@
+// Spreadsheet columns for bulk job import, keyed by normalised header.
+// Headers are matched case-insensitively, ignoring spaces, dashes and underscores.
+const IMPORT_COLUMNS = [
+    'title', 'description', 'jobType', 'rate', 'startDate', 'endDate', 'duration', 'shiftPattern',
+    'urgencyLevel', 'experienceLevel', 'address', 'city', 'state', 'postcode', 'siteType',
+    'latitude', 'longitude', 'headcount', 'requiredCertifications', 'equipmentRequired',
+    'safetyRequirements', 'applicationDeadline', 'maxApplicants', 'tags'
+];
+
+const LIST_SEPARATOR = /[;|]/;
+
+const headerKey = header => String(header).toLowerCase().replace(/[\s_-]/g, '');
+
+const COLUMN_BY_KEY = Object.fromEntries(IMPORT_COLUMNS.map(column => [headerKey(column), column]));
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, embedded newlines)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+const parseCsv = text => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Turns a header row and data rows into records keyed by import column
+ * @param {Array<Array<string>>} rows - Header row followed by data rows
+ * @returns {Object} { records: [{ rowNumber, values }], unknownColumns }
+ */
+const toRecords = rows => {
+    const [header = [], ...dataRows] = rows;
+    const columns = header.map(name => COLUMN_BY_KEY[headerKey(name)]);
+    const unknownColumns = header.filter((name, index) => !columns[index] && String(name).trim());
+
+    const records = dataRows.map((cells, index) => ({
+        rowNumber: index + 2, // Spreadsheet row, counting the header as row 1
+        values: columns.reduce((values, column, cellIndex) => {
+            const value = cells[cellIndex] === undefined ? '' : String(cells[cellIndex]).trim();
+            if (column && value !== '') values[column] = value;
+            return values;
+        }, {})
+    }));
+
+    return { records, unknownColumns };
+};
+
+const toList = value => (value ? value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) : undefined);
+
+const toNumber = value => (value === undefined ? undefined : Number(value));
+
+const hasCoordinates = values => values.latitude !== undefined && values.longitude !== undefined;
+
+/**
+ * Shapes a record like a POST /api/jobs request body, so the same validation rules can run on it
+ * @param {Object} values - Record values keyed by import column
+ * @returns {Object} Request body
+ */
+const toJobRequest = values => ({
+    title: values.title,
+    description: values.description,
+    location: {
+        address: values.address,
+        coordinates: hasCoordinates(values) ? [values.longitude, values.latitude] : undefined
+    },
+    hourlyRate: values.rate,
+    duration: {
+        startDate: values.startDate,
+        endDate: values.endDate
+    },
+    certificationRequirements: toList(values.requiredCertifications),
+    safetyRequirements: toList(values.safetyRequirements),
+    maxApplicants: values.maxApplicants,
+    positions: toNumber(values.headcount) > 1
+        ? [{ jobType: values.jobType, headcount: values.headcount, rate: values.rate }]
+        : undefined
+});
+
+/**
+ * Maps a record onto the Job schema
+ * @param {Object} values - Record values keyed by import column
+ * @param {string} clientId - Client posting the jobs
+ * @returns {Object} Job data
+ */
+const toJobData = (values, clientId) => {
+    const requiredCertifications = toList(values.requiredCertifications);
+    const headcount = toNumber(values.headcount);
+
+    return {
+        title: values.title,
+        description: values.description,
+        jobType: values.jobType,
+        rate: toNumber(values.rate),
+        startDate: values.startDate,
+        endDate: values.endDate,
+        duration: values.duration || 'daily',
+        shiftPattern: values.shiftPattern,
+        urgencyLevel: values.urgencyLevel,
+        experienceLevel: values.experienceLevel,
+        location: {
+            address: values.address,
+            city: values.city,
+            state: values.state,
+            postcode: values.postcode,
+            siteType: values.siteType,
+            coordinate: hasCoordinates(values)
+                ? { latitude: toNumber(values.latitude), longitude: toNumber(values.longitude) }
+                : undefined
+        },
+        requiredCertifications,
+        equipmentRequired: toList(values.equipmentRequired),
+        safetyRequirements: toList(values.safetyRequirements),
+        applicationDeadline: values.applicationDeadline,
+        maxApplicants: toNumber(values.maxApplicants),
+        tags: toList(values.tags),
+        positions: headcount > 1
+            ? [{ jobType: values.jobType, headcount, rate: toNumber(values.rate), requiredCertifications }]
+            : [],
+        clientId
+    };
+};
+
+// Request body and Job schema paths that do not share a name with their import column
+const COLUMN_BY_PATH = {
+    hourlyRate: 'rate',
+    'duration.startDate': 'startDate',
+    'duration.endDate': 'endDate',
+    'location.coordinates': 'latitude',
+    'location.coordinate': 'latitude',
+    certificationRequirements: 'requiredCertifications'
+};
+
+/**
+ * Names the import column behind a validation error path
+ * @param {string} path - e.g. 'hourlyRate', 'location.city', 'positions[0].jobType', 'positions.0.rate'
+ * @returns {string} Import column
+ */
+const columnForPath = path => {
+    if (COLUMN_BY_PATH[path]) return COLUMN_BY_PATH[path];
+
+    const field = path.replace(/^positions(\[\d+\]|\.\d+)\./, '').replace(/^location\./, '');
+    const coordinateField = field.match(/^coordinate\.(latitude|longitude)$/);
+    if (coordinateField) return coordinateField[1];
+    return IMPORT_COLUMNS.includes(field) ? field : path;
+};
+
+/**
+ * Builds a CSV report of an import, one line per row
+ * @param {Array<Object>} rows - [{ rowNumber, status, title, jobId, issues: [{ field, message }] }]
+ * @returns {string} CSV text
+ */
+const buildReportCsv = rows => {
+    const escapeCell = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [['row', 'status', 'title', 'jobId', 'errors']].concat(rows.map(row => [
+        row.rowNumber,
+        row.status,
+        row.title,
+        row.jobId,
+        (row.issues || []).map(issue => `${issue.field}: ${issue.message}`).join('; ')
+    ]));
+
+    return `${lines.map(line => line.map(escapeCell).join(',')).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    IMPORT_COLUMNS,
+    parseCsv,
+    toRecords,
+    toJobRequest,
+    toJobData,
+    columnForPath,
+    buildReportCsv
+};
@@ -0,0 +1,64 @@
+// Lifts at or above this percentage of rated capacity are treated as critical lifts
+const DEFAULT_CRITICAL_PERCENT = parseFloat(process.env.LIFT_PLAN_CRITICAL_PERCENT) || 75;
+
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Looks up the rated capacity for a lift from one crane configuration's load chart.
+ * Values between chart rows are never interpolated: the next longer boom length and
+ * the next greater radius are used, which always gives the lower (safer) capacity.
+ * @param {Object} configuration - { boomLengths: [{ lengthM, ratings: [{ radiusM, capacityKg }] }] }
+ * @param {number} boomLengthM - Boom length for the lift
+ * @param {number} radiusM - Working radius for the lift
+ * @returns {Object|null} { capacityKg, boomLengthM, radiusM } from the chart, or null if the lift is off the chart
+ */
+const lookupRatedCapacity = (configuration, boomLengthM, radiusM) => {
+    const boom = [...configuration.boomLengths]
+        .sort((a, b) => a.lengthM - b.lengthM)
+        .find(entry => entry.lengthM >= boomLengthM);
+    if (!boom) return null;
+
+    const rating = [...boom.ratings]
+        .sort((a, b) => a.radiusM - b.radiusM)
+        .find(entry => entry.radiusM >= radiusM);
+    if (!rating || !(rating.capacityKg > 0)) return null;
+
+    return { capacityKg: rating.capacityKg, boomLengthM: boom.lengthM, radiusM: rating.radiusM };
+};
+
+/**
+ * Works out how much of the crane's rated capacity a lift uses
+ * @param {Object} lift - Lift details
+ * @param {number} lift.ratedCapacityKg - Rated capacity from the load chart
+ * @param {number} lift.loadWeightKg - Weight of the load
+ * @param {number} [lift.riggingWeightKg] - Slings, shackles, spreader bars etc.
+ * @param {number} [lift.hookBlockWeightKg] - Hook block, if the chart does not already deduct it
+ * @param {number} [lift.criticalThresholdPercent] - Percentage of capacity that makes a lift critical
+ * @returns {Object} { totalLoadKg, ratedCapacityKg, percentOfCapacity, marginKg, criticalThresholdPercent, isCritical, exceedsCapacity }
+ */
+const calculateLift = ({
+    ratedCapacityKg,
+    loadWeightKg,
+    riggingWeightKg = 0,
+    hookBlockWeightKg = 0,
+    criticalThresholdPercent = DEFAULT_CRITICAL_PERCENT
+}) => {
+    const totalLoadKg = roundTo(loadWeightKg + riggingWeightKg + hookBlockWeightKg, 2);
+    const percentOfCapacity = roundTo((totalLoadKg / ratedCapacityKg) * 100, 1);
+
+    return {
+        totalLoadKg,
+        ratedCapacityKg,
+        percentOfCapacity,
+        marginKg: roundTo(ratedCapacityKg - totalLoadKg, 2),
+        criticalThresholdPercent,
+        isCritical: percentOfCapacity >= criticalThresholdPercent,
+        exceedsCapacity: totalLoadKg > ratedCapacityKg
+    };
+};
+
+module.exports = {
+    DEFAULT_CRITICAL_PERCENT,
+    lookupRatedCapacity,
+    calculateLift
+};
@@ -0,0 +1,181 @@
+const defaultRules = require('../config/payRules');
+
+const MAX_SCHEDULE_DAYS = 366;
+
+const roundCents = value => Math.round(value * 100) / 100;
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Works out which day rules apply to a date
+ * @param {Date|string} date - Work date
+ * @param {Object} rules - Pay rules table
+ * @returns {string} One of weekday, saturday, sunday or publicHoliday
+ */
+const getDayType = (date, rules = defaultRules) => {
+    const day = new Date(date);
+    const monthDay = `${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+    const isoDate = `${day.getFullYear()}-${monthDay}`;
+
+    if (rules.publicHolidays.includes(monthDay) || rules.publicHolidays.includes(isoDate)) {
+        return 'publicHoliday';
+    }
+    if (day.getDay() === 0) return 'sunday';
+    if (day.getDay() === 6) return 'saturday';
+    return 'weekday';
+};
+
+/**
+ * Picks the shift pattern whose loading applies to a shift
+ * @param {string} shiftPattern - The job's shift pattern
+ * @param {number} [startHour] - Hour (0-23) the shift started, if known
+ * @param {Object} rules - Pay rules table
+ * @returns {string} Shift pattern key
+ */
+const resolveShiftPattern = (shiftPattern, startHour, rules = defaultRules) => {
+    const pattern = rules.shiftPatterns[shiftPattern];
+    if (!pattern || !pattern.classifyByStartTime || startHour === undefined || startHour === null) {
+        return shiftPattern;
+    }
+
+    const window = rules.shiftStartWindows.find(({ fromHour, toHour }) => (fromHour < toHour
+        ? startHour >= fromHour && startHour < toHour
+        : startHour >= fromHour || startHour < toHour));
+
+    return window ? window.shiftPattern : 'day_shift';
+};
+
+/**
+ * Lays out work days for a quote or when only total hours are known. The start and end
+ * dates are always worked, so a job booked on a weekend is quoted at weekend rates;
+ * the days in between follow the shift pattern's work days.
+ * @param {Object} options
+ * @param {Date|string} options.startDate - First day of work
+ * @param {Date|string} [options.endDate] - Last day of work (inclusive)
+ * @param {number} [options.totalHours] - Total hours to spread across work days
+ * @param {string} [options.shiftPattern] - Shift pattern, decides work days and hours per day
+ * @param {number} [options.hoursPerDay] - Overrides the pattern's hours per day
+ * @param {number} [options.startHour] - Shift start hour recorded on each entry
+ * @param {Object} rules - Pay rules table
+ * @returns {Array<Object>} Work entries of { date, hours, startHour }
+ */
+const buildSchedule = ({ startDate, endDate, totalHours, shiftPattern = 'day_shift', hoursPerDay, startHour }, rules = defaultRules) => {
+    const pattern = rules.shiftPatterns[shiftPattern] || rules.shiftPatterns.day_shift;
+    const dailyHours = hoursPerDay || pattern.hoursPerDay;
+    const lastDay = endDate ? new Date(endDate) : null;
+    const entries = [];
+
+    let remaining = totalHours === undefined || totalHours === null ? Infinity : totalHours;
+    const day = new Date(startDate);
+    day.setHours(0, 0, 0, 0);
+
+    const bookedDays = [new Date(day)];
+    if (lastDay) {
+        bookedDays.push(new Date(lastDay));
+        bookedDays[1].setHours(0, 0, 0, 0);
+    }
+
+    for (let i = 0; i < MAX_SCHEDULE_DAYS && remaining > 0; i++) {
+        if (lastDay && day > lastDay) break;
+        if (!lastDay && remaining === Infinity) break;
+
+        const isBooked = bookedDays.some(bookedDay => bookedDay.getTime() === day.getTime());
+        if (isBooked || pattern.workDays.includes(day.getDay())) {
+            const hours = Math.min(dailyHours, remaining);
+            entries.push({ date: new Date(day), hours, startHour });
+            remaining -= hours;
+        }
+        day.setDate(day.getDate() + 1);
+    }
+
+    return entries;
+};
+
+/**
+ * Calculates a line-item cost breakdown for a set of worked (or quoted) days.
+ * Each entry is one worker's day; overtime is worked out per entry.
+ * @param {Object} options
+ * @param {string} options.jobType - Job type, for job type allowances (entries may override)
+ * @param {string} [options.shiftPattern] - Job shift pattern, for loadings and allowances
+ * @param {number} options.rate - Base hourly rate
+ * @param {Array<Object>} options.entries - { date, hours, startHour?, rate?, jobType? } per worker day
+ * @param {Object} rules - Pay rules table
+ * @returns {Object} { currency, lines, totals }
+ */
+const calculateCost = ({ jobType, shiftPattern = 'day_shift', rate, entries = [] }, rules = defaultRules) => {
+    const lines = new Map();
+
+    const addLine = (code, category, description, quantity, unitRate, unit = 'hour') => {
+        if (quantity <= 0 || unitRate <= 0) return;
+
+        const key = `${code}:${description}:${unitRate}`;
+        const line = lines.get(key) || { code, category, description, quantity: 0, unit, rate: roundCents(unitRate), amount: 0 };
+        line.quantity += quantity;
+        lines.set(key, line);
+    };
+
+    const addAllowances = (allowances = [], hours) => allowances.forEach(allowance => {
+        if (allowance.perDay) {
+            addLine(allowance.code, 'allowance', allowance.label, 1, allowance.perDay, 'day');
+        } else {
+            addLine(allowance.code, 'allowance', allowance.label, hours, allowance.perHour);
+        }
+    });
+
+    entries.filter(entry => entry.hours > 0).forEach(entry => {
+        const baseRate = entry.rate || rate;
+        const jobTypeRules = rules.jobTypes[entry.jobType || jobType] || {};
+        const dayType = getDayType(entry.date, rules);
+        const dayRules = (jobTypeRules.days && jobTypeRules.days[dayType]) || rules.days[dayType];
+
+        const ordinaryHours = Math.min(entry.hours, dayRules.ordinaryHours);
+        addLine('ordinary', 'ordinary', 'Ordinary hours', ordinaryHours, baseRate);
+
+        let remaining = entry.hours - ordinaryHours;
+        dayRules.tiers.forEach(tier => {
+            const hours = tier.hours ? Math.min(remaining, tier.hours) : remaining;
+            addLine(tier.code, tier.category, tier.label, hours, baseRate * tier.multiplier);
+            remaining -= hours;
+        });
+
+        const patternKey = resolveShiftPattern(shiftPattern, entry.startHour, rules);
+        const pattern = rules.shiftPatterns[patternKey] || {};
+        if (pattern.loading) {
+            addLine(`${patternKey}_loading`, 'loading', pattern.label, ordinaryHours, baseRate * pattern.loading);
+        }
+
+        addAllowances(pattern.allowances, entry.hours);
+        addAllowances(jobTypeRules.allowances, entry.hours);
+    });
+
+    const items = [...lines.values()].map(line => ({
+        ...line,
+        quantity: roundCents(line.quantity),
+        amount: roundCents(line.quantity * line.rate)
+    }));
+
+    const sumCategory = (...categories) => roundCents(items
+        .filter(line => categories.includes(line.category))
+        .reduce((total, line) => total + line.amount, 0));
+
+    return {
+        currency: rules.currency,
+        lines: items,
+        totals: {
+            hours: roundCents(entries.reduce((total, entry) => total + (entry.hours > 0 ? entry.hours : 0), 0)),
+            ordinary: sumCategory('ordinary'),
+            overtime: sumCategory('overtime'),
+            penalties: sumCategory('penalty'),
+            loadings: sumCategory('loading'),
+            allowances: sumCategory('allowance'),
+            total: sumCategory('ordinary', 'overtime', 'penalty', 'loading', 'allowance')
+        }
+    };
+};
+
+module.exports = {
+    getDayType,
+    resolveShiftPattern,
+    buildSchedule,
+    calculateCost
+};
@@ -0,0 +1,94 @@
+const defaultRules = require('../config/payRules');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Availability statuses that mean the rigger cannot be booked
+const UNAVAILABLE_STATUSES = ['busy', 'vacation', 'unavailable'];
+
+const overlaps = (startA, endA, startB, endB) => new Date(startA) < new Date(endB) && new Date(startB) < new Date(endA);
+
+/**
+ * Works out when a job has the rigger on shift between two times. Each work day of the
+ * job's shift pattern starts at the time of day of the job's start date.
+ * @param {Object} job - { startDate, endDate, shiftPattern }
+ * @param {Date} from - Start of the period of interest
+ * @param {Date} to - End of the period of interest
+ * @param {Object} rules - Pay rules table, for shift pattern work days and hours
+ * @returns {Array<Object>} [{ start, end }] shifts overlapping the period
+ */
+const jobShiftWindows = (job, from, to, rules = defaultRules) => {
+    const pattern = rules.shiftPatterns[job.shiftPattern] || rules.shiftPatterns.day_shift;
+    const startDate = new Date(job.startDate);
+    const lastDay = new Date(job.endDate && job.endDate > job.startDate ? job.endDate : job.startDate);
+    const shiftMs = pattern.hoursPerDay * HOUR_MS;
+
+    // Start a day early so a shift running past midnight into the period is caught
+    const day = new Date(Math.max(startDate.getTime(), new Date(from).getTime() - DAY_MS));
+    day.setHours(startDate.getHours(), startDate.getMinutes(), 0, 0);
+    if (day < startDate) day.setDate(day.getDate() + 1);
+
+    const windows = [];
+    while (day <= lastDay && day < new Date(to)) {
+        const end = new Date(day.getTime() + shiftMs);
+        if (pattern.workDays.includes(day.getDay()) && overlaps(day, end, from, to)) {
+            windows.push({ start: new Date(day), end });
+        }
+        day.setDate(day.getDate() + 1);
+    }
+    return windows;
+};
+
+/**
+ * Finds what clashes with a proposed time for a rigger
+ * @param {Object} slot - { start, end }
+ * @param {Object} commitments - The rigger's commitments
+ * @param {Array<Object>} [commitments.jobs] - Assigned jobs ({ _id, title, startDate, endDate, shiftPattern })
+ * @param {Object} [commitments.availability] - riggerProfile.availability ({ status, startDate, endDate })
+ * @param {Array<Object>} [commitments.interviews] - Other scheduled interviews ({ _id, scheduledStart, scheduledEnd })
+ * @returns {Array<Object>} [{ type: 'job'|'availability'|'interview', id, message }]
+ */
+const findConflicts = ({ start, end }, { jobs = [], availability, interviews = [] } = {}) => {
+    const conflicts = [];
+
+    jobs.forEach(job => {
+        const [shift] = jobShiftWindows(job, start, end);
+        if (shift) {
+            conflicts.push({
+                type: 'job',
+                id: job._id,
+                message: `On shift for "${job.title}" from ${shift.start.toISOString()} to ${shift.end.toISOString()}`
+            });
+        }
+    });
+
+    if (availability && UNAVAILABLE_STATUSES.includes(availability.status)) {
+        const from = availability.startDate || new Date(0);
+        const to = availability.endDate || new Date(8.64e15);
+        if (overlaps(from, to, start, end)) {
+            conflicts.push({
+                type: 'availability',
+                message: `Marked ${availability.status}${availability.endDate ? ` until ${new Date(availability.endDate).toISOString()}` : ''}`
+            });
+        }
+    }
+
+    interviews.forEach(interview => {
+        if (overlaps(interview.scheduledStart, interview.scheduledEnd, start, end)) {
+            conflicts.push({
+                type: 'interview',
+                id: interview._id,
+                message: `Another interview from ${new Date(interview.scheduledStart).toISOString()}`
+            });
+        }
+    });
+
+    return conflicts;
+};
+
+module.exports = {
+    UNAVAILABLE_STATUSES,
+    overlaps,
+    jobShiftWindows,
+    findConflicts
+};